@@ -5,7 +5,7 @@ const notFound = (req, res, next) => {
 };
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = res.statusCode === 200 ? err.status || 500 : res.statusCode;
   console.error("🔥 ERROR STACK:", err.stack);
 
   res.status(statusCode);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A user-authored code generator: a Handlebars template rendered over the diagram's tables
+const CodeTemplateSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: 500
+    },
+    // Syntax highlighting language of the output
+    language: {
+        type: String,
+        trim: true,
+        default: 'text'
+    },
+    // 'schema' renders one file for the whole diagram, 'table' one file per table
+    scope: {
+        type: String,
+        enum: ['schema', 'table'],
+        default: 'schema'
+    },
+    // Itself a template, so per-table files can be named after their table
+    fileName: {
+        type: String,
+        trim: true,
+        default: 'output.txt'
+    },
+    // Column type -> target language type, e.g. { INT: 'number' }
+    typeMap: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    content: {
+        type: String,
+        required: true,
+        maxlength: 100000
+    },
+    // Instance-wide sharing: the template is listed for every user of this server, not a team.
+    // Only the owner can change it.
+    sharedWithInstance: {
+        type: Boolean,
+        default: false,
+        index: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CodeTemplate', CodeTemplateSchema);
@@ -19,6 +19,11 @@ const ProjectSchema = new mongoose.Schema({
     edges: {
         type: Array,
         default: []
+    },
+    // Project-level enum types: [{ name, values: [String] }]
+    enums: {
+        type: Array,
+        default: []
     }
 }, { timestamps: true });
 
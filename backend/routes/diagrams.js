@@ -14,7 +14,7 @@ router.get("/diagrams", fetchUser, async (req, res) => {
 
 router.post("/save", fetchUser, async (req, res) => {
   try {
-    const { name, nodes, edges, projectId } = req.body;
+    const { name, nodes, edges, enums, projectId } = req.body;
     if (projectId) {
       let project = await Project.findById(projectId);
 
@@ -27,7 +27,7 @@ router.post("/save", fetchUser, async (req, res) => {
 
       project = await Project.findByIdAndUpdate(
         projectId,
-        { $set: { name, nodes, edges } },
+        { $set: { name, nodes, edges, enums } },
         { new: true }
       );
       return res.json(project);
@@ -36,6 +36,7 @@ router.post("/save", fetchUser, async (req, res) => {
       name,
       nodes,
       edges,
+      enums,
       userId: req.user._id,
     });
 
@@ -4,13 +4,16 @@ const { refactorSchema } = require("../services/schemaRefactorService");
 const { migrateSchema } = require("../services/migrationService");
 const { generateMockData, generateSQLInserts } = require("../services/mockDataService");
 const { generateQueries } = require("../services/queryGeneratorService");
+const { parseSQL } = require("../services/sqlImportService");
+
+const SQL_DIALECTS = ["auto", "postgres", "mysql", "sqlite", "sqlserver"];
 
 /**
  * POST /api/schema/refactor
  * Refactors a schema using AI to improve normalization and reduce redundancy
  * 
  * Body: {
- *   schema: { nodes: [], edges: [] },
+ *   schema: { nodes: [], edges: [], enums: [] },
  *   goal?: string (optional optimization goal)
  * }
  */
@@ -48,8 +51,8 @@ router.post("/refactor", fetchUser, async (req, res) => {
  * Migrates a schema from one database type to another
  * 
  * Body: {
- *   schema: { nodes: [], edges: [] },
- *   sourceDbType: string (e.g., "mongo", "postgres", "mysql", "sql"),
+ *   schema: { nodes: [], edges: [], enums: [] },
+ *   sourceDbType: string (e.g., "mongo", "postgres", "mysql", "sql", "sqlite", "oracle"),
  *   targetDbType: string
  * }
  */
@@ -94,7 +97,7 @@ router.post("/migrate", fetchUser, async (req, res) => {
  * Generates mock data based on schema
  * 
  * Body: {
- *   schema: { nodes: [], edges: [] },
+ *   schema: { nodes: [], edges: [], enums: [] },
  *   entityCounts: { "EntityName": count, ... },
  *   useAI: boolean (optional, default false),
  *   format: "json" | "sql" (optional, default "json")
@@ -145,7 +148,7 @@ router.post("/mock-data", fetchUser, async (req, res) => {
  * Generates queries based on schema
  * 
  * Body: {
- *   schema: { nodes: [], edges: [] },
+ *   schema: { nodes: [], edges: [], enums: [] },
  *   targetType: "sql" | "prisma" | "mongoose",
  *   queryIntents: string[] (optional)
  * }
@@ -183,5 +186,67 @@ router.post("/queries", fetchUser, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/schema/import-sql
+ * Parses SQL DDL (CREATE TABLE, ALTER TABLE ... ADD, CREATE INDEX, CREATE TYPE) into a schema
+ *
+ * Body: {
+ *   sql: string,
+ *   dialect?: string ("auto", "postgres", "mysql", "sqlite", "sqlserver"; defaults to "auto")
+ * }
+ */
+router.post("/import-sql", fetchUser, async (req, res) => {
+  try {
+    const { sql, dialect = "auto" } = req.body;
+
+    if (!sql || typeof sql !== "string" || !sql.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "SQL is required",
+      });
+    }
+
+    if (!SQL_DIALECTS.includes(dialect)) {
+      return res.status(400).json({
+        success: false,
+        error: `dialect must be one of: ${SQL_DIALECTS.join(", ")}`,
+      });
+    }
+
+    const result = parseSQL(sql, dialect);
+
+    if (result.errors.length > 0) {
+      const [first] = result.errors;
+      return res.status(400).json({
+        success: false,
+        error: `Line ${first.line}: ${first.message}`,
+        errors: result.errors,
+      });
+    }
+
+    if (result.nodes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No CREATE TABLE statements found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        schema: { nodes: result.nodes, edges: result.edges, enums: result.enums },
+        dialect: result.dialect,
+        warnings: result.warnings,
+      },
+    });
+  } catch (error) {
+    console.error("SQL import endpoint error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to import SQL",
+    });
+  }
+});
+
 module.exports = router;
 
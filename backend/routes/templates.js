@@ -0,0 +1,183 @@
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const fetchUser = require("../middleware/fetchUser");
+const CodeTemplate = require("../models/CodeTemplate");
+
+// Only these fields come from the request body; the owner is always taken from the token
+const TEMPLATE_FIELDS = ["name", "description", "language", "scope", "fileName", "typeMap", "content", "sharedWithInstance"];
+
+const pickTemplateFields = (body = {}) =>
+  Object.fromEntries(TEMPLATE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/** Returns an error message when the type map is not a flat object of strings with keys Mongoose can store */
+const validateTypeMap = (typeMap) => {
+  if (typeMap === undefined) return null;
+  if (!typeMap || typeof typeMap !== "object" || Array.isArray(typeMap)) {
+    return "Type map must be an object";
+  }
+  const invalid = Object.entries(typeMap).find(([key, value]) => typeof value !== "string" || key.includes(".") || key.startsWith("$"));
+  return invalid ? `Invalid type map entry "${invalid[0]}"` : null;
+};
+
+// Flattens the typeMap and tells the client whether it may edit the template
+const serializeTemplate = (template, userId) => {
+  const { userId: owner, ...rest } = template.toObject({ flattenMaps: true });
+  const ownerId = owner?._id ?? owner;
+  return {
+    ...rest,
+    author: owner?.username || "",
+    isOwner: ownerId?.toString() === userId.toString(),
+  };
+};
+
+/** Loads a template for writing; sends the 404/403 response itself and returns null */
+const findOwnTemplate = async (req, res) => {
+  const { id } = req.params;
+  const template = mongoose.isValidObjectId(id) ? await CodeTemplate.findById(id) : null;
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: "Template not found",
+    });
+    return null;
+  }
+
+  if (template.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      error: "Access denied",
+    });
+    return null;
+  }
+
+  return template;
+};
+
+const handleSaveError = (res, error, fallback) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: Object.values(error.errors).map((err) => err.message).join(", "),
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: error.message || fallback,
+  });
+};
+
+/**
+ * GET /api/templates
+ * Get the user's own templates and those other users shared with the whole instance
+ */
+router.get("/", fetchUser, async (req, res) => {
+  try {
+    const templates = await CodeTemplate.find({
+      $or: [{ userId: req.user._id }, { sharedWithInstance: true }],
+    })
+      .populate("userId", "username")
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: templates.map((template) => serializeTemplate(template, req.user._id)),
+    });
+  } catch (error) {
+    console.error("Get templates error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch templates",
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a template
+ */
+router.post("/", fetchUser, async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+
+    if (!fields.name || !fields.content) {
+      return res.status(400).json({
+        success: false,
+        error: "Name and content are required",
+      });
+    }
+
+    const typeMapError = validateTypeMap(fields.typeMap);
+    if (typeMapError) {
+      return res.status(400).json({
+        success: false,
+        error: typeMapError,
+      });
+    }
+
+    const template = await CodeTemplate.create({ ...fields, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: serializeTemplate(template, req.user._id),
+    });
+  } catch (error) {
+    handleSaveError(res, error, "Failed to create template");
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Update a template (owner only)
+ */
+router.put("/:id", fetchUser, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const fields = pickTemplateFields(req.body);
+    const typeMapError = validateTypeMap(fields.typeMap);
+    if (typeMapError) {
+      return res.status(400).json({
+        success: false,
+        error: typeMapError,
+      });
+    }
+
+    template.set(fields);
+    await template.save();
+
+    res.json({
+      success: true,
+      data: serializeTemplate(template, req.user._id),
+    });
+  } catch (error) {
+    handleSaveError(res, error, "Failed to update template");
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template (owner only)
+ */
+router.delete("/:id", fetchUser, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      data: { id: template._id },
+    });
+  } catch (error) {
+    console.error("Delete template error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to delete template",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const router = require("express").Router();
 const fetchUser = require("../middleware/fetchUser");
 const { createVersion, getVersions, getVersion, computeDiff } = require("../services/versionService");
+const { generateMigrationScripts, formatMigration, MIGRATION_FORMATS, DIALECTS } = require("../services/migrationScriptService");
 const Project = require("../models/Diagrams");
 
 /**
@@ -236,5 +237,90 @@ router.post("/versions/compare", fetchUser, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/versions/migration-script
+ * Generate migration files that take the database from one version to another
+ *
+ * Body: {
+ *   fromVersionId: string,
+ *   toVersionId: string,
+ *   dialect: string ("postgres", "mysql", "sqlserver"),
+ *   format: string ("flyway", "liquibase", "knex", "alembic")
+ * }
+ */
+router.post("/versions/migration-script", fetchUser, async (req, res) => {
+  try {
+    const { fromVersionId, toVersionId, dialect, format } = req.body;
+
+    if (!fromVersionId || !toVersionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Both fromVersionId and toVersionId are required",
+      });
+    }
+
+    if (!DIALECTS[dialect]) {
+      return res.status(400).json({
+        success: false,
+        error: `dialect must be one of: ${Object.keys(DIALECTS).join(", ")}`,
+      });
+    }
+
+    if (!MIGRATION_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${MIGRATION_FORMATS.join(", ")}`,
+      });
+    }
+
+    const fromVersion = await getVersion(fromVersionId);
+    const toVersion = await getVersion(toVersionId);
+
+    if (fromVersion.projectId.toString() !== toVersion.projectId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: "Versions must belong to the same project",
+      });
+    }
+
+    const project = await Project.findById(fromVersion.projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (project.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied",
+      });
+    }
+
+    const scripts = await generateMigrationScripts(fromVersion.schemaJSON, toVersion.schemaJSON, dialect);
+    const files = formatMigration(scripts, format, {
+      name: `v${fromVersion.versionNumber} to v${toVersion.versionNumber}`,
+      version: toVersion.versionNumber,
+      createdAt: toVersion.createdAt
+    });
+
+    res.json({
+      success: true,
+      data: {
+        steps: scripts.steps,
+        warnings: scripts.warnings,
+        files
+      },
+    });
+  } catch (error) {
+    console.error("Migration script error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to generate migration script",
+    });
+  }
+});
+
 module.exports = router;
 
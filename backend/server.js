@@ -29,6 +29,8 @@ app.use(cors({
 }));
 
 
+// SQL dumps are posted whole, so the import accepts larger bodies than the rest of the API
+app.use('/api/schema/import-sql', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -74,6 +76,7 @@ app.use('/api/schema', require('./routes/schema'));
 app.use('/api/projects', require('./routes/versions'));
 app.use('/api', require('./routes/versions'));
 app.use('/api/github', require('./routes/github'));
+app.use('/api/templates', require('./routes/templates'));
 app.use('/', require('./routes/social')); 
 
 
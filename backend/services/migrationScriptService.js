@@ -0,0 +1,444 @@
+/**
+ * Migration Script Service
+ * Turns the difference between two schema versions into ordered up/down DDL and migration tool files
+ */
+const crypto = require('crypto');
+const { computeDiff } = require('./versionService');
+
+// The DDL emitter is ESM shared with the frontend's SQL export, so it is loaded with import()
+const loadDdlEmitter = () => import('../../shared/ddlEmitter.mjs');
+
+// Public dialect names mapped to the emitter's dialects
+const DIALECTS = { postgres: 'postgresql', mysql: 'mysql', sqlserver: 'sqlserver' };
+
+const MIGRATION_FORMATS = ['flyway', 'liquibase', 'knex', 'alembic'];
+
+// Column fields that change the column's definition rather than its constraints
+const DEFINITION_FIELDS = ['type', 'length', 'precision', 'scale', 'isUnsigned', 'isNullable', 'defaultValue', 'isAutoIncrement'];
+
+const isNote = (statement) => statement.startsWith('--');
+// The emitter ;-terminates its statements; steps hold them bare and the formats add the terminator
+const bare = (statement) => statement.replace(/;$/, '');
+// Unset, empty and false column fields all mean "not set"
+const fieldValue = (value) => (value === undefined || value === null || value === '' || value === false ? null : value);
+
+const foreignKeyColumnsOf = (ddl, node, schema) => ddl.foreignKeysOf(schema.nodes, schema.edges)
+  .filter(fk => fk.source.id === node.id)
+  .map(fk => fk.column);
+
+/**
+ * CREATE TABLE without foreign keys (those are separate steps so tables can be created in any order),
+ * followed by its comments and indexes
+ */
+function createTableStatements(ddl, node, schema) {
+  const table = ddl.createTable(node, { foreignKeyColumns: foreignKeyColumnsOf(ddl, node, schema) });
+  const indexes = (node.data.indexes || [])
+    .filter(index => index.columns?.length > 0)
+    .flatMap(index => ddl.index(index, node));
+  return [...table.notes, table.statement, ...table.after, ...indexes].map(bare);
+}
+
+function renameTable(ddl, from, to, dialect) {
+  if (dialect === 'mysql') return `RENAME TABLE ${ddl.tableName(from)} TO ${ddl.tableName(to)}`;
+  if (dialect === 'sqlserver') return `EXEC sp_rename ${ddl.literal(ddl.tableName(from))}, ${ddl.literal(to.data.label)}`;
+  return `ALTER TABLE ${ddl.tableName(from)} RENAME TO ${ddl.tableName(to)}`;
+}
+
+function renameColumn(ddl, node, from, to, dialect) {
+  const tableName = ddl.tableName(node);
+  if (dialect === 'sqlserver') return `EXEC sp_rename ${ddl.literal(`${tableName}.${ddl.quote(from)}`)}, ${ddl.literal(to)}, 'COLUMN'`;
+  return `ALTER TABLE ${tableName} RENAME COLUMN ${ddl.quote(from)} TO ${ddl.quote(to)}`;
+}
+
+function addColumn(ddl, node, col, schema, dialect) {
+  const tableName = ddl.tableName(node);
+  const column = ddl.column(col, node, { foreignKeyColumns: foreignKeyColumnsOf(ddl, node, schema) });
+  const add = dialect === 'sqlserver' ? 'ADD' : 'ADD COLUMN';
+  return [
+    ...column.notes,
+    `ALTER TABLE ${tableName} ${add} ${column.definition}`,
+    ...column.constraints.map(constraint => `ALTER TABLE ${tableName} ADD ${constraint}`),
+    ...column.after.map(bare)
+  ];
+}
+
+function dropColumn(ddl, node, col, enums, dialect) {
+  const tableName = ddl.tableName(node);
+  // SQL Server refuses to drop a column that a CHECK constraint still refers to
+  const enumCheck = dialect === 'sqlserver' && enums.some(e => e.name === col.type)
+    ? [`ALTER TABLE ${tableName} DROP CONSTRAINT ${ddl.quote(ddl.enumCheckName(node, col.name))}`]
+    : [];
+  return [...enumCheck, `ALTER TABLE ${tableName} DROP COLUMN ${ddl.quote(col.name)}`];
+}
+
+/**
+ * Statements that turn the definition of `before` into `after` (same name, same table)
+ */
+function alterColumn(ddl, node, before, after, schema, dialect, warnings) {
+  const tableName = ddl.tableName(node);
+  const name = ddl.quote(after.name);
+  const foreignKeyColumns = foreignKeyColumnsOf(ddl, node, schema);
+  const column = ddl.column(after, node, { foreignKeyColumns });
+  const notNull = !after.isNullable || after.isPK;
+  const statements = [];
+
+  if (dialect === 'mysql') {
+    // MODIFY restates the whole column; its key and unique index are left as they are
+    const restated = ddl.column(
+      { ...after, isPK: false, isUnique: false, isNullable: !notNull, isAutoIncrement: column.isGenerated },
+      node,
+      { foreignKeyColumns }
+    );
+    statements.push(`ALTER TABLE ${tableName} MODIFY COLUMN ${restated.definition}`);
+    return statements;
+  }
+
+  const typeChanged = ['type', 'length', 'precision', 'scale', 'isUnsigned'].some(field => fieldValue(before[field]) !== fieldValue(after[field]));
+  const nullChanged = !before.isNullable !== !after.isNullable;
+  const defaultChanged = fieldValue(before.defaultValue) !== fieldValue(after.defaultValue);
+
+  // Identity properties cannot be added to an existing column, so only its base type changes
+  if (dialect === 'postgresql') {
+    if (typeChanged) {
+      statements.push(`ALTER TABLE ${tableName} ALTER COLUMN ${name} TYPE ${column.type} USING ${name}::${column.type}`);
+    }
+    if (nullChanged) {
+      statements.push(`ALTER TABLE ${tableName} ALTER COLUMN ${name} ${notNull ? 'SET' : 'DROP'} NOT NULL`);
+    }
+    if (defaultChanged) {
+      statements.push(column.defaultValue
+        ? `ALTER TABLE ${tableName} ALTER COLUMN ${name} SET DEFAULT ${column.defaultValue}`
+        : `ALTER TABLE ${tableName} ALTER COLUMN ${name} DROP DEFAULT`);
+    }
+    return statements;
+  }
+
+  if (typeChanged || nullChanged) {
+    statements.push(`ALTER TABLE ${tableName} ALTER COLUMN ${name} ${column.type} ${notNull ? 'NOT NULL' : 'NULL'}`);
+  }
+  if (defaultChanged) {
+    // SQL Server defaults are separately named constraints
+    warnings.push(`Default of ${node.data.label}.${after.name} changed; SQL Server default constraints must be replaced by hand`);
+  }
+  return statements;
+}
+
+// Whether a table change alters the definition of the column
+const isRedefined = (change, columnName) => (change?.columns.modified || [])
+  .some(item => item.name === columnName && item.changes.some(c => DEFINITION_FIELDS.includes(c.field)));
+
+/**
+ * Statements that make a column of a MySQL or SQL Server enum accept the enum's values as the writer
+ * knows them: MySQL restates the inline ENUM, SQL Server replaces the column's named CHECK constraint
+ */
+function restateEnumValues(ddl, node, col, schema, dialect) {
+  if (dialect === 'mysql') return alterColumn(ddl, node, col, col, schema, dialect, []);
+  const tableName = ddl.tableName(node);
+  const checkName = ddl.quote(ddl.enumCheckName(node, col.name));
+  const check = ddl.column(col, node).constraints.find(constraint => constraint.startsWith(`CONSTRAINT ${checkName} `));
+  return [`ALTER TABLE ${tableName} DROP CONSTRAINT ${checkName}`, `ALTER TABLE ${tableName} ADD ${check}`];
+}
+
+function addForeignKey(ddl, fk) {
+  const { definition, notes } = ddl.foreignKey(fk);
+  return [...notes, `ALTER TABLE ${ddl.tableName(fk.source)} ADD ${definition}`];
+}
+
+function dropForeignKey(ddl, fk, dialect) {
+  const name = ddl.quote(ddl.foreignKeyName(fk.source, fk.column));
+  if (dialect === 'mysql') return `ALTER TABLE ${ddl.tableName(fk.source)} DROP FOREIGN KEY ${name}`;
+  return `ALTER TABLE ${ddl.tableName(fk.source)} DROP CONSTRAINT ${name}`;
+}
+
+function createIndex(ddl, index, node) {
+  return ddl.index(index, node).map(bare);
+}
+
+function dropIndex(ddl, index, node, dialect) {
+  if (dialect === 'postgresql') return `DROP INDEX ${ddl.quote(index.name)}`;
+  return `DROP INDEX ${ddl.quote(index.name)} ON ${ddl.tableName(node)}`;
+}
+
+function addUnique(ddl, uc, node) {
+  return `ALTER TABLE ${ddl.tableName(node)} ADD CONSTRAINT ${ddl.quote(uc.name)} UNIQUE (${uc.columns.map(ddl.quote).join(', ')})`;
+}
+
+function dropUnique(ddl, uc, node, dialect) {
+  if (dialect === 'mysql') return `ALTER TABLE ${ddl.tableName(node)} DROP INDEX ${ddl.quote(uc.name)}`;
+  return `ALTER TABLE ${ddl.tableName(node)} DROP CONSTRAINT ${ddl.quote(uc.name)}`;
+}
+
+/**
+ * Generates ordered migration steps from one schema version to another
+ * @param {Object} fromSchema - Older schema ({ nodes, edges, enums })
+ * @param {Object} toSchema - Newer schema
+ * @param {string} dialect - "postgres", "mysql" or "sqlserver"
+ * @returns {Promise<Object>} - { steps: [{ description, up, down }], up, down, warnings }; up/down are statement lists,
+ *   down runs the steps' down statements in reverse order
+ */
+async function generateMigrationScripts(fromSchema, toSchema, dialect) {
+  const target = DIALECTS[dialect];
+  if (!target) {
+    throw new Error(`Unsupported dialect "${dialect}". Use one of: ${Object.keys(DIALECTS).join(', ')}`);
+  }
+
+  const { ddlWriter } = await loadDdlEmitter();
+  const diff = computeDiff(fromSchema, toSchema);
+  const fromEnums = fromSchema.enums || [];
+  const toEnums = toSchema.enums || [];
+  // Statements about the older version's objects are written with its enums, the newer's with theirs
+  const fromDdl = ddlWriter(target, { enums: fromEnums });
+  const toDdl = ddlWriter(target, { enums: toEnums });
+  const steps = [];
+  const warnings = [];
+  const step = (description, up, down) => steps.push({ description, up, down });
+
+  // Only the referential actions live in the constraint; cardinality and optionality are diagram-only
+  const replacedKeys = diff.edges.modified
+    .filter(change => change.changes.some(c => c.field === 'onDelete' || c.field === 'onUpdate'));
+  const droppedKeys = fromDdl.foreignKeysOf(fromSchema.nodes, [...diff.edges.removed, ...replacedKeys.map(change => change.original)]);
+  const addedKeys = toDdl.foreignKeysOf(toSchema.nodes, [...replacedKeys.map(change => change.modified), ...diff.edges.added]);
+
+  // Postgres enums are types of their own; MySQL and SQL Server carry enum values on the column
+  if (target === 'postgresql') {
+    diff.enums.added.forEach(enumDef => {
+      step(`Create type ${enumDef.name}`, [bare(toDdl.enumType(enumDef))], [`DROP TYPE ${toDdl.quote(enumDef.name)}`]);
+    });
+    diff.enums.modified.forEach(({ name, original, modified }) => {
+      const addedValues = modified.values.filter(value => !original.values.includes(value));
+      if (addedValues.length > 0) {
+        step(
+          `Add values to type ${name}`,
+          addedValues.map(value => `ALTER TYPE ${toDdl.quote(name)} ADD VALUE ${toDdl.literal(value)}`),
+          [`-- Postgres cannot remove enum values; ${addedValues.join(', ')} stay on type ${name}`]
+        );
+      }
+    });
+  }
+
+  diff.enums.modified.forEach(({ name, original, modified }) => {
+    if (original.values.some(value => !modified.values.includes(value))) {
+      warnings.push(`Values removed from enum ${name} must be migrated by hand`);
+    }
+  });
+
+  droppedKeys.forEach(fk => {
+    step(`Drop foreign key ${fromDdl.foreignKeyName(fk.source, fk.column)}`,
+      [dropForeignKey(fromDdl, fk, target)],
+      addForeignKey(fromDdl, fk));
+  });
+
+  diff.nodes.removed.forEach(node => {
+    step(`Drop table ${node.data.label}`,
+      [`DROP TABLE ${fromDdl.tableName(node)}`],
+      createTableStatements(fromDdl, node, fromSchema));
+  });
+
+  diff.nodes.added.forEach(node => {
+    step(`Create table ${node.data.label}`,
+      createTableStatements(toDdl, node, toSchema),
+      [`DROP TABLE ${toDdl.tableName(node)}`]);
+  });
+
+  diff.nodes.modified.forEach(({ original, modified: after, columns, indexes, uniqueConstraints }) => {
+    const label = after.data.label;
+    // The down steps of the table's changes run before it is renamed back, so they use its new name
+    const before = { ...original, data: { ...original.data, label } };
+
+    if (original.data.label !== label) {
+      step(`Rename table ${original.data.label} to ${label}`,
+        [renameTable(toDdl, original, after, target)],
+        [renameTable(fromDdl, after, original, target)]);
+    }
+
+    columns.renamed.forEach(({ from, to }) => {
+      step(`Rename column ${label}.${from} to ${to}`,
+        [renameColumn(toDdl, after, from, to, target)],
+        [renameColumn(toDdl, after, to, from, target)]);
+    });
+
+    columns.added.forEach(col => {
+      if (!col.isNullable && !col.isPK && !col.defaultValue) {
+        warnings.push(`${label}.${col.name} is NOT NULL without a default; adding it fails on tables that already have rows`);
+      }
+      step(`Add column ${label}.${col.name}`,
+        addColumn(toDdl, after, col, toSchema, target),
+        dropColumn(toDdl, after, col, toEnums, target));
+    });
+
+    columns.modified.forEach(({ name, original: oldCol, modified: newCol, changes }) => {
+      const changedFields = changes.map(change => change.field);
+      if (changedFields.some(field => DEFINITION_FIELDS.includes(field))) {
+        const up = alterColumn(toDdl, after, oldCol, newCol, toSchema, target, warnings);
+        const down = alterColumn(fromDdl, before, newCol, { ...oldCol, name }, fromSchema, target, []);
+        if (up.length > 0) step(`Alter column ${label}.${name}`, up, down);
+      }
+      changedFields
+        .filter(field => !DEFINITION_FIELDS.includes(field))
+        .forEach(field => warnings.push(`${field} of ${label}.${name} changed and is not scripted`));
+    });
+
+    columns.removed.forEach(col => {
+      step(`Drop column ${label}.${col.name}`,
+        dropColumn(fromDdl, before, col, fromEnums, target),
+        addColumn(fromDdl, before, col, fromSchema, target));
+    });
+
+    const hasColumns = (item) => item.columns?.length > 0;
+
+    const uniqueRemoved = [...uniqueConstraints.removed, ...uniqueConstraints.modified.map(change => change.original)];
+    const uniqueAdded = [...uniqueConstraints.modified.map(change => change.modified), ...uniqueConstraints.added];
+    uniqueRemoved.filter(hasColumns).forEach(uc => {
+      step(`Drop unique constraint ${uc.name}`, [dropUnique(toDdl, uc, after, target)], [addUnique(toDdl, uc, after)]);
+    });
+    uniqueAdded.filter(hasColumns).forEach(uc => {
+      step(`Add unique constraint ${uc.name}`, [addUnique(toDdl, uc, after)], [dropUnique(toDdl, uc, after, target)]);
+    });
+
+    const indexRemoved = [...indexes.removed, ...indexes.modified.map(change => change.original)];
+    const indexAdded = [...indexes.modified.map(change => change.modified), ...indexes.added];
+    indexRemoved.filter(hasColumns).forEach(index => {
+      step(`Drop index ${index.name}`, [dropIndex(toDdl, index, after, target)], createIndex(toDdl, index, after));
+    });
+    indexAdded.filter(hasColumns).forEach(index => {
+      step(`Create index ${index.name}`, createIndex(toDdl, index, after), [dropIndex(toDdl, index, after, target)]);
+    });
+  });
+
+  // MySQL and SQL Server keep an enum's values on each column of that type, so existing columns are
+  // restated after the table changes above have given them their new names
+  if (target !== 'postgresql' && diff.enums.modified.length > 0) {
+    const changedEnums = diff.enums.modified.map(change => change.name);
+    const modifiedTables = new Map(diff.nodes.modified.map(change => [change.modified.id, change]));
+    const addedTables = new Set(diff.nodes.added.map(node => node.id));
+
+    toSchema.nodes.filter(node => !addedTables.has(node.id)).forEach(after => {
+      const change = modifiedTables.get(after.id);
+      const original = change ? change.original : fromSchema.nodes.find(node => node.data.label === after.data.label);
+      if (!original) return;
+      const label = after.data.label;
+      const before = { ...original, data: { ...original.data, label } };
+      const renamedFrom = new Map((change?.columns.renamed || []).map(({ from, to }) => [to, from]));
+
+      after.data.columns.filter(col => changedEnums.includes(col.type)).forEach(col => {
+        const oldCol = original.data.columns.find(item => item.name === (renamedFrom.get(col.name) ?? col.name));
+        // New columns and columns changing type are already written with the new values, as are MySQL columns restated by MODIFY
+        if (!oldCol || oldCol.type !== col.type) return;
+        if (target === 'mysql' && isRedefined(change, col.name)) return;
+        step(`Update values of ${label}.${col.name}`,
+          restateEnumValues(toDdl, after, col, toSchema, target),
+          restateEnumValues(fromDdl, before, { ...oldCol, name: col.name }, fromSchema, target));
+      });
+    });
+  }
+
+  addedKeys.forEach(fk => {
+    step(`Add foreign key ${toDdl.foreignKeyName(fk.source, fk.column)}`,
+      addForeignKey(toDdl, fk),
+      [dropForeignKey(toDdl, fk, target)]);
+  });
+
+  if (target === 'postgresql') {
+    diff.enums.removed.forEach(enumDef => {
+      step(`Drop type ${enumDef.name}`, [`DROP TYPE ${fromDdl.quote(enumDef.name)}`], [bare(fromDdl.enumType(enumDef))]);
+    });
+  }
+
+  return {
+    steps,
+    up: steps.flatMap(s => s.up),
+    down: [...steps].reverse().flatMap(s => s.down),
+    warnings
+  };
+}
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'migration';
+
+const sqlScript = (statements) => statements
+  .map(statement => (isNote(statement) ? statement : `${statement};`))
+  .join('\n\n') + '\n';
+
+/**
+ * Writes migration steps as files for a migration tool
+ * @param {Object} scripts - Result of generateMigrationScripts
+ * @param {string} format - "flyway", "liquibase", "knex" or "alembic"
+ * @param {Object} options - { name, version, createdAt } describing the target version
+ * @returns {Array<Object>} - [{ name, content }]
+ */
+function formatMigration(scripts, format, { name = 'migration', version = 1, createdAt = new Date() } = {}) {
+  const slug = slugify(name);
+  const date = new Date(createdAt);
+
+  switch (format) {
+    case 'flyway':
+      // U-prefixed undo migrations are applied by `flyway undo`
+      return [
+        { name: `V${version}__${slug}.sql`, content: `-- ${name}\n\n${sqlScript(scripts.up)}` },
+        { name: `U${version}__${slug}.sql`, content: `-- Undo: ${name}\n\n${sqlScript(scripts.down)}` }
+      ];
+
+    case 'liquibase': {
+      const rollback = (statements) => statements
+        .map(statement => (isNote(statement) ? statement : `${statement};`))
+        .join('\n')
+        .split('\n')
+        .map(line => `--rollback ${line}`)
+        .join('\n');
+      const changeSets = scripts.steps.map((s, index) => [
+        `--changeset sketchql:${version}-${index + 1}`,
+        `--comment: ${s.description}`,
+        sqlScript(s.up).trimEnd(),
+        rollback(s.down)
+      ].join('\n'));
+      return [{
+        name: `${version}-${slug}.sql`,
+        content: `--liquibase formatted sql\n\n${changeSets.join('\n\n')}\n`
+      }];
+    }
+
+    case 'knex': {
+      const stamp = date.toISOString().replace(/\D/g, '').slice(0, 14);
+      const body = (statements) => statements
+        .map(statement => (isNote(statement)
+          ? `  // ${statement.replace(/^--\s*/, '')}`
+          : `  await knex.raw(\`${statement.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\`);`))
+        .join('\n');
+      return [{
+        name: `${stamp}_${slug}.js`,
+        content: `// ${name}\n\n` +
+          `exports.up = async function (knex) {\n${body(scripts.up)}\n};\n\n` +
+          `exports.down = async function (knex) {\n${body(scripts.down)}\n};\n`
+      }];
+    }
+
+    case 'alembic': {
+      const revision = crypto.createHash('md5').update(`${name}\n${scripts.up.join('\n')}`).digest('hex').slice(0, 12);
+      const body = (statements) => {
+        if (statements.length === 0) return '    pass';
+        return statements
+          .map(statement => (isNote(statement)
+            ? `    # ${statement.replace(/^--\s*/, '')}`
+            : `    op.execute("""${statement.replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"')}""")`))
+          .join('\n');
+      };
+      return [{
+        name: `${revision}_${slug}.py`,
+        content: `"""${name}\n\nRevision ID: ${revision}\nRevises:\nCreate Date: ${date.toISOString()}\n"""\n` +
+          `from alembic import op\n\n` +
+          `revision = '${revision}'\ndown_revision = None  # set to the previous revision\nbranch_labels = None\ndepends_on = None\n\n\n` +
+          `def upgrade():\n${body(scripts.up)}\n\n\n` +
+          `def downgrade():\n${body(scripts.down)}\n`
+      }];
+    }
+
+    default:
+      throw new Error(`Unsupported migration format "${format}". Use one of: ${MIGRATION_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  generateMigrationScripts,
+  formatMigration,
+  MIGRATION_FORMATS,
+  DIALECTS
+};
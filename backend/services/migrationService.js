@@ -2,126 +2,18 @@ const { GoogleGenerativeAI } = require("@google/generative-ai");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-/**
- * Type mapping tables for common database migrations
- */
-const TYPE_MAPPINGS = {
-  mongo: {
-    to: {
-      postgres: {
-        'String': 'VARCHAR(255)',
-        'Number': 'INTEGER',
-        'Date': 'TIMESTAMP',
-        'Boolean': 'BOOLEAN',
-        'ObjectId': 'UUID',
-        'Array': 'JSONB',
-        'Object': 'JSONB',
-        'Mixed': 'TEXT'
-      },
-      mysql: {
-        'String': 'VARCHAR(255)',
-        'Number': 'INT',
-        'Date': 'DATETIME',
-        'Boolean': 'TINYINT(1)',
-        'ObjectId': 'VARCHAR(36)',
-        'Array': 'JSON',
-        'Object': 'JSON',
-        'Mixed': 'TEXT'
-      },
-      sql: {
-        'String': 'NVARCHAR(255)',
-        'Number': 'INT',
-        'Date': 'DATETIME2',
-        'Boolean': 'BIT',
-        'ObjectId': 'UNIQUEIDENTIFIER',
-        'Array': 'NVARCHAR(MAX)',
-        'Object': 'NVARCHAR(MAX)',
-        'Mixed': 'NVARCHAR(MAX)'
-      }
-    }
-  },
-  postgres: {
-    to: {
-      mongo: {
-        'VARCHAR': 'String',
-        'TEXT': 'String',
-        'INTEGER': 'Number',
-        'BIGINT': 'Number',
-        'SMALLINT': 'Number',
-        'DECIMAL': 'Number',
-        'NUMERIC': 'Number',
-        'REAL': 'Number',
-        'DOUBLE PRECISION': 'Number',
-        'BOOLEAN': 'Boolean',
-        'DATE': 'Date',
-        'TIMESTAMP': 'Date',
-        'TIMESTAMPTZ': 'Date',
-        'UUID': 'ObjectId',
-        'JSONB': 'Object',
-        'JSON': 'Object',
-        'ARRAY': 'Array'
-      },
-      mysql: {
-        'VARCHAR': 'VARCHAR',
-        'TEXT': 'TEXT',
-        'INTEGER': 'INT',
-        'BIGINT': 'BIGINT',
-        'SMALLINT': 'SMALLINT',
-        'DECIMAL': 'DECIMAL',
-        'NUMERIC': 'DECIMAL',
-        'REAL': 'FLOAT',
-        'DOUBLE PRECISION': 'DOUBLE',
-        'BOOLEAN': 'TINYINT(1)',
-        'DATE': 'DATE',
-        'TIMESTAMP': 'DATETIME',
-        'TIMESTAMPTZ': 'DATETIME',
-        'UUID': 'VARCHAR(36)',
-        'JSONB': 'JSON',
-        'JSON': 'JSON',
-        'ARRAY': 'JSON'
-      }
-    }
-  },
-  mysql: {
-    to: {
-      mongo: {
-        'VARCHAR': 'String',
-        'TEXT': 'String',
-        'INT': 'Number',
-        'BIGINT': 'Number',
-        'SMALLINT': 'Number',
-        'DECIMAL': 'Number',
-        'FLOAT': 'Number',
-        'DOUBLE': 'Number',
-        'TINYINT(1)': 'Boolean',
-        'BOOLEAN': 'Boolean',
-        'DATE': 'Date',
-        'DATETIME': 'Date',
-        'TIMESTAMP': 'Date',
-        'JSON': 'Object',
-        'CHAR': 'String'
-      },
-      postgres: {
-        'VARCHAR': 'VARCHAR',
-        'TEXT': 'TEXT',
-        'INT': 'INTEGER',
-        'BIGINT': 'BIGINT',
-        'SMALLINT': 'SMALLINT',
-        'DECIMAL': 'DECIMAL',
-        'FLOAT': 'REAL',
-        'DOUBLE': 'DOUBLE PRECISION',
-        'TINYINT(1)': 'BOOLEAN',
-        'BOOLEAN': 'BOOLEAN',
-        'DATE': 'DATE',
-        'DATETIME': 'TIMESTAMP',
-        'TIMESTAMP': 'TIMESTAMP',
-        'JSON': 'JSONB',
-        'CHAR': 'CHAR'
-      }
-    }
-  }
+// Target types the shared DDL emitter writes directly, mapped to its dialect names
+const DDL_DIALECTS = {
+  postgres: 'postgresql',
+  mysql: 'mysql',
+  sql: 'sqlserver',
+  sqlite: 'sqlite',
+  oracle: 'oracle'
 };
 
+// The emitter is ESM shared with the frontend's SQL export, so it is loaded with import()
+const loadDdlEmitter = () => import('../../shared/ddlEmitter.mjs');
+
 /**
  * Converts SketchQL schema format to target database DDL
  * @param {Object} schema - Schema with nodes and edges
@@ -139,8 +31,8 @@ async function migrateSchema(schema, sourceDbType, targetDbType) {
       throw new Error('Source and target database types cannot be the same');
     }
 
-    // Check if we have a direct mapping
-    const hasDirectMapping = TYPE_MAPPINGS[normalizedSource]?.to?.[normalizedTarget];
+    // Diagram columns use SketchQL types, so any SQL target can be written directly
+    const hasDirectMapping = !!DDL_DIALECTS[normalizedTarget];
 
     // Use AI for complex migrations or when direct mapping is insufficient
     const useAI = !hasDirectMapping || needsAIAssistance(schema, normalizedSource, normalizedTarget);
@@ -164,6 +56,8 @@ function normalizeDbType(dbType) {
   if (normalized.includes('mongo')) return 'mongo';
   if (normalized.includes('postgres') || normalized.includes('postgresql')) return 'postgres';
   if (normalized.includes('mysql')) return 'mysql';
+  if (normalized.includes('sqlite')) return 'sqlite';
+  if (normalized.includes('oracle')) return 'oracle';
   if (normalized.includes('sql') && !normalized.includes('mysql')) return 'sql';
   return normalized;
 }
@@ -184,82 +78,22 @@ function needsAIAssistance(schema, sourceType, targetType) {
 }
 
 /**
- * Migrates schema using direct type mapping
+ * Migrates schema using direct type mapping, through the same DDL emitter as the SQL export:
+ * tables in foreign key order with the target's quoting, identity and type rules
  */
-function migrateWithMapping(schema, sourceType, targetType) {
-  const mapping = TYPE_MAPPINGS[sourceType].to[targetType];
-  const ddlStatements = [];
-  const mappingSummary = [];
-
-  schema.nodes.forEach(node => {
-    const tableName = node.data.label.toLowerCase().replace(/\s+/g, '_');
-    let ddl = `CREATE TABLE ${tableName} (\n`;
-
-    const columns = [];
-    const constraints = [];
-
-    node.data.columns.forEach(col => {
-      const sourceType = col.type.toUpperCase();
-      let mappedType = mapping[sourceType] || 'VARCHAR(255)';
-
-      // Handle special cases for primary keys
-      if (col.isPK) {
-        if (targetType === 'postgres') {
-          mappedType = 'SERIAL';
-        } else if (targetType === 'mysql') {
-          mappedType = 'INT AUTO_INCREMENT';
-        } else if (targetType === 'sql') {
-          mappedType = 'INT IDENTITY(1,1)';
-        } else {
-          mappedType = 'INT';
-        }
-      }
-
-      let colDef = `  ${col.name} ${mappedType}`;
-      
-      if (!col.isNullable && !col.isPK) {
-        colDef += ' NOT NULL';
-      }
-
-      if (col.isUnique && !col.isPK) {
-        constraints.push(`  UNIQUE (${col.name})`);
-      }
-
-      columns.push(colDef);
-      mappingSummary.push({
-        table: node.data.label,
-        column: col.name,
-        sourceType: sourceType,
-        targetType: mappedType,
-        reason: 'Direct type mapping'
-      });
-    });
-
-    // Add foreign keys from edges
-    schema.edges.forEach(edge => {
-      if (edge.source === node.id) {
-        const sourceHandle = edge.sourceHandle.replace('-right', '').replace('-left', '');
-        const targetNode = schema.nodes.find(n => n.id === edge.target);
-        if (targetNode) {
-          const targetTable = targetNode.data.label.toLowerCase().replace(/\s+/g, '_');
-          const targetCol = edge.targetHandle.replace('-left', '').replace('-right', '');
-          constraints.push(`  FOREIGN KEY (${sourceHandle}) REFERENCES ${targetTable}(${targetCol})`);
-        }
-      }
-    });
-
-    ddl += columns.join(',\n');
-    if (constraints.length > 0) {
-      ddl += ',\n' + constraints.join(',\n');
-    }
-    ddl += '\n);\n';
-
-    ddlStatements.push(ddl);
+async function migrateWithMapping(schema, sourceType, targetType) {
+  const { buildDDL } = await loadDdlEmitter();
+  const { statements, mappings } = buildDDL(schema.nodes, schema.edges, {
+    dialect: DDL_DIALECTS[targetType],
+    enums: schema.enums || []
   });
 
   return {
-    targetDDL: ddlStatements.join('\n'),
-    mappingSummary
+    targetDDL: statements.join('\n\n') + '\n',
+    mappingSummary: mappings.map(mapping => ({
+      ...mapping,
+      sourceType: mapping.sourceType.toUpperCase()
+    }))
   };
 }
 
@@ -283,9 +117,10 @@ TARGET DATABASE: ${targetType}
 Your task:
 1. Convert the schema to ${targetType} DDL (Data Definition Language)
 2. Map data types appropriately
-3. Handle relationships and foreign keys
-4. Preserve constraints (primary keys, unique, nullable)
-5. Generate proper CREATE TABLE statements
+3. Handle relationships and foreign keys, including each edge's data.onDelete / data.onUpdate referential actions
+4. Emit every enum in the schema's "enums" array as the target's enum type (or a CHECK constraint where none exists)
+5. Preserve constraints (primary keys, unique, nullable, defaults, checks) and column lengths, precision, auto-increment, unsigned flags and comments
+6. Generate proper CREATE TABLE statements
 
 You MUST return a JSON object with this exact structure:
 {
@@ -326,13 +161,13 @@ IMPORTANT:
     return jsonResult;
   } catch (error) {
     console.error('AI migration error:', error);
-    // Fallback to direct mapping if AI fails
+    // Fallback to direct mapping if AI fails; MongoDB targets have none
+    if (!DDL_DIALECTS[targetType]) throw error;
     return migrateWithMapping(schema, sourceType, targetType);
   }
 }
 
 module.exports = {
-  migrateSchema,
-  TYPE_MAPPINGS
+  migrateSchema
 };
 
@@ -4,11 +4,20 @@ const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 /**
  * Generates realistic mock data based on field type
+ * @param {Object} field - Column definition
+ * @param {string} entityName - Table the column belongs to
+ * @param {Array} enums - Project enums ({ name, values }) a column type may refer to
  */
-function generateMockValue(field, entityName) {
+function generateMockValue(field, entityName, enums = []) {
   const fieldName = field.name.toLowerCase();
   const fieldType = field.type.toUpperCase();
 
+  // Enum fields pick one of their declared values
+  const enumDef = enums.find(e => e.name === field.type);
+  if (enumDef && enumDef.values.length > 0) {
+    return enumDef.values[Math.floor(Math.random() * enumDef.values.length)];
+  }
+
   // Email fields
   if (fieldName.includes('email')) {
     return `user${Math.floor(Math.random() * 10000)}@example.com`;
@@ -89,7 +98,7 @@ function generateMockValue(field, entityName) {
 
 /**
  * Generates mock data for a schema
- * @param {Object} schema - Schema with nodes and edges
+ * @param {Object} schema - Schema with nodes, edges and optional enums
  * @param {Object} entityCounts - Object mapping entity names to counts
  * @param {boolean} useAI - Whether to use AI for domain-specific values
  * @returns {Promise<Object>} - Object with entity names as keys and arrays of data as values
@@ -113,7 +122,7 @@ async function generateMockData(schema, entityCounts = {}, useAI = false) {
           if (col.isPK && (col.type === 'INT' || col.type === 'BIGINT')) {
             record[col.name] = i + 1;
           } else {
-            record[col.name] = generateMockValue(col, entityName);
+            record[col.name] = generateMockValue(col, entityName, schema.enums);
           }
         });
         
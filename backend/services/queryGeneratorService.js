@@ -2,35 +2,8 @@ const { GoogleGenerativeAI } = require("@google/generative-ai");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-/**
- * Standard query templates
- */
-const QUERY_TEMPLATES = {
-  sql: {
-    create: (table, fields) => `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')});`,
-    read: (table, conditions = '') => `SELECT * FROM ${table}${conditions ? ` WHERE ${conditions}` : ''};`,
-    update: (table, fields, conditions) => `UPDATE ${table} SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE ${conditions};`,
-    delete: (table, conditions) => `DELETE FROM ${table} WHERE ${conditions};`,
-    listWithPagination: (table, page = 1, limit = 10) => `SELECT * FROM ${table} ORDER BY id LIMIT ${limit} OFFSET ${(page - 1) * limit};`,
-    join: (table1, table2, on) => `SELECT * FROM ${table1} JOIN ${table2} ON ${on};`
-  },
-  prisma: {
-    create: (model) => `await prisma.${model}.create({ data: { /* fields */ } });`,
-    read: (model, conditions = '') => `await prisma.${model}.findMany(${conditions ? `{ where: ${conditions} }` : ''});`,
-    update: (model, conditions) => `await prisma.${model}.update({ where: ${conditions}, data: { /* fields */ } });`,
-    delete: (model, conditions) => `await prisma.${model}.delete({ where: ${conditions} });`,
-    listWithPagination: (model, page = 1, limit = 10) => `await prisma.${model}.findMany({ skip: ${(page - 1) * limit}, take: ${limit} });`,
-    join: (model1, model2) => `await prisma.${model1}.findMany({ include: { ${model2}: true } });`
-  },
-  mongoose: {
-    create: (model) => `await ${model}.create({ /* fields */ });`,
-    read: (model, conditions = '') => `await ${model}.find(${conditions ? conditions : ''});`,
-    update: (model, conditions) => `await ${model}.updateOne(${conditions}, { /* fields */ });`,
-    delete: (model, conditions) => `await ${model}.deleteOne(${conditions});`,
-    listWithPagination: (model, page = 1, limit = 10) => `await ${model}.find().skip(${(page - 1) * limit}).limit(${limit});`,
-    join: (model1, model2) => `await ${model1}.find().populate('${model2}');`
-  }
-};
+// The templates are ESM shared with the frontend's GraphQL resolvers, so they are loaded with import()
+const loadQueryTemplates = () => import('../../shared/queryTemplates.mjs');
 
 /**
  * Generates queries based on schema and target type
@@ -47,23 +20,8 @@ async function generateQueries(schema, targetType, queryIntents = []) {
     }
 
     // Otherwise, generate standard CRUD queries for each entity
-    const queries = {};
-
-    schema.nodes.forEach(node => {
-      const entityName = node.data.label;
-      const modelName = targetType === 'sql' 
-        ? entityName.toLowerCase().replace(/\s+/g, '_')
-        : entityName;
-
-      queries[entityName] = {
-        create: generateCreateQuery(modelName, node, targetType),
-        read: generateReadQuery(modelName, node, targetType),
-        update: generateUpdateQuery(modelName, node, targetType),
-        delete: generateDeleteQuery(modelName, node, targetType),
-        listWithPagination: generatePaginationQuery(modelName, node, targetType),
-        ...generateRelationshipQueries(modelName, node, schema, targetType)
-      };
-    });
+    const { standardQueries } = await loadQueryTemplates();
+    const queries = standardQueries(schema, targetType);
 
     return {
       queries,
@@ -75,96 +33,6 @@ async function generateQueries(schema, targetType, queryIntents = []) {
   }
 }
 
-function generateCreateQuery(modelName, node, targetType) {
-  const fields = node.data.columns.filter(c => !c.isPK || targetType !== 'sql');
-  const fieldNames = fields.map(f => f.name);
-
-  if (targetType === 'sql') {
-    return QUERY_TEMPLATES.sql.create(modelName, fieldNames);
-  } else if (targetType === 'prisma') {
-    return QUERY_TEMPLATES.prisma.create(modelName);
-  } else {
-    return QUERY_TEMPLATES.mongoose.create(modelName);
-  }
-}
-
-function generateReadQuery(modelName, node, targetType) {
-  if (targetType === 'sql') {
-    return QUERY_TEMPLATES.sql.read(modelName);
-  } else if (targetType === 'prisma') {
-    return QUERY_TEMPLATES.prisma.read(modelName);
-  } else {
-    return QUERY_TEMPLATES.mongoose.read(modelName);
-  }
-}
-
-function generateUpdateQuery(modelName, node, targetType) {
-  const pkField = node.data.columns.find(c => c.isPK);
-  const conditions = pkField ? `${pkField.name} = ?` : 'id = ?';
-
-  if (targetType === 'sql') {
-    const fields = node.data.columns.filter(c => !c.isPK).map(c => c.name);
-    return QUERY_TEMPLATES.sql.update(modelName, fields, conditions);
-  } else if (targetType === 'prisma') {
-    return QUERY_TEMPLATES.prisma.update(modelName, `{ ${pkField?.name || 'id'}: id }`);
-  } else {
-    return QUERY_TEMPLATES.mongoose.update(modelName, `{ ${pkField?.name || '_id'}: id }`);
-  }
-}
-
-function generateDeleteQuery(modelName, node, targetType) {
-  const pkField = node.data.columns.find(c => c.isPK);
-  const conditions = pkField ? `${pkField.name} = ?` : 'id = ?';
-
-  if (targetType === 'sql') {
-    return QUERY_TEMPLATES.sql.delete(modelName, conditions);
-  } else if (targetType === 'prisma') {
-    return QUERY_TEMPLATES.prisma.delete(modelName, `{ ${pkField?.name || 'id'}: id }`);
-  } else {
-    return QUERY_TEMPLATES.mongoose.delete(modelName, `{ ${pkField?.name || '_id'}: id }`);
-  }
-}
-
-function generatePaginationQuery(modelName, node, targetType) {
-  if (targetType === 'sql') {
-    return QUERY_TEMPLATES.sql.listWithPagination(modelName);
-  } else if (targetType === 'prisma') {
-    return QUERY_TEMPLATES.prisma.listWithPagination(modelName);
-  } else {
-    return QUERY_TEMPLATES.mongoose.listWithPagination(modelName);
-  }
-}
-
-function generateRelationshipQueries(modelName, node, schema, targetType) {
-  const relationshipQueries = {};
-  
-  schema.edges.forEach(edge => {
-    if (edge.source === node.id) {
-      const targetNode = schema.nodes.find(n => n.id === edge.target);
-      if (targetNode) {
-        const targetModel = targetType === 'sql' 
-          ? targetNode.data.label.toLowerCase().replace(/\s+/g, '_')
-          : targetNode.data.label;
-
-        if (targetType === 'sql') {
-          const fkColumn = edge.sourceHandle.replace('-right', '').replace('-left', '');
-          const pkColumn = edge.targetHandle.replace('-left', '').replace('-right', '');
-          relationshipQueries[`join_${targetModel}`] = 
-            QUERY_TEMPLATES.sql.join(modelName, targetModel, `${modelName}.${fkColumn} = ${targetModel}.${pkColumn}`);
-        } else if (targetType === 'prisma') {
-          relationshipQueries[`include_${targetModel}`] = 
-            QUERY_TEMPLATES.prisma.join(modelName, targetModel);
-        } else {
-          relationshipQueries[`populate_${targetModel}`] = 
-            QUERY_TEMPLATES.mongoose.join(modelName, targetModel);
-        }
-      }
-    }
-  });
-
-  return relationshipQueries;
-}
-
 function generateExplanations(schema, targetType) {
   return [
     {
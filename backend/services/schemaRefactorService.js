@@ -39,6 +39,19 @@ function validateSchema(schema) {
         };
       }
     }
+    if (node.data.indexes !== undefined) {
+      if (!Array.isArray(node.data.indexes)) {
+        return { valid: false, error: "'data.indexes' must be an array" };
+      }
+      for (const index of node.data.indexes) {
+        if (!index.name || !Array.isArray(index.columns)) {
+          return {
+            valid: false,
+            error: "Each index must have 'name' and a 'columns' array",
+          };
+        }
+      }
+    }
   }
 
   return { valid: true };
@@ -124,13 +137,14 @@ Your task:
    - Naming inconsistencies
 
 2. Generate an IMPROVED schema that:
-   - Maintains the same React Flow structure (nodes with id, type, position, data.label, data.columns)
+   - Maintains the same React Flow structure (nodes with id, type, position, data.label, data.columns, data.indexes)
    - Preserves all node IDs from the original schema
    - Keeps the same edge structure (id, source, target, sourceHandle, targetHandle, type, data.label)
    - Improves normalization where appropriate
    - Adds missing relationships
    - Suggests better field types
    - Ensures proper foreign key relationships are represented in edges
+   - Records every index it recommends in that table's data.indexes
 
 3. Provide clear explanations for each change.
 
@@ -147,6 +161,15 @@ You MUST return a JSON object with this exact structure:
           "columns": [
             { "name": "id", "type": "INT", "isPK": true, "isNullable": false },
             { "name": "user_id", "type": "INT", "isPK": false, "isNullable": true }
+          ],
+          "indexes": [
+            {
+              "name": "idx_orders_user_id",
+              "columns": [{ "name": "user_id", "order": "ASC" }],
+              "unique": false,
+              "method": "btree",
+              "where": ""
+            }
           ]
         }
       }
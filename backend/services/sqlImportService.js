@@ -0,0 +1,1136 @@
+/**
+ * SQL Import Service
+ * Deterministically parses SQL DDL (Postgres, MySQL, SQLite, SQL Server) into SketchQL nodes and edges
+ */
+
+/**
+ * Parse failure tied to the line of the SQL source it was found on
+ */
+class SqlParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'SqlParseError';
+    this.line = line;
+  }
+}
+
+// Words that end a DEFAULT expression inside a column definition
+const COLUMN_CONSTRAINT_WORDS = [
+  'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'CHECK', 'REFERENCES', 'CONSTRAINT', 'COMMENT', 'COLLATE',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'GENERATED', 'ON', 'CHARACTER', 'CHARSET'
+];
+
+// Keywords that keep a space before "(" when expressions are turned back into text
+const SPACED_KEYWORDS = ['IN', 'AND', 'OR', 'NOT', 'AS', 'IS', 'THEN', 'ELSE', 'WHEN', 'EXISTS', 'CHECK'];
+
+// Session and data statements that carry no schema and are skipped without a warning
+const IGNORED_STATEMENTS = [
+  'SET', 'USE', 'BEGIN', 'COMMIT', 'ROLLBACK', 'START', 'INSERT', 'UPDATE', 'DELETE', 'DROP',
+  'LOCK', 'UNLOCK', 'PRAGMA', 'GRANT', 'REVOKE', 'SELECT', 'PRINT', 'DECLARE', 'EXEC', 'EXECUTE', 'ANALYZE', 'VACUUM'
+];
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
+/**
+ * Guesses the SQL dialect from syntax that only one of them uses
+ * @param {string} sql - SQL source
+ * @returns {string} - "postgres", "mysql", "sqlite" or "sqlserver"
+ */
+function detectDialect(sql) {
+  if (/`|\bAUTO_INCREMENT\b|\bENGINE\s*=/i.test(sql)) return 'mysql';
+  if (/\[\w+\]|\bIDENTITY\s*\(|\bNVARCHAR\b|^\s*GO\s*$/im.test(sql)) return 'sqlserver';
+  if (/\bAUTOINCREMENT\b|\bWITHOUT\s+ROWID\b|\bPRAGMA\b/i.test(sql)) return 'sqlite';
+  return 'postgres';
+}
+
+/**
+ * Splits SQL source into tokens that remember their line number
+ */
+function tokenize(sql, dialect) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const countLines = (text) => (text.match(/\n/g) || []).length;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Comments
+    if ((ch === '-' && next === '-') || (ch === '#' && dialect === 'mysql')) {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) throw new SqlParseError('Unterminated block comment', line);
+      line += countLines(sql.slice(i, end));
+      i = end + 2;
+      continue;
+    }
+
+    const startLine = line;
+
+    // String literals, including SQL Server N'...' strings
+    if (ch === "'" || ((ch === 'N' || ch === 'n' || ch === 'E' || ch === 'e') && next === "'" && !/\w/.test(sql[i - 1] || ''))) {
+      let j = ch === "'" ? i + 1 : i + 2;
+      let value = '';
+      while (true) {
+        if (j >= sql.length) throw new SqlParseError('Unterminated string literal', startLine);
+        if (sql[j] === "'" && sql[j + 1] === "'") {
+          value += "'";
+          j += 2;
+        } else if (sql[j] === '\\' && dialect === 'mysql') {
+          value += sql[j + 1];
+          j += 2;
+        } else if (sql[j] === "'") {
+          break;
+        } else {
+          value += sql[j++];
+        }
+      }
+      line += countLines(sql.slice(i, j));
+      tokens.push({ type: 'string', value, line: startLine });
+      i = j + 1;
+      continue;
+    }
+
+    // Postgres dollar-quoted bodies ($$ ... $$ or $tag$ ... $tag$)
+    const dollar = ch === '$' && sql.slice(i).match(/^\$(\w*)\$/);
+    if (dollar) {
+      const end = sql.indexOf(dollar[0], i + dollar[0].length);
+      if (end === -1) throw new SqlParseError('Unterminated dollar-quoted string', startLine);
+      const value = sql.slice(i + dollar[0].length, end);
+      line += countLines(value);
+      tokens.push({ type: 'string', value, line: startLine });
+      i = end + dollar[0].length;
+      continue;
+    }
+
+    // Quoted identifiers: "name", `name`, [name]; a doubled closing character is part of the name
+    if (ch === '"' || ch === '`' || (ch === '[' && next !== ']')) {
+      const close = ch === '[' ? ']' : ch;
+      let j = i + 1;
+      let value = '';
+      while (true) {
+        if (j >= sql.length) throw new SqlParseError(`Unterminated quoted identifier starting with ${ch}`, startLine);
+        if (sql[j] === close && sql[j + 1] === close) {
+          value += close;
+          j += 2;
+        } else if (sql[j] === close) {
+          break;
+        } else {
+          value += sql[j++];
+        }
+      }
+      line += countLines(sql.slice(i, j));
+      tokens.push({ type: 'ident', value, line: startLine });
+      i = j + 1;
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      const match = sql.slice(i).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: match[0], line: startLine });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][\w$]*/);
+      tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), line: startLine });
+      i += match[0].length;
+      continue;
+    }
+
+    if ('(),;.'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, line: startLine });
+      i++;
+      continue;
+    }
+
+    const operator = sql.slice(i).match(/^(::|\[\]|<=|>=|<>|!=|\|\||[^\s\w])/);
+    tokens.push({ type: 'op', value: operator[0], line: startLine });
+    i += operator[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Groups tokens into statements ended by ";" or a SQL Server GO line
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+
+  tokens.forEach((token, index) => {
+    const isGo = token.type === 'word' && token.upper === 'GO' &&
+      tokens[index - 1]?.line !== token.line && tokens[index + 1]?.line !== token.line;
+
+    if ((token.type === 'punct' && token.value === ';') || isGo) {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length > 0) statements.push(current);
+
+  return statements;
+}
+
+/**
+ * Cursor over the tokens of one statement
+ */
+class TokenStream {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  atEnd() {
+    return this.pos >= this.tokens.length;
+  }
+
+  line() {
+    return (this.peek() || this.tokens[this.tokens.length - 1]).line;
+  }
+
+  isWord(...words) {
+    const token = this.peek();
+    return token?.type === 'word' && words.includes(token.upper);
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  acceptWord(...words) {
+    if (!this.isWord(...words)) return null;
+    return this.next().upper;
+  }
+
+  acceptWords(...sequence) {
+    const matches = sequence.every((word, offset) => {
+      const token = this.peek(offset);
+      return token?.type === 'word' && token.upper === word;
+    });
+    if (matches) this.pos += sequence.length;
+    return matches;
+  }
+
+  acceptPunct(value) {
+    if (!this.isPunct(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  expectWord(word) {
+    if (!this.acceptWord(word)) this.fail(`Expected ${word}`);
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) this.fail(`Expected "${value}"`);
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token ? `"${token.value}"` : 'end of statement';
+    throw new SqlParseError(`${message} but found ${found}`, this.line());
+  }
+
+  readIdentifier() {
+    const token = this.peek();
+    if (!token || (token.type !== 'word' && token.type !== 'ident')) this.fail('Expected a name');
+    this.pos++;
+    return token.value;
+  }
+
+  // schema.table and db.schema.table resolve to the last part
+  readQualifiedName() {
+    let name = this.readIdentifier();
+    while (this.acceptPunct('.')) {
+      name = this.readIdentifier();
+    }
+    return name;
+  }
+
+  // Consumes "( ... )" and returns the tokens between the matching parentheses
+  readParenthesized() {
+    this.expectPunct('(');
+    const start = this.pos;
+    let depth = 1;
+    while (!this.atEnd()) {
+      const token = this.next();
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') depth--;
+      if (depth === 0) return this.tokens.slice(start, this.pos - 1);
+    }
+    throw new SqlParseError(`"(" on line ${this.tokens[start - 1].line} is never closed`, this.tokens[this.tokens.length - 1].line);
+  }
+
+  readIdentifierList() {
+    const inner = new TokenStream(this.readParenthesized());
+    const names = [];
+    while (!inner.atEnd()) {
+      names.push(inner.readIdentifier());
+      // MySQL prefix lengths, sort order and collations do not change which column is covered
+      if (inner.isPunct('(')) inner.readParenthesized();
+      inner.acceptWord('ASC', 'DESC');
+      if (!inner.acceptPunct(',') && !inner.atEnd()) inner.fail('Expected "," between column names');
+    }
+    return names;
+  }
+}
+
+/**
+ * Splits tokens on top-level commas
+ */
+function splitOnCommas(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  tokens.forEach(token => {
+    if (token.type === 'punct' && token.value === '(') depth++;
+    if (token.type === 'punct' && token.value === ')') depth--;
+    if (depth === 0 && token.type === 'punct' && token.value === ',') {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Turns expression tokens back into SQL text
+ */
+function tokensToText(tokens) {
+  let text = '';
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const value = token.type === 'string' ? `'${token.value.replace(/'/g, "''")}'` : token.value;
+    const glueToPrevious = !previous ||
+      (token.type === 'punct' && [')', ',', '.'].includes(token.value)) ||
+      (previous.type === 'punct' && ['(', '.'].includes(previous.value)) ||
+      (token.type === 'punct' && token.value === '(' && previous.type === 'word' && !SPACED_KEYWORDS.includes(previous.upper)) ||
+      token.value === '::' || previous.value === '::' ||
+      (previous.type === 'op' && previous.value === '-' && (!tokens[index - 2] || ['punct', 'op'].includes(tokens[index - 2].type)));
+    text += (glueToPrevious ? '' : ' ') + value;
+  });
+  return text;
+}
+
+/**
+ * Strips the redundant outer parentheses SQL Server puts around defaults, e.g. ((0))
+ */
+function unwrapParentheses(tokens) {
+  let current = tokens;
+  while (current.length >= 2 && current[0].value === '(' && current[current.length - 1].value === ')') {
+    let depth = 0;
+    const closesAtEnd = current.every((token, index) => {
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') depth--;
+      return depth > 0 || index === current.length - 1;
+    });
+    if (!closesAtEnd) break;
+    current = current.slice(1, -1);
+  }
+  return current;
+}
+
+/**
+ * Reads a column type and maps it onto SketchQL's types, keeping size details
+ * @returns {Object} - { type, length?, precision?, scale?, isUnsigned?, isAutoIncrement?, enumValues? }
+ */
+function readColumnType(stream, enumNames) {
+  const line = stream.line();
+  const baseName = stream.readQualifiedName();
+  let base = baseName.toUpperCase();
+
+  // Multi-word type names
+  if (base === 'DOUBLE') stream.acceptWord('PRECISION');
+  if (['CHARACTER', 'CHAR', 'NATIONAL'].includes(base)) {
+    if (base === 'NATIONAL') stream.acceptWord('CHARACTER', 'CHAR');
+    if (stream.acceptWord('VARYING')) base = 'VARCHAR';
+  }
+  if (['TIMESTAMP', 'TIME'].includes(base) && stream.isWord('WITH', 'WITHOUT')) {
+    stream.next();
+    stream.expectWord('TIME');
+    stream.expectWord('ZONE');
+  }
+
+  let args = [];
+  if (stream.isPunct('(')) {
+    args = splitOnCommas(stream.readParenthesized());
+  }
+  // Postgres precision after WITH TIME ZONE is written before it, so nothing else to read here
+  let isUnsigned = false;
+  while (stream.isWord('UNSIGNED', 'SIGNED', 'ZEROFILL')) {
+    if (stream.next().upper === 'UNSIGNED') isUnsigned = true;
+  }
+  let isArray = false;
+  while (stream.peek()?.value === '[]') {
+    stream.next();
+    isArray = true;
+  }
+
+  const numberArg = (index) => {
+    const token = args[index]?.[0];
+    return token?.type === 'number' ? Number(token.value) : undefined;
+  };
+  const result = {};
+  if (isUnsigned) result.isUnsigned = true;
+
+  if (isArray) return { ...result, type: 'TEXT' };
+  if (enumNames.has(baseName)) return { ...result, type: baseName };
+
+  switch (base) {
+    case 'SERIAL':
+    case 'SMALLSERIAL':
+      return { ...result, type: 'INT', isAutoIncrement: true };
+    case 'BIGSERIAL':
+      return { ...result, type: 'BIGINT', isAutoIncrement: true };
+    case 'INT': case 'INTEGER': case 'INT4': case 'INT2': case 'SMALLINT': case 'MEDIUMINT':
+      return { ...result, type: 'INT' };
+    case 'TINYINT':
+      // MySQL spells booleans TINYINT(1)
+      return numberArg(0) === 1 ? { type: 'BOOLEAN' } : { ...result, type: 'INT' };
+    case 'BIGINT': case 'INT8':
+      return { ...result, type: 'BIGINT' };
+    case 'VARCHAR': case 'NVARCHAR': case 'VARCHAR2': case 'NVARCHAR2': case 'CHAR': case 'NCHAR': case 'CHARACTER': case 'BPCHAR': case 'CITEXT':
+      return numberArg(0) ? { type: 'VARCHAR', length: numberArg(0) } : { type: 'VARCHAR' };
+    case 'UUID': case 'UNIQUEIDENTIFIER':
+      return { type: 'VARCHAR', length: 36 };
+    case 'TEXT': case 'NTEXT': case 'TINYTEXT': case 'MEDIUMTEXT': case 'LONGTEXT': case 'CLOB': case 'JSON': case 'JSONB': case 'XML':
+      return { type: 'TEXT' };
+    case 'DATE':
+      return { type: 'DATE' };
+    case 'DATETIME': case 'DATETIME2': case 'SMALLDATETIME': case 'DATETIMEOFFSET': case 'TIMESTAMP': case 'TIMESTAMPTZ': case 'TIME': case 'TIMETZ':
+      return { type: 'DATETIME' };
+    case 'BOOLEAN': case 'BOOL': case 'BIT':
+      return { type: 'BOOLEAN' };
+    case 'FLOAT': case 'FLOAT4': case 'FLOAT8': case 'REAL': case 'DOUBLE':
+      return { ...result, type: 'FLOAT' };
+    case 'DECIMAL': case 'NUMERIC': case 'DEC': case 'MONEY': case 'SMALLMONEY': {
+      const decimal = { ...result, type: 'DECIMAL' };
+      if (numberArg(0) !== undefined) decimal.precision = numberArg(0);
+      if (numberArg(1) !== undefined) decimal.scale = numberArg(1);
+      return decimal;
+    }
+    case 'ENUM': {
+      const values = args.map(arg => {
+        if (arg.length !== 1 || arg[0].type !== 'string') throw new SqlParseError('ENUM values must be string literals', line);
+        return arg[0].value;
+      });
+      return { type: 'ENUM', enumValues: values };
+    }
+    default:
+      return { ...result, type: base };
+  }
+}
+
+/**
+ * Reads the referential part of a foreign key: REFERENCES table [(columns)] [ON DELETE ...] [ON UPDATE ...]
+ */
+function readReferences(stream) {
+  stream.expectWord('REFERENCES');
+  const refTable = stream.readQualifiedName();
+  const refColumns = stream.isPunct('(') ? stream.readIdentifierList() : [];
+  const actions = {};
+
+  while (!stream.atEnd()) {
+    if (stream.acceptWords('ON', 'DELETE')) {
+      actions.onDelete = readReferentialAction(stream);
+    } else if (stream.acceptWords('ON', 'UPDATE')) {
+      actions.onUpdate = readReferentialAction(stream);
+    } else if (stream.acceptWord('MATCH')) {
+      stream.readIdentifier();
+    } else if (stream.acceptWord('DEFERRABLE', 'INITIALLY', 'IMMEDIATE', 'DEFERRED')) {
+      continue;
+    } else if (stream.acceptWords('NOT', 'DEFERRABLE') || stream.acceptWords('NOT', 'FOR', 'REPLICATION')) {
+      continue;
+    } else {
+      break;
+    }
+  }
+
+  return { refTable, refColumns, ...actions };
+}
+
+function readReferentialAction(stream) {
+  const words = [stream.readIdentifier().toUpperCase()];
+  if (['SET', 'NO'].includes(words[0])) words.push(stream.readIdentifier().toUpperCase());
+  const action = words.join(' ');
+  if (!REFERENTIAL_ACTIONS.includes(action)) {
+    throw new SqlParseError(`Unknown referential action "${action}"`, stream.line());
+  }
+  // SET DEFAULT is not modeled; NO ACTION is the closest behaviour
+  return action === 'SET DEFAULT' ? 'NO ACTION' : action;
+}
+
+/**
+ * Collects tables, relationships and enums while statements are parsed
+ */
+class SchemaBuilder {
+  constructor() {
+    this.tables = [];
+    this.foreignKeys = [];
+    this.enums = [];
+    this.warnings = [];
+  }
+
+  get enumNames() {
+    return new Set(this.enums.map(e => e.name));
+  }
+
+  findTable(name, line) {
+    const table = this.tables.find(t => t.label.toLowerCase() === name.toLowerCase());
+    if (!table) throw new SqlParseError(`Table "${name}" is not defined`, line);
+    return table;
+  }
+
+  findColumn(table, name, line) {
+    const column = table.columns.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!column) throw new SqlParseError(`Column "${name}" does not exist in table "${table.label}"`, line);
+    return column;
+  }
+
+  warn(line, message) {
+    this.warnings.push({ line, message });
+  }
+
+  // MySQL inline ENUM(...) types become project enums named after their column
+  registerInlineEnum(table, column, values) {
+    let name = `${table.label}_${column.name}`.toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+    const existing = this.enums.find(e => e.name === name);
+    if (existing && existing.values.join('\u0000') !== values.join('\u0000')) {
+      name = `${name}_${this.enums.length + 1}`;
+    }
+    if (!this.enums.some(e => e.name === name)) {
+      this.enums.push({ name, values });
+    }
+    column.type = name;
+  }
+}
+
+/**
+ * CREATE TABLE name ( column and constraint definitions ) [table options]
+ */
+function parseCreateTable(stream, builder) {
+  stream.acceptWords('IF', 'NOT', 'EXISTS');
+  const label = stream.readQualifiedName();
+  if (builder.tables.some(t => t.label.toLowerCase() === label.toLowerCase())) {
+    throw new SqlParseError(`Table "${label}" is defined twice`, stream.line());
+  }
+  if (stream.isWord('AS')) stream.fail('Only CREATE TABLE with column definitions can be imported');
+
+  const table = { label, columns: [], uniqueConstraints: [], indexes: [], line: stream.line() };
+
+  // MySQL CREATE TABLE new LIKE old copies the whole definition
+  if (stream.acceptWord('LIKE')) {
+    copyTableDefinition(stream, table, builder, { keys: true, defaults: true, constraints: true, comments: true, indexes: true });
+    builder.tables.push(table);
+    return;
+  }
+  builder.tables.push(table);
+
+  const definitions = splitOnCommas(stream.readParenthesized());
+  definitions.forEach(definition => {
+    if (definition.length === 0) return;
+    const part = new TokenStream(definition);
+    if (part.acceptWord('LIKE')) {
+      parseLikeClause(part, table, builder);
+      return;
+    }
+    const isConstraint = part.peek().type === 'word' &&
+      ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'EXCLUDE'].includes(part.peek().upper);
+
+    if (isConstraint) {
+      parseTableConstraint(part, table, builder);
+    } else {
+      parseColumnDefinition(part, table, builder);
+    }
+  });
+  // Table options (ENGINE=..., WITHOUT ROWID, ON [PRIMARY], ...) carry nothing SketchQL models
+}
+
+const LIKE_OPTIONS = { DEFAULTS: ['defaults'], CONSTRAINTS: ['constraints'], COMMENTS: ['comments'], INDEXES: ['keys', 'indexes'] };
+
+/**
+ * Postgres ( LIKE source [ INCLUDING | EXCLUDING option ... ] ): column names, types and NOT NULL,
+ * plus whatever the INCLUDING options add
+ */
+function parseLikeClause(stream, table, builder) {
+  const start = stream.pos;
+  stream.readQualifiedName();
+  const include = {};
+  while (!stream.atEnd()) {
+    const line = stream.line();
+    const including = stream.acceptWord('INCLUDING');
+    if (!including && !stream.acceptWord('EXCLUDING')) stream.fail('Expected INCLUDING or EXCLUDING');
+    const option = stream.readIdentifier().toUpperCase();
+    const keys = option === 'ALL' ? Object.values(LIKE_OPTIONS).flat() : LIKE_OPTIONS[option];
+    if (!keys) {
+      builder.warn(line, `LIKE option ${option} on "${table.label}" was not imported`);
+      continue;
+    }
+    keys.forEach(key => { include[key] = !!including; });
+  }
+  stream.pos = start;
+  copyTableDefinition(stream, table, builder, include);
+}
+
+/**
+ * Copies the columns of an earlier table, and its keys, defaults, checks, comments and indexes
+ * when asked to
+ */
+function copyTableDefinition(stream, table, builder, include) {
+  const line = stream.line();
+  const source = builder.findTable(stream.readQualifiedName(), line);
+
+  source.columns.forEach(sourceColumn => {
+    if (table.columns.some(c => c.name.toLowerCase() === sourceColumn.name.toLowerCase())) {
+      throw new SqlParseError(`Column "${sourceColumn.name}" is defined twice in table "${table.label}"`, line);
+    }
+    const { defaultValue, check, comment, isPK, isUnique, isAutoIncrement, ...definition } = sourceColumn;
+    const column = { ...definition, isPK: false };
+    if (include.keys) {
+      column.isPK = isPK;
+      if (isUnique) column.isUnique = true;
+      if (isAutoIncrement !== undefined) column.isAutoIncrement = isAutoIncrement;
+    }
+    if (include.defaults && defaultValue !== undefined) column.defaultValue = defaultValue;
+    if (include.constraints && check) column.check = check;
+    if (include.comments && comment) column.comment = comment;
+    table.columns.push(column);
+  });
+
+  if (include.keys) table.uniqueConstraints.push(...source.uniqueConstraints.map(uc => ({ ...uc, columns: [...uc.columns] })));
+  if (include.indexes) table.indexes.push(...source.indexes.map(index => ({ ...index, columns: index.columns.map(col => ({ ...col })) })));
+  // Foreign keys are never copied, by either database
+}
+
+/**
+ * name type [column constraints...]
+ */
+function parseColumnDefinition(stream, table, builder) {
+  const name = stream.readIdentifier();
+  if (table.columns.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+    throw new SqlParseError(`Column "${name}" is defined twice in table "${table.label}"`, stream.line());
+  }
+  const { enumValues, ...typeInfo } = readColumnType(stream, builder.enumNames);
+  const column = { name, type: typeInfo.type, ...typeInfo, isPK: false, isNullable: true };
+  table.columns.push(column);
+  if (enumValues) builder.registerInlineEnum(table, column, enumValues);
+
+  while (!stream.atEnd()) {
+    const line = stream.line();
+    if (stream.acceptWord('CONSTRAINT')) {
+      stream.readIdentifier();
+    } else if (stream.acceptWords('NOT', 'NULL')) {
+      column.isNullable = false;
+    } else if (stream.acceptWord('NULL')) {
+      column.isNullable = true;
+    } else if (stream.acceptWords('PRIMARY', 'KEY')) {
+      column.isPK = true;
+      column.isNullable = false;
+      stream.acceptWord('ASC', 'DESC');
+      stream.acceptWord('CLUSTERED', 'NONCLUSTERED');
+      if (stream.acceptWord('AUTOINCREMENT')) column.isAutoIncrement = true;
+    } else if (stream.acceptWord('UNIQUE')) {
+      stream.acceptWord('KEY');
+      stream.acceptWord('CLUSTERED', 'NONCLUSTERED');
+      column.isUnique = true;
+    } else if (stream.acceptWord('DEFAULT')) {
+      column.defaultValue = readDefault(stream);
+    } else if (stream.acceptWord('CHECK')) {
+      column.check = tokensToText(stream.readParenthesized());
+    } else if (stream.isWord('REFERENCES')) {
+      const reference = readReferences(stream);
+      builder.foreignKeys.push({ table, columns: [name], ...reference, line });
+    } else if (stream.acceptWord('AUTO_INCREMENT', 'AUTOINCREMENT')) {
+      column.isAutoIncrement = true;
+    } else if (stream.acceptWord('IDENTITY')) {
+      if (stream.isPunct('(')) stream.readParenthesized();
+      column.isAutoIncrement = true;
+    } else if (stream.acceptWord('GENERATED')) {
+      stream.acceptWord('ALWAYS');
+      stream.acceptWords('BY', 'DEFAULT');
+      stream.expectWord('AS');
+      if (stream.acceptWord('IDENTITY')) {
+        if (stream.isPunct('(')) stream.readParenthesized();
+        column.isAutoIncrement = true;
+      } else {
+        stream.readParenthesized();
+        stream.acceptWord('STORED', 'VIRTUAL');
+        builder.warn(line, `Computed column "${table.label}.${name}" was imported as a plain column`);
+      }
+    } else if (stream.acceptWord('COMMENT')) {
+      const token = stream.next();
+      if (token?.type !== 'string') throw new SqlParseError('COMMENT must be followed by a string', line);
+      column.comment = token.value;
+    } else if (stream.acceptWord('COLLATE')) {
+      stream.readQualifiedName();
+    } else if (stream.acceptWords('CHARACTER', 'SET') || stream.acceptWord('CHARSET')) {
+      stream.readIdentifier();
+    } else if (stream.acceptWords('ON', 'UPDATE')) {
+      // MySQL ON UPDATE CURRENT_TIMESTAMP is a trigger-like behaviour, not a constraint
+      readDefault(stream);
+      builder.warn(line, `ON UPDATE behaviour of "${table.label}.${name}" was not imported`);
+    } else {
+      const token = stream.next();
+      builder.warn(line, `Ignored "${token.value}" in the definition of "${table.label}.${name}"`);
+    }
+  }
+
+  // A key column is only generated when the source said so
+  if (column.isPK && column.isAutoIncrement === undefined) column.isAutoIncrement = false;
+}
+
+/**
+ * Reads a DEFAULT expression up to the next column constraint
+ */
+function readDefault(stream) {
+  const tokens = [];
+  while (!stream.atEnd()) {
+    if (stream.peek().type === 'word' && COLUMN_CONSTRAINT_WORDS.includes(stream.peek().upper) && tokens.length > 0) break;
+    if (stream.isPunct('(')) {
+      const start = stream.pos;
+      stream.readParenthesized();
+      tokens.push(...stream.tokens.slice(start, stream.pos));
+    } else {
+      tokens.push(stream.next());
+    }
+  }
+  if (tokens.length === 0) stream.fail('Expected a default value');
+
+  let expression = unwrapParentheses(tokens);
+  // Postgres casts such as 'active'::status only restate the column type
+  const castAt = expression.findIndex(token => token.value === '::');
+  if (castAt > 0) expression = expression.slice(0, castAt);
+
+  if (expression.length === 1 && expression[0].type === 'string') {
+    const value = expression[0].value;
+    // Keep the quotes when the bare value would read as a number, keyword or function call
+    const looksLikeExpression = /^(\w+\(.*\)|CURRENT_TIMESTAMP|CURRENT_DATE|NULL|TRUE|FALSE|-?\d+(\.\d+)?)$/i.test(value);
+    return looksLikeExpression ? `'${value.replace(/'/g, "''")}'` : value;
+  }
+  return tokensToText(expression);
+}
+
+/**
+ * Table-level constraints, also used by ALTER TABLE ... ADD
+ */
+function parseTableConstraint(stream, table, builder) {
+  const line = stream.line();
+  const constraintName = stream.acceptWord('CONSTRAINT') ? stream.readIdentifier() : null;
+
+  if (stream.acceptWords('PRIMARY', 'KEY')) {
+    stream.acceptWord('CLUSTERED', 'NONCLUSTERED');
+    const columns = stream.readIdentifierList().map(name => builder.findColumn(table, name, line));
+    columns.forEach(column => {
+      column.isPK = true;
+      column.isNullable = false;
+      if (column.isAutoIncrement === undefined) column.isAutoIncrement = false;
+    });
+    if (columns.length > 1) columns.forEach(column => { column.isAutoIncrement = false; });
+  } else if (stream.acceptWord('UNIQUE')) {
+    stream.acceptWord('KEY', 'INDEX');
+    stream.acceptWord('CLUSTERED', 'NONCLUSTERED');
+    const indexName = !stream.isPunct('(') ? stream.readIdentifier() : null;
+    const names = stream.readIdentifierList();
+    names.forEach(name => builder.findColumn(table, name, line));
+    if (names.length === 1) {
+      builder.findColumn(table, names[0], line).isUnique = true;
+    } else {
+      table.uniqueConstraints.push({
+        name: constraintName || indexName || `uq_${table.label.toLowerCase()}_${table.uniqueConstraints.length + 1}`,
+        columns: names.map(name => builder.findColumn(table, name, line).name)
+      });
+    }
+  } else if (stream.acceptWords('FOREIGN', 'KEY')) {
+    if (!stream.isPunct('(')) stream.readIdentifier();
+    const columns = stream.readIdentifierList();
+    columns.forEach(name => builder.findColumn(table, name, line));
+    builder.foreignKeys.push({ table, columns, ...readReferences(stream), line });
+  } else if (stream.acceptWord('CHECK')) {
+    stream.acceptWords('NOT', 'FOR', 'REPLICATION');
+    const expression = tokensToText(stream.readParenthesized());
+    // A check that mentions a single column is kept on that column; others are reported
+    const mentioned = table.columns.filter(column => new RegExp(`\\b${column.name}\\b`, 'i').test(expression));
+    if (mentioned.length === 1) {
+      mentioned[0].check = mentioned[0].check ? `(${mentioned[0].check}) AND (${expression})` : expression;
+    } else {
+      builder.warn(line, `Check constraint on "${table.label}" spans several columns and was not imported: ${expression}`);
+    }
+  } else if (stream.acceptWord('KEY', 'INDEX')) {
+    // MySQL inline index: KEY name (columns)
+    const indexName = !stream.isPunct('(') ? stream.readIdentifier() : `idx_${table.label.toLowerCase()}_${table.indexes.length + 1}`;
+    const columns = readIndexColumns(stream, table, builder, line);
+    if (columns) {
+      table.indexes.push(buildIndex(indexName, columns, false, 'btree', ''));
+    } else {
+      builder.warn(line, `Expression index "${indexName}" on "${table.label}" was not imported`);
+    }
+  } else if (stream.acceptWord('FULLTEXT', 'SPATIAL')) {
+    stream.acceptWord('KEY', 'INDEX');
+    if (!stream.isPunct('(')) stream.readIdentifier();
+    stream.readParenthesized();
+    builder.warn(line, `FULLTEXT/SPATIAL index on "${table.label}" was not imported`);
+  } else if (stream.acceptWord('EXCLUDE')) {
+    builder.warn(line, `EXCLUDE constraint on "${table.label}" was not imported`);
+    stream.pos = stream.tokens.length;
+  } else {
+    stream.fail('Expected PRIMARY KEY, UNIQUE, FOREIGN KEY or CHECK');
+  }
+}
+
+function buildIndex(name, columns, unique, method, where) {
+  return { name, columns, unique, method, where };
+}
+
+/**
+ * Index key parts: ( column [(length)] [COLLATE x] [opclass] [ASC|DESC] [NULLS FIRST|LAST], ... )
+ * @returns {Array|null} - null when a key part is an expression, which SketchQL cannot model
+ */
+function readIndexColumns(stream, table, builder, line) {
+  const parts = splitOnCommas(stream.readParenthesized());
+  const isExpression = (part) => part[0]?.type === 'punct' ||
+    (part[1]?.value === '(' && !table.columns.some(c => c.name.toLowerCase() === part[0].value.toLowerCase()));
+  if (parts.some(isExpression)) return null;
+
+  return parts.map(part => {
+    const key = new TokenStream(part);
+    const column = builder.findColumn(table, key.readIdentifier(), line);
+    let order = 'ASC';
+    while (!key.atEnd()) {
+      if (key.isPunct('(')) key.readParenthesized();
+      else if (key.acceptWord('COLLATE')) key.readQualifiedName();
+      else if (key.isWord('ASC', 'DESC')) order = key.next().upper;
+      else if (key.acceptWord('NULLS')) key.acceptWord('FIRST', 'LAST');
+      else key.next(); // operator class
+    }
+    return { name: column.name, order };
+  });
+}
+
+/**
+ * CREATE [UNIQUE] INDEX name ON table [USING method] (columns) [WHERE condition]
+ */
+function parseCreateIndex(stream, builder, unique) {
+  const line = stream.line();
+  stream.acceptWord('CONCURRENTLY');
+  stream.acceptWords('IF', 'NOT', 'EXISTS');
+  const name = stream.isWord('ON') ? null : stream.readQualifiedName();
+  stream.expectWord('ON');
+  stream.acceptWord('ONLY');
+  const table = builder.findTable(stream.readQualifiedName(), line);
+
+  let method = 'btree';
+  if (stream.acceptWord('USING')) method = stream.readIdentifier().toLowerCase();
+  const columns = readIndexColumns(stream, table, builder, line);
+  const indexName = name || `idx_${table.label.toLowerCase()}_${table.indexes.length + 1}`;
+  if (!columns) {
+    builder.warn(line, `Expression index "${indexName}" on "${table.label}" was not imported`);
+    return;
+  }
+
+  let where = '';
+  while (!stream.atEnd()) {
+    if (stream.acceptWord('USING')) {
+      method = stream.readIdentifier().toLowerCase();
+    } else if (stream.acceptWord('WHERE')) {
+      const start = stream.pos;
+      while (!stream.atEnd() && !stream.isWord('WITH', 'TABLESPACE', 'ON')) {
+        if (stream.isPunct('(')) stream.readParenthesized();
+        else stream.next();
+      }
+      where = tokensToText(stream.tokens.slice(start, stream.pos));
+    } else if (stream.acceptWord('INCLUDE') || stream.acceptWord('WITH')) {
+      if (stream.isPunct('(')) stream.readParenthesized();
+    } else {
+      stream.next();
+    }
+  }
+
+  table.indexes.push(buildIndex(indexName, columns, unique, method, where));
+}
+
+/**
+ * ALTER TABLE name ADD [CONSTRAINT ...] ..., ADD [COLUMN] ...
+ */
+function parseAlterTable(stream, builder) {
+  const line = stream.line();
+  stream.acceptWord('ONLY');
+  stream.acceptWords('IF', 'EXISTS');
+  const table = builder.findTable(stream.readQualifiedName(), line);
+
+  splitOnCommas(stream.tokens.slice(stream.pos)).forEach(actionTokens => {
+    const action = new TokenStream(actionTokens);
+    const actionLine = action.line();
+    // SQL Server scripts write WITH CHECK ADD CONSTRAINT ...
+    action.acceptWords('WITH', 'CHECK') || action.acceptWords('WITH', 'NOCHECK');
+
+    if (!action.acceptWord('ADD')) {
+      builder.warn(actionLine, `Ignored ALTER TABLE action "${tokensToText(actionTokens)}"`);
+      return;
+    }
+    const isConstraint = action.isWord('CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'EXCLUDE');
+    if (isConstraint) {
+      parseTableConstraint(action, table, builder);
+    } else {
+      action.acceptWord('COLUMN');
+      action.acceptWords('IF', 'NOT', 'EXISTS');
+      parseColumnDefinition(action, table, builder);
+    }
+  });
+}
+
+/**
+ * CREATE TYPE name AS ENUM ('a', 'b', ...)
+ */
+function parseCreateType(stream, builder) {
+  const line = stream.line();
+  const name = stream.readQualifiedName();
+  stream.expectWord('AS');
+  if (!stream.acceptWord('ENUM')) {
+    builder.warn(line, `Type "${name}" is not an enum and was not imported`);
+    return;
+  }
+  const values = splitOnCommas(stream.readParenthesized()).map(part => {
+    if (part.length !== 1 || part[0].type !== 'string') throw new SqlParseError('Enum values must be string literals', line);
+    return part[0].value;
+  });
+  if (builder.enums.some(e => e.name === name)) throw new SqlParseError(`Enum "${name}" is defined twice`, line);
+  builder.enums.push({ name, values });
+}
+
+/**
+ * COMMENT ON COLUMN table.column IS 'text'
+ */
+function parseComment(stream, builder) {
+  const line = stream.line();
+  if (!stream.acceptWord('COLUMN')) return;
+  const parts = [stream.readIdentifier()];
+  while (stream.acceptPunct('.')) parts.push(stream.readIdentifier());
+  if (parts.length < 2) throw new SqlParseError('COMMENT ON COLUMN needs table.column', line);
+  const table = builder.findTable(parts[parts.length - 2], line);
+  const column = builder.findColumn(table, parts[parts.length - 1], line);
+  stream.expectWord('IS');
+  const token = stream.next();
+  column.comment = token?.type === 'string' ? token.value : undefined;
+}
+
+/**
+ * Reports unbalanced parentheses near their cause rather than at the start of the statement.
+ * A missing ")" usually leaves a nested "(" that swallows the following lines; an extra ")" closes
+ * the statement's outer parenthesis early, before the one that runs out of partners.
+ */
+function checkParentheses(tokens) {
+  const open = [];
+  let spanningNested = null;
+  let lastOuterClose = null;
+  tokens.forEach(token => {
+    if (token.type !== 'punct') return;
+    if (token.value === '(') open.push(token);
+    if (token.value !== ')') return;
+    const opening = open.pop();
+    if (!opening) {
+      throw new SqlParseError('")" has no matching "("', (lastOuterClose || token).line);
+    }
+    if (open.length === 0) lastOuterClose = token;
+    if (open.length > 0 && opening.line !== token.line && !spanningNested) spanningNested = opening;
+  });
+  if (open.length > 0) {
+    throw new SqlParseError('"(" is never closed', (spanningNested || open[open.length - 1]).line);
+  }
+}
+
+/**
+ * Routes one statement to its parser
+ */
+function parseStatement(tokens, builder) {
+  checkParentheses(tokens);
+  const stream = new TokenStream(tokens);
+  const line = stream.line();
+  const first = stream.peek();
+  if (first.type !== 'word') throw new SqlParseError(`Unexpected "${first.value}" at start of statement`, line);
+
+  if (stream.acceptWord('CREATE')) {
+    stream.acceptWords('OR', 'REPLACE');
+    stream.acceptWord('TEMP', 'TEMPORARY', 'UNLOGGED');
+    if (stream.acceptWord('TABLE')) return parseCreateTable(stream, builder);
+    if (stream.acceptWord('TYPE')) return parseCreateType(stream, builder);
+
+    const unique = !!stream.acceptWord('UNIQUE');
+    stream.acceptWord('CLUSTERED', 'NONCLUSTERED');
+    if (stream.acceptWord('INDEX')) return parseCreateIndex(stream, builder, unique);
+
+    const kind = stream.peek()?.value || '';
+    builder.warn(line, `Skipped unsupported CREATE ${kind.toUpperCase()} statement`);
+    return;
+  }
+  if (stream.acceptWords('ALTER', 'TABLE')) return parseAlterTable(stream, builder);
+  if (stream.acceptWords('COMMENT', 'ON')) return parseComment(stream, builder);
+  if (IGNORED_STATEMENTS.includes(first.upper) || first.upper === 'ALTER') return;
+
+  builder.warn(line, `Skipped unsupported ${first.upper} statement`);
+}
+
+/**
+ * Turns collected foreign keys into edges between column handles
+ */
+function buildEdges(builder, nodeIds, errors) {
+  const edges = [];
+  const edgesByKey = new Map();
+
+  builder.foreignKeys.forEach(fk => {
+    try {
+      const target = builder.findTable(fk.refTable, fk.line);
+      const refColumns = fk.refColumns.length > 0
+        ? fk.refColumns
+        : target.columns.filter(c => c.isPK).map(c => c.name);
+      if (refColumns.length !== fk.columns.length) {
+        throw new SqlParseError(`Foreign key on "${fk.table.label}" lists ${fk.columns.length} column(s) but references ${refColumns.length}`, fk.line);
+      }
+      // Relationships join one column to one column, so a composite key has no edge to become
+      if (fk.columns.length > 1) {
+        builder.warn(fk.line, `Composite foreign key (${fk.columns.join(', ')}) on "${fk.table.label}" was not imported; composite foreign keys are not supported`);
+        return;
+      }
+
+      fk.columns.forEach((name, index) => {
+        const column = builder.findColumn(fk.table, name, fk.line);
+        const targetColumn = builder.findColumn(target, refColumns[index], fk.line);
+        const sourcePK = fk.table.columns.filter(c => c.isPK);
+        const isOneToOne = column.isUnique || (sourcePK.length === 1 && sourcePK[0] === column);
+        const label = isOneToOne ? '1:1' : '1:N';
+        const data = { label, targetOptional: column.isNullable };
+        if (fk.onDelete) data.onDelete = fk.onDelete;
+        if (fk.onUpdate) data.onUpdate = fk.onUpdate;
+
+        const source = nodeIds.get(fk.table);
+        const targetId = nodeIds.get(target);
+
+        // An inline REFERENCES restated by ALTER TABLE ... FOREIGN KEY is one relationship
+        const key = `${source}|${column.name}|${targetId}`;
+        if (edgesByKey.has(key)) {
+          const existing = edgesByKey.get(key).data;
+          if (fk.onDelete && !existing.onDelete) existing.onDelete = fk.onDelete;
+          if (fk.onUpdate && !existing.onUpdate) existing.onUpdate = fk.onUpdate;
+          return;
+        }
+
+        const edge = {
+          id: `e_${source}_${column.name}_${targetId}`,
+          source,
+          target: targetId,
+          sourceHandle: `${column.name}-right`,
+          targetHandle: `${targetColumn.name}-left`,
+          type: 'step',
+          animated: false,
+          style: { stroke: '#b1b1b7', strokeWidth: 2 },
+          markerStart: 'rel-one-start',
+          markerEnd: `rel-${column.isNullable ? 'zero-' : ''}${label === '1:N' ? 'many' : 'one'}-end`,
+          data
+        };
+        edgesByKey.set(key, edge);
+        edges.push(edge);
+      });
+    } catch (error) {
+      if (!(error instanceof SqlParseError)) throw error;
+      errors.push({ line: error.line, message: error.message });
+    }
+  });
+
+  return edges;
+}
+
+/**
+ * Parses SQL DDL into a SketchQL schema
+ * @param {string} sql - SQL source with CREATE TABLE / ALTER TABLE / CREATE INDEX / CREATE TYPE statements
+ * @param {string} dialect - "postgres", "mysql", "sqlite", "sqlserver" or "auto"
+ * @returns {Object} - { nodes, edges, enums, dialect, warnings, errors }; errors and warnings carry line numbers
+ */
+function parseSQL(sql, dialect = 'auto') {
+  const resolvedDialect = dialect === 'auto' ? detectDialect(sql) : dialect;
+  const builder = new SchemaBuilder();
+  const errors = [];
+
+  let statements = [];
+  try {
+    statements = splitStatements(tokenize(sql, resolvedDialect));
+  } catch (error) {
+    if (!(error instanceof SqlParseError)) throw error;
+    errors.push({ line: error.line, message: error.message });
+  }
+
+  statements.forEach(tokens => {
+    try {
+      parseStatement(tokens, builder);
+    } catch (error) {
+      if (!(error instanceof SqlParseError)) throw error;
+      errors.push({ line: error.line, message: error.message });
+    }
+  });
+
+  const nodeIds = new Map(builder.tables.map((table, index) => [table, `table_${index + 1}`]));
+  const edges = buildEdges(builder, nodeIds, errors);
+
+  const nodes = builder.tables.map(table => {
+    const data = { label: table.label, columns: table.columns };
+    if (table.uniqueConstraints.length > 0) data.uniqueConstraints = table.uniqueConstraints;
+    if (table.indexes.length > 0) data.indexes = table.indexes;
+
+    // Tables keyed by exactly two foreign keys are many-to-many junctions
+    const pk = table.columns.filter(c => c.isPK);
+    const fkColumns = new Set(edges.filter(e => e.source === nodeIds.get(table)).map(e => e.sourceHandle.replace('-right', '')));
+    if (table.columns.length === 2 && pk.length === 2 && pk.every(c => fkColumns.has(c.name))) {
+      data.isJunction = true;
+    }
+
+    return { id: nodeIds.get(table), type: 'tableNode', position: { x: 0, y: 0 }, data };
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  builder.warnings.sort((a, b) => a.line - b.line);
+
+  return {
+    nodes,
+    edges,
+    enums: builder.enums,
+    dialect: resolvedDialect,
+    warnings: builder.warnings,
+    errors
+  };
+}
+
+module.exports = {
+  parseSQL,
+  detectDialect,
+  SqlParseError
+};
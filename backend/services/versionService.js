@@ -77,11 +77,172 @@ async function getVersion(versionId) {
   }
 }
 
+// Column and relationship fields that change the schema; position, color and other layout fields are ignored
+const COLUMN_FIELDS = [
+  'type', 'isPK', 'isNullable', 'isUnique', 'defaultValue', 'length', 'precision', 'scale',
+  'isAutoIncrement', 'isUnsigned', 'check', 'comment'
+];
+const RELATIONSHIP_FIELDS = ['label', 'onDelete', 'onUpdate', 'sourceOptional', 'targetOptional'];
+
+// Minimum similarity for an unmatched old/new pair to count as a rename
+const RENAME_THRESHOLD = 0.6;
+
+// Unset, empty and false fields all mean "not set"
+const fieldValue = (value) => (value === undefined || value === null || value === '' || value === false ? null : value);
+const sameValue = (a, b) => JSON.stringify(fieldValue(a)) === JSON.stringify(fieldValue(b));
+const handleColumn = (handle) => (handle || '').replace('-right', '').replace('-left', '');
+
+/**
+ * Similarity of two names from 0 to 1 (1 - normalized Levenshtein distance)
+ */
+function nameSimilarity(a, b) {
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  if (s === t) return 1;
+  if (!s.length || !t.length) return 0;
+
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[t.length] / Math.max(s.length, t.length);
+}
+
+/**
+ * Pairs items of two lists by name, then pairs the leftovers whose similarity reaches RENAME_THRESHOLD.
+ * tieBreakOf ranks candidates with equal similarity; it never makes a pair on its own.
+ * @returns {Object} - { pairs: [{ before, after, renamed }], added, removed }
+ */
+function matchByName(oldItems, newItems, nameOf, similarityOf, tieBreakOf = () => 0) {
+  const pairs = [];
+  const unmatchedOld = [];
+  const unmatchedNew = [...newItems];
+
+  oldItems.forEach(item => {
+    const index = unmatchedNew.findIndex(other => nameOf(other).toLowerCase() === nameOf(item).toLowerCase());
+    if (index === -1) {
+      unmatchedOld.push(item);
+    } else {
+      pairs.push({ before: item, after: unmatchedNew[index], renamed: nameOf(item) !== nameOf(unmatchedNew[index]) });
+      unmatchedNew.splice(index, 1);
+    }
+  });
+
+  // Best-scoring candidates claim each other first
+  const candidates = [];
+  unmatchedOld.forEach(before => {
+    unmatchedNew.forEach(after => {
+      const score = similarityOf(before, after);
+      if (score >= RENAME_THRESHOLD) candidates.push({ before, after, score, tieBreak: tieBreakOf(before, after) });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || b.tieBreak - a.tieBreak);
+
+  const claimed = new Set();
+  candidates.forEach(({ before, after }) => {
+    if (claimed.has(before) || claimed.has(after)) return;
+    claimed.add(before);
+    claimed.add(after);
+    pairs.push({ before, after, renamed: true });
+  });
+
+  return {
+    pairs,
+    added: unmatchedNew.filter(item => !claimed.has(item)),
+    removed: unmatchedOld.filter(item => !claimed.has(item))
+  };
+}
+
+/**
+ * Pairs the columns of two versions of a table. A renamed column keeps its type and a similar name;
+ * keeping its position only decides between equally similar names, so replacing a column with an
+ * unrelated one in the same place is a drop and an add.
+ */
+function matchColumns(oldColumns, newColumns) {
+  return matchByName(
+    oldColumns,
+    newColumns,
+    col => col.name,
+    (oldCol, newCol) => (oldCol.type === newCol.type ? nameSimilarity(oldCol.name, newCol.name) : 0),
+    (oldCol, newCol) => (oldColumns.indexOf(oldCol) === newColumns.indexOf(newCol) ? 1 : 0)
+  );
+}
+
+/**
+ * Tables are alike when most of their columns pair up; the table name itself counts for less
+ */
+function tableSimilarity(before, after) {
+  const { pairs } = matchColumns(before.data.columns, after.data.columns);
+  const size = Math.max(before.data.columns.length, after.data.columns.length);
+  const columnScore = size === 0 ? 0 : pairs.length / size;
+  return 0.7 * columnScore + 0.3 * nameSimilarity(before.data.label, after.data.label);
+}
+
 /**
- * Computes a diff between two schema versions
+ * Field-level changes between two objects
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * Column-level changes of a table
+ */
+function diffColumns(before, after) {
+  const { pairs, added, removed } = matchColumns(before.data.columns, after.data.columns);
+
+  return {
+    added,
+    removed,
+    renamed: pairs.filter(pair => pair.renamed).map(pair => ({ from: pair.before.name, to: pair.after.name })),
+    modified: pairs
+      .map(pair => ({
+        name: pair.after.name,
+        original: pair.before,
+        modified: pair.after,
+        changes: fieldChanges(pair.before, pair.after, COLUMN_FIELDS)
+      }))
+      .filter(change => change.changes.length > 0)
+  };
+}
+
+/**
+ * Added, removed and modified entries of a named list such as indexes or unique constraints
+ */
+function diffNamedList(oldList = [], newList = []) {
+  const byName = (list) => new Map(list.map(item => [item.name, item]));
+  const oldItems = byName(oldList);
+  const newItems = byName(newList);
+
+  return {
+    added: newList.filter(item => !oldItems.has(item.name)),
+    removed: oldList.filter(item => !newItems.has(item.name)),
+    modified: newList
+      .filter(item => oldItems.has(item.name) && JSON.stringify(oldItems.get(item.name)) !== JSON.stringify(item))
+      .map(item => ({ name: item.name, original: oldItems.get(item.name), modified: item }))
+  };
+}
+
+const isEmptyChange = (change) => ['added', 'removed', 'modified', 'renamed']
+  .every(key => !change[key] || change[key].length === 0);
+
+/**
+ * Computes a semantic diff between two schema versions. Tables, columns and relationships are matched
+ * by name (with similarity-based rename detection), so renumbered node ids, positions and colors do
+ * not count as changes.
  * @param {Object} schema1 - First schema
  * @param {Object} schema2 - Second schema
- * @returns {Object} - Diff object with changes
+ * @returns {Object} - Diff object with changes:
+ *   nodes.modified entries carry { id, original, modified, renamedFrom?, columns, indexes, uniqueConstraints },
+ *   edges.modified entries carry { original, modified, changes }
  */
 function computeDiff(schema1, schema2) {
   const diff = {
@@ -94,69 +255,77 @@ function computeDiff(schema1, schema2) {
       added: [],
       removed: [],
       modified: []
+    },
+    enums: {
+      added: [],
+      removed: [],
+      modified: []
     }
   };
 
-  // Compare nodes
-  const nodes1Map = new Map(schema1.nodes.map(n => [n.id, n]));
-  const nodes2Map = new Map(schema2.nodes.map(n => [n.id, n]));
+  // Compare tables
+  const tables = matchByName(schema1.nodes, schema2.nodes, node => node.data.label, tableSimilarity);
+  diff.nodes.added = tables.added;
+  diff.nodes.removed = tables.removed;
 
-  // Find removed nodes
-  schema1.nodes.forEach(node => {
-    if (!nodes2Map.has(node.id)) {
-      diff.nodes.removed.push(node);
-    }
-  });
+  // Old node id -> names in the new schema, so relationships of renamed tables and columns still match
+  const newTableNames = new Map(tables.removed.map(node => [node.id, node.data.label]));
+  const newColumnNames = new Map();
 
-  // Find added nodes
-  schema2.nodes.forEach(node => {
-    if (!nodes1Map.has(node.id)) {
-      diff.nodes.added.push(node);
-    } else {
-      // Compare node data
-      const node1 = nodes1Map.get(node.id);
-      if (JSON.stringify(node1.data) !== JSON.stringify(node.data)) {
-        diff.nodes.modified.push({
-          id: node.id,
-          original: node1,
-          modified: node
-        });
-      }
-    }
+  tables.pairs.forEach(({ before, after, renamed }) => {
+    const change = {
+      id: after.id,
+      original: before,
+      modified: after,
+      columns: diffColumns(before, after),
+      indexes: diffNamedList(before.data.indexes, after.data.indexes),
+      uniqueConstraints: diffNamedList(before.data.uniqueConstraints, after.data.uniqueConstraints)
+    };
+    if (renamed) change.renamedFrom = before.data.label;
+
+    newTableNames.set(before.id, after.data.label);
+    newColumnNames.set(before.id, new Map(change.columns.renamed.map(({ from, to }) => [from, to])));
+
+    const unchanged = !renamed && isEmptyChange(change.columns) &&
+      isEmptyChange(change.indexes) && isEmptyChange(change.uniqueConstraints);
+    if (!unchanged) diff.nodes.modified.push(change);
   });
 
-  // Compare edges
-  const edges1Map = new Map(
-    schema1.edges.map(e => [`${e.source}-${e.target}`, e])
-  );
-  const edges2Map = new Map(
-    schema2.edges.map(e => [`${e.source}-${e.target}`, e])
+  // Compare relationships by the columns they join
+  const relationshipKey = (edge, nodes, tableName, columnName) => {
+    const source = nodes.find(n => n.id === edge.source);
+    const target = nodes.find(n => n.id === edge.target);
+    if (!source || !target) return null;
+    const sourceColumn = columnName(source, handleColumn(edge.sourceHandle));
+    const targetColumn = columnName(target, handleColumn(edge.targetHandle));
+    return `${tableName(source)}.${sourceColumn}>${tableName(target)}.${targetColumn}`.toLowerCase();
+  };
+  const oldKey = (edge) => relationshipKey(
+    edge,
+    schema1.nodes,
+    node => newTableNames.get(node.id) ?? node.data.label,
+    (node, column) => newColumnNames.get(node.id)?.get(column) ?? column
   );
+  const newKey = (edge) => relationshipKey(edge, schema2.nodes, node => node.data.label, (node, column) => column);
+
+  const newEdges = new Map(schema2.edges.map(edge => [newKey(edge), edge]));
+  const oldEdges = new Map(schema1.edges.map(edge => [oldKey(edge), edge]));
 
-  // Find removed edges
   schema1.edges.forEach(edge => {
-    const key = `${edge.source}-${edge.target}`;
-    if (!edges2Map.has(key)) {
+    const key = oldKey(edge);
+    if (!newEdges.has(key)) {
       diff.edges.removed.push(edge);
+      return;
     }
-  });
-
-  // Find added edges
-  schema2.edges.forEach(edge => {
-    const key = `${edge.source}-${edge.target}`;
-    if (!edges1Map.has(key)) {
-      diff.edges.added.push(edge);
-    } else {
-      // Compare edge data
-      const edge1 = edges1Map.get(key);
-      if (JSON.stringify(edge1) !== JSON.stringify(edge)) {
-        diff.edges.modified.push({
-          original: edge1,
-          modified: edge
-        });
-      }
+    const changes = fieldChanges(edge.data || {}, newEdges.get(key).data || {}, RELATIONSHIP_FIELDS);
+    if (changes.length > 0) {
+      diff.edges.modified.push({ original: edge, modified: newEdges.get(key), changes });
     }
   });
+  diff.edges.added = schema2.edges.filter(edge => !oldEdges.has(newKey(edge)));
+
+  // Compare enums
+  diff.enums = diffNamedList(schema1.enums || [], schema2.enums || []);
 
   return diff;
 }
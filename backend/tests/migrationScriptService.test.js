@@ -0,0 +1,74 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateMigrationScripts } = require("../services/migrationScriptService");
+
+const enums = [{ name: "order_status", values: ["new", "paid"] }];
+const orders = (columns) => ({
+  id: "t1",
+  type: "table",
+  position: { x: 0, y: 0 },
+  data: { label: "orders", columns: [{ name: "id", type: "INT", isPK: true, isNullable: false }, ...columns] }
+});
+const statusColumn = { name: "status", type: "order_status", isPK: false, isNullable: true };
+
+describe("generateMigrationScripts", () => {
+  describe("sqlserver enum columns", () => {
+    const before = { nodes: [orders([])], edges: [], enums };
+    const after = { nodes: [orders([statusColumn])], edges: [], enums };
+
+    it("adds the values check as a named constraint", async () => {
+      const { up } = await generateMigrationScripts(before, after, "sqlserver");
+      assert.deepEqual(up, [
+        "ALTER TABLE orders ADD status NVARCHAR(255)",
+        "ALTER TABLE orders ADD CONSTRAINT ck_orders_status_enum CHECK (status IN ('new', 'paid'))"
+      ]);
+    });
+
+    it("drops the values check before the column", async () => {
+      const { down } = await generateMigrationScripts(before, after, "sqlserver");
+      assert.deepEqual(down, [
+        "ALTER TABLE orders DROP CONSTRAINT ck_orders_status_enum",
+        "ALTER TABLE orders DROP COLUMN status"
+      ]);
+    });
+
+    it("drops the values check when the column is removed", async () => {
+      const { up } = await generateMigrationScripts(after, before, "sqlserver");
+      assert.deepEqual(up, [
+        "ALTER TABLE orders DROP CONSTRAINT ck_orders_status_enum",
+        "ALTER TABLE orders DROP COLUMN status"
+      ]);
+    });
+  });
+
+  describe("enum values", () => {
+    const withValues = (values) => ({ nodes: [orders([statusColumn])], edges: [], enums: [{ name: "order_status", values }] });
+    const before = withValues(["new", "paid"]);
+    const after = withValues(["new", "paid", "shipped"]);
+
+    it("restates MySQL enum columns with the new values", async () => {
+      const { up, down } = await generateMigrationScripts(before, after, "mysql");
+      assert.deepEqual(up, ["ALTER TABLE orders MODIFY COLUMN status ENUM('new', 'paid', 'shipped')"]);
+      assert.deepEqual(down, ["ALTER TABLE orders MODIFY COLUMN status ENUM('new', 'paid')"]);
+    });
+
+    it("replaces the SQL Server values check", async () => {
+      const { up, down } = await generateMigrationScripts(before, after, "sqlserver");
+      assert.deepEqual(up, [
+        "ALTER TABLE orders DROP CONSTRAINT ck_orders_status_enum",
+        "ALTER TABLE orders ADD CONSTRAINT ck_orders_status_enum CHECK (status IN ('new', 'paid', 'shipped'))"
+      ]);
+      assert.deepEqual(down, [
+        "ALTER TABLE orders DROP CONSTRAINT ck_orders_status_enum",
+        "ALTER TABLE orders ADD CONSTRAINT ck_orders_status_enum CHECK (status IN ('new', 'paid'))"
+      ]);
+    });
+
+    it("warns about removed values in every dialect", async () => {
+      for (const dialect of ["postgres", "mysql", "sqlserver"]) {
+        const { warnings } = await generateMigrationScripts(after, before, dialect);
+        assert.deepEqual(warnings, ["Values removed from enum order_status must be migrated by hand"]);
+      }
+    });
+  });
+});
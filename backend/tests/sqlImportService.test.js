@@ -0,0 +1,242 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSQL, detectDialect } = require("../services/sqlImportService");
+
+const table = (result, label) => result.nodes.find((node) => node.data.label === label);
+const column = (result, label, name) => table(result, label).data.columns.find((col) => col.name === name);
+
+describe("detectDialect", () => {
+  it("recognises each dialect by its own syntax", () => {
+    assert.equal(detectDialect("CREATE TABLE `users` (id INT AUTO_INCREMENT);"), "mysql");
+    assert.equal(detectDialect("CREATE TABLE [users] ([id] INT IDENTITY(1,1));"), "sqlserver");
+    assert.equal(detectDialect("CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT);"), "sqlite");
+    assert.equal(detectDialect("CREATE TABLE users (id SERIAL PRIMARY KEY);"), "postgres");
+  });
+});
+
+describe("parseSQL", () => {
+  describe("postgres", () => {
+    const result = parseSQL(`
+      CREATE TYPE status AS ENUM ('active', 'banned');
+      CREATE TABLE public.users (
+        id BIGSERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        state status DEFAULT 'active'::status,
+        balance NUMERIC(10, 2),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+      );
+      CREATE TABLE posts (
+        id SERIAL PRIMARY KEY,
+        author_id BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        title TEXT
+      );
+      CREATE UNIQUE INDEX posts_title_idx ON posts USING btree (title DESC) WHERE title IS NOT NULL;
+      COMMENT ON COLUMN posts.title IS 'Headline';
+    `, "postgres");
+
+    it("reads tables, types and column constraints", () => {
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(result.enums, [{ name: "status", values: ["active", "banned"] }]);
+      assert.equal(column(result, "users", "id").type, "BIGINT");
+      assert.equal(column(result, "users", "id").isAutoIncrement, true);
+      assert.equal(column(result, "users", "email").length, 255);
+      assert.equal(column(result, "users", "email").isUnique, true);
+      assert.equal(column(result, "users", "email").isNullable, false);
+      assert.equal(column(result, "users", "state").type, "status");
+      assert.equal(column(result, "users", "state").defaultValue, "active");
+      assert.equal(column(result, "users", "balance").precision, 10);
+      assert.equal(column(result, "users", "balance").scale, 2);
+      assert.equal(column(result, "users", "created_at").defaultValue, "now()");
+      assert.equal(column(result, "posts", "title").comment, "Headline");
+    });
+
+    it("turns REFERENCES into an edge with its referential action", () => {
+      assert.equal(result.edges.length, 1);
+      const [edge] = result.edges;
+      assert.equal(edge.source, table(result, "posts").id);
+      assert.equal(edge.target, table(result, "users").id);
+      assert.equal(edge.sourceHandle, "author_id-right");
+      assert.equal(edge.targetHandle, "id-left");
+      assert.deepEqual(edge.data, { label: "1:N", targetOptional: false, onDelete: "CASCADE" });
+    });
+
+    it("keeps index order, method and condition", () => {
+      assert.deepEqual(table(result, "posts").data.indexes, [
+        { name: "posts_title_idx", columns: [{ name: "title", order: "DESC" }], unique: true, method: "btree", where: "title IS NOT NULL" }
+      ]);
+    });
+
+    it("copies columns from a LIKE clause instead of reading a column named LIKE", () => {
+      const copied = parseSQL(`
+        CREATE TABLE t1 (id INT PRIMARY KEY, name TEXT NOT NULL DEFAULT 'x');
+        CREATE TABLE t2 (LIKE t1);
+        CREATE TABLE t3 (LIKE t1 INCLUDING DEFAULTS, extra INT);
+      `, "postgres");
+      assert.deepEqual(copied.errors, []);
+      assert.deepEqual(table(copied, "t2").data.columns, [
+        { name: "id", type: "INT", isPK: false, isNullable: false },
+        { name: "name", type: "TEXT", isPK: false, isNullable: false }
+      ]);
+      assert.deepEqual(table(copied, "t3").data.columns.map((col) => col.name), ["id", "name", "extra"]);
+      assert.equal(column(copied, "t3", "name").defaultValue, "x");
+    });
+  });
+
+  describe("mysql", () => {
+    const result = parseSQL(`
+      CREATE TABLE \`order items\` (
+        \`id\` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        \`status\` ENUM('new', 'paid') NOT NULL DEFAULT 'new',
+        \`is_gift\` TINYINT(1) DEFAULT 0,
+        \`note\` VARCHAR(100) COMMENT 'Printed on the slip',
+        PRIMARY KEY (\`id\`),
+        KEY \`idx_status\` (\`status\`)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+
+    it("detects the dialect and reads MySQL column syntax", () => {
+      assert.equal(result.dialect, "mysql");
+      assert.deepEqual(result.errors, []);
+      assert.equal(column(result, "order items", "id").isUnsigned, true);
+      assert.equal(column(result, "order items", "id").isAutoIncrement, true);
+      assert.equal(column(result, "order items", "id").isPK, true);
+      assert.equal(column(result, "order items", "is_gift").type, "BOOLEAN");
+      assert.equal(column(result, "order items", "note").comment, "Printed on the slip");
+      assert.deepEqual(table(result, "order items").data.indexes.map((index) => index.name), ["idx_status"]);
+    });
+
+    it("names inline enums after their table and column as an identifier", () => {
+      assert.deepEqual(result.enums, [{ name: "order_items_status", values: ["new", "paid"] }]);
+      assert.equal(column(result, "order items", "status").type, "order_items_status");
+    });
+
+    it("copies the whole definition for CREATE TABLE ... LIKE", () => {
+      const copied = parseSQL("CREATE TABLE `a` (`id` INT AUTO_INCREMENT PRIMARY KEY, KEY `idx_id` (`id`));\nCREATE TABLE `b` LIKE `a`;");
+      assert.deepEqual(copied.errors, []);
+      assert.equal(column(copied, "b", "id").isPK, true);
+      assert.equal(column(copied, "b", "id").isAutoIncrement, true);
+      assert.deepEqual(table(copied, "b").data.indexes.map((index) => index.name), ["idx_id"]);
+    });
+  });
+
+  describe("sqlite", () => {
+    const result = parseSQL(`
+      CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL);
+      CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT);
+      CREATE TABLE post_tags (
+        post_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (post_id, tag_id),
+        FOREIGN KEY (post_id) REFERENCES posts (id),
+        FOREIGN KEY (tag_id) REFERENCES tags (id)
+      ) WITHOUT ROWID;
+    `);
+
+    it("reads composite keys and flags junction tables", () => {
+      assert.equal(result.dialect, "sqlite");
+      assert.deepEqual(result.errors, []);
+      assert.equal(column(result, "tags", "id").isAutoIncrement, true);
+      assert.equal(column(result, "post_tags", "post_id").isPK, true);
+      assert.equal(column(result, "post_tags", "tag_id").isPK, true);
+      assert.equal(table(result, "post_tags").data.isJunction, true);
+      assert.equal(result.edges.length, 2);
+    });
+  });
+
+  describe("sqlserver", () => {
+    const result = parseSQL(`
+      CREATE TABLE [dbo].[users] (
+        [id] INT IDENTITY(1,1) NOT NULL,
+        [name] NVARCHAR(50) NOT NULL,
+        [active] BIT DEFAULT ((1)),
+        CONSTRAINT [PK_users] PRIMARY KEY CLUSTERED ([id] ASC)
+      )
+      GO
+      CREATE TABLE [dbo].[logins] ([id] INT IDENTITY(1,1) PRIMARY KEY, [user_id] INT NULL)
+      GO
+      ALTER TABLE [dbo].[logins] WITH CHECK ADD CONSTRAINT [FK_logins_users] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id])
+      GO
+    `);
+
+    it("splits on GO and reads bracketed names, IDENTITY and wrapped defaults", () => {
+      assert.equal(result.dialect, "sqlserver");
+      assert.deepEqual(result.errors, []);
+      assert.equal(column(result, "users", "id").isAutoIncrement, true);
+      assert.equal(column(result, "users", "id").isPK, true);
+      assert.equal(column(result, "users", "name").length, 50);
+      assert.equal(column(result, "users", "active").defaultValue, "1");
+      assert.equal(result.edges.length, 1);
+      assert.equal(result.edges[0].data.targetOptional, true);
+    });
+  });
+
+  it("makes one edge when inline REFERENCES and ALTER TABLE ... FOREIGN KEY name the same column", () => {
+    const result = parseSQL(`
+      CREATE TABLE a (id INT PRIMARY KEY);
+      CREATE TABLE b (id INT PRIMARY KEY, a_id INT REFERENCES a (id));
+      ALTER TABLE b ADD CONSTRAINT fk_b_a FOREIGN KEY (a_id) REFERENCES a (id) ON DELETE CASCADE;
+    `, "postgres");
+    assert.equal(result.edges.length, 1);
+    assert.equal(result.edges[0].data.onDelete, "CASCADE");
+  });
+
+  it("skips composite foreign keys with a warning instead of splitting them into edges", () => {
+    const result = parseSQL(`CREATE TABLE a (id INT, x INT, PRIMARY KEY (id, x));
+CREATE TABLE b (id INT PRIMARY KEY, a_id INT, a_x INT, FOREIGN KEY (a_id, a_x) REFERENCES a (id, x));`, "postgres");
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.edges, []);
+    assert.deepEqual(result.warnings, [
+      { line: 2, message: "Composite foreign key (a_id, a_x) on \"b\" was not imported; composite foreign keys are not supported" }
+    ]);
+  });
+
+  it("reads doubled closing characters inside quoted identifiers as part of the name", () => {
+    const result = parseSQL("CREATE TABLE \"say \"\"hi\"\"\" (\"a\"\"b\" INT, [c]]d] INT, `e``f` INT);", "sqlserver");
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.nodes[0].data.label, "say \"hi\"");
+    assert.deepEqual(result.nodes[0].data.columns.map((col) => col.name), ["a\"b", "c]d", "e`f"]);
+  });
+
+  describe("errors", () => {
+    it("reports an unterminated string at the line it starts on", () => {
+      const result = parseSQL("CREATE TABLE a (\n  name TEXT DEFAULT 'oops\n);", "postgres");
+      assert.deepEqual(result.errors, [{ line: 2, message: "Unterminated string literal" }]);
+    });
+
+    it("reports a missing ) at the parenthesis left open", () => {
+      const result = parseSQL("CREATE TABLE t (\n  id INT,\n  v INT CHECK (v > 0,\n  w INT\n);", "postgres");
+      assert.deepEqual(result.errors, [{ line: 3, message: "\"(\" is never closed" }]);
+    });
+
+    it("reports an extra ) where it closes the table early", () => {
+      const result = parseSQL("CREATE TABLE t (\n  id INT,\n  v INT CHECK (v > 0)),\n  w INT\n);", "postgres");
+      assert.deepEqual(result.errors, [{ line: 3, message: "\")\" has no matching \"(\"" }]);
+    });
+
+    it("reports references to unknown tables and columns", () => {
+      const result = parseSQL("CREATE TABLE a (id INT PRIMARY KEY);\nCREATE TABLE b (a_id INT REFERENCES missing (id));\nCREATE INDEX i ON a (nope);", "postgres");
+      assert.deepEqual(result.errors, [
+        { line: 2, message: "Table \"missing\" is not defined" },
+        { line: 3, message: "Column \"nope\" does not exist in table \"a\"" }
+      ]);
+    });
+
+    it("reports duplicate tables and columns and keeps parsing", () => {
+      const result = parseSQL("CREATE TABLE a (id INT, id INT);\nCREATE TABLE b (id INT);\nCREATE TABLE b (id INT);", "postgres");
+      assert.deepEqual(result.errors.map((error) => error.line), [1, 3]);
+      assert.equal(result.nodes.length, 2);
+    });
+
+    it("rejects CREATE TABLE ... AS SELECT", () => {
+      const result = parseSQL("CREATE TABLE a AS SELECT 1;", "postgres");
+      assert.equal(result.errors.length, 1);
+      assert.match(result.errors[0].message, /Only CREATE TABLE with column definitions/);
+    });
+
+    it("warns about statements it skips", () => {
+      const result = parseSQL("CREATE VIEW v AS SELECT 1;\nINSERT INTO a VALUES (1);", "postgres");
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(result.warnings, [{ line: 1, message: "Skipped unsupported CREATE VIEW statement" }]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const templatesRouter = require("../routes/templates");
+
+describe("POST /api/templates", () => {
+  let server;
+  let url;
+  const token = jwt.sign({ _id: "65a000000000000000000001" }, process.env.JWT_SECRET);
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/templates", templatesRouter);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/templates`;
+  });
+
+  after(() => server.close());
+
+  const create = (typeMap) => fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "auth-token": token },
+    body: JSON.stringify({ name: "t", content: "x", typeMap })
+  });
+
+  it("rejects type map keys Mongoose cannot store with a 400", async () => {
+    for (const key of ["a.b", "$where"]) {
+      const res = await create({ [key]: "string" });
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), { success: false, error: `Invalid type map entry "${key}"` });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeDiff } = require("../services/versionService");
+
+const table = (id, label, columns) => ({ id, type: "table", position: { x: 0, y: 0 }, data: { label, columns } });
+const column = (name, type = "VARCHAR") => ({ name, type, isPK: false, isNullable: true });
+const idColumn = { name: "id", type: "INT", isPK: true, isNullable: false };
+const schema = (...nodes) => ({ nodes, edges: [], enums: [] });
+
+describe("computeDiff", () => {
+  it("reports an unchanged schema as empty", () => {
+    const users = table("t1", "users", [idColumn, column("email")]);
+    const diff = computeDiff(schema(users), schema(users));
+    assert.deepEqual(diff.nodes, { added: [], removed: [], modified: [] });
+  });
+
+  describe("columns", () => {
+    const columnsDiff = (before, after) => {
+      const diff = computeDiff(
+        schema(table("t1", "users", [idColumn, ...before])),
+        schema(table("t1", "users", [idColumn, ...after]))
+      );
+      return diff.nodes.modified[0].columns;
+    };
+
+    it("treats a replaced column with an unrelated name as a drop and an add, even in the same position", () => {
+      const columns = columnsDiff([column("name")], [column("title")]);
+      assert.deepEqual(columns.renamed, []);
+      assert.deepEqual(columns.removed.map((col) => col.name), ["name"]);
+      assert.deepEqual(columns.added.map((col) => col.name), ["title"]);
+    });
+
+    it("pairs a column whose name changed slightly as a rename", () => {
+      const columns = columnsDiff([column("user_name")], [column("username")]);
+      assert.deepEqual(columns.renamed, [{ from: "user_name", to: "username" }]);
+      assert.deepEqual(columns.added, []);
+      assert.deepEqual(columns.removed, []);
+    });
+
+    it("does not pair similar names of different types", () => {
+      const columns = columnsDiff([column("created", "DATE")], [column("created_at", "DATETIME")]);
+      assert.deepEqual(columns.renamed, []);
+      assert.equal(columns.added.length, 1);
+      assert.equal(columns.removed.length, 1);
+    });
+
+    it("prefers the column in the same position between equally similar names", () => {
+      const columns = columnsDiff(
+        [column("phone1"), column("phone2")],
+        [column("phoneA"), column("phoneB")]
+      );
+      assert.deepEqual(columns.renamed, [{ from: "phone1", to: "phoneA" }, { from: "phone2", to: "phoneB" }]);
+    });
+
+    it("records field changes on a column kept by name", () => {
+      const columns = columnsDiff([column("email")], [{ ...column("email"), isNullable: false, length: 120 }]);
+      assert.deepEqual(columns.modified[0].changes, [
+        { field: "isNullable", from: true, to: false },
+        { field: "length", from: null, to: 120 }
+      ]);
+    });
+  });
+
+  it("detects a renamed table from its columns", () => {
+    const diff = computeDiff(
+      schema(table("t1", "user", [idColumn, column("email"), column("name")])),
+      schema(table("t2", "accounts", [idColumn, column("email"), column("name")]))
+    );
+    assert.deepEqual(diff.nodes.added, []);
+    assert.deepEqual(diff.nodes.removed, []);
+    assert.equal(diff.nodes.modified[0].renamedFrom, "user");
+  });
+});
@@ -1,8 +1,10 @@
-import { create } from 'zustand';
+import { create, useStore as useZustandStore } from 'zustand';
 import { applyNodeChanges, applyEdgeChanges, addEdge, MarkerType } from '@xyflow/react';
 
 import { persist, createJSONStorage } from 'zustand/middleware';
-export const DATA_TYPES = ['INT', 'BIGINT', 'VARCHAR', 'TEXT', 'DATE', 'DATETIME', 'BOOLEAN', 'FLOAT'];
+import { temporal } from 'zundo';
+import { handleColumn } from '../../../shared/columnRules.mjs';
+export const DATA_TYPES = ['INT', 'BIGINT', 'VARCHAR', 'TEXT', 'DATE', 'DATETIME', 'BOOLEAN', 'FLOAT', 'DECIMAL'];
 
 const hslToHex = (h, s, l) => {
   l /= 100;
@@ -27,14 +29,102 @@ const INITIAL_NODES = [
         position: { x: 100, y: 100 },
         data: {
             label: 'Users',
-            columns: [{ name: 'id', type: 'INT', isPK: true, isNullable: false }],
+            columns: [{ name: 'id', type: 'INT', isPK: true, isNullable: false, isAutoIncrement: true }],
             color: getTableColor(0)
         }
     }
 ];
+const HISTORY_LIMIT = 100;
+
+// Selection and React Flow measurements are view state, not part of the diagram history.
+const stripViewState = (item) => {
+    const { selected: _selected, dragging: _dragging, measured: _measured, ...rest } = item;
+    return rest;
+};
+
+const partializeHistory = (state) => ({
+    nodes: state.nodes.map(stripViewState),
+    edges: state.edges.map(stripViewState),
+    enums: state.enums,
+    historyLabel: state.historyLabel
+});
+
+const isSameDiagram = (a, b) =>
+    JSON.stringify({ nodes: a.nodes, edges: a.edges, enums: a.enums }) ===
+    JSON.stringify({ nodes: b.nodes, edges: b.edges, enums: b.enums });
+
+// Rewrites the type of every column using an enum, for renames (newType) and deletions (VARCHAR).
+const retypeEnumColumns = (nodes, enumName, newType) =>
+    nodes.map((node) => {
+        if (!node.data.columns.some((col) => col.type === enumName)) return node;
+        return {
+            ...node,
+            data: {
+                ...node.data,
+                columns: node.data.columns.map((col) => (col.type === enumName ? { ...col, type: newType } : col))
+            }
+        };
+    });
+
+const toSnakeCase = (label) => label.trim().toLowerCase().replace(/\s+/g, '_');
+
+// A junction table already joining the two tables: named after both of them, or pointing at both.
+const findJunctionNode = (nodes, edges, first, second) => {
+    const names = [`${toSnakeCase(first.data.label)}_${toSnakeCase(second.data.label)}`, `${toSnakeCase(second.data.label)}_${toSnakeCase(first.data.label)}`];
+    return nodes.find((node) => {
+        if (node.id === first.id || node.id === second.id) return false;
+        if (names.includes(toSnakeCase(node.data.label))) return true;
+        const targets = edges.filter((edge) => edge.source === node.id).map((edge) => edge.target);
+        return node.data.isJunction && targets.includes(first.id) && targets.includes(second.id);
+    });
+};
+
+export const REFERENTIAL_ACTIONS = ['NO ACTION', 'CASCADE', 'SET NULL', 'RESTRICT'];
+
+// Crow's foot marker ids for both ends of a relationship; optional ends use the zero-or-one/zero-or-many variants.
+const relationshipMarkers = (label, data = {}) => {
+    const endMany = label === '1:N';
+    const marker = (many, optional, side) => `rel-${optional ? 'zero-' : ''}${many ? 'many' : 'one'}-${side}`;
+    return {
+        markerStart: marker(false, data.sourceOptional, 'start'),
+        markerEnd: marker(endMany, data.targetOptional, 'end')
+    };
+};
+
+export const INDEX_METHODS = ['btree', 'hash', 'gin', 'gist', 'brin'];
+
+// Keeps multi-column constraints and indexes pointing at the right columns when one is renamed or removed.
+const renameColumnRefs = (data, oldName, newName) => ({
+    ...data,
+    uniqueConstraints: (data.uniqueConstraints || []).map((uc) => ({
+        ...uc,
+        columns: uc.columns.map((name) => (name === oldName ? newName : name))
+    })),
+    indexes: (data.indexes || []).map((index) => ({
+        ...index,
+        columns: index.columns.map((col) => (col.name === oldName ? { ...col, name: newName } : col))
+    }))
+});
+
+const dropColumnRefs = (data, columnName) => ({
+    ...data,
+    uniqueConstraints: (data.uniqueConstraints || []).map((uc) => ({
+        ...uc,
+        columns: uc.columns.filter((name) => name !== columnName)
+    })),
+    indexes: (data.indexes || []).map((index) => ({
+        ...index,
+        columns: index.columns.filter((col) => col.name !== columnName)
+    }))
+});
+
+// Snapshot taken when a grouped edit (a drag, typing in a field) starts.
+let historyGroupStart = null;
+
 export const useStore=create(
     persist(
-        (set,get)=>({
+        temporal(
+        (set,get,api)=>({
         nodes: [
             {
                 id: '1',
@@ -43,7 +133,7 @@ export const useStore=create(
                 data: {
                     label: 'User',
                     columns: [
-                        { name: 'id', type: 'INT',isPK: true, isNullable: false},
+                        { name: 'id', type: 'INT',isPK: true, isNullable: false, isAutoIncrement: true},
                         { name: 'username', type: 'VARCHAR',isPK: false, isNullable: false },
                         { name: 'email', type: 'VARCHAR',isPK: false, isNullable: false}
                     ]
@@ -51,6 +141,8 @@ export const useStore=create(
             },
         ],
         edges: [],
+        enums: [],
+        historyLabel: 'Initial diagram',
         selectedNodeId: null,
         selectedEdgeId:null,
         currentProjectId: null,
@@ -59,8 +151,10 @@ export const useStore=create(
                 set({
                     nodes: project.nodes || [],
                     edges: project.edges || [],
+                    enums: project.enums || [],
                     currentProjectId: project._id,
-                    projectName: project.name
+                    projectName: project.name,
+                    historyLabel: 'Load diagram'
                 });
             },
         setSelectedNode:(nodeId)=>{
@@ -88,18 +182,22 @@ export const useStore=create(
                         }
                     }
                     return node;
-                })
+                }),
+                historyLabel:'Rename table'
             })
         },
         resetCanvas: () => {
             set({
                 nodes: INITIAL_NODES, 
                 edges: [],
+                enums: [],
                 currentProjectId: null,
                 projectName: 'Untitled Diagram',
                 selectedNodeId: null,
-                selectedEdgeId: null
+                selectedEdgeId: null,
+                historyLabel: 'New diagram'
             });
+            api.temporal.getState().clear();
         },
         setProjectName: (name) => set({ projectName: name }),
         addColumn:(nodeId)=>{
@@ -121,7 +219,8 @@ export const useStore=create(
                         }
                     }
                     return node;
-                })
+                }),
+                historyLabel:'Add column'
             })
         },
         updateColumn:(nodeId,columnIndex,field,value)=>{
@@ -137,16 +236,19 @@ export const useStore=create(
                             }
                             return col
                         })
+                        const oldName=node.data.columns[columnIndex]?.name
+                        const data=field==='name' ? renameColumnRefs(node.data,oldName,value) : node.data
                         return{
                             ...node,
                             data:{
-                                ...node.data,
+                                ...data,
                                 columns:newColumns
                             }
                         }
                     }
                     return node;
-                })
+                }),
+                historyLabel:'Edit column'
             })
         },
         deleteColumn:(nodeId,colIndex)=>{
@@ -159,13 +261,14 @@ export const useStore=create(
                         return{
                             ...node,
                             data:{
-                                ...node.data,
+                                ...dropColumnRefs(node.data,node.data.columns[colIndex]?.name),
                                 columns:newColumns
                             }
                         }
                     }
                     return node
-                })
+                }),
+                historyLabel:'Delete column'
             })
         },
 
@@ -177,17 +280,19 @@ export const useStore=create(
                 ),
                 selectedNodeId: null, 
                 selectedEdgeId: null,
+                historyLabel: 'Delete table'
             })
         },
-        setPrimaryKey:(nodeId,colIndex)=>{
+        // Several columns may carry isPK; together they form a composite key.
+        togglePrimaryKey:(nodeId,colIndex)=>{
             set({
                 nodes:get().nodes.map((node)=>{
                     if(nodeId==node.id){
                         const newColumns=node.data.columns.map((col,idx)=>{
                             if(idx==colIndex){
-                                return {...col,isPK:true,isNullable:false}
+                                return col.isPK ? {...col,isPK:false} : {...col,isPK:true,isNullable:false}
                             }
-                            return{...col,isPK:false}
+                            return col
                         })
                         return{
                             ...node,
@@ -199,19 +304,180 @@ export const useStore=create(
                     }
                     return node;
                     
-                })
+                }),
+                historyLabel:'Change primary key'
+            })
+        },
+        addUniqueConstraint:(nodeId)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        const constraints=node.data.uniqueConstraints || []
+                        const tableName=node.data.label.toLowerCase().replace(/\s+/g,'_')
+                        const newConstraint={
+                            name:`uq_${tableName}_${constraints.length + 1}`,
+                            columns:[]
+                        }
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                uniqueConstraints:[...constraints,newConstraint]
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Add unique constraint'
+            })
+        },
+        updateUniqueConstraint:(nodeId,constraintIndex,field,value)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        const newConstraints=(node.data.uniqueConstraints || []).map((uc,idx)=>{
+                            if(idx==constraintIndex){
+                                return {...uc,[field]:value}
+                            }
+                            return uc
+                        })
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                uniqueConstraints:newConstraints
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Edit unique constraint'
+            })
+        },
+        deleteUniqueConstraint:(nodeId,constraintIndex)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                uniqueConstraints:(node.data.uniqueConstraints || []).filter((uc,idx)=>idx!=constraintIndex)
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Delete unique constraint'
             })
         },
 
+        // Index columns are { name, order } so each key part can be ASC or DESC.
+        addIndex:(nodeId)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        const indexes=node.data.indexes || []
+                        const tableName=node.data.label.toLowerCase().replace(/\s+/g,'_')
+                        const newIndex={
+                            name:`idx_${tableName}_${indexes.length + 1}`,
+                            columns:[],
+                            unique:false,
+                            method:'btree',
+                            where:''
+                        }
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                indexes:[...indexes,newIndex]
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Add index'
+            })
+        },
+        updateIndex:(nodeId,indexPosition,field,value)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        const newIndexes=(node.data.indexes || []).map((index,idx)=>{
+                            if(idx==indexPosition){
+                                return {...index,[field]:value}
+                            }
+                            return index
+                        })
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                indexes:newIndexes
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Edit index'
+            })
+        },
+        deleteIndex:(nodeId,indexPosition)=>{
+            set({
+                nodes:get().nodes.map((node)=>{
+                    if(nodeId==node.id){
+                        return{
+                            ...node,
+                            data:{
+                                ...node.data,
+                                indexes:(node.data.indexes || []).filter((index,idx)=>idx!=indexPosition)
+                            }
+                        }
+                    }
+                    return node;
+                }),
+                historyLabel:'Delete index'
+            })
+        },
+
+        addEnum:()=>{
+            const enums=get().enums
+            set({
+                enums:[...enums,{ name:`enum_${enums.length + 1}`, values:[] }],
+                historyLabel:'Add enum'
+            })
+        },
+        updateEnum:(enumIndex,field,value)=>{
+            const current=get().enums[enumIndex]
+            set({
+                enums:get().enums.map((item,idx)=>idx==enumIndex ? {...item,[field]:value} : item),
+                nodes:field==='name' ? retypeEnumColumns(get().nodes,current.name,value) : get().nodes,
+                historyLabel:'Edit enum'
+            })
+        },
+        deleteEnum:(enumIndex)=>{
+            const current=get().enums[enumIndex]
+            set({
+                enums:get().enums.filter((item,idx)=>idx!=enumIndex),
+                nodes:retypeEnumColumns(get().nodes,current.name,'VARCHAR'),
+                historyLabel:'Delete enum'
+            })
+        },
         onNodesChange: (changes) => {
+            let historyLabel = get().historyLabel;
+            if (changes.some((change) => change.type === 'remove')) historyLabel = 'Delete table';
+            else if (changes.some((change) => change.type === 'position')) historyLabel = 'Move table';
             set({
                 nodes: applyNodeChanges(changes, get().nodes),
+                historyLabel
             });
         },
 
         onEdgesChange: (changes) => {
+            const isRemoval = changes.some((change) => change.type === 'remove');
             set({
                 edges: applyEdgeChanges(changes, get().edges),
+                historyLabel: isRemoval ? 'Delete relationship' : get().historyLabel
             });
         },
 
@@ -222,45 +488,129 @@ export const useStore=create(
                     type:'step',
                     animated:false,
                     style: { stroke: '#b1b1b7', strokeWidth: 2 },
-                    markerStart: 'rel-one-start',
-                    markerEnd: 'rel-many-end',
+                    ...relationshipMarkers('1:N'),
                     data:{label:'1:N'}
                 },get().edges),
+                historyLabel:'Add relationship'
             });
         },
         updateEdgeLabel:(edgeId,label)=>{
             set({
                 edges:get().edges.map((edge)=>{
                     if(edgeId==edge.id){
-                        let newMarkerEnd = undefined;
-                        let newMarkerStart = undefined;
-                        if (label === '1:N') {
-                    newMarkerStart = 'rel-one-start'; 
-                    newMarkerEnd = 'rel-many-end';    
-                } 
-                else if (label === 'N:1') {
-                    newMarkerStart = 'rel-many-start'; 
-                    newMarkerEnd = 'rel-one-end';      
-                } 
-                else if (label === '1:1') {
-                    newMarkerStart = 'rel-one-start';  
-                    newMarkerEnd = 'rel-one-end';      
-                }   
                         return {
                             ...edge,
-                            markerEnd: newMarkerEnd,
-                            markerStart: newMarkerStart,
+                            ...relationshipMarkers(label, edge.data),
                             data: { ...edge.data, label: label }
                         };
                     }
                     return edge
-                })
+                }),
+                historyLabel:'Change cardinality'
+            })
+        },
+        // onDelete/onUpdate hold a REFERENTIAL_ACTIONS entry; sourceOptional/targetOptional mark an end as zero-or-...
+        updateEdgeData:(edgeId,field,value)=>{
+            const edge=get().edges.find((item)=>item.id===edgeId)
+            if(!edge) return
+            const data={...edge.data,[field]:value}
+            // The referencing rows may lack a parent exactly when their foreign key column is nullable
+            const fkColumn=handleColumn(edge.sourceHandle)
+            const nodes=field!=='targetOptional' ? get().nodes : get().nodes.map((node)=>{
+                if(node.id!==edge.source) return node
+                return {
+                    ...node,
+                    data:{
+                        ...node.data,
+                        columns:node.data.columns.map((col)=>col.name===fkColumn && !col.isPK ? {...col,isNullable:value} : col)
+                    }
+                }
+            })
+            set({
+                nodes,
+                edges:get().edges.map((item)=>item.id===edgeId ? {...item,...relationshipMarkers(data.label,data),data} : item),
+                historyLabel:field==='onDelete' || field==='onUpdate' ? 'Change referential action' : 'Change participation'
+            })
+        },
+        // Replaces a direct relationship with a junction table holding one FK per side as its composite key.
+        convertToManyToMany:(edgeId)=>{
+            const { nodes, edges } = get();
+            const edge = edges.find((item) => item.id === edgeId);
+            const first = nodes.find((node) => node.id === edge?.source);
+            const second = nodes.find((node) => node.id === edge?.target);
+            if (!first || !second || first.data.isJunction || second.data.isJunction) return;
+
+            const firstKey = first.data.columns.find((col) => col.isPK) || first.data.columns.find((col) => col.name === handleColumn(edge.sourceHandle));
+            const secondKey = second.data.columns.find((col) => col.name === handleColumn(edge.targetHandle)) || second.data.columns.find((col) => col.isPK);
+            if (!firstKey || !secondKey) return;
+
+            const firstColumn = `${toSnakeCase(first.data.label)}_${firstKey.name}`;
+            let secondColumn = `${toSnakeCase(second.data.label)}_${secondKey.name}`;
+            if (secondColumn === firstColumn) secondColumn = `related_${secondColumn}`;
+            const keyColumn = (name, key) => ({ name, type: key.type, isPK: true, isNullable: false, isAutoIncrement: false });
+
+            const existing = findJunctionNode(nodes, edges, first, second);
+            let junction;
+            if (existing) {
+                const missing = [keyColumn(firstColumn, firstKey), keyColumn(secondColumn, secondKey)]
+                    .filter((col) => !existing.data.columns.some((current) => current.name === col.name));
+                junction = {
+                    ...existing,
+                    data: { ...existing.data, isJunction: true, columns: [...existing.data.columns, ...missing] }
+                };
+            } else {
+                junction = {
+                    id: `table_${Date.now()}`,
+                    type: 'tableNode',
+                    position: {
+                        x: (first.position.x + second.position.x) / 2,
+                        y: (first.position.y + second.position.y) / 2 + 150
+                    },
+                    data: {
+                        label: `${toSnakeCase(first.data.label)}_${toSnakeCase(second.data.label)}`,
+                        columns: [keyColumn(firstColumn, firstKey), keyColumn(secondColumn, secondKey)],
+                        color: getTableColor(nodes.length),
+                        isJunction: true,
+                        collapsed: true
+                    }
+                };
+            }
+
+            let nextEdges = edges.filter((item) => item.id !== edgeId);
+            [[firstColumn, first, firstKey], [secondColumn, second, secondKey]].forEach(([column, target, key]) => {
+                const linked = nextEdges.some((item) => item.source === junction.id && item.target === target.id && handleColumn(item.sourceHandle) === column);
+                if (linked) return;
+                nextEdges = addEdge({
+                    source: junction.id,
+                    sourceHandle: `${column}-right`,
+                    target: target.id,
+                    targetHandle: `${key.name}-left`,
+                    type: 'step',
+                    animated: false,
+                    style: { stroke: '#b1b1b7', strokeWidth: 2 },
+                    ...relationshipMarkers('1:N'),
+                    data: { label: '1:N' }
+                }, nextEdges);
+            });
+
+            set({
+                nodes: existing ? nodes.map((node) => (node.id === junction.id ? junction : node)) : [...nodes, junction],
+                edges: nextEdges,
+                selectedEdgeId: null,
+                historyLabel: 'Create many-to-many'
+            });
+        },
+        toggleJunctionCollapsed:(nodeId)=>{
+            set({
+                nodes:get().nodes.map((node)=>node.id===nodeId ? {...node,data:{...node.data,collapsed:!node.data.collapsed}} : node),
+                historyLabel:'Toggle junction'
             })
         },
         deleteEdge:(edgeId)=>{
             set({
                 edges:get().edges.filter((edge)=>edge.id !==edgeId),
-                selectedEdgeId:null
+                selectedEdgeId:null,
+                historyLabel:'Delete relationship'
             })
         },
         updateNodeColor: (nodeId, color) => {
@@ -271,7 +621,8 @@ export const useStore=create(
                     return { ...node, data: { ...node.data, color: color } };
                 }
                 return node;
-            })
+            }),
+            historyLabel: 'Change color'
         });
         },
 
@@ -324,7 +675,7 @@ export const useStore=create(
             position: { x: newX, y: newY },
             data: {
                 label: `New Table ${currentNodes.length + 1}`,
-                columns: [{ name: 'id', type: 'INT', isPK: true, isNullable: false }],
+                columns: [{ name: 'id', type: 'INT', isPK: true, isNullable: false, isAutoIncrement: true }],
                 color: nextColor
             }
         };
@@ -333,22 +684,58 @@ export const useStore=create(
             nodes: [...currentNodes, newNode],
             selectedNodeId: newTableId, 
             selectedEdgeId: null,
-            nodeToFocus: newTableId // <--- TRIGGER THE CAMERA FOCUS
+            nodeToFocus: newTableId, // <--- TRIGGER THE CAMERA FOCUS
+            historyLabel: 'Add table'
         });
     },
         clearCanvas: () => {
-            if(window.confirm("Are you sure you want to clear the entire diagram? This cannot be undone.")){
+            if(window.confirm("Are you sure you want to clear the entire diagram? You can restore it with Undo.")){
                 set({
                     nodes: [],
                     edges: [],
+                    enums: [],
                     selectedNodeId: null,
-                    selectedEdgeId: null
+                    selectedEdgeId: null,
+                    historyLabel: 'Clear canvas'
                 });
             }
         },   
+
+        undo: (steps) => api.temporal.getState().undo(steps),
+        redo: (steps) => api.temporal.getState().redo(steps),
+        clearHistory: () => api.temporal.getState().clear(),
+
+        // Collapses every change between begin and end into a single undo step.
+        beginHistoryGroup: () => {
+            if (historyGroupStart) return;
+            historyGroupStart = partializeHistory(get());
+            api.temporal.getState().pause();
+        },
+        endHistoryGroup: () => {
+            if (!historyGroupStart) return;
+            const start = historyGroupStart;
+            historyGroupStart = null;
+
+            const temporalState = api.temporal.getState();
+            temporalState.resume();
+            if (!isSameDiagram(start, partializeHistory(get()))) {
+                api.temporal.setState({
+                    pastStates: [...temporalState.pastStates, start].slice(-HISTORY_LIMIT),
+                    futureStates: []
+                });
+            }
+        },
     }),
+    {
+        partialize: partializeHistory,
+        equality: isSameDiagram,
+        limit: HISTORY_LIMIT
+    }
+    ),
     {
     name: 'db-design-storage', 
     storage: createJSONStorage(() => localStorage), 
     }
-))
\ No newline at end of file
+))
+
+export const useTemporalStore = (selector) => useZustandStore(useStore.temporal, selector);
\ No newline at end of file
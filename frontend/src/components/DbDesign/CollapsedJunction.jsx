@@ -0,0 +1,36 @@
+import { Position, Handle } from '@xyflow/react';
+
+// Compact rendering of a many-to-many junction table. Every column keeps both of its
+// handles, stacked on the badge edges, so the relationships stay attached while collapsed.
+export default function CollapsedJunction({ data, selected, onExpand }) {
+    const hiddenHandle = { opacity: 0, width: '8px', height: '8px', border: 'none' };
+
+    return (
+        <div
+            className="d-flex align-items-center gap-2 bg-white rounded-pill px-3 py-1"
+            style={{
+                border: selected ? '2px solid #3b82f6' : `2px dashed ${data.color || '#94a3b8'}`,
+                fontFamily: 'Inter, system-ui, sans-serif',
+                fontSize: '0.85rem',
+                color: '#475569'
+            }}
+            title={data.columns.map((col) => `${col.name} ${col.type.toLowerCase()}`).join('\n')}
+        >
+            {data.columns.map((col) => (
+                <span key={col.name}>
+                    <Handle type="target" position={Position.Left} id={`${col.name}-left`} style={hiddenHandle} />
+                    <Handle type="source" position={Position.Right} id={`${col.name}-right`} style={hiddenHandle} />
+                </span>
+            ))}
+            <i className="bi bi-diagram-2"></i>
+            <span className="fw-semibold">{data.label}</span>
+            <button
+                className="border-0 bg-transparent p-0 text-muted nodrag"
+                title="Show junction columns"
+                onClick={onExpand}
+            >
+                <i className="bi bi-arrows-angle-expand"></i>
+            </button>
+        </div>
+    );
+}
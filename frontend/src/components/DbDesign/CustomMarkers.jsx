@@ -55,6 +55,59 @@ export default function CustomMarkers() {
           <path d="M12 6 L1 6" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
           <path d="M1 0 L1 12" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
         </marker>
+
+        {/* Optional ends: a circle before the bar or crow's foot reads as zero-or-one / zero-or-many */}
+        <marker
+          id="rel-zero-many-end"
+          markerWidth="20"
+          markerHeight="12"
+          refX="20"
+          refY="6"
+          orient="auto"
+        >
+          <circle cx="4" cy="6" r="3.5" fill="#ffffff" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M8 0 L20 6 L8 12" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M14 6 L20 6" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+        </marker>
+
+        <marker
+          id="rel-zero-many-start"
+          markerWidth="20"
+          markerHeight="12"
+          refX="0"
+          refY="6"
+          orient="auto"
+        >
+          <circle cx="16" cy="6" r="3.5" fill="#ffffff" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M12 0 L0 6 L12 12" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M6 6 L0 6" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+        </marker>
+
+        <marker
+          id="rel-zero-one-end"
+          markerWidth="20"
+          markerHeight="12"
+          refX="19"
+          refY="6"
+          orient="auto"
+        >
+          <circle cx="4" cy="6" r="3.5" fill="#ffffff" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M8 6 L19 6" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M19 0 L19 12" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+        </marker>
+
+        <marker
+          id="rel-zero-one-start"
+          markerWidth="20"
+          markerHeight="12"
+          refX="1"
+          refY="6"
+          orient="auto"
+        >
+          <circle cx="16" cy="6" r="3.5" fill="#ffffff" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M12 6 L1 6" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+          <path d="M1 0 L1 12" fill="none" stroke="#b1b1b7" strokeWidth="1.5" />
+        </marker>
       </defs>
     </svg>
   );
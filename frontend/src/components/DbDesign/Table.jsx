@@ -35,7 +35,31 @@ const defaultEdgeOptions = {
     const setSelectedNode = useStore((state) => state.setSelectedNode);
     const nodeToFocus = useStore((state) => state.nodeToFocus);
     const setNodeToFocus = useStore((state) => state.setNodeToFocus);
+    const beginHistoryGroup = useStore((state) => state.beginHistoryGroup);
+    const endHistoryGroup = useStore((state) => state.endHistoryGroup);
+    const undo = useStore((state) => state.undo);
+    const redo = useStore((state) => state.redo);
     const [rfInstance, setRfInstance] = useState(null);
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey)) return;
+
+            // Leave text fields to the browser's own undo
+            const tag = event.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || event.target.isContentEditable) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
     useEffect(() => {
         if (nodeToFocus && rfInstance) {
             const node = nodes.find((n) => n.id === nodeToFocus);
@@ -60,6 +84,8 @@ const defaultEdgeOptions = {
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
+          onNodeDragStart={beginHistoryGroup}
+          onNodeDragStop={endHistoryGroup}
           nodeTypes={nodeTypes}
           edgeTypes={edgeTypes}
           defaultEdgeOptions={defaultEdgeOptions}
@@ -1,8 +1,23 @@
+import { useState } from 'react';
 import { Position, Handle } from '@xyflow/react';
+import { useStore } from '../../Store/store';
+import { sqlTypeWithSize, sqlDefault } from '../codeGenerator/columnUtils';
+
+// Rich column properties listed in the hover card, in display order
+const columnDetails = (col) => [
+    ['Default', sqlDefault(col)],
+    ['Auto increment', col.isAutoIncrement ? 'yes' : null],
+    ['Unsigned', col.isUnsigned ? 'yes' : null],
+    ['Check', col.check],
+    ['Comment', col.comment],
+].filter(([, value]) => value);
 
 export default function TableColumn({ col, selected }) {
     const isPK = col.isPK;
-    
+    const [hovered, setHovered] = useState(false);
+    const columnEnum = useStore((state) => state.enums.find((item) => item.name === col.type));
+    const details = columnEnum ? [['Values', columnEnum.values.join(', ')], ...columnDetails(col)] : columnDetails(col);
+
  
     const nameColor = isPK ? '#1e293b' : '#334155'; 
     const typeColor = '#94a3b8'; 
@@ -20,7 +35,7 @@ export default function TableColumn({ col, selected }) {
     };
 
     return (
-        <tr className="position-relative">
+        <tr className="position-relative" onMouseEnter={() => setHovered(true)} onMouseLeave={() => setHovered(false)}>
             
             
             <td className="ps-4 py-2 text-start position-relative" style={{ border: 'none' }}>
@@ -48,12 +63,26 @@ export default function TableColumn({ col, selected }) {
                         {col.name}
                     </span>
                 </div>
+
+                {hovered && details.length > 0 && (
+                    <div
+                        className="position-absolute bg-white border rounded shadow-sm px-2 py-1 small text-nowrap"
+                        style={{ top: '100%', left: '16px', zIndex: 20, pointerEvents: 'none' }}
+                    >
+                        {details.map(([label, value]) => (
+                            <div key={label}>
+                                <span className="text-muted">{label}:</span>{' '}
+                                <span style={{ fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace' }}>{value}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
             </td>
 
        
             <td className="pe-4 py-2 text-end position-relative" style={{ border: 'none' }}>
                 <span style={{ color: typeColor, fontSize: '0.9rem', fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace' }}>
-                    {col.type.toLowerCase()}
+                    {columnEnum ? col.type : sqlTypeWithSize(col).toLowerCase()}{col.isUnsigned ? ' unsigned' : ''}
                 </span>
 
                 <Handle 
@@ -6,10 +6,12 @@ import {
   getBezierPath,
   useReactFlow 
 } from '@xyflow/react';
-import { useStore } from '../../Store/store';
+import { useStore, REFERENTIAL_ACTIONS } from '../../Store/store';
 
 export default function TableEdge({
   id,
+  source,
+  target,
   sourceX,
   sourceY,
   targetX,
@@ -25,6 +27,10 @@ export default function TableEdge({
   const { setEdges } = useReactFlow();
   const updateEdgeLabel = useStore((state) => state.updateEdgeLabel);
   const deleteEdge = useStore((state) => state.deleteEdge);
+  const convertToManyToMany = useStore((state) => state.convertToManyToMany);
+  const updateEdgeData = useStore((state) => state.updateEdgeData);
+  const sourceLabel = useStore((state) => state.nodes.find((node) => node.id === source)?.data.label);
+  const targetLabel = useStore((state) => state.nodes.find((node) => node.id === target)?.data.label);
 
 
   const [edgePath, labelX, labelY] = getSmoothStepPath({
@@ -69,62 +75,102 @@ export default function TableEdge({
             className="nopan"
           >
             <div 
-              className="d-flex align-items-center gap-1 p-1 rounded-1 shadow-sm"
+              className="d-flex flex-column gap-1 p-1 rounded-1 shadow-sm"
               style={{
                 backgroundColor: '#1e293b', 
                 border: '1px solid #334155',
                 color: 'white'
               }}
             >
+              <div className="d-flex align-items-center gap-1">
               
-              <button 
-                className="btn btn-sm p-0 fw-bold" 
-                style={{ 
-                   color: data?.label === '1:1' ? '#fff' : '#94a3b8', 
-                   backgroundColor: data?.label === '1:1' ? '#334155' : 'transparent',
-                   width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
-                }}
-                onClick={(e) => onLabelClick(e, '1:1')}
-              >
-                1:1
-              </button>
+                <button 
+                  className="btn btn-sm p-0 fw-bold" 
+                  style={{ 
+                     color: data?.label === '1:1' ? '#fff' : '#94a3b8', 
+                     backgroundColor: data?.label === '1:1' ? '#334155' : 'transparent',
+                     width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
+                  }}
+                  onClick={(e) => onLabelClick(e, '1:1')}
+                >
+                  1:1
+                </button>
               
-              <button 
-                className="btn btn-sm p-0 fw-bold"
-                style={{ 
-                   color: data?.label === '1:N' ? '#fff' : '#94a3b8', 
-                   backgroundColor: data?.label === '1:N' ? '#334155' : 'transparent',
-                   width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
-                }}
-                onClick={(e) => onLabelClick(e, '1:N')}
-              >
-                1:N
-              </button>
+                <button 
+                  className="btn btn-sm p-0 fw-bold"
+                  style={{ 
+                     color: data?.label === '1:N' ? '#fff' : '#94a3b8', 
+                     backgroundColor: data?.label === '1:N' ? '#334155' : 'transparent',
+                     width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
+                  }}
+                  onClick={(e) => onLabelClick(e, '1:N')}
+                >
+                  1:N
+                </button>
 
-              <button 
-                className="btn btn-sm p-0 fw-bold"
-                style={{ 
-                   color: data?.label === 'N:1' ? '#fff' : '#94a3b8', 
-                   backgroundColor: data?.label === 'N:1' ? '#334155' : 'transparent',
-                   width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
-                }}
-                onClick={(e) => onLabelClick(e, 'N:1')}
-              >
-                N:1
-              </button>
+                <button 
+                  className="btn btn-sm p-0 fw-bold"
+                  style={{ 
+                     color: '#94a3b8', 
+                     backgroundColor: 'transparent',
+                     width: '32px', height: '24px', fontSize: '0.75rem', border: 'none'
+                  }}
+                  title="Many-to-many through a junction table"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    convertToManyToMany(id);
+                  }}
+                >
+                  N:M
+                </button>
 
              
-              <div style={{ width: '1px', height: '16px', backgroundColor: '#475569', margin: '0 4px' }}></div>
+                <div style={{ width: '1px', height: '16px', backgroundColor: '#475569', margin: '0 4px' }}></div>
 
        
-              <button 
-                className="btn btn-sm p-0 text-danger"
-                style={{ width: '24px', height: '24px', border: 'none', background: 'transparent' }}
-                onClick={onDeleteClick}
-                title="Delete Relationship"
-              >
-                 <svg xmlns="http://www.w3.org/2000/svg" height="16px" viewBox="0 -960 960 960" width="16px" fill="currentColor"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg>
-              </button>
+                <button 
+                  className="btn btn-sm p-0 text-danger"
+                  style={{ width: '24px', height: '24px', border: 'none', background: 'transparent' }}
+                  onClick={onDeleteClick}
+                  title="Delete Relationship"
+                >
+                   <svg xmlns="http://www.w3.org/2000/svg" height="16px" viewBox="0 -960 960 960" width="16px" fill="currentColor"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg>
+                </button>
+              </div>
+
+              <div className="d-flex align-items-center gap-1 px-1" style={{ fontSize: '0.7rem', color: '#94a3b8' }}>
+                {[['onDelete', 'ON DELETE'], ['onUpdate', 'ON UPDATE']].map(([field, caption]) => (
+                  <label key={field} className="d-flex align-items-center gap-1">
+                    {caption}
+                    <select
+                      className="nodrag"
+                      value={data?.[field] || 'NO ACTION'}
+                      onChange={(e) => updateEdgeData(id, field, e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                      style={{ backgroundColor: '#334155', color: 'white', border: 'none', fontSize: '0.7rem' }}
+                    >
+                      {REFERENTIAL_ACTIONS.map((action) => (
+                        <option key={action} value={action}>{action}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <div className="d-flex align-items-center gap-2 px-1" style={{ fontSize: '0.7rem', color: '#94a3b8' }}>
+                {[['sourceOptional', sourceLabel], ['targetOptional', targetLabel]].map(([field, tableLabel]) => (
+                  <label key={field} className="d-flex align-items-center gap-1" title={`Zero ${tableLabel} rows may take part in this relationship`}>
+                    <input
+                      type="checkbox"
+                      className="nodrag"
+                      checked={!!data?.[field]}
+                      onChange={(e) => updateEdgeData(id, field, e.target.checked)}
+                      onClick={(e) => e.stopPropagation()}
+                    />
+                    {tableLabel} optional
+                  </label>
+                ))}
+              </div>
             </div>
             
 
@@ -1,4 +1,4 @@
-export default function TableHeading({ label, color }) {
+export default function TableHeading({ label, color, onCollapse }) {
     const headerColor = color || '#3b82f6';
 
     return (
@@ -34,6 +34,15 @@ export default function TableHeading({ label, color }) {
                     }}
                 >
                     {label}
+                    {onCollapse && (
+                        <button
+                            className="border-0 bg-transparent p-0 ms-2 text-muted nodrag"
+                            title="Collapse junction table"
+                            onClick={onCollapse}
+                        >
+                            <i className="bi bi-arrows-angle-contract" style={{ fontSize: '0.9rem' }}></i>
+                        </button>
+                    )}
                 </th>
             </tr>
         </thead>
@@ -1,8 +1,17 @@
 import React, { memo } from 'react';
 import TableHeading from './TableHeading';
 import TableColumn from './TableColumn';
+import CollapsedJunction from './CollapsedJunction';
+import { useStore } from '../../Store/store';
+
+export default memo(({ id, data, selected }) => {
+  const toggleJunctionCollapsed = useStore((state) => state.toggleJunctionCollapsed);
+  const onToggleCollapsed = data.isJunction ? () => toggleJunctionCollapsed(id) : undefined;
+
+  if (data.isJunction && data.collapsed) {
+    return <CollapsedJunction data={data} selected={selected} onExpand={onToggleCollapsed} />;
+  }
 
-export default memo(({ data, selected }) => {
   return (
     <div 
      
@@ -24,12 +33,34 @@ export default memo(({ data, selected }) => {
       }}
     >
       <table className="w-100" style={{ borderSpacing: 0, width: '100%' }}>
-        <TableHeading label={data.label} color={data.color} />
+        <TableHeading label={data.label} color={data.color} onCollapse={onToggleCollapsed} />
         <tbody>
           {data.columns.map((col, index) => (
             <TableColumn key={index} col={col} selected={selected} />
           ))}
         </tbody>
+        {data.indexes?.length > 0 && (
+          <tfoot>
+            {data.indexes.map((index, position) => (
+              <tr key={position}>
+                <td
+                  colSpan={2}
+                  className="px-4 py-1 text-start"
+                  style={{
+                    borderTop: position === 0 ? '1px solid #e2e8f0' : 'none',
+                    color: '#94a3b8',
+                    fontSize: '0.8rem',
+                    fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace'
+                  }}
+                >
+                  {index.unique ? 'unique ' : ''}{index.name} ({index.columns.map((col) => col.order === 'DESC' ? `${col.name} desc` : col.name).join(', ')})
+                  {index.method && index.method !== 'btree' ? ` ${index.method}` : ''}
+                  {index.where ? ' partial' : ''}
+                </td>
+              </tr>
+            ))}
+          </tfoot>
+        )}
       </table>
     </div>
   );
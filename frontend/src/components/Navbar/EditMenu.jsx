@@ -0,0 +1,52 @@
+import { useStore, useTemporalStore } from '../../Store/store';
+
+export default function EditMenu() {
+    const undo = useStore((state) => state.undo);
+    const redo = useStore((state) => state.redo);
+    const currentLabel = useStore((state) => state.historyLabel);
+    const pastStates = useTemporalStore((state) => state.pastStates);
+    const futureStates = useTemporalStore((state) => state.futureStates);
+
+    // futureStates keeps the next redo step at the end, so it is read back to front
+    const upcomingStates = [...futureStates].reverse();
+
+    return (
+        <li className="nav-item ms-1 dropdown">
+            <a className="nav-link dropdown-toggle canvas-nav-hover canvas-nav fw-bold px-3" href="#" role="button" data-bs-toggle="dropdown" aria-expanded="false">
+            Edit
+            <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="#e3e3e3"><path d="M480-360 280-560h400L480-360Z"/></svg>
+            </a>
+            <ul className="dropdown-menu text-black" style={{ minWidth: '240px', maxHeight: '420px', overflowY: 'auto' }}>
+                <li>
+                    <button className="dropdown-item d-flex justify-content-between" disabled={pastStates.length === 0} onClick={() => undo()}>
+                        Undo <span className="text-muted small">Ctrl+Z</span>
+                    </button>
+                </li>
+                <li>
+                    <button className="dropdown-item d-flex justify-content-between" disabled={futureStates.length === 0} onClick={() => redo()}>
+                        Redo <span className="text-muted small">Ctrl+Shift+Z</span>
+                    </button>
+                </li>
+                <li className="dropdown-divider"></li>
+                <li><h6 className="dropdown-header">History</h6></li>
+                {pastStates.map((state, index) => (
+                    <li key={`past-${index}`}>
+                        <button className="dropdown-item small" onClick={() => undo(pastStates.length - index)}>
+                            {state.historyLabel}
+                        </button>
+                    </li>
+                ))}
+                <li>
+                    <span className="dropdown-item small fw-bold active">{currentLabel}</span>
+                </li>
+                {upcomingStates.map((state, index) => (
+                    <li key={`future-${index}`}>
+                        <button className="dropdown-item small text-muted" onClick={() => redo(index + 1)}>
+                            {state.historyLabel}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </li>
+    );
+}
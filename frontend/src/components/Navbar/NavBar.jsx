@@ -1,6 +1,6 @@
 import Logo from "../Landing/components/Logo"
 import { useState } from "react"
-import { useStore } from '../../Store/store';
+import { useStore, useTemporalStore } from '../../Store/store';
 import CodeExportModal from '../codeGenerator/CodeExportModal';
 import axios from 'axios';
 import { useAuthStore } from '../../Store/authStore';
@@ -11,6 +11,9 @@ import VersionsPanel from '../schema/VersionsPanel';
 import MockDataPanel from '../schema/MockDataPanel';
 import QueryGeneratorPanel from '../schema/QueryGeneratorPanel';
 import GitHubSyncPanel from '../schema/GitHubSyncPanel';
+import SqlImportPanel from '../schema/SqlImportPanel';
+import TextImportPanel from '../schema/TextImportPanel';
+import EditMenu from './EditMenu';
 import { toPng } from 'html-to-image';
 import { useNavigate } from "react-router-dom"
 
@@ -21,7 +24,9 @@ export default function NavBar(){
         resetCanvas(); 
         navigate('/design'); 
     };
-    const { nodes, edges, currentProjectId, projectName, setProjectName, loadProject, clearCanvas,resetCanvas } = useStore();
+    const { nodes, edges, enums, currentProjectId, projectName, setProjectName, loadProject, clearCanvas,resetCanvas, undo, redo } = useStore();
+    const canUndo = useTemporalStore((state) => state.pastStates.length > 0);
+    const canRedo = useTemporalStore((state) => state.futureStates.length > 0);
     const [showAiModal, setShowAiModal] = useState(false);
     const [showRefactorModal, setShowRefactorModal] = useState(false);
     const [showMigrationModal, setShowMigrationModal] = useState(false);
@@ -29,6 +34,8 @@ export default function NavBar(){
     const [showMockDataModal, setShowMockDataModal] = useState(false);
     const [showQueryModal, setShowQueryModal] = useState(false);
     const [showGitHubModal, setShowGitHubModal] = useState(false);
+    const [showSqlImportModal, setShowSqlImportModal] = useState(false);
+    const [textImportFormat, setTextImportFormat] = useState(null);
     const { token } = useAuthStore();
     
     const [showModal, setShowModal] = useState(false);
@@ -89,6 +96,7 @@ export default function NavBar(){
                 name: projectName,
                 nodes: nodes,
                 edges: edges,
+                enums: enums,
                 projectId: currentProjectId 
             };
 
@@ -207,8 +215,27 @@ export default function NavBar(){
                                 >Sync from GitHub
                                 <svg xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="28px" fill="#918c8cff"><path d="M480-320q75 0 127.5-52.5T660-500q0-75-52.5-127.5T480-680q-75 0-127.5 52.5T300-500q0 75 52.5 127.5T480-320Zm0-72q-42 0-71-29t-29-71q0-42 29-71t71-29q42 0 71 29t29 71q0 42-29 71t-71 29ZM160-120q-33 0-56.5-23.5T80-200v-480q0-33 23.5-56.5T160-760h320l80 80h320q33 0 56.5 23.5T960-600v400q0 33-23.5 56.5T880-120H160Zm0-80h720v-400H447l-80-80H160v480Zm0 0v-480 480Z"/></svg></a>
                             </li>
+                            <li>
+                                <a className="dropdown-item" 
+                                onClick={() => setShowSqlImportModal(true)}
+                                >Import SQL
+                                <i className="bi bi-filetype-sql ms-2" style={{ color: '#918c8cff' }}></i></a>
+                            </li>
+                            <li>
+                                <a className="dropdown-item" 
+                                onClick={() => setTextImportFormat('dbml')}
+                                >Import DBML
+                                <i className="bi bi-diagram-3 ms-2" style={{ color: '#918c8cff' }}></i></a>
+                            </li>
+                            <li>
+                                <a className="dropdown-item" 
+                                onClick={() => setTextImportFormat('mermaid')}
+                                >Import Mermaid
+                                <i className="bi bi-markdown ms-2" style={{ color: '#918c8cff' }}></i></a>
+                            </li>
                         </ul>
                         </li>
+                        <EditMenu />
                         <li className="nav-item ">
                             <a className="nav-link  canvas-nav-hover canvas-nav fw-bold px-3" href="#" role="button"  aria-current="page"
                             onClick={handleShare}
@@ -231,6 +258,15 @@ export default function NavBar(){
                     </div>
                     <div className="d-flex">
 
+                        <button className="btn px-2 text-white canvas-nav-hover rounded-0 border-0 canvas-nav"
+                        onClick={() => undo()} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                            <i className="bi bi-arrow-counterclockwise"></i>
+                        </button>
+                        <button className="btn px-2 text-white canvas-nav-hover rounded-0 border-0 me-3 canvas-nav"
+                        onClick={() => redo()} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                            <i className="bi bi-arrow-clockwise"></i>
+                        </button>
+
                         <button className="btn px-3 text-white canvas-nav-hover rounded-0 border-2 fw-bolder me-3
                         canvas-nav" onClick={clearCanvas}>Clear canvas </button>
 
@@ -255,6 +291,7 @@ export default function NavBar(){
                     onClose={() => setShowModal(false)} 
                     nodes={nodes} 
                     edges={edges} 
+                    enums={enums}
                 />
                  <AiModal 
                     isOpen={showAiModal} 
@@ -284,6 +321,14 @@ export default function NavBar(){
                     isOpen={showGitHubModal} 
                     onClose={() => setShowGitHubModal(false)} 
                 />
+                <SqlImportPanel 
+                    isOpen={showSqlImportModal} 
+                    onClose={() => setShowSqlImportModal(false)} 
+                />
+                <TextImportPanel 
+                    format={textImportFormat} 
+                    onClose={() => setTextImportFormat(null)} 
+                />
 
             </>
     )
@@ -2,6 +2,7 @@ import { useState, useEffect } from "react";
 import { useStore } from "../../Store/store";
 import SidebarTableEdit from "./SidebarTableEdit";
 import SidebarHeading from "./SidebarHeading";
+import SidebarEnums from "./SidebarEnums";
 
 export default function Sidebar() {
   const [isOpen, setIsOpen] = useState(true);
@@ -191,6 +192,7 @@ export default function Sidebar() {
               })}
             </div>
           )}
+          <SidebarEnums />
         </div>
       </div>
 
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { useStore } from "../../Store/store";
+
+export default function SidebarEnums() {
+  const enums = useStore((state) => state.enums);
+  const addEnum = useStore((state) => state.addEnum);
+  const updateEnum = useStore((state) => state.updateEnum);
+  const deleteEnum = useStore((state) => state.deleteEnum);
+  const beginHistoryGroup = useStore((state) => state.beginHistoryGroup);
+  const endHistoryGroup = useStore((state) => state.endHistoryGroup);
+  const [isExpanded, setIsExpanded] = useState(false);
+  // Raw text of the values field being typed in, so separators can be edited freely
+  const [valuesDraft, setValuesDraft] = useState(null);
+
+  const changeValues = (index, text) => {
+    setValuesDraft({ index, text });
+    updateEnum(index, "values", text.split(",").map((value) => value.trim()).filter(Boolean));
+  };
+
+  const finishValues = () => {
+    setValuesDraft(null);
+    endHistoryGroup();
+  };
+
+  return (
+    <div className="d-flex flex-column border-top">
+      <div
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="d-flex align-items-center justify-content-between px-3 border-bottom sidebar-table-color hover-bg-light"
+        style={{ cursor: "pointer", height: "45px" }}
+      >
+        <span className="fw-bold small text-dark">
+          <i className="bi bi-list-ol me-2"></i>Enums ({enums.length})
+        </span>
+        <button
+          className="border-0 bg-transparent p-0 text-muted"
+          title="Add Enum"
+          onClick={(e) => {
+            e.stopPropagation();
+            addEnum();
+            setIsExpanded(true);
+          }}
+        >
+          <i className="bi bi-plus-lg"></i>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="p-2 d-flex flex-column gap-2 bg-white">
+          {enums.length === 0 && (
+            <span className="small text-muted">No enums yet. Columns can use an enum's name as their type.</span>
+          )}
+          {enums.map((item, index) => (
+            <div key={index} className="d-flex flex-column gap-1">
+              <div className="d-flex align-items-center gap-2">
+                <input
+                  type="text"
+                  className="form-control form-control-sm border-secondary-subtle"
+                  value={item.name}
+                  placeholder="enum name"
+                  onChange={(e) => updateEnum(index, "name", e.target.value)}
+                  onFocus={beginHistoryGroup}
+                  onBlur={endHistoryGroup}
+                  style={{ height: "32px" }}
+                />
+                <button
+                  className="border-0 bg-transparent p-0"
+                  title="Delete enum (columns using it become VARCHAR)"
+                  onClick={() => deleteEnum(index)}
+                >
+                  <i className="bi bi-trash text-muted"></i>
+                </button>
+              </div>
+              <input
+                type="text"
+                className="form-control form-control-sm border-secondary-subtle"
+                value={valuesDraft?.index === index ? valuesDraft.text : item.values.join(", ")}
+                placeholder="values in order, e.g. pending, active, banned"
+                onChange={(e) => changeValues(index, e.target.value)}
+                onFocus={beginHistoryGroup}
+                onBlur={finishValues}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
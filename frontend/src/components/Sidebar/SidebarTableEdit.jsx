@@ -1,21 +1,84 @@
-  import { useStore, DATA_TYPES } from "../../Store/store";
+  import { useState } from "react";
+  import { useStore, DATA_TYPES, INDEX_METHODS } from "../../Store/store";
 
   export default function SidebarTableEdit({ node }) {
     const addColumn = useStore((state) => state.addColumn);
     const updateColumn = useStore((state) => state.updateColumn);
     const deleteColumn = useStore((state) => state.deleteColumn);
-    const setPrimaryKey = useStore((state) => state.setPrimaryKey);
+    const togglePrimaryKey = useStore((state) => state.togglePrimaryKey);
+    const addUniqueConstraint = useStore((state) => state.addUniqueConstraint);
+    const updateUniqueConstraint = useStore((state) => state.updateUniqueConstraint);
+    const deleteUniqueConstraint = useStore((state) => state.deleteUniqueConstraint);
+    const addIndex = useStore((state) => state.addIndex);
+    const updateIndex = useStore((state) => state.updateIndex);
+    const deleteIndex = useStore((state) => state.deleteIndex);
+    const beginHistoryGroup = useStore((state) => state.beginHistoryGroup);
+    const endHistoryGroup = useStore((state) => state.endHistoryGroup);
+    const enums = useStore((state) => state.enums);
+    const [expandedColumn, setExpandedColumn] = useState(null);
 
     if (!node) return null;
 
     const themeColor = "#20c9a7ff"; 
+    const uniqueConstraints = node.data.uniqueConstraints || [];
+
+    const toggleConstraintColumn = (constraintIndex, columnName) => {
+      const columns = uniqueConstraints[constraintIndex].columns;
+      const nextColumns = columns.includes(columnName)
+        ? columns.filter((name) => name !== columnName)
+        : [...columns, columnName];
+      updateUniqueConstraint(node.id, constraintIndex, 'columns', nextColumns);
+    };
+
+    const indexes = node.data.indexes || [];
+
+    const textDetail = (col, index, field, placeholder) => (
+      <input
+        type="text"
+        className="form-control form-control-sm border-secondary-subtle"
+        value={col[field] ?? ''}
+        placeholder={placeholder}
+        onChange={(e) => updateColumn(node.id, index, field, e.target.value)}
+        onFocus={beginHistoryGroup}
+        onBlur={endHistoryGroup}
+      />
+    );
+
+    const numberDetail = (col, index, field, placeholder) => (
+      <input
+        type="number"
+        min="0"
+        className="form-control form-control-sm border-secondary-subtle"
+        value={col[field] ?? ''}
+        placeholder={placeholder}
+        onChange={(e) => updateColumn(node.id, index, field, e.target.value === '' ? '' : Number(e.target.value))}
+        onFocus={beginHistoryGroup}
+        onBlur={endHistoryGroup}
+      />
+    );
+
+    // Clicking a column chip cycles it through ASC, DESC and back out of the index
+    const cycleIndexColumn = (indexPosition, columnName) => {
+      const columns = indexes[indexPosition].columns;
+      const existing = columns.find((col) => col.name === columnName);
+      let nextColumns;
+      if (!existing) {
+        nextColumns = [...columns, { name: columnName, order: 'ASC' }];
+      } else if (existing.order === 'ASC') {
+        nextColumns = columns.map((col) => (col.name === columnName ? { ...col, order: 'DESC' } : col));
+      } else {
+        nextColumns = columns.filter((col) => col.name !== columnName);
+      }
+      updateIndex(node.id, indexPosition, 'columns', nextColumns);
+    };
 
     return (
       <div className="bg-white border-start border-end border-bottom">
         
         <div className="p-2 d-flex flex-column gap-2">
           {node.data.columns.map((col, index) => (
-            <div key={index} className="d-flex align-items-center gap-2">
+            <div key={index} className="d-flex flex-column gap-1">
+            <div className="d-flex align-items-center gap-2">
                 
               <input
                 type="text"
@@ -23,6 +86,8 @@
                 value={col.name}
                 placeholder="name"
                 onChange={(e) => updateColumn(node.id, index, 'name', e.target.value)}
+                onFocus={beginHistoryGroup}
+                onBlur={endHistoryGroup}
                 style={{ flex: 2, height: '32px' }}
               />
               <div style={{ flex: 1.5 }}>
@@ -32,6 +97,8 @@
                       value={col.type}
                       placeholder="type"
                       onChange={(e) => updateColumn(node.id, index, 'type', e.target.value)}
+                      onFocus={beginHistoryGroup}
+                      onBlur={endHistoryGroup}
                       style={{ height: '32px' }}
                   />
                   
@@ -39,6 +106,9 @@
                       {DATA_TYPES.map((t) => (
                           <option key={t} value={t} />
                       ))}
+                      {enums.map((item) => (
+                          <option key={`enum-${item.name}`} value={item.name}>enum: {item.values.join(', ')}</option>
+                      ))}
                   </datalist>
               </div>
               <button 
@@ -61,7 +131,7 @@
                       cursor: 'pointer'
                   }}
                   title="Toggle Primary Key"
-                  onClick={() => setPrimaryKey(node.id, index)}
+                  onClick={() => togglePrimaryKey(node.id, index)}
               >
 
                   <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="#94a3b8" strokeWidth="1" strokeLinecap="round" strokeLinejoin="round">
@@ -78,6 +148,11 @@
                       <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="#7f7878ff"><path d="M480-160q-33 0-56.5-23.5T400-240q0-33 23.5-56.5T480-320q33 0 56.5 23.5T560-240q0 33-23.5 56.5T480-160Zm0-240q-33 0-56.5-23.5T400-480q0-33 23.5-56.5T480-560q33 0 56.5 23.5T560-480q0 33-23.5 56.5T480-400Zm0-240q-33 0-56.5-23.5T400-720q0-33 23.5-56.5T480-800q33 0 56.5 23.5T560-720q0 33-23.5 56.5T480-640Z"/></svg>
                   </button>
                   <ul className="dropdown-menu dropend shadow-sm border-0">
+                      <li>
+                          <button className="dropdown-item small" onClick={() => setExpandedColumn(expandedColumn === index ? null : index)}>
+                              <i className="bi bi-sliders me-2"></i>{expandedColumn === index ? 'Hide details' : 'Edit details'}
+                          </button>
+                      </li>
                       <li>
                           <button className="dropdown-item text-danger fw-bolder bg-primary rounded-1 " onClick={() => deleteColumn(node.id, index)}>
                               <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="#e3e3e3"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg> Delete column
@@ -86,11 +161,191 @@
                   </ul>
               </div>
             </div>
+
+            {expandedColumn === index && (
+              <div className="d-flex flex-column gap-1 ps-2 pb-2 border-start border-2" style={{ borderColor: themeColor }}>
+                {textDetail(col, index, 'defaultValue', 'default, e.g. 0 or now()')}
+                {col.type === 'VARCHAR' && numberDetail(col, index, 'length', 'length, e.g. 255')}
+                {col.type === 'DECIMAL' && (
+                  <div className="d-flex gap-1">
+                    {numberDetail(col, index, 'precision', 'precision')}
+                    {numberDetail(col, index, 'scale', 'scale')}
+                  </div>
+                )}
+                {textDetail(col, index, 'check', 'check, e.g. price > 0')}
+                {textDetail(col, index, 'comment', 'comment')}
+                <div className="d-flex gap-3 small">
+                  <label className="d-flex align-items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={!!col.isAutoIncrement}
+                      onChange={(e) => updateColumn(node.id, index, 'isAutoIncrement', e.target.checked)}
+                    />
+                    Auto increment
+                  </label>
+                  <label className="d-flex align-items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={!!col.isUnsigned}
+                      onChange={(e) => updateColumn(node.id, index, 'isUnsigned', e.target.checked)}
+                    />
+                    Unsigned
+                  </label>
+                </div>
+              </div>
+            )}
+            </div>
           ))}
         </div>
 
+        {uniqueConstraints.length > 0 && (
+          <div className="p-2 border-top d-flex flex-column gap-2">
+            <span className="small fw-bold text-muted">Unique constraints</span>
+            {uniqueConstraints.map((uc, ucIndex) => (
+              <div key={ucIndex} className="d-flex flex-column gap-1">
+                <div className="d-flex align-items-center gap-2">
+                  <input
+                    type="text"
+                    className="form-control form-control-sm border-secondary-subtle"
+                    value={uc.name}
+                    placeholder="constraint name"
+                    onChange={(e) => updateUniqueConstraint(node.id, ucIndex, 'name', e.target.value)}
+                    onFocus={beginHistoryGroup}
+                    onBlur={endHistoryGroup}
+                    style={{ height: '32px' }}
+                  />
+                  <button
+                    className="border-0 bg-transparent p-0"
+                    title="Delete constraint"
+                    onClick={() => deleteUniqueConstraint(node.id, ucIndex)}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="20px" fill="#8a8686ff"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg>
+                  </button>
+                </div>
+                <div className="d-flex flex-wrap gap-1">
+                  {node.data.columns.map((col) => {
+                    const isIncluded = uc.columns.includes(col.name);
+                    return (
+                      <button
+                        key={col.name}
+                        className="badge rounded-1 border-0 fw-normal"
+                        style={{
+                          backgroundColor: isIncluded ? themeColor : '#e9ecef',
+                          color: isIncluded ? 'white' : '#6c757d'
+                        }}
+                        onClick={() => toggleConstraintColumn(ucIndex, col.name)}
+                      >
+                        {col.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {indexes.length > 0 && (
+          <div className="p-2 border-top d-flex flex-column gap-2">
+            <span className="small fw-bold text-muted">Indexes</span>
+            {indexes.map((index, indexPosition) => (
+              <div key={indexPosition} className="d-flex flex-column gap-1">
+                <div className="d-flex align-items-center gap-2">
+                  <input
+                    type="text"
+                    className="form-control form-control-sm border-secondary-subtle"
+                    value={index.name}
+                    placeholder="index name"
+                    onChange={(e) => updateIndex(node.id, indexPosition, 'name', e.target.value)}
+                    onFocus={beginHistoryGroup}
+                    onBlur={endHistoryGroup}
+                    style={{ flex: 2, height: '32px' }}
+                  />
+                  <select
+                    className="form-select form-select-sm border-secondary-subtle"
+                    value={index.method || 'btree'}
+                    onChange={(e) => updateIndex(node.id, indexPosition, 'method', e.target.value)}
+                    style={{ flex: 1, height: '32px' }}
+                  >
+                    {INDEX_METHODS.map((method) => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="border-0 fw-bold"
+                    style={{ width: '24px', color: index.unique ? themeColor : '#adb5bd' }}
+                    title="Toggle Unique"
+                    onClick={() => updateIndex(node.id, indexPosition, 'unique', !index.unique)}
+                  >
+                    U
+                  </button>
+                  <button
+                    className="border-0 bg-transparent p-0"
+                    title="Delete index"
+                    onClick={() => deleteIndex(node.id, indexPosition)}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="20px" fill="#8a8686ff"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg>
+                  </button>
+                </div>
+                <div className="d-flex flex-wrap gap-1">
+                  {node.data.columns.map((col) => {
+                    const indexColumn = index.columns.find((c) => c.name === col.name);
+                    return (
+                      <button
+                        key={col.name}
+                        className="badge rounded-1 border-0 fw-normal"
+                        style={{
+                          backgroundColor: indexColumn ? themeColor : '#e9ecef',
+                          color: indexColumn ? 'white' : '#6c757d'
+                        }}
+                        title="Click to cycle ASC / DESC / off"
+                        onClick={() => cycleIndexColumn(indexPosition, col.name)}
+                      >
+                        {col.name}{indexColumn ? (indexColumn.order === 'DESC' ? ' ↓' : ' ↑') : ''}
+                      </button>
+                    );
+                  })}
+                </div>
+                <input
+                  type="text"
+                  className="form-control form-control-sm border-secondary-subtle font-monospace"
+                  value={index.where || ''}
+                  placeholder="WHERE condition (partial index, optional)"
+                  onChange={(e) => updateIndex(node.id, indexPosition, 'where', e.target.value)}
+                  onFocus={beginHistoryGroup}
+                  onBlur={endHistoryGroup}
+                  style={{ height: '32px' }}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="d-flex justify-content-end gap-2 p-2 border-top mt-1">
           
+          <button 
+              className="btn rounded-1  fw-bolder px-2 py-2" 
+              style={{ 
+                  border: '1px solid #adb5bd', 
+                  color: '#6c757d',
+                  fontSize: '0.9rem' 
+              }}
+              onClick={() => addIndex(node.id)}
+          >
+              Add Index
+          </button>
+          
+          <button 
+              className="btn rounded-1  fw-bolder px-2 py-2" 
+              style={{ 
+                  border: '1px solid #adb5bd', 
+                  color: '#6c757d',
+                  fontSize: '0.9rem' 
+              }}
+              onClick={() => addUniqueConstraint(node.id)}
+          >
+              Add Unique
+          </button>
           <button 
               className="btn rounded-1  fw-bolder px-2 py-2" 
               style={{ 
@@ -1,52 +1,153 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import JSZip from 'jszip';
 import CodeBlock from './CodeBlock.jsx';
+import TemplateEditor from './TemplateEditor.jsx';
+import { GENERATORS, findGenerator, generatorFiles } from './registry.js';
+import { templateGenerator, kebabCase, SAMPLE_TEMPLATE } from './templateEngine.js';
+import { useAuthStore } from '../../Store/authStore';
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
-import generateFlaskSQLAlchemy from './generateFlaskSQLAlchemy.js';
-import generateMySQL from './generateMySQL.js';
-import generateMongoose from './generateMongoose.js';
-import generateJava from './generateJava.js';
-import generateCSharp from './generateCSharp.js';
-
-const GENERATORS = {
-    'sqlalchemy': { name: 'Python (SQLAlchemy)', lang: 'python', color: '#3776ab' },
-    'mongoose':   { name: 'MERN (Mongoose)', lang: 'javascript', color: '#68a063' },
-    'java':       { name: 'Java (Spring Boot)', lang: 'java', color: '#b07219' },        
-    'csharp':     { name: 'C# (Entity Framework)', lang: 'csharp', color: '#178600' }, 
-    'mysql':      { name: 'SQL Script', lang: 'sql', color: '#f29111' }
-};
-
-export default function CodeExportModal({ isOpen, onClose, nodes, edges }) {
+export default function CodeExportModal({ isOpen, onClose, nodes, edges, enums }) {
+    const { token } = useAuthStore();
     const [selectedLang, setSelectedLang] = useState('sqlalchemy');
     const [code, setCode] = useState('');
+    // The user's own templates and those other users shared with the instance
+    const [templates, setTemplates] = useState([]);
+    // Draft being edited in place of the preview, or null
+    const [editingTemplate, setEditingTemplate] = useState(null);
+    const generators = useMemo(() => [...GENERATORS, ...templates.map(templateGenerator)], [templates]);
+    const generator = findGenerator(generators, selectedLang) || GENERATORS[0];
+    // Chosen variant (target database or code style) per generator, for the generators that offer one
+    const [variants, setVariants] = useState({});
+    const variantOptions = (generator.variants?.options || [])
+        .map((option) => (typeof option === 'string' ? { value: option, label: option } : option));
+    const variant = variants[generator.id] || variantOptions[0]?.value;
+    const [isZipping, setIsZipping] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !token) return;
+        axios.get(`${API_URL}/api/templates`, { headers: { 'auth-token': token } })
+            .then((res) => {
+                if (res.data.success) setTemplates(res.data.data);
+            })
+            .catch((error) => console.error("Failed to load templates:", error));
+    }, [isOpen, token]);
 
     useEffect(() => {
         if (isOpen && nodes) {
-            const generator = GENERATORS[selectedLang];
-            if (generator) {
-                let generatedCode = '';
-                
-                
-               
-                
-                try {
-                    if(selectedLang === 'sqlalchemy') generatedCode = generateFlaskSQLAlchemy(nodes, edges);
-                    if(selectedLang === 'mongoose') generatedCode = generateMongoose(nodes, edges);
-                    if(selectedLang === 'java') generatedCode = generateJava(nodes, edges);
-                    if(selectedLang === 'csharp') generatedCode = generateCSharp(nodes, edges);
-                    if(selectedLang === 'mysql') generatedCode = generateMySQL(nodes, edges);
-                } catch (error) {
-                    console.error("Generator failed:", error);
-                    generatedCode = `Error generating code: ${error.message}`;
-                }
-
-                setCode(generatedCode || ""); 
+            let generatedCode = '';
+            try {
+                generatedCode = generator.generate(nodes, edges, { enums, variant });
+            } catch (error) {
+                console.error("Generator failed:", error);
+                generatedCode = `Error generating code: ${error.message}`;
             }
+
+            setCode(generatedCode || "");
+        }
+    }, [generator, isOpen, nodes, edges, enums, variant]);
+
+    const handleNewTemplate = () => {
+        setEditingTemplate({
+            name: '',
+            description: '',
+            language: generator.language,
+            scope: 'schema',
+            fileName: 'output.txt',
+            typeMap: generator.typeMap || {},
+            content: SAMPLE_TEMPLATE,
+            sharedWithInstance: false
+        });
+    };
+
+    // Errors propagate to the editor, which shows them next to the form
+    const handleSaveTemplate = async (draft) => {
+        const config = { headers: { 'auth-token': token } };
+        const res = draft._id
+            ? await axios.put(`${API_URL}/api/templates/${draft._id}`, draft, config)
+            : await axios.post(`${API_URL}/api/templates`, draft, config);
+        const saved = res.data.data;
+        setTemplates([saved, ...templates.filter((template) => template._id !== saved._id)]);
+        setSelectedLang(templateGenerator(saved).id);
+        setEditingTemplate(null);
+    };
+
+    const handleDeleteTemplate = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await axios.delete(`${API_URL}/api/templates/${template._id}`, { headers: { 'auth-token': token } });
+            setTemplates(templates.filter((item) => item._id !== template._id));
+            if (selectedLang === templateGenerator(template).id) setSelectedLang('sqlalchemy');
+            setEditingTemplate(null);
+        } catch (error) {
+            console.error("Delete template error:", error);
+            alert(`Failed to delete the template: ${error.response?.data?.error || error.message}`);
         }
-    }, [selectedLang, isOpen, nodes, edges]);
+    };
+
+    const handleDownloadZip = async () => {
+        setIsZipping(true);
+        try {
+            const zip = new JSZip();
+            generatorFiles(generator, nodes, edges, { enums, variant }).forEach((file) => zip.file(file.path, file.content));
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${generator.template ? kebabCase(generator.label) || 'template' : generator.id}-export.zip`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("ZIP export failed:", error);
+            alert(`Failed to build the ZIP: ${error.message}`);
+        } finally {
+            setIsZipping(false);
+        }
+    };
 
     if (!isOpen) return null;
 
+    // One entry in the sidebar; templates the user owns get an edit button
+    const renderGenerator = (item) => {
+        const isActive = selectedLang === item.id;
+        return (
+            <div key={item.id} className="d-flex align-items-center mb-1">
+                <button
+                    onClick={() => { setSelectedLang(item.id); setEditingTemplate(null); }}
+                    className="list-group-item list-group-item-action d-flex align-items-center gap-3 border-0 py-2 px-3 transition-all"
+                    style={{
+                        borderRadius: '8px',
+                        backgroundColor: isActive ? '#ffffff' : 'transparent',
+                        boxShadow: isActive ? '0 2px 5px rgba(0,0,0,0.04)' : 'none',
+                        color: isActive ? '#000' : '#6c757d',
+                        fontWeight: isActive ? '600' : '400',
+                        cursor: 'pointer'
+                    }}
+                    title={item.template?.description || undefined}
+                >
+                    <div className="flex-shrink-0" style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: isActive ? item.color : '#dee2e6' }}></div>
+                    <span className="text-truncate" style={{ fontSize: '14px' }}>{item.label}</span>
+                    {item.template && !item.template.isOwner && (
+                        <span className="ms-auto small text-muted text-truncate" title={`Shared by ${item.template.author}`}>
+                            <i className="bi bi-people"></i>
+                        </span>
+                    )}
+                </button>
+                {item.template?.isOwner && (
+                    <button
+                        onClick={() => { setSelectedLang(item.id); setEditingTemplate(item.template); }}
+                        className="btn btn-sm btn-link text-secondary px-2"
+                        title="Edit template"
+                    >
+                        <i className={item.template.sharedWithInstance ? 'bi bi-pencil-square' : 'bi bi-pencil'}></i>
+                    </button>
+                )}
+            </div>
+        );
+    };
+
     return (
         <div className="modal show d-block" style={{ backgroundColor: 'rgba(23, 23, 23, 0.4)', backdropFilter: 'blur(2px)', zIndex: 1050 }}>
             <div className="modal-dialog modal-xl modal-dialog-centered">
@@ -60,30 +161,48 @@ export default function CodeExportModal({ isOpen, onClose, nodes, edges }) {
                         </div>
 
                         <div className="list-group list-group-flush px-3 pt-2 overflow-y-auto">
-                            {Object.keys(GENERATORS).map((key) => {
-                                const isActive = selectedLang === key;
-                                return (
-                                    <button
-                                        key={key}
-                                        onClick={() => setSelectedLang(key)}
-                                        className="list-group-item list-group-item-action d-flex align-items-center gap-3 border-0 mb-1 py-2 px-3 transition-all"
-                                        style={{
-                                            borderRadius: '8px',
-                                            backgroundColor: isActive ? '#ffffff' : 'transparent',
-                                            boxShadow: isActive ? '0 2px 5px rgba(0,0,0,0.04)' : 'none',
-                                            color: isActive ? '#000' : '#6c757d',
-                                            fontWeight: isActive ? '600' : '400',
-                                            cursor: 'pointer'
-                                        }}
-                                    >
-                                        <div style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: isActive ? GENERATORS[key].color : '#dee2e6' }}></div>
-                                        <span style={{ fontSize: '14px' }}>{GENERATORS[key].name}</span>
+                            {GENERATORS.map(renderGenerator)}
+
+                            <div className="d-flex justify-content-between align-items-center px-3 pt-3 pb-1">
+                                <span className="text-muted small fw-semibold text-uppercase" style={{ letterSpacing: '0.5px', fontSize: '11px' }}>Custom Templates</span>
+                                {token && (
+                                    <button onClick={handleNewTemplate} className="btn btn-sm btn-link text-secondary p-0" title="New template">
+                                        <i className="bi bi-plus-lg"></i>
                                     </button>
-                                );
-                            })}
+                                )}
+                            </div>
+                            {!token && <p className="text-muted small px-3 mb-2">Sign in to write and share your own templates.</p>}
+                            {templates.map(templateGenerator).map(renderGenerator)}
+                            {token && templates.length === 0 && <p className="text-muted small px-3 mb-2">No templates yet.</p>}
                         </div>
-                        
+
+                        {variantOptions.length > 0 && (
+                            <div className="px-4 pt-3">
+                                <label htmlFor="export-variant" className="form-label text-muted small mb-1">{generator.variants.label}</label>
+                                <select
+                                    id="export-variant"
+                                    className="form-select form-select-sm"
+                                    value={variant}
+                                    onChange={(e) => setVariants({ ...variants, [generator.id]: e.target.value })}
+                                    style={{ borderRadius: '8px' }}
+                                >
+                                    {variantOptions.map((option) => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         <div className="mt-auto p-3 border-top border-light-subtle">
+                             <button
+                                onClick={handleDownloadZip}
+                                disabled={isZipping || !code || code.startsWith('Error generating code')}
+                                className="btn btn-dark w-100 fw-medium mb-2 d-flex align-items-center justify-content-center gap-2"
+                                style={{ borderRadius: '8px' }}
+                             >
+                                <i className={isZipping ? 'bi bi-hourglass-split' : 'bi bi-file-earmark-zip'}></i>
+                                {isZipping ? 'Packaging...' : 'Download ZIP'}
+                             </button>
                              <button onClick={onClose} className="btn btn-light w-100 text-secondary fw-medium" style={{ borderRadius: '8px', border: '1px solid #dee2e6' }}>
                                 Close
                              </button>
@@ -93,11 +212,24 @@ export default function CodeExportModal({ isOpen, onClose, nodes, edges }) {
                    
                     <div className="flex-grow-1 d-flex flex-column bg-white">
                        
-                        <CodeBlock 
-                            key={selectedLang} 
-                            code={code} 
-                            language={GENERATORS[selectedLang].lang} 
-                        />
+                        {editingTemplate ? (
+                            <TemplateEditor
+                                key={editingTemplate._id || 'new'}
+                                template={editingTemplate}
+                                nodes={nodes}
+                                edges={edges}
+                                enums={enums}
+                                onSave={handleSaveTemplate}
+                                onDelete={handleDeleteTemplate}
+                                onCancel={() => setEditingTemplate(null)}
+                            />
+                        ) : (
+                            <CodeBlock 
+                                key={selectedLang} 
+                                code={code} 
+                                language={generator.language} 
+                            />
+                        )}
                     </div>
 
                 </div>
@@ -0,0 +1,161 @@
+import React, { useState, useMemo } from 'react';
+import CodeBlock from './CodeBlock.jsx';
+import { GENERATORS } from './registry.js';
+import { templateGenerator } from './templateEngine.js';
+
+const LANGUAGES = [...new Set(GENERATORS.map(generator => generator.language)), 'text'];
+
+// A new template starts from the types of the first built-in generator in its language
+const defaultTypeMap = (language) => GENERATORS.find(generator => generator.language === language)?.typeMap || {};
+
+const formatTypeMap = (typeMap) => JSON.stringify(typeMap || {}, null, 2);
+
+export default function TemplateEditor({ template, nodes, edges, enums, onSave, onDelete, onCancel }) {
+    const [draft, setDraft] = useState(template);
+    const [typeMapText, setTypeMapText] = useState(formatTypeMap(template.typeMap));
+    const [typeMapEdited, setTypeMapEdited] = useState(!!template._id);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const update = (changes) => setDraft({ ...draft, ...changes });
+
+    const handleLanguageChange = (language) => {
+        update({ language });
+        if (!typeMapEdited) setTypeMapText(formatTypeMap(defaultTypeMap(language)));
+    };
+
+    // Render errors show in the preview, so the template can be fixed while typing
+    const preview = useMemo(() => {
+        try {
+            const typeMap = JSON.parse(typeMapText || '{}');
+            return templateGenerator({ ...draft, typeMap }).generate(nodes || [], edges || [], { enums });
+        } catch (err) {
+            return `Template error: ${err.message}`;
+        }
+    }, [draft, typeMapText, nodes, edges, enums]);
+
+    const handleSave = async () => {
+        let typeMap;
+        try {
+            typeMap = JSON.parse(typeMapText || '{}');
+        } catch (err) {
+            setError(`Type map is not valid JSON: ${err.message}`);
+            return;
+        }
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave({ ...draft, typeMap });
+        } catch (err) {
+            console.error('Save template error:', err);
+            setError(err.response?.data?.error || err.message || 'Failed to save template');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="d-flex flex-column h-100">
+            <div className="d-flex justify-content-between align-items-center px-4 py-3 border-bottom border-light-subtle">
+                <span className="fw-bold text-secondary small text-uppercase" style={{ letterSpacing: '1px' }}>
+                    {draft._id ? 'Edit Template' : 'New Template'}
+                </span>
+                <div className="d-flex gap-2">
+                    {draft._id && (
+                        <button onClick={() => onDelete(draft)} className="btn btn-sm btn-outline-danger" style={{ borderRadius: '6px' }}>
+                            <i className="bi bi-trash"></i> Delete
+                        </button>
+                    )}
+                    <button onClick={onCancel} className="btn btn-sm btn-light border" style={{ borderRadius: '6px' }}>
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving || !draft.name?.trim() || !draft.content?.trim()}
+                        className="btn btn-sm btn-dark"
+                        style={{ borderRadius: '6px' }}
+                    >
+                        <i className={isSaving ? 'bi bi-hourglass-split' : 'bi bi-save'}></i> {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="alert alert-danger small m-3 mb-0 py-2">{error}</div>}
+
+            <div className="row g-2 px-4 pt-3">
+                <div className="col-md-4">
+                    <label htmlFor="template-name" className="form-label text-muted small mb-1">Name</label>
+                    <input id="template-name" className="form-control form-control-sm" value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+                </div>
+                <div className="col-md-2">
+                    <label htmlFor="template-language" className="form-label text-muted small mb-1">Language</label>
+                    <select id="template-language" className="form-select form-select-sm" value={draft.language} onChange={(e) => handleLanguageChange(e.target.value)}>
+                        {LANGUAGES.map(language => <option key={language} value={language}>{language}</option>)}
+                    </select>
+                </div>
+                <div className="col-md-2">
+                    <label htmlFor="template-scope" className="form-label text-muted small mb-1">Output</label>
+                    <select id="template-scope" className="form-select form-select-sm" value={draft.scope} onChange={(e) => update({ scope: e.target.value })}>
+                        <option value="schema">One file</option>
+                        <option value="table">File per table</option>
+                    </select>
+                </div>
+                <div className="col-md-4">
+                    <label htmlFor="template-file" className="form-label text-muted small mb-1">File name</label>
+                    <input
+                        id="template-file"
+                        className="form-control form-control-sm font-monospace"
+                        value={draft.fileName}
+                        placeholder={draft.scope === 'table' ? '{{className}}.ts' : 'output.txt'}
+                        onChange={(e) => update({ fileName: e.target.value })}
+                    />
+                </div>
+                <div className="col-md-9">
+                    <input
+                        className="form-control form-control-sm"
+                        value={draft.description}
+                        placeholder="Description (optional)"
+                        onChange={(e) => update({ description: e.target.value })}
+                    />
+                </div>
+                <div className="col-md-3 d-flex align-items-center">
+                    <div className="form-check m-0">
+                        <input
+                            id="template-shared"
+                            type="checkbox"
+                            className="form-check-input"
+                            checked={draft.sharedWithInstance}
+                            onChange={(e) => update({ sharedWithInstance: e.target.checked })}
+                        />
+                        <label htmlFor="template-shared" className="form-check-label small" title="Every user of this server can see and use it">Share with everyone on this server</label>
+                    </div>
+                </div>
+            </div>
+
+            <div className="d-flex flex-grow-1 gap-3 px-4 py-3" style={{ minHeight: 0 }}>
+                <div className="d-flex flex-column gap-2" style={{ width: '45%' }}>
+                    <textarea
+                        className="form-control font-monospace flex-grow-1"
+                        style={{ fontSize: '13px', resize: 'none' }}
+                        value={draft.content}
+                        spellCheck={false}
+                        onChange={(e) => update({ content: e.target.value })}
+                    />
+                    <label htmlFor="template-typemap" className="form-label text-muted small mb-0">Type map (column type → output type)</label>
+                    <textarea
+                        id="template-typemap"
+                        className="form-control font-monospace"
+                        rows={5}
+                        style={{ fontSize: '12px' }}
+                        value={typeMapText}
+                        spellCheck={false}
+                        onChange={(e) => { setTypeMapText(e.target.value); setTypeMapEdited(true); }}
+                    />
+                </div>
+                <div className="flex-grow-1 border rounded overflow-hidden" style={{ minWidth: 0 }}>
+                    <CodeBlock code={preview} language={draft.language} />
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,83 @@
+// Column helpers shared by the generate*.js exporters.
+import { INTEGER_TYPES, DEFAULT_EXPRESSION_PATTERN } from '../../../../shared/columnRules.mjs';
+
+export const hasDefault = (col) =>
+    col.defaultValue !== undefined && col.defaultValue !== null && String(col.defaultValue).trim() !== '';
+
+export const isDefaultExpression = (value) => DEFAULT_EXPRESSION_PATTERN.test(String(value).trim());
+
+/**
+ * Whether the database generates the column's value.
+ * Columns saved before isAutoIncrement existed keep the old rule: a lone integer primary key.
+ */
+export function isAutoIncrement(col, isCompositeKey = false) {
+    if (col.isAutoIncrement !== undefined) return col.isAutoIncrement;
+    return col.isPK && !isCompositeKey && INTEGER_TYPES.includes(col.type);
+}
+
+/** The column type with its VARCHAR length or DECIMAL precision/scale, e.g. DECIMAL(10, 2) */
+export function sqlTypeWithSize(col) {
+    if (col.type === 'VARCHAR' && col.length) return `VARCHAR(${col.length})`;
+    if (col.type === 'DECIMAL' && col.precision) {
+        return col.scale !== undefined && col.scale !== ''
+            ? `DECIMAL(${col.precision}, ${col.scale})`
+            : `DECIMAL(${col.precision})`;
+    }
+    return col.type;
+}
+
+/** The default as it should appear after DEFAULT in DDL, or null when the column has none */
+export function sqlDefault(col) {
+    if (!hasDefault(col)) return null;
+    const value = String(col.defaultValue).trim();
+    return isDefaultExpression(value) ? value : `'${value.replace(/'/g, "''")}'`;
+}
+
+/** The project enum a column's type refers to, if any */
+export const findEnum = (enums = [], type) => enums.find((item) => item.name === type);
+
+/** Enum values that are usable in generated code, in their defined order */
+export const enumValues = (enumDef) => enumDef.values.filter((value) => value !== '');
+
+/** A value turned into a legal identifier for languages whose enum members must be names */
+export const enumMemberName = (value) => {
+    const name = value.replace(/\W+/g, '_');
+    return /^\d/.test(name) ? `_${name}` : name;
+};
+
+/** An enum name in PascalCase, for languages that declare enums as types */
+export const enumTypeName = (name) =>
+    name.split(/[^A-Za-z0-9]+/).filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+const words = (value) => String(value ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+// Word boundaries are punctuation, spaces and lower-to-upper case changes: order items, order_items and orderItems are alike
+export const pascalCase = (value) => words(value).map(capitalize).join('');
+export const camelCase = (value) => pascalCase(value).replace(/^[A-Z]/, (first) => first.toLowerCase());
+export const snakeCase = (value) => words(value).map(word => word.toLowerCase()).join('_');
+export const kebabCase = (value) => words(value).map(word => word.toLowerCase()).join('-');
+
+/** A table's class or model name, e.g. order items -> OrderItems */
+export const classNameOf = (node) => {
+    const name = pascalCase(node.data.label) || 'Table';
+    return /^\d/.test(name) ? `_${name}` : name;
+};
+
+/** A table's label as a lowercase identifier for modules, variables and fields, e.g. Order Items -> order_items */
+export const identifierOf = (node) => {
+    const name = node.data.label.trim().toLowerCase().replace(/\W+/g, '_') || 'table';
+    return /^\d/.test(name) ? `_${name}` : name;
+};
+
+// JavaScript and Python escape the same characters in single-quoted strings
+const singleQuoted = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+
+/** A JavaScript or TypeScript string literal */
+export const jsString = singleQuoted;
+
+/** A Python string literal */
+export const pythonString = singleQuoted;
@@ -1,4 +1,8 @@
-const CSHARP_TYPE_MAP = {
+import { isAutoIncrement, sqlDefault, findEnum, enumValues, enumMemberName, enumTypeName, classNameOf } from './columnUtils';
+import { describeRelations } from './relationUtils';
+import { checkConstraintName } from '../../../../shared/ddlEmitter.mjs';
+
+export const CSHARP_TYPE_MAP = {
     'INT': 'int',
     'BIGINT': 'long',
     'VARCHAR': 'string',
@@ -6,58 +10,203 @@ const CSHARP_TYPE_MAP = {
     'DATE': 'DateTime',
     'DATETIME': 'DateTime',
     'BOOLEAN': 'bool',
-    'FLOAT': 'double'
+    'FLOAT': 'double',
+    'DECIMAL': 'decimal'
+};
+
+const UNSIGNED_TYPE_MAP = {
+    'int': 'uint',
+    'long': 'ulong'
+};
+
+// EF Core has no SET DEFAULT; it is left to the database
+const DELETE_BEHAVIORS = {
+    'CASCADE': 'DeleteBehavior.Cascade',
+    'SET NULL': 'DeleteBehavior.SetNull',
+    'RESTRICT': 'DeleteBehavior.Restrict',
+    'NO ACTION': 'DeleteBehavior.NoAction'
+};
+
+const csharpString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** A relation name as a C# property name, e.g. author_posts -> AuthorPosts */
+const propertyName = (name) => name.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+/** A lambda selecting one or more properties, as HasKey and HasIndex take them */
+const selector = (names) => (names.length === 1 ? `e => e.${names[0]}` : `e => new { ${names.map(name => `e.${name}`).join(', ')} }`);
+
+const clrType = (col, enums) => {
+    const enumDef = findEnum(enums, col.type);
+    const baseType = enumDef ? enumTypeName(enumDef.name) : (CSHARP_TYPE_MAP[col.type] || 'string');
+    return col.isUnsigned ? (UNSIGNED_TYPE_MAP[baseType] || baseType) : baseType;
 };
 
-export default function generateCSharp(nodes, edges) {
-    let code = `using System;\nusing System.Collections.Generic;\nusing System.ComponentModel.DataAnnotations;\nusing System.ComponentModel.DataAnnotations.Schema;\n\n`;
+const usingDirectives = (usings) => (usings.length > 0 ? `${usings.map(using => `using ${using};\n`).join('')}\n` : '');
 
+function entityFile(node, { enums, relations }) {
+    const className = classNameOf(node);
+    let code = usingDirectives(['System', 'System.Collections.Generic']);
     code += `namespace MyApp.Models\n{\n`;
+    code += `    public class ${className}\n    {\n`;
 
-    nodes.forEach(node => {
-        const className = node.data.label.charAt(0).toUpperCase() + node.data.label.slice(1);
-        
-        code += `    [Table("${node.data.label.toLowerCase()}")]\n`;
-        code += `    public class ${className}\n    {\n`;
-
-        node.data.columns.forEach(col => {
-            const edge = edges.find(e => 
-                e.source === node.id && 
-                e.sourceHandle && 
-                e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
-            );
-
-            if (edge) {
-               
-                const targetNode = nodes.find(n => n.id === edge.target);
-                if(targetNode){
-                    const targetClass = targetNode.data.label.charAt(0).toUpperCase() + targetNode.data.label.slice(1);
-                    
-                    code += `        [ForeignKey("${targetClass}")]\n`;
-                    code += `        public int ${col.name} { get; set; }\n`;
-                    code += `        public virtual ${targetClass} ${targetClass} { get; set; }\n`;
-                }
-            } else {
-                if (col.isPK) {
-                    code += `        [Key]\n`;
-                    code += `        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]\n`;
-                }
-                if (!col.isNullable && !col.isPK) {
-                    code += `        [Required]\n`;
-                }
-
-                const csType = CSHARP_TYPE_MAP[col.type] || 'string';
-                
-                const typeString = (col.isNullable && csType !== 'string') ? `${csType}?` : csType;
-                
-                code += `        public ${typeString} ${col.name} { get; set; }\n`;
-            }
-            code += `\n`;
+    node.data.columns.forEach(col => {
+        const csType = clrType(col, enums);
+        if (col.comment) code += `        /// <summary>${col.comment.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</summary>\n`;
+        if (csType === 'string') {
+            code += col.isNullable && !col.isPK
+                ? `        public string? ${col.name} { get; set; }\n`
+                : `        public string ${col.name} { get; set; } = null!;\n`;
+        } else {
+            code += `        public ${csType}${col.isNullable && !col.isPK ? '?' : ''} ${col.name} { get; set; }\n`;
+        }
+    });
+
+    const navigations = [];
+    relations.forEach(({ source, target, column, isOneToOne, forwardName, inverseName }) => {
+        if (source.id === node.id) {
+            const optional = column.isNullable && !column.isPK;
+            navigations.push(`        public virtual ${classNameOf(target)}${optional ? '? ' : ' '}${propertyName(forwardName)} { get; set; }${optional ? '' : ' = null!;'}\n`);
+        }
+        if (target.id === node.id) {
+            navigations.push(isOneToOne
+                ? `        public virtual ${classNameOf(source)}? ${propertyName(inverseName)} { get; set; }\n`
+                : `        public virtual ICollection<${classNameOf(source)}> ${propertyName(inverseName)} { get; set; } = new List<${classNameOf(source)}>();\n`);
+        }
+    });
+    if (navigations.length > 0) code += `\n${navigations.join('')}`;
+
+    code += `    }\n}\n`;
+    return { path: `Models/${className}.cs`, content: code };
+}
+
+// Fluent configuration of one entity, as the body of modelBuilder.Entity<T>(entity => { ... })
+function entityConfiguration(node, { enums, relations }) {
+    const lines = [];
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    const isCompositeKey = pkColumns.length > 1;
+    const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+    lines.push(pkColumns.length > 0 ? `entity.HasKey(${selector(pkColumns.map(col => col.name))});` : `entity.HasNoKey();`);
+
+    const checks = node.data.columns.filter(col => col.check);
+    if (checks.length > 0) {
+        lines.push(`entity.ToTable(${csharpString(node.data.label)}, t =>\n{`);
+        checks.forEach(col => {
+            lines.push(`    t.HasCheckConstraint(${csharpString(checkConstraintName(node.data.label, col.name))}, ${csharpString(col.check)});`);
         });
+        lines.push(`});`);
+    } else {
+        lines.push(`entity.ToTable(${csharpString(node.data.label)});`);
+    }
+
+    node.data.columns.forEach(col => {
+        const calls = [];
+        const csType = clrType(col, enums);
+        // A key that is also a foreign key takes its value from the referenced row
+        const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+        if (generated) calls.push('ValueGeneratedOnAdd()');
+        else if (col.isPK && ['int', 'long', 'uint', 'ulong'].includes(csType)) calls.push('ValueGeneratedNever()');
+        if (csType === 'string' && !col.isNullable && !col.isPK) calls.push('IsRequired()');
+        if (col.type === 'VARCHAR' && col.length) calls.push(`HasMaxLength(${col.length})`);
+        if (col.type === 'DECIMAL' && col.precision) {
+            calls.push(`HasPrecision(${col.precision}${col.scale !== undefined && col.scale !== '' ? `, ${col.scale}` : ''})`);
+        }
+        if (findEnum(enums, col.type)) calls.push('HasConversion<string>()');
+        const defaultValue = sqlDefault(col);
+        if (defaultValue) calls.push(`HasDefaultValueSql(${csharpString(defaultValue)})`);
+        if (col.comment) calls.push(`HasComment(${csharpString(col.comment)})`);
+        if (calls.length === 0) return;
+        lines.push(`entity.Property(e => e.${col.name})${calls.map(call => `\n    .${call}`).join('')};`);
+    });
+
+    node.data.columns.filter(col => col.isUnique && !col.isPK).forEach(col => {
+        lines.push(`entity.HasIndex(e => e.${col.name}).IsUnique();`);
+    });
+    (node.data.uniqueConstraints || []).forEach(uc => {
+        if (uc.columns.length === 0) return;
+        lines.push(`entity.HasIndex(${selector(uc.columns)}, ${csharpString(uc.name)}).IsUnique();`);
+    });
+    (node.data.indexes || []).forEach(index => {
+        if (index.columns.length === 0) return;
+        const calls = [];
+        if (index.unique) calls.push('IsUnique()');
+        if (index.columns.some(col => col.order === 'DESC')) calls.push(`IsDescending(${index.columns.map(col => col.order === 'DESC').join(', ')})`);
+        if (index.where) calls.push(`HasFilter(${csharpString(index.where)})`);
+        // HasMethod comes from the Npgsql provider
+        if (index.method && index.method !== 'btree') calls.push(`HasMethod(${csharpString(index.method)})`);
+        lines.push(`entity.HasIndex(${selector(index.columns.map(col => col.name))}, ${csharpString(index.name)})${calls.map(call => `\n    .${call}`).join('')};`);
+    });
 
-        code += `    }\n\n`;
+    // Relationships are configured from the dependent (foreign key) side
+    relations.filter(relation => relation.source.id === node.id).forEach(({ edge, target, column, targetColumn, isOneToOne, forwardName, inverseName }) => {
+        const className = classNameOf(node);
+        const calls = [
+            `HasOne(d => d.${propertyName(forwardName)})`,
+            isOneToOne ? `WithOne(p => p.${propertyName(inverseName)})` : `WithMany(p => p.${propertyName(inverseName)})`,
+            isOneToOne ? `HasForeignKey<${className}>(d => d.${column.name})` : `HasForeignKey(d => d.${column.name})`
+        ];
+        const targetKey = target.data.columns.filter(col => col.isPK);
+        if (!(targetKey.length === 1 && targetKey[0].name === targetColumn)) {
+            calls.push(isOneToOne ? `HasPrincipalKey<${classNameOf(target)}>(p => p.${targetColumn})` : `HasPrincipalKey(p => p.${targetColumn})`);
+        }
+        // Unspecified actions match the SQL script, which leaves ON DELETE at NO ACTION
+        const onDelete = edge.data?.onDelete || 'NO ACTION';
+        if (DELETE_BEHAVIORS[onDelete]) calls.push(`OnDelete(${DELETE_BEHAVIORS[onDelete]})`);
+        if (edge.data?.onUpdate && edge.data.onUpdate !== 'NO ACTION') {
+            lines.push(`// ON UPDATE ${edge.data.onUpdate} has no EF Core equivalent; add it in a migration`);
+        }
+        if (!DELETE_BEHAVIORS[onDelete]) lines.push(`// ON DELETE ${onDelete} has no EF Core equivalent; add it in a migration`);
+        lines.push(`entity.${calls[0]}${calls.slice(1).map(call => `\n    .${call}`).join('')};`);
     });
 
-    code += `}\n`;
-    return code;
-}
\ No newline at end of file
+    return lines.join('\n');
+}
+
+function dbContextFile(nodes, options) {
+    let code = usingDirectives(['Microsoft.EntityFrameworkCore', 'MyApp.Models']);
+    code += `namespace MyApp.Data\n{\n`;
+    code += `    public class AppDbContext : DbContext\n    {\n`;
+    code += `        public AppDbContext(DbContextOptions<AppDbContext> options)\n            : base(options)\n        {\n        }\n\n`;
+    nodes.forEach(node => {
+        code += `        public virtual DbSet<${classNameOf(node)}> ${classNameOf(node)} { get; set; }\n`;
+    });
+    code += `\n        protected override void OnModelCreating(ModelBuilder modelBuilder)\n        {\n`;
+    code += nodes.map(node => {
+        const body = entityConfiguration(node, options).split('\n').map(line => `                ${line}`).join('\n');
+        return `            modelBuilder.Entity<${classNameOf(node)}>(entity =>\n            {\n${body}\n            });\n`;
+    }).join('\n');
+    code += `        }\n    }\n}\n`;
+    return { path: 'Data/AppDbContext.cs', content: code };
+}
+
+/**
+ * The EF Core project files: enums, one class per entity and the DbContext.
+ * @returns {Array<{ path, content }>}
+ */
+export function csharpFiles(nodes, edges, { enums = [] } = {}) {
+    const relations = describeRelations(nodes, edges);
+    const files = [];
+
+    if (enums.length > 0) {
+        let code = '';
+        code += `namespace MyApp.Models\n{\n`;
+        code += enums.map(enumDef => {
+            const members = enumValues(enumDef).map(value => `        ${enumMemberName(value)}`).join(',\n');
+            return `    public enum ${enumTypeName(enumDef.name)}\n    {\n${members}\n    }\n`;
+        }).join('\n');
+        code += `}\n`;
+        files.push({ path: 'Models/Enums.cs', content: code });
+    }
+
+    nodes.forEach(node => files.push(entityFile(node, { enums, relations })));
+    files.push(dbContextFile(nodes, { enums, relations }));
+
+    return files;
+}
+
+// The preview keeps every file, each under a comment naming its path
+export default function generateCSharp(nodes, edges, options = {}) {
+    return csharpFiles(nodes, edges, options)
+        .map(file => `// ${file.path}\n${file.content}`)
+        .join('\n');
+}
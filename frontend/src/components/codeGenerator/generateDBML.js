@@ -0,0 +1,137 @@
+import { isAutoIncrement, sqlDefault, findEnum, enumValues } from './columnUtils';
+import { handleColumn } from './relationUtils';
+
+export const DBML_TYPE_MAP = {
+    'INT': 'int',
+    'BIGINT': 'bigint',
+    'VARCHAR': 'varchar',
+    'TEXT': 'text',
+    'DATE': 'date',
+    'DATETIME': 'datetime',
+    'BOOLEAN': 'boolean',
+    'FLOAT': 'float',
+    'DECIMAL': 'decimal'
+};
+
+// DBML names are bare words unless they hold anything else
+const dbmlName = (name) => (/^\w+$/.test(name) ? name : `"${String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+
+const dbmlString = (value) => {
+    const text = String(value);
+    if (text.includes('\n')) return `'''${text.replace(/'''/g, "\\'''")}'''`;
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+};
+
+const dbmlType = (col, enums) => {
+    if (findEnum(enums, col.type)) return dbmlName(col.type);
+    const type = DBML_TYPE_MAP[col.type] || dbmlName(col.type.toLowerCase());
+    if (col.type === 'VARCHAR' && col.length) return `${type}(${col.length})`;
+    if (col.type === 'DECIMAL' && col.precision) {
+        return col.scale !== undefined && col.scale !== '' ? `${type}(${col.precision}, ${col.scale})` : `${type}(${col.precision})`;
+    }
+    return type;
+};
+
+// Quoted SQL strings become DBML strings, keywords and numbers stay bare, anything else is an expression
+const dbmlDefault = (col) => {
+    const value = sqlDefault(col);
+    if (/^'.*'$/s.test(value)) return dbmlString(value.slice(1, -1).replace(/''/g, "'"));
+    if (/^(TRUE|FALSE|NULL)$/i.test(value)) return value.toLowerCase();
+    if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+    return `\`${value}\``;
+};
+
+const settingsList = (settings) => (settings.length > 0 ? ` [${settings.join(', ')}]` : '');
+
+function columnLine(col, { enums, isCompositeKey, isForeignKey }) {
+    const settings = [];
+    if (col.isPK && !isCompositeKey) settings.push('pk');
+    if (col.isAutoIncrement ?? (!isForeignKey && isAutoIncrement(col, isCompositeKey))) settings.push('increment');
+    if (!col.isNullable && !(col.isPK && !isCompositeKey)) settings.push('not null');
+    if (col.isUnique && !col.isPK) settings.push('unique');
+    if (sqlDefault(col)) settings.push(`default: ${dbmlDefault(col)}`);
+    if (col.check) settings.push(`check: \`${col.check}\``);
+    if (col.comment) settings.push(`note: ${dbmlString(col.comment)}`);
+    return `  ${dbmlName(col.name)} ${dbmlType(col, enums)}${settingsList(settings)}`;
+}
+
+const columnList = (names) => (names.length === 1 ? dbmlName(names[0]) : `(${names.map(dbmlName).join(', ')})`);
+
+// DBML indexes have no sort order or partial condition: descending columns are written as
+// expressions ("created_at DESC") and the WHERE clause goes into the index note
+function indexLines(node) {
+    const lines = [];
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    if (pkColumns.length > 1) lines.push(`    ${columnList(pkColumns.map(col => col.name))} [pk]`);
+
+    (node.data.uniqueConstraints || []).forEach(constraint => {
+        const settings = ['unique'];
+        if (constraint.name) settings.push(`name: ${dbmlString(constraint.name)}`);
+        lines.push(`    ${columnList(constraint.columns)}${settingsList(settings)}`);
+    });
+
+    (node.data.indexes || []).forEach(index => {
+        const parts = index.columns.map(col => (col.order === 'DESC' ? `\`${col.name} DESC\`` : dbmlName(col.name)));
+        const settings = [];
+        if (index.unique) settings.push('unique');
+        if (index.name) settings.push(`name: ${dbmlString(index.name)}`);
+        // The type setting tells an index apart from a unique constraint when reading the file back
+        settings.push(`type: ${index.method || 'btree'}`);
+        if (index.where) settings.push(`note: ${dbmlString(`WHERE ${index.where}`)}`);
+        lines.push(`    ${parts.length === 1 ? parts[0] : `(${parts.join(', ')})`}${settingsList(settings)}`);
+    });
+
+    return lines;
+}
+
+function tableBlock(node, edges, enums) {
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    const foreignKeys = new Set(edges.filter(e => e.source === node.id).map(e => handleColumn(e.sourceHandle)));
+    const settings = node.data.color ? [`headercolor: ${node.data.color}`] : [];
+
+    const lines = [`Table ${dbmlName(node.data.label)}${settingsList(settings)} {`];
+    node.data.columns.forEach(col => {
+        lines.push(columnLine(col, { enums, isCompositeKey: pkColumns.length > 1, isForeignKey: foreignKeys.has(col.name) }));
+    });
+
+    const indexes = indexLines(node);
+    if (indexes.length > 0) lines.push('', '  indexes {', ...indexes, '  }');
+    if (node.data.note) lines.push('', `  Note: ${dbmlString(node.data.note)}`);
+    lines.push('}');
+    return lines.join('\n');
+}
+
+function refLine(edge, nodes) {
+    const source = nodes.find(n => n.id === edge.source);
+    const target = nodes.find(n => n.id === edge.target);
+    if (!source || !target) return null;
+
+    // The foreign key side is always on the left: ">" is many-to-one, "-" one-to-one
+    const operator = edge.data?.label === '1:1' ? '-' : '>';
+    const settings = [];
+    if (edge.data?.onDelete && edge.data.onDelete !== 'NO ACTION') settings.push(`delete: ${edge.data.onDelete.toLowerCase()}`);
+    if (edge.data?.onUpdate && edge.data.onUpdate !== 'NO ACTION') settings.push(`update: ${edge.data.onUpdate.toLowerCase()}`);
+
+    const endpoint = (node, handle) => `${dbmlName(node.data.label)}.${dbmlName(handleColumn(handle))}`;
+    return `Ref: ${endpoint(source, edge.sourceHandle)} ${operator} ${endpoint(target, edge.targetHandle)}${settingsList(settings)}`;
+}
+
+/**
+ * Serializes the diagram to DBML (dbdiagram.io): Enum and Table blocks with their indexes and
+ * notes, then one Ref per relationship. Table colors are kept as headercolor so an import restores them.
+ */
+export default function generateDBML(nodes, edges, { enums = [] } = {}) {
+    const blocks = [];
+
+    enums.forEach(enumDef => {
+        const values = enumValues(enumDef).map(value => `  ${dbmlName(value)}`);
+        blocks.push([`Enum ${dbmlName(enumDef.name)} {`, ...values, '}'].join('\n'));
+    });
+
+    nodes.forEach(node => blocks.push(tableBlock(node, edges, enums)));
+
+    const refs = edges.map(edge => refLine(edge, nodes)).filter(Boolean);
+    if (refs.length > 0) blocks.push(refs.join('\n'));
+
+    return `${blocks.join('\n\n')}\n`;
+}
@@ -0,0 +1,268 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues, enumMemberName, enumTypeName, classNameOf, identifierOf, pythonString } from './columnUtils';
+import { findManyToManyJunctions, describeRelations, pluralize } from './relationUtils';
+
+export const DJANGO_FIELD_MAP = {
+    'INT': 'IntegerField',
+    'BIGINT': 'BigIntegerField',
+    'VARCHAR': 'CharField',
+    'TEXT': 'TextField',
+    'DATE': 'DateField',
+    'DATETIME': 'DateTimeField',
+    'BOOLEAN': 'BooleanField',
+    'FLOAT': 'FloatField',
+    'DECIMAL': 'DecimalField'
+};
+
+const AUTO_FIELD_MAP = {
+    'INT': 'AutoField',
+    'BIGINT': 'BigAutoField'
+};
+
+const UNSIGNED_FIELD_MAP = {
+    'INT': 'PositiveIntegerField',
+    'BIGINT': 'PositiveBigIntegerField'
+};
+
+// Django emulates ON DELETE itself; NO ACTION leaves it to the database
+const ON_DELETE_MAP = {
+    'CASCADE': 'models.CASCADE',
+    'SET NULL': 'models.SET_NULL',
+    'SET DEFAULT': 'models.SET_DEFAULT',
+    'RESTRICT': 'models.RESTRICT',
+    'NO ACTION': 'models.DO_NOTHING'
+};
+
+// Index methods that need a class from django.contrib.postgres
+const POSTGRES_INDEXES = {
+    'hash': 'HashIndex',
+    'gin': 'GinIndex',
+    'gist': 'GistIndex',
+    'brin': 'BrinIndex'
+};
+
+const TIMESTAMP_DEFAULTS = /^(now\(\)|CURRENT_TIMESTAMP|CURRENT_DATE)$/i;
+
+const choiceName = (value) => enumMemberName(value).toUpperCase();
+
+// Python literals for plain defaults; database expressions become db_default (Django 5.0+)
+const defaultOption = (col, enumDef, imports) => {
+    const value = String(col.defaultValue).trim();
+    const unquoted = value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    if (enumDef) return `default=${enumTypeName(enumDef.name)}.${choiceName(unquoted)}`;
+    if (/^NULL$/i.test(value)) return null;
+    if (TIMESTAMP_DEFAULTS.test(value)) {
+        imports.add('from django.utils import timezone');
+        return col.type === 'DATE' ? 'default=timezone.localdate' : 'default=timezone.now';
+    }
+    if (/^(TRUE|FALSE)$/i.test(value)) return `default=${value.charAt(0).toUpperCase()}${value.slice(1).toLowerCase()}`;
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        if (col.type === 'DECIMAL') {
+            imports.add('from decimal import Decimal');
+            return `default=Decimal(${pythonString(value)})`;
+        }
+        return ['INT', 'BIGINT', 'FLOAT'].includes(col.type) ? `default=${value}` : `default=${pythonString(value)}`;
+    }
+    if (/^'.*'$/.test(value) || !isDefaultExpression(value)) return `default=${pythonString(unquoted)}`;
+    imports.add('from django.db.models.expressions import RawSQL');
+    return `db_default=RawSQL(${pythonString(value)}, [])`;
+};
+
+const fieldType = (col, generated) => {
+    if (generated && AUTO_FIELD_MAP[col.type]) return AUTO_FIELD_MAP[col.type];
+    if (col.isUnsigned && UNSIGNED_FIELD_MAP[col.type]) return UNSIGNED_FIELD_MAP[col.type];
+    return DJANGO_FIELD_MAP[col.type] || 'CharField';
+};
+
+// Options shared by plain and relation fields
+const commonOptions = (col, { isSoleKey }) => {
+    const options = [];
+    if (col.isNullable && !col.isPK) options.push('null=True', 'blank=True');
+    if (col.isUnique && !col.isPK) options.push('unique=True');
+    if (col.comment) options.push(`db_comment=${pythonString(col.comment)}`);
+    if (isSoleKey) options.unshift('primary_key=True');
+    return options;
+};
+
+// django.contrib.postgres imports are grouped into one line
+const importLines = (imports) => {
+    const postgresIndexes = [...imports].filter(line => line.startsWith('from django.contrib.postgres.indexes'));
+    const otherImports = [...imports].filter(line => !postgresIndexes.includes(line));
+    if (postgresIndexes.length > 0) {
+        otherImports.push(`from django.contrib.postgres.indexes import ${postgresIndexes.map(line => line.split(' import ')[1]).join(', ')}`);
+    }
+    return otherImports.sort().join('\n');
+};
+
+/**
+ * The TextChoices enums and the code of each model, with the imports each model needs.
+ * @returns {{ choices: string, models: Array<{ node, className, code, imports: Set<string>, usedEnums: Array<string> }> }}
+ */
+function buildDjangoModels(nodes, edges, enums) {
+    let choices = '';
+
+    // Enums become TextChoices, with member names usable as Python identifiers
+    enums.forEach(enumDef => {
+        choices += `class ${enumTypeName(enumDef.name)}(models.TextChoices):\n`;
+        const values = enumValues(enumDef);
+        if (values.length === 0) choices += `    pass\n`;
+        values.forEach(value => {
+            choices += `    ${choiceName(value)} = ${pythonString(value)}\n`;
+        });
+        choices += `\n\n`;
+    });
+
+    // Junctions stay models, used as the through table of a ManyToManyField on each side
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges);
+
+    const models = nodes.map(node => {
+        const className = classNameOf(node);
+        const imports = new Set(['from django.db import models']);
+        let body = '';
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const isJunction = junctions.some(junction => junction.node.id === node.id);
+
+        body += `class ${className}(models.Model):\n`;
+
+        // Meta options name fields, and a foreign key's field is named after the relation
+        const fieldNameOf = (columnName) => {
+            const relation = relations.find(item => item.source.id === node.id && item.column.name === columnName);
+            return relation ? relation.forwardName : columnName;
+        };
+
+        // Django 5.2 declares composite keys as a field of their own
+        if (isCompositeKey) {
+            body += `    pk = models.CompositePrimaryKey(${pkColumns.map(col => pythonString(fieldNameOf(col.name))).join(', ')})\n`;
+        }
+
+        node.data.columns.forEach(col => {
+            const enumDef = findEnum(enums, col.type);
+            const relation = relations.find(item => item.source.id === node.id && item.column.name === col.name);
+            const isSoleKey = col.isPK && !isCompositeKey;
+
+            if (relation) {
+                const { edge, target, targetColumn, isOneToOne, forwardName, inverseName } = relation;
+                const targetKey = target.data.columns.find(c => c.name === targetColumn);
+                const options = [
+                    target.id === node.id ? `'self'` : pythonString(classNameOf(target)),
+                    `on_delete=${ON_DELETE_MAP[edge.data?.onDelete] || 'models.DO_NOTHING'}`,
+                    ...commonOptions(col, { isSoleKey }),
+                    // Junction foreign keys are reached through the ManyToManyField instead
+                    `related_name=${isJunction ? `'+'` : pythonString(inverseName)}`
+                ];
+                if (`${forwardName}_id` !== col.name) options.push(`db_column=${pythonString(col.name)}`);
+                if (targetKey && !targetKey.isPK) options.push(`to_field=${pythonString(targetColumn)}`);
+                if (edge.data?.onUpdate && edge.data.onUpdate !== 'NO ACTION') {
+                    body += `    # ON UPDATE ${edge.data.onUpdate} has no Django equivalent; it stays in the database\n`;
+                }
+                body += `    ${forwardName} = models.${isOneToOne ? 'OneToOneField' : 'ForeignKey'}(${options.join(', ')})\n`;
+                return;
+            }
+
+            const generated = isSoleKey && isAutoIncrement(col, isCompositeKey);
+            const options = [];
+            if (enumDef) {
+                const longest = Math.max(1, ...enumValues(enumDef).map(value => value.length));
+                options.push(`max_length=${longest}`, `choices=${enumTypeName(enumDef.name)}.choices`);
+            } else if (col.type === 'VARCHAR') {
+                options.push(`max_length=${col.length || 255}`);
+            } else if (col.type === 'DECIMAL') {
+                options.push(`max_digits=${col.precision || 10}`, `decimal_places=${col.scale || 0}`);
+            }
+            options.push(...commonOptions(col, { isSoleKey }));
+            if (hasDefault(col)) {
+                const option = defaultOption(col, enumDef, imports);
+                if (option) options.push(option);
+            }
+
+            if (col.check) body += `    # CHECK (${col.check}) is enforced by the database; express it as a CheckConstraint to validate in Django\n`;
+            body += `    ${col.name} = models.${enumDef ? 'CharField' : fieldType(col, generated)}(${options.join(', ')})\n`;
+        });
+
+        junctions.forEach(({ node: junction, owner, inverse }) => {
+            if (owner.node.id !== node.id) return;
+            const isSelfReference = owner.node.id === inverse.node.id;
+            const ownerForward = relations.find(item => item.source.id === junction.id && item.column.name === owner.column.name);
+            const inverseForward = relations.find(item => item.source.id === junction.id && item.column.name === inverse.column.name);
+            const options = [
+                isSelfReference ? `'self'` : pythonString(classNameOf(inverse.node)),
+                `through=${pythonString(classNameOf(junction))}`
+            ];
+            if (isSelfReference) {
+                options.push(`through_fields=(${pythonString(ownerForward.forwardName)}, ${pythonString(inverseForward.forwardName)})`, 'symmetrical=False');
+            }
+            const relatedName = isSelfReference
+                ? `related_${pluralize(identifierOf(owner.node))}`
+                : pluralize(identifierOf(owner.node));
+            options.push(`related_name=${pythonString(relatedName)}`);
+            body += `    ${pluralize(identifierOf(inverse.node))} = models.ManyToManyField(${options.join(', ')})\n`;
+        });
+
+        const meta = [`db_table = ${pythonString(node.data.label)}`];
+        const uniqueConstraints = (node.data.uniqueConstraints || []).filter(uc => uc.columns.length > 0);
+        if (uniqueConstraints.length > 0) {
+            meta.push(`unique_together = [${uniqueConstraints.map(uc => `(${uc.columns.map(name => pythonString(fieldNameOf(name))).join(', ')})`).join(', ')}]`);
+        }
+
+        const indexEntries = [];
+        const constraintEntries = [];
+        (node.data.indexes || []).forEach(index => {
+            if (index.columns.length === 0) return;
+            const fields = index.columns.map(col => pythonString(`${col.order === 'DESC' ? '-' : ''}${fieldNameOf(col.name)}`)).join(', ');
+            // A raw WHERE cannot become a Q() object, so partial indexes keep their condition as a note
+            if (index.where) meta.push(`# ${index.name} is partial in the database: WHERE ${index.where}`);
+            if (index.unique) {
+                constraintEntries.push(`models.UniqueConstraint(fields=[${fields}], name=${pythonString(index.name)})`);
+                return;
+            }
+            const indexClass = POSTGRES_INDEXES[index.method];
+            if (indexClass) imports.add(`from django.contrib.postgres.indexes import ${indexClass}`);
+            indexEntries.push(`${indexClass || 'models.Index'}(fields=[${fields}], name=${pythonString(index.name)})`);
+        });
+        if (indexEntries.length > 0) meta.push(`indexes = [\n            ${indexEntries.join(',\n            ')},\n        ]`);
+        if (constraintEntries.length > 0) meta.push(`constraints = [\n            ${constraintEntries.join(',\n            ')},\n        ]`);
+
+        body += `\n    class Meta:\n`;
+        body += meta.map(line => `        ${line}\n`).join('');
+        body += `\n    def __str__(self):\n`;
+        body += `        return str(self.pk)\n\n\n`;
+
+        const usedEnums = enums
+            .map(enumDef => enumTypeName(enumDef.name))
+            .filter(name => new RegExp(`\\b${name}\\.`).test(body));
+        return { node, className, code: body, imports, usedEnums };
+    });
+
+    return { choices, models };
+}
+
+/**
+ * A models/ package: one module per model, enums.py for the choices and an __init__.py
+ * importing every model so Django's app registry finds them.
+ * @returns {Array<{ path, content }>}
+ */
+export function djangoFiles(nodes, edges, { enums = [] } = {}) {
+    const { choices, models } = buildDjangoModels(nodes, edges, enums);
+    const files = [];
+
+    if (choices) files.push({ path: 'models/enums.py', content: `from django.db import models\n\n\n${choices.replace(/\n+$/, '\n')}` });
+    models.forEach(({ node, code, imports, usedEnums }) => {
+        let header = importLines(imports);
+        if (usedEnums.length > 0) header += `\n\nfrom .enums import ${usedEnums.join(', ')}`;
+        files.push({ path: `models/${identifierOf(node)}.py`, content: `${header}\n\n\n${code.replace(/\n+$/, '\n')}` });
+    });
+
+    let init = models.map(({ node, className }) => `from .${identifierOf(node)} import ${className}\n`).join('');
+    init += `\n__all__ = [${models.map(({ className }) => pythonString(className)).join(', ')}]\n`;
+    files.push({ path: 'models/__init__.py', content: init });
+    return files;
+}
+
+export default function generateDjango(nodes, edges, { enums = [] } = {}) {
+    const { choices, models } = buildDjangoModels(nodes, edges, enums);
+    const imports = new Set(models.flatMap(model => [...model.imports]));
+    if (imports.size === 0) imports.add('from django.db import models');
+    const body = choices + models.map(model => model.code).join('');
+    return `${importLines(imports)}\n\n\n${body.replace(/\n+$/, '\n')}`;
+}
@@ -0,0 +1,239 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues } from './columnUtils';
+import { describeRelations } from './relationUtils';
+import { tsString } from './typeScriptUtils';
+import { checkConstraintName } from '../../../../shared/ddlEmitter.mjs';
+
+export const DRIZZLE_DIALECTS = ['postgresql', 'mysql', 'sqlite'];
+
+const DIALECT_MODULES = {
+    postgresql: { core: 'drizzle-orm/pg-core', table: 'pgTable', anyColumn: 'AnyPgColumn' },
+    mysql: { core: 'drizzle-orm/mysql-core', table: 'mysqlTable', anyColumn: 'AnyMySqlColumn' },
+    sqlite: { core: 'drizzle-orm/sqlite-core', table: 'sqliteTable', anyColumn: 'AnySQLiteColumn' }
+};
+
+const TIMESTAMP_DEFAULTS = /^(now\(\)|CURRENT_TIMESTAMP)$/i;
+
+// Raw SQL goes through the sql`` tag, which treats backticks and ${ as template syntax
+const sqlTemplate = (value) => `sql\`${String(value).replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\``;
+
+/** A table or enum name as a camelCase variable, e.g. post_tags -> postTags */
+const variableName = (name) => {
+    const camel = name
+        .replace(/[^A-Za-z0-9]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''))
+        .replace(/^[A-Z]/, (first) => first.toLowerCase());
+    return /^\d/.test(camel) ? `_${camel}` : camel;
+};
+
+const enumVariable = (enumDef) => `${variableName(enumDef.name)}Enum`;
+
+// The builder call for a column, e.g. varchar('email', { length: 255 }), and the helpers it needs
+const columnBuilder = (col, { dialect, enumDef, generated }) => {
+    const name = tsString(col.name);
+    const helper = (fn, options) => ({ fn, call: `${fn}(${name}${options ? `, { ${options} }` : ''})` });
+    const decimalOptions = [
+        col.precision ? `precision: ${col.precision}` : null,
+        col.precision && col.scale !== undefined && col.scale !== '' ? `scale: ${col.scale}` : null
+    ].filter(Boolean).join(', ');
+
+    if (dialect === 'postgresql') {
+        if (enumDef) return { fn: null, call: `${enumVariable(enumDef)}(${name})` };
+        switch (col.type) {
+            case 'INT': return generated ? helper('serial') : helper('integer');
+            case 'BIGINT': return helper(generated ? 'bigserial' : 'bigint', `mode: 'number'`);
+            case 'VARCHAR': return helper('varchar', col.length ? `length: ${col.length}` : null);
+            case 'DATE': return helper('date');
+            case 'DATETIME': return helper('timestamp');
+            case 'BOOLEAN': return helper('boolean');
+            case 'FLOAT': return helper('doublePrecision');
+            case 'DECIMAL': return helper('numeric', decimalOptions || null);
+            default: return helper('text');
+        }
+    }
+
+    if (dialect === 'mysql') {
+        if (enumDef) return { fn: 'mysqlEnum', call: `mysqlEnum(${name}, [${enumValues(enumDef).map(tsString).join(', ')}])` };
+        const unsigned = col.isUnsigned ? 'unsigned: true' : null;
+        switch (col.type) {
+            case 'INT': return helper('int', unsigned);
+            case 'BIGINT': return helper('bigint', [`mode: 'number'`, unsigned].filter(Boolean).join(', '));
+            // MySQL needs a length for every VARCHAR
+            case 'VARCHAR': return helper('varchar', `length: ${col.length || 255}`);
+            case 'DATE': return helper('date');
+            case 'DATETIME': return helper('datetime');
+            case 'BOOLEAN': return helper('boolean');
+            case 'FLOAT': return helper('double');
+            case 'DECIMAL': return helper('decimal', decimalOptions || null);
+            default: return helper('text');
+        }
+    }
+
+    // SQLite stores everything as integer, real or text; modes map them back to JS types
+    if (enumDef) return helper('text', `enum: [${enumValues(enumDef).map(tsString).join(', ')}]`);
+    switch (col.type) {
+        case 'INT':
+        case 'BIGINT': return helper('integer');
+        case 'DATETIME': return helper('integer', `mode: 'timestamp'`);
+        case 'BOOLEAN': return helper('integer', `mode: 'boolean'`);
+        case 'FLOAT': return helper('real');
+        case 'DECIMAL': return helper('numeric');
+        default: return helper('text');
+    }
+};
+
+// Literals become values; anything the database evaluates is passed through sql``
+const defaultModifier = (col, dialect) => {
+    const value = String(col.defaultValue).trim();
+    if (/^NULL$/i.test(value)) return null;
+    if (TIMESTAMP_DEFAULTS.test(value)) {
+        if (dialect === 'postgresql') return '.defaultNow()';
+        // SQLite timestamps are stored as unix epochs, so the default has to be one too
+        if (dialect === 'sqlite') return `.default(${sqlTemplate(col.type === 'DATETIME' ? '(unixepoch())' : '(CURRENT_TIMESTAMP)')})`;
+        return `.default(${sqlTemplate('CURRENT_TIMESTAMP')})`;
+    }
+    if (/^(TRUE|FALSE)$/i.test(value)) return `.default(${value.toLowerCase()})`;
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return ['INT', 'BIGINT', 'FLOAT'].includes(col.type) ? `.default(${value})` : `.default(${tsString(value)})`;
+    }
+    if (/^'.*'$/.test(value)) return `.default(${tsString(value.slice(1, -1).replace(/''/g, "'"))})`;
+    return isDefaultExpression(value) ? `.default(${sqlTemplate(value)})` : `.default(${tsString(value)})`;
+};
+
+const referenceOptions = (edge) => {
+    const options = [];
+    if (edge.data?.onDelete) options.push(`onDelete: '${edge.data.onDelete.toLowerCase()}'`);
+    if (edge.data?.onUpdate) options.push(`onUpdate: '${edge.data.onUpdate.toLowerCase()}'`);
+    return options.length > 0 ? `, { ${options.join(', ')} }` : '';
+};
+
+export default function generateDrizzle(nodes, edges, { enums = [], dialect = 'postgresql' } = {}) {
+    const { core, table: tableFn, anyColumn } = DIALECT_MODULES[dialect] || DIALECT_MODULES.postgresql;
+    const coreImports = new Set([tableFn]);
+    let usesSql = false;
+    let body = '';
+
+    const relations = describeRelations(nodes, edges);
+    const tableVariables = new Map(nodes.map(node => [node.id, variableName(node.data.label)]));
+
+    // Postgres enums are standalone types that columns refer to
+    if (dialect === 'postgresql') {
+        enums.forEach(enumDef => {
+            coreImports.add('pgEnum');
+            body += `export const ${enumVariable(enumDef)} = pgEnum(${tsString(enumDef.name)}, [${enumValues(enumDef).map(tsString).join(', ')}]);\n`;
+        });
+        if (enums.length > 0) body += `\n`;
+    }
+
+    nodes.forEach(node => {
+        const tableVar = tableVariables.get(node.id);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const outgoing = relations.filter(relation => relation.source.id === node.id);
+
+        const columnLines = node.data.columns.map(col => {
+            const enumDef = findEnum(enums, col.type);
+            const relation = outgoing.find(item => item.column.name === col.name);
+            // A key that is also a foreign key takes its value from the referenced row
+            const generated = col.isAutoIncrement ?? (!relation && isAutoIncrement(col, isCompositeKey));
+            const builder = columnBuilder(col, { dialect, enumDef, generated });
+            if (builder.fn) coreImports.add(builder.fn);
+
+            let line = builder.call;
+            if (col.isPK && !isCompositeKey) {
+                line += dialect === 'sqlite' && generated ? '.primaryKey({ autoIncrement: true })' : '.primaryKey()';
+            }
+            if (dialect === 'mysql' && generated) line += '.autoincrement()';
+            if (!col.isNullable && !col.isPK) line += '.notNull()';
+            if (col.isUnique && !col.isPK) line += '.unique()';
+            if (hasDefault(col)) {
+                const modifier = defaultModifier(col, dialect);
+                if (modifier) {
+                    line += modifier;
+                    if (modifier.includes('sql`')) usesSql = true;
+                }
+            }
+            if (relation) {
+                const targetVar = tableVariables.get(relation.target.id);
+                // Self-references need an explicit return type to break the type cycle
+                const callback = relation.target.id === node.id ? `(): ${anyColumn} => ${targetVar}.${relation.targetColumn}` : `() => ${targetVar}.${relation.targetColumn}`;
+                if (relation.target.id === node.id) coreImports.add(anyColumn);
+                line += `.references(${callback}${referenceOptions(relation.edge)})`;
+            }
+
+            // Drizzle has no column comments, so they stay in the source
+            const comment = col.comment ? `    // ${col.comment}\n` : '';
+            return `${comment}    ${col.name}: ${line}`;
+        });
+
+        const extras = [];
+        if (isCompositeKey) {
+            coreImports.add('primaryKey');
+            extras.push(`primaryKey({ columns: [${pkColumns.map(col => `table.${col.name}`).join(', ')}] })`);
+        }
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            if (uc.columns.length === 0) return;
+            coreImports.add('unique');
+            extras.push(`unique(${tsString(uc.name)}).on(${uc.columns.map(name => `table.${name}`).join(', ')})`);
+        });
+        (node.data.indexes || []).forEach(index => {
+            if (index.columns.length === 0) return;
+            const fn = index.unique ? 'uniqueIndex' : 'index';
+            coreImports.add(fn);
+            // Only the Postgres builder knows per-column order and index methods
+            const keyParts = index.columns
+                .map(col => (dialect === 'postgresql' && col.order === 'DESC' ? `table.${col.name}.desc()` : `table.${col.name}`))
+                .join(', ');
+            let entry = dialect === 'postgresql' && index.method && index.method !== 'btree'
+                ? `${fn}(${tsString(index.name)}).using(${tsString(index.method)}, ${keyParts})`
+                : `${fn}(${tsString(index.name)}).on(${keyParts})`;
+            if (index.where && dialect !== 'mysql') {
+                entry += `.where(${sqlTemplate(index.where)})`;
+                usesSql = true;
+            }
+            extras.push(entry);
+        });
+        node.data.columns.forEach(col => {
+            if (!col.check) return;
+            coreImports.add('check');
+            usesSql = true;
+            extras.push(`check(${tsString(checkConstraintName(node.data.label, col.name))}, ${sqlTemplate(col.check)})`);
+        });
+
+        body += `export const ${tableVar} = ${tableFn}(${tsString(node.data.label)}, {\n`;
+        body += columnLines.join(',\n');
+        body += extras.length > 0
+            ? `\n}, (table) => [\n    ${extras.join(',\n    ')}\n]);\n\n`
+            : `\n});\n\n`;
+    });
+
+    // relations() helpers power the relational query API; one per table that has any
+    nodes.forEach(node => {
+        const tableVar = tableVariables.get(node.id);
+        const entries = [];
+        relations.forEach(({ source, target, column, targetColumn, isOneToOne, isAmbiguous, forwardName, inverseName }) => {
+            const relationName = isAmbiguous ? `relationName: ${tsString(`${source.data.label}_${column.name}`)}` : null;
+            if (source.id === node.id) {
+                const targetVar = tableVariables.get(target.id);
+                const options = [`fields: [${tableVar}.${column.name}]`, `references: [${targetVar}.${targetColumn}]`, relationName].filter(Boolean);
+                entries.push(`${forwardName}: one(${targetVar}, { ${options.join(', ')} })`);
+            }
+            if (target.id === node.id) {
+                const sourceVar = tableVariables.get(source.id);
+                const options = relationName ? `, { ${relationName} }` : '';
+                entries.push(`${inverseName}: ${isOneToOne ? 'one' : 'many'}(${sourceVar}${options})`);
+            }
+        });
+        if (entries.length === 0) return;
+
+        const helpers = ['one', 'many'].filter(helper => entries.some(entry => entry.includes(`: ${helper}(`)));
+        body += `export const ${tableVar}Relations = relations(${tableVar}, ({ ${helpers.join(', ')} }) => ({\n`;
+        body += `    ${entries.join(',\n    ')}\n`;
+        body += `}));\n\n`;
+    });
+
+    const ormImports = [relations.length > 0 ? 'relations' : null, usesSql ? 'sql' : null].filter(Boolean);
+    let code = `// Drizzle ORM schema (${dialect})\n`;
+    if (ormImports.length > 0) code += `import { ${ormImports.join(', ')} } from 'drizzle-orm';\n`;
+    code += `import { ${[...coreImports].join(', ')} } from '${core}';\n\n`;
+
+    return code + body;
+}
@@ -1,70 +1,375 @@
+import { hasDefault, isDefaultExpression, findEnum, enumValues, enumMemberName, enumTypeName, classNameOf, identifierOf, pythonString } from './columnUtils';
+import { findManyToManyJunctions, isManyToManyJunction, describeRelations, pluralize } from './relationUtils';
+
+export const SQLALCHEMY_FLAVORS = [
+    { value: 'sqlalchemy2', label: 'SQLAlchemy 2.0' },
+    { value: 'flask', label: 'Flask-SQLAlchemy' }
+];
+
 const SQLALCHEMY_TYPE_MAP = {
-    'INT': 'db.Integer',
-    'BIGINT': 'db.BigInteger',
-    'VARCHAR': 'db.String(255)',
-    'TEXT': 'db.Text',
-    'DATE': 'db.Date',
-    'DATETIME': 'db.DateTime',
-    'BOOLEAN': 'db.Boolean',
-    'FLOAT': 'db.Float'
+    'INT': 'Integer',
+    'BIGINT': 'BigInteger',
+    'VARCHAR': 'String(255)',
+    'TEXT': 'Text',
+    'DATE': 'Date',
+    'DATETIME': 'DateTime',
+    'BOOLEAN': 'Boolean',
+    'FLOAT': 'Float',
+    'DECIMAL': 'Numeric'
 };
 
-export default function generateFlaskSQLAlchemy(nodes, edges) {
-    let code = `from flask_sqlalchemy import SQLAlchemy\n\ndb = SQLAlchemy()\n\n`;
-
-    nodes.forEach(node => {
-        const className = node.data.label.charAt(0).toUpperCase() + node.data.label.slice(1);
-        const tableName = node.data.label.toLowerCase();
-
-        code += `class ${className}(db.Model):\n`;
-        code += `    __tablename__ = '${tableName}'\n\n`;
-
-        node.data.columns.forEach((col) => {
-            let colDef = `    ${col.name} = db.Column(${SQLALCHEMY_TYPE_MAP[col.type] || 'db.String(255)'}`;
-
-          
-            const edge = edges.find(e => 
-                e.source === node.id && 
-                e.sourceHandle && 
-                
-                e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
-            );
-
-            if (edge) {
-                const targetNode = nodes.find(n => n.id === edge.target);
-                if (targetNode) {
-                    
-                    const targetCol = edge.targetHandle
-                        .replace(`${targetNode.data.label}-`, '') 
-                        .replace('-left', '')
-                        .replace('-right', '');
-
-                    colDef += `, db.ForeignKey('${targetNode.data.label.toLowerCase()}.${targetCol}')`;
-                }
-            }
-
-            if (col.isPK) {
-                colDef += `, primary_key=True`;
-            }
-            if (!col.isNullable && !col.isPK) {
-                colDef += `, nullable=False`;
-            }
-            colDef += `)\n`;
-            code += colDef;
-        });
+export const PYTHON_TYPE_MAP = {
+    'INT': 'int',
+    'BIGINT': 'int',
+    'VARCHAR': 'str',
+    'TEXT': 'str',
+    'DATE': 'date',
+    'DATETIME': 'datetime',
+    'BOOLEAN': 'bool',
+    'FLOAT': 'float',
+    'DECIMAL': 'Decimal'
+};
+
+// Constraint names Alembic can rely on when it autogenerates migrations
+const NAMING_CONVENTION = {
+    ix: 'ix_%(column_0_label)s',
+    uq: 'uq_%(table_name)s_%(column_0_name)s',
+    ck: 'ck_%(table_name)s_%(constraint_name)s',
+    fk: 'fk_%(table_name)s_%(column_0_name)s_%(referred_table_name)s',
+    pk: 'pk_%(table_name)s'
+};
+
+/** A label as a SQL table name: lowercased, with spaces and punctuation turned into underscores */
+const tableNameOf = (node) => node.data.label.trim().toLowerCase().replace(/\W+/g, '_');
+
+// prefix is 'db.' for Flask-SQLAlchemy, where every type hangs off the db object
+const columnType = (col, enums, prefix) => {
+    const enumDef = findEnum(enums, col.type);
+    if (enumDef) {
+        if (!prefix) return `Enum(${enumTypeName(enumDef.name)}, name=${pythonString(enumDef.name)}, values_callable=lambda members: [member.value for member in members])`;
+        return `db.Enum(${[...enumValues(enumDef).map(pythonString), `name=${pythonString(enumDef.name)}`].join(', ')})`;
+    }
+    if (col.type === 'VARCHAR' && col.length) return `${prefix}String(${col.length})`;
+    if (col.type === 'DECIMAL' && col.precision) {
+        return col.scale !== undefined && col.scale !== ''
+            ? `${prefix}Numeric(${col.precision}, ${col.scale})`
+            : `${prefix}Numeric(${col.precision})`;
+    }
+    return `${prefix}${SQLALCHEMY_TYPE_MAP[col.type] || 'String(255)'}`;
+};
+
+// Plain strings are quoted by SQLAlchemy itself; expressions must go through text()
+const serverDefault = (col, prefix) => {
+    const value = String(col.defaultValue).trim();
+    return isDefaultExpression(value) ? `${prefix}text(${pythonString(value)})` : pythonString(value);
+};
+
+// Everything after the type in Column()/mapped_column(): foreign key, constraints and options
+const columnArguments = (col, { relation, prefix, isModern }) => {
+    const args = [];
+    if (relation) {
+        const foreignKeyOptions = ['onDelete', 'onUpdate']
+            .filter(field => relation.edge.data?.[field] && relation.edge.data[field] !== 'NO ACTION')
+            .map(field => `, ${field.toLowerCase()}=${pythonString(relation.edge.data[field])}`)
+            .join('');
+        args.push(`${prefix}ForeignKey(${pythonString(`${tableNameOf(relation.target)}.${relation.targetColumn}`)}${foreignKeyOptions})`);
+    }
+    // Unsigned has no portable SQLAlchemy type, so it becomes a non-negative check
+    if (col.isUnsigned) args.push(`${prefix}CheckConstraint(${pythonString(`${col.name} >= 0`)})`);
+    if (col.check) args.push(`${prefix}CheckConstraint(${pythonString(col.check)})`);
+    if (col.isPK) args.push('primary_key=True');
+    if (col.isAutoIncrement !== undefined) args.push(`autoincrement=${col.isAutoIncrement ? 'True' : 'False'}`);
+    // mapped_column() reads nullability from Optional[] in the annotation
+    if (!isModern && !col.isNullable && !col.isPK) args.push('nullable=False');
+    if (col.isUnique && !col.isPK) args.push('unique=True');
+    if (hasDefault(col)) args.push(`server_default=${serverDefault(col, prefix)}`);
+    if (col.comment) args.push(`comment=${pythonString(col.comment)}`);
+    return args;
+};
+
+const tableArguments = (node, prefix) => {
+    // Several primary_key=True columns already form a composite key; only UNIQUE and indexes need table args
+    const uniqueConstraints = (node.data.uniqueConstraints || []).filter(uc => uc.columns.length > 0);
+    const indexes = (node.data.indexes || []).filter(index => index.columns.length > 0);
+    if (uniqueConstraints.length === 0 && indexes.length === 0) return '';
 
-       
-        const incomingEdges = edges.filter(e => e.target === node.id);
-        incomingEdges.forEach(edge => {
-            const sourceNode = nodes.find(n => n.id === edge.source);
-            if(sourceNode){
-                 code += `    # Relationship from ${sourceNode.data.label}\n`
-            }
+    let code = `    __table_args__ = (\n`;
+    uniqueConstraints.forEach(uc => {
+        code += `        ${prefix}UniqueConstraint(${uc.columns.map(c => pythonString(c)).join(', ')}, name=${pythonString(uc.name)}),\n`;
+    });
+    indexes.forEach(index => {
+        const args = [pythonString(index.name)];
+        index.columns.forEach(col => {
+            args.push(col.order === 'DESC' ? `${prefix}text(${pythonString(`${col.name} DESC`)})` : pythonString(col.name));
         });
+        if (index.unique) args.push('unique=True');
+        if (index.method && index.method !== 'btree') args.push(`postgresql_using=${pythonString(index.method)}`);
+        if (index.where) args.push(`postgresql_where=${prefix}text(${pythonString(index.where)})`);
+        code += `        ${prefix}Index(${args.join(', ')}),\n`;
+    });
+    code += `    )\n`;
+    return code;
+};
+
+// A repr built from the primary key, or from the first column when there is none
+const reprMethod = (node) => {
+    const className = classNameOf(node);
+    const keyColumns = node.data.columns.filter(col => col.isPK);
+    const shown = keyColumns.length > 0 ? keyColumns : node.data.columns.slice(0, 1);
+    const fields = shown.map(col => `${col.name}={self.${col.name}!r}`).join(' ');
+    let code = `\n    def __repr__(self):\n`;
+    code += `        return f'<${className}${fields ? ` ${fields}` : ''}>'\n`;
+    return code;
+};
+
+/**
+ * Relationship attributes for one model: both ends of every foreign key, plus many-to-many
+ * collections through pure junction tables.
+ * @returns {Array<{ name, target, collection, optional, args }>}
+ */
+const relationshipsOf = (node, relations, junctions) => {
+    const items = [];
+    relations.forEach(({ source, target, column, targetColumn, isOneToOne, isAmbiguous, forwardName, inverseName }) => {
+        const foreignKeys = `foreign_keys=${pythonString(`${classNameOf(source)}.${column.name}`)}`;
+        if (source.id === node.id) {
+            const args = [`back_populates=${pythonString(inverseName)}`];
+            if (isAmbiguous) args.push(foreignKeys);
+            // Self-references need to know which end is the parent row
+            if (source.id === target.id) args.push(`remote_side=${pythonString(`${classNameOf(target)}.${targetColumn}`)}`);
+            items.push({ name: forwardName, target: classNameOf(target), collection: false, optional: column.isNullable, args });
+        }
+        if (target.id === node.id) {
+            const args = [`back_populates=${pythonString(forwardName)}`];
+            if (isAmbiguous) args.push(foreignKeys);
+            if (isOneToOne) args.push('uselist=False');
+            items.push({ name: inverseName, target: classNameOf(source), collection: !isOneToOne, optional: isOneToOne, args });
+        }
+    });
+
+    junctions.forEach(({ node: junction, owner, inverse }) => {
+        const ownerAttr = pluralize(identifierOf(inverse.node));
+        const inverseAttr = owner.node.id === inverse.node.id ? `related_${ownerAttr}` : pluralize(identifierOf(owner.node));
+        const secondary = tableNameOf(junction);
+        const selfJoins = owner.node.id === inverse.node.id
+            ? (first, second) => [
+                `primaryjoin=${pythonString(`${classNameOf(owner.node)}.${owner.targetColumn} == ${secondary}.c.${first.column.name}`)}`,
+                `secondaryjoin=${pythonString(`${classNameOf(owner.node)}.${owner.targetColumn} == ${secondary}.c.${second.column.name}`)}`
+            ]
+            : () => [];
 
-        code += `\n    def __repr__(self):\n`;
-        code += `        return f'<${className} {self.id}>'\n\n`;
+        if (owner.node.id === node.id) {
+            items.push({ name: ownerAttr, target: classNameOf(inverse.node), collection: true, optional: false, args: [`secondary=${secondary}`, ...selfJoins(owner, inverse), `back_populates=${pythonString(inverseAttr)}`] });
+        }
+        if (inverse.node.id === node.id) {
+            items.push({ name: inverseAttr, target: classNameOf(owner.node), collection: true, optional: false, args: [`secondary=${secondary}`, ...selfJoins(inverse, owner), `back_populates=${pythonString(ownerAttr)}`] });
+        }
     });
 
+    return items;
+};
+
+const associationTable = (junction, owner, inverse, enums, { prefix, metadata }) => {
+    const tableName = tableNameOf(junction);
+    let code = `${tableName} = ${prefix}Table(\n`;
+    code += `    ${pythonString(tableName)},\n`;
+    // Flask-SQLAlchemy's db.Table supplies the metadata itself
+    if (metadata) code += `    ${metadata},\n`;
+    [owner, inverse].forEach(side => {
+        const reference = `${tableNameOf(side.node)}.${side.targetColumn}`;
+        code += `    ${prefix}Column(${pythonString(side.column.name)}, ${columnType(side.column, enums, prefix)}, ${prefix}ForeignKey(${pythonString(reference)}), primary_key=True),\n`;
+    });
+    code += `)\n\n`;
     return code;
-}
\ No newline at end of file
+};
+
+/**
+ * The pieces of the Flask-SQLAlchemy output: the db object, association tables and one class per model.
+ * Every piece ends in a blank line, so joining them in order gives the single-file version.
+ */
+function buildFlask(nodes, edges, enums) {
+    const setup = `from flask_sqlalchemy import SQLAlchemy\n\ndb = SQLAlchemy()\n\n`;
+
+    // Pure junction tables become association tables used as relationship(secondary=...)
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const associations = junctions.map(({ node: junction, owner, inverse }) => ({
+        name: tableNameOf(junction),
+        code: associationTable(junction, owner, inverse, enums, { prefix: 'db.', metadata: null })
+    }));
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    const models = nodes.filter(node => !isManyToManyJunction(junctions, node.id)).map(node => {
+        let code = `class ${classNameOf(node)}(db.Model):\n`;
+        code += `    __tablename__ = ${pythonString(tableNameOf(node))}\n`;
+        code += tableArguments(node, 'db.');
+        code += `\n`;
+
+        node.data.columns.forEach(col => {
+            const relation = relations.find(item => item.source.id === node.id && item.column.name === col.name);
+            const args = [columnType(col, enums, 'db.'), ...columnArguments(col, { relation, prefix: 'db.', isModern: false })];
+            code += `    ${col.name} = db.Column(${args.join(', ')})\n`;
+        });
+
+        const relationships = relationshipsOf(node, relations, junctions);
+        if (relationships.length > 0) code += `\n`;
+        relationships.forEach(item => {
+            code += `    ${item.name} = db.relationship(${[pythonString(item.target), ...item.args].join(', ')})\n`;
+        });
+
+        code += reprMethod(node);
+        code += `\n`;
+        return { node, code };
+    });
+
+    return { setup, enumClasses: '', associations, models };
+}
+
+/**
+ * The pieces of the SQLAlchemy 2.0 output, as buildFlask returns them; imports come from
+ * declarativeImports so each piece can also stand in a module of its own.
+ */
+function buildDeclarative(nodes, edges, enums) {
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    let setup = `class Base(DeclarativeBase):\n`;
+    setup += `    # Point Alembic at Base.metadata; the naming convention keeps autogenerated constraint names stable\n`;
+    setup += `    metadata = MetaData(naming_convention={\n`;
+    setup += Object.entries(NAMING_CONVENTION).map(([key, value]) => `        ${pythonString(key)}: ${pythonString(value)},\n`).join('');
+    setup += `    })\n\n\n`;
+
+    let enumClasses = '';
+    enums.forEach(enumDef => {
+        enumClasses += `class ${enumTypeName(enumDef.name)}(enum.Enum):\n`;
+        const values = enumValues(enumDef);
+        if (values.length === 0) enumClasses += `    pass\n`;
+        values.forEach(value => {
+            enumClasses += `    ${enumMemberName(value)} = ${pythonString(value)}\n`;
+        });
+        enumClasses += `\n\n`;
+    });
+
+    const associations = junctions.map(({ node: junction, owner, inverse }) => ({
+        name: tableNameOf(junction),
+        code: `${associationTable(junction, owner, inverse, enums, { prefix: '', metadata: 'Base.metadata' })}\n`
+    }));
+
+    const models = nodes.filter(node => !isManyToManyJunction(junctions, node.id)).map(node => {
+        let code = `class ${classNameOf(node)}(Base):\n`;
+        code += `    __tablename__ = ${pythonString(tableNameOf(node))}\n`;
+        code += tableArguments(node, '');
+        code += `\n`;
+
+        node.data.columns.forEach(col => {
+            const enumDef = findEnum(enums, col.type);
+            const relation = relations.find(item => item.source.id === node.id && item.column.name === col.name);
+            const pythonType = enumDef ? enumTypeName(enumDef.name) : PYTHON_TYPE_MAP[col.type] || 'str';
+            const annotation = col.isNullable && !col.isPK ? `Optional[${pythonType}]` : pythonType;
+            const args = [columnType(col, enums, ''), ...columnArguments(col, { relation, prefix: '', isModern: true })];
+            code += `    ${col.name}: Mapped[${annotation}] = mapped_column(${args.join(', ')})\n`;
+        });
+
+        const relationships = relationshipsOf(node, relations, junctions);
+        if (relationships.length > 0) code += `\n`;
+        relationships.forEach(item => {
+            let annotation = pythonString(item.target);
+            if (item.collection) annotation = `List[${annotation}]`;
+            else if (item.optional) annotation = `Optional[${annotation}]`;
+            code += `    ${item.name}: Mapped[${annotation}] = relationship(${item.args.join(', ')})\n`;
+        });
+
+        code += reprMethod(node);
+        code += `\n\n`;
+        return { node, code };
+    });
+
+    return { setup, enumClasses, associations, models };
+}
+
+const SQLALCHEMY_NAMES = [
+    'BigInteger', 'Boolean', 'CheckConstraint', 'Column', 'Date', 'DateTime', 'Enum', 'Float', 'ForeignKey',
+    'Index', 'Integer', 'MetaData', 'Numeric', 'String', 'Table', 'Text', 'UniqueConstraint', 'text'
+];
+
+// Only import what the code uses; string literals are blanked so quoted names don't count
+const declarativeImports = (code) => {
+    const bare = code.replace(/'(?:[^'\\]|\\.)*'/g, "''");
+    const annotations = [...bare.matchAll(/Mapped\[(?:Optional\[)?(\w+)\]/g)].map(match => match[1]);
+    const typing = ['List', 'Optional'].filter(name => new RegExp(`\\b${name}\\[`).test(bare));
+    const sqlalchemy = SQLALCHEMY_NAMES.filter(name => new RegExp(`(?<![\\w.])${name}(?=[(,)])`).test(bare));
+    const orm = ['DeclarativeBase', 'Mapped', 'mapped_column', 'relationship'].filter(name => new RegExp(`\\b${name}[[()]`).test(bare));
+
+    let imports = '';
+    if (bare.includes('(enum.Enum)')) imports += `import enum\n`;
+    const datetimeTypes = ['date', 'datetime'].filter(name => annotations.includes(name));
+    if (datetimeTypes.length > 0) imports += `from datetime import ${datetimeTypes.join(', ')}\n`;
+    if (annotations.includes('Decimal')) imports += `from decimal import Decimal\n`;
+    if (typing.length > 0) imports += `from typing import ${typing.join(', ')}\n`;
+    if (imports) imports += `\n`;
+    if (sqlalchemy.length > 0) imports += `from sqlalchemy import ${sqlalchemy.join(', ')}\n`;
+    if (orm.length > 0) imports += `from sqlalchemy.orm import ${orm.join(', ')}\n`;
+    return imports;
+};
+
+/**
+ * A models/ package: the Base (or db) in base.py, enums and association tables in modules of
+ * their own, one module per model, and an __init__.py importing them all so every mapper is
+ * registered before relationships are resolved.
+ * @returns {Array<{ path, content }>}
+ */
+export function sqlalchemyFiles(nodes, edges, { enums = [], flavor = 'flask' } = {}) {
+    const isModern = flavor === 'sqlalchemy2';
+    const { setup, enumClasses, associations, models } = isModern
+        ? buildDeclarative(nodes, edges, enums)
+        : buildFlask(nodes, edges, enums);
+    const baseName = isModern ? 'Base' : 'db';
+    // Flask-SQLAlchemy spells enum values out in db.Enum, so only 2.0 has enum classes to import
+    const enumNames = enumClasses ? enums.map(enumDef => enumTypeName(enumDef.name)) : [];
+    const files = [];
+
+    // Module code with its imports: third-party first, then the package's own modules
+    const moduleFile = (path, code, localNames = []) => {
+        const body = code.replace(/\n+$/, '\n');
+        const bare = body.replace(/'(?:[^'\\]|\\.)*'/g, "''");
+        let header = isModern ? declarativeImports(body).replace(/\n+$/, '\n') : '';
+        const local = [
+            [baseName, 'base'],
+            ...enumNames.map(name => [name, 'enums']),
+            ...associations.map(({ name }) => [name, 'associations'])
+        ].filter(([name, module]) => localNames.includes(module) && new RegExp(`(?<![\\w.])${name}\\b`).test(bare));
+        const byModule = local.reduce((groups, [name, module]) => groups.set(module, [...(groups.get(module) || []), name]), new Map());
+        const localImports = [...byModule].map(([module, names]) => `from .${module} import ${names.join(', ')}\n`).join('');
+        if (header && localImports) header += `\n`;
+        header += localImports;
+        files.push({ path, content: header ? `${header}\n\n${body}` : body });
+    };
+
+    if (isModern) moduleFile('models/base.py', setup);
+    else files.push({ path: 'models/base.py', content: setup.replace(/\n+$/, '\n') });
+    if (enumClasses) moduleFile('models/enums.py', enumClasses);
+    if (associations.length > 0) {
+        moduleFile('models/associations.py', associations.map(({ code }) => code).join(''), ['base', 'enums']);
+    }
+    models.forEach(({ node, code }) => {
+        moduleFile(`models/${tableNameOf(node)}.py`, code, ['base', 'enums', 'associations']);
+    });
+
+    let init = `from .base import ${baseName}\n`;
+    if (enumNames.length > 0) init += `from .enums import ${enumNames.join(', ')}\n`;
+    if (associations.length > 0) init += `from .associations import ${associations.map(({ name }) => name).join(', ')}\n`;
+    init += models.map(({ node }) => `from .${tableNameOf(node)} import ${classNameOf(node)}\n`).join('');
+    const exported = [baseName, ...enumNames, ...associations.map(({ name }) => name), ...models.map(({ node }) => classNameOf(node))];
+    init += `\n__all__ = [${exported.map(pythonString).join(', ')}]\n`;
+    files.push({ path: 'models/__init__.py', content: init });
+
+    return files;
+}
+
+export default function generateFlaskSQLAlchemy(nodes, edges, { enums = [], flavor = 'flask' } = {}) {
+    const isModern = flavor === 'sqlalchemy2';
+    const { setup, enumClasses, associations, models } = isModern
+        ? buildDeclarative(nodes, edges, enums)
+        : buildFlask(nodes, edges, enums);
+    const body = setup + enumClasses + associations.map(({ code }) => code).join('') + models.map(({ code }) => code).join('');
+    if (!isModern) return body;
+    return `${declarativeImports(body)}\n\n${body.replace(/\n+$/, '\n')}`;
+}
@@ -0,0 +1,172 @@
+import { isAutoIncrement, hasDefault, sqlTypeWithSize, findEnum, enumValues, enumTypeName } from './columnUtils';
+import { findManyToManyJunctions, isManyToManyJunction, describeRelations, pluralize } from './relationUtils';
+
+export const GO_TYPE_MAP = {
+    'INT': 'int32',
+    'BIGINT': 'int64',
+    'VARCHAR': 'string',
+    'TEXT': 'string',
+    'DATE': 'time.Time',
+    'DATETIME': 'time.Time',
+    'BOOLEAN': 'bool',
+    'FLOAT': 'float64',
+    'DECIMAL': 'decimal.Decimal'
+};
+
+const UNSIGNED_TYPE_MAP = {
+    'int32': 'uint32',
+    'int64': 'uint64'
+};
+
+// golint spells these in full caps inside identifiers
+const INITIALISMS = ['id', 'uuid', 'url', 'uri', 'api', 'http', 'json', 'sql', 'ip', 'html', 'xml'];
+
+/** A table, column or relation name as an exported Go identifier, e.g. author_id -> AuthorID */
+const goName = (name) => {
+    const parts = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const ident = parts
+        .map(part => (INITIALISMS.includes(part.toLowerCase()) ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1)))
+        .join('');
+    return /^\d/.test(ident) ? `X${ident}` : ident || 'X';
+};
+
+const goString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// GORM tags are key:value pairs split on ';', so values cannot contain one
+const tagValue = (value) => String(value).replace(/;/g, ',');
+
+// GORM inserts defaults as given, so quoted SQL literals lose their quotes
+const defaultTag = (col) => {
+    const value = String(col.defaultValue).trim();
+    if (/^NULL$/i.test(value)) return null;
+    if (/^'.*'$/.test(value)) return `default:${tagValue(value.slice(1, -1).replace(/''/g, "'"))}`;
+    return `default:${tagValue(value)}`;
+};
+
+export default function generateGorm(nodes, edges, { enums = [] } = {}) {
+    const imports = new Set();
+    let body = '';
+
+    // Enums become string types with one constant per value
+    enums.forEach(enumDef => {
+        const typeName = enumTypeName(enumDef.name);
+        body += `type ${typeName} string\n\n`;
+        const values = enumValues(enumDef);
+        if (values.length > 0) {
+            const width = Math.max(...values.map(value => `${typeName}${goName(value)}`.length));
+            body += `const (\n`;
+            values.forEach(value => {
+                body += `\t${`${typeName}${goName(value)}`.padEnd(width)} ${typeName} = ${goString(value)}\n`;
+            });
+            body += `)\n\n`;
+        }
+    });
+
+    // Pure junction tables become many2many fields instead of structs
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    nodes.forEach(node => {
+        if (isManyToManyJunction(junctions, node.id)) return;
+
+        const structName = goName(node.data.label);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+        // Index tags on every column they cover; GORM groups fields that share an index name
+        const indexTags = new Map(node.data.columns.map(col => [col.name, []]));
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            uc.columns.forEach((name, position) => {
+                indexTags.get(name)?.push(`uniqueIndex:${uc.name}${uc.columns.length > 1 ? `,priority:${position + 1}` : ''}`);
+            });
+        });
+        (node.data.indexes || []).forEach(index => {
+            index.columns.forEach((indexColumn, position) => {
+                const options = [`${index.unique ? 'uniqueIndex' : 'index'}:${index.name}`];
+                if (index.columns.length > 1) options.push(`priority:${position + 1}`);
+                if (indexColumn.order === 'DESC') options.push('sort:desc');
+                if (position === 0 && index.method && index.method !== 'btree') options.push(`type:${index.method}`);
+                if (position === 0 && index.where) options.push(`where:${tagValue(index.where).replace(/,/g, ' ')}`);
+                indexTags.get(indexColumn.name)?.push(options.join(','));
+            });
+        });
+
+        const fields = node.data.columns.map(col => {
+            const enumDef = findEnum(enums, col.type);
+            let goType = enumDef ? enumTypeName(enumDef.name) : GO_TYPE_MAP[col.type] || 'string';
+            if (col.isUnsigned && UNSIGNED_TYPE_MAP[goType]) goType = UNSIGNED_TYPE_MAP[goType];
+            if (goType === 'time.Time') imports.add('time');
+            if (goType === 'decimal.Decimal') imports.add('github.com/shopspring/decimal');
+            if (col.isNullable && !col.isPK) goType = `*${goType}`;
+
+            const tags = [];
+            if (col.isPK) tags.push('primaryKey');
+            tags.push(`column:${col.name}`);
+            if (sqlTypeWithSize(col) !== col.type) tags.push(`type:${sqlTypeWithSize(col).toLowerCase().replace(/, /g, ',')}`);
+            if (!col.isNullable && !col.isPK) tags.push('not null');
+            // A key that is also a foreign key takes its value from the referenced row
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+            if (col.isPK && !generated) tags.push('autoIncrement:false');
+            if (!col.isPK && generated) tags.push('autoIncrement');
+            if (col.isUnique && !col.isPK) tags.push('unique');
+            if (hasDefault(col)) {
+                const tag = defaultTag(col);
+                if (tag) tags.push(tag);
+            }
+            if (col.check) tags.push(`check:${tagValue(col.check)}`);
+            if (col.comment) tags.push(`comment:${tagValue(col.comment)}`);
+            tags.push(...indexTags.get(col.name));
+
+            return { name: goName(col.name), type: goType, tag: `gorm:"${tags.join(';').replace(/"/g, '\\"')}"` };
+        });
+
+        relations.forEach(({ edge, source, target, column, targetColumn, isOneToOne, forwardName, inverseName }) => {
+            const keys = `foreignKey:${goName(column.name)};references:${goName(targetColumn)}`;
+            if (source.id === node.id) {
+                const actions = ['onDelete', 'onUpdate']
+                    .filter(field => edge.data?.[field])
+                    .map(field => `${field === 'onDelete' ? 'OnDelete' : 'OnUpdate'}:${edge.data[field]}`);
+                const constraint = actions.length > 0 ? `;constraint:${actions.join(',')}` : '';
+                // A pointer keeps self-references finite and lets unloaded parents stay nil
+                fields.push({ name: goName(forwardName), type: `*${goName(target.data.label)}`, tag: `gorm:"${keys}${constraint}"` });
+            }
+            if (target.id === node.id) {
+                const type = isOneToOne ? `*${goName(source.data.label)}` : `[]${goName(source.data.label)}`;
+                fields.push({ name: goName(inverseName), type, tag: `gorm:"${keys}"` });
+            }
+        });
+
+        junctions.forEach(({ node: junction, owner, inverse }) => {
+            const isSelfReference = owner.node.id === inverse.node.id;
+            const joinTag = (from, to) => `gorm:"many2many:${junction.data.label};foreignKey:${goName(from.targetColumn)};joinForeignKey:${goName(from.column.name)};references:${goName(to.targetColumn)};joinReferences:${goName(to.column.name)}"`;
+            if (owner.node.id === node.id) {
+                fields.push({ name: goName(pluralize(inverse.node.data.label)), type: `[]${goName(inverse.node.data.label)}`, tag: joinTag(owner, inverse) });
+            }
+            if (inverse.node.id === node.id && !isSelfReference) {
+                fields.push({ name: goName(pluralize(owner.node.data.label)), type: `[]${goName(owner.node.data.label)}`, tag: joinTag(inverse, owner) });
+            }
+        });
+
+        // Aligned like gofmt would leave it
+        const nameWidth = Math.max(...fields.map(field => field.name.length));
+        const typeWidth = Math.max(...fields.map(field => field.type.length));
+        body += `type ${structName} struct {\n`;
+        fields.forEach(field => {
+            body += `\t${field.name.padEnd(nameWidth)} ${field.type.padEnd(typeWidth)} \`${field.tag}\`\n`;
+        });
+        body += `}\n\n`;
+        body += `func (${structName}) TableName() string {\n\treturn ${goString(node.data.label)}\n}\n\n`;
+    });
+
+    let code = `package models\n\n`;
+    if (imports.size > 0) {
+        // Standard library first, then third-party packages, as goimports groups them
+        const groups = [[...imports].filter(path => !path.includes('.')), [...imports].filter(path => path.includes('.'))]
+            .filter(group => group.length > 0)
+            .map(group => group.sort().map(path => `\t${goString(path)}`).join('\n'));
+        code += `import (\n${groups.join('\n\n')}\n)\n\n`;
+    }
+
+    return code + body.replace(/\n+$/, '\n');
+}
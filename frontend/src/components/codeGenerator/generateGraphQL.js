@@ -0,0 +1,322 @@
+import { isAutoIncrement, hasDefault, findEnum, enumValues, enumMemberName, enumTypeName } from './columnUtils';
+import { describeRelations, pluralize } from './relationUtils';
+import { interfaceNameOf } from './generateTypeScript.js';
+import { entityQueries, keyCondition, modelNameOf } from '../../../../shared/queryTemplates.mjs';
+
+// GraphQL's Int is 32-bit, so BIGINT and DECIMAL travel as strings, as in the TypeScript export
+export const GRAPHQL_TYPE_MAP = {
+    'INT': 'Int',
+    'BIGINT': 'String',
+    'VARCHAR': 'String',
+    'TEXT': 'String',
+    'DATE': 'Date',
+    'DATETIME': 'DateTime',
+    'BOOLEAN': 'Boolean',
+    'FLOAT': 'Float',
+    'DECIMAL': 'String'
+};
+
+// Resolver stubs are built on the Query Generator's templates for these targets
+export const GRAPHQL_RESOLVERS = [
+    { value: 'none', label: 'Schema only' },
+    { value: 'prisma', label: 'Apollo Server + Prisma' },
+    { value: 'mongoose', label: 'Apollo Server + Mongoose' }
+];
+
+const fieldName = (name) => enumMemberName(name);
+
+const description = (text, indent) => `${indent}"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\s*\n\s*/g, ' ')}"\n`;
+
+const listFieldOf = (node) => {
+    const name = pluralize(interfaceNameOf(node));
+    return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+const singleKeyOf = (node) => {
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    return pkColumns.length === 1 ? pkColumns[0] : null;
+};
+
+/**
+ * Everything the schema and resolvers need about the tables: relations, the columns typed ID (a
+ * lone primary key, or a foreign key to one) and the columns the database generates.
+ */
+function describeSchema(nodes, edges) {
+    const relations = describeRelations(nodes, edges);
+    const idColumns = new Set(nodes.map(singleKeyOf).filter(Boolean));
+    relations.forEach(({ target, column, targetColumn }) => {
+        if (singleKeyOf(target)?.name === targetColumn) idColumns.add(column);
+    });
+
+    const generatedColumns = new Set();
+    nodes.forEach(node => {
+        const isCompositeKey = node.data.columns.filter(col => col.isPK).length > 1;
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column);
+        node.data.columns.forEach(col => {
+            if (col.isAutoIncrement ?? (!foreignKeyColumns.includes(col) && isAutoIncrement(col, isCompositeKey))) generatedColumns.add(col);
+        });
+    });
+
+    return { relations, idColumns, generatedColumns };
+}
+
+// The mutations a table supports: create needs a column to set, update and delete a single key
+const mutationsOf = (node, { generatedColumns }) => ({
+    create: node.data.columns.some(col => !generatedColumns.has(col)),
+    update: Boolean(singleKeyOf(node)) && node.data.columns.some(col => !col.isPK),
+    delete: Boolean(singleKeyOf(node))
+});
+
+/**
+ * The SDL: an object type per table with relation fields on both ends of every foreign key,
+ * Relay-style connection types for paginated lists, and create/update input types.
+ */
+export function graphqlSchema(nodes, edges, { enums = [] } = {}) {
+    const schema = describeSchema(nodes, edges);
+    const { relations, idColumns, generatedColumns } = schema;
+
+    const graphqlType = (col) => {
+        if (idColumns.has(col)) return 'ID';
+        const enumDef = findEnum(enums, col.type);
+        return enumDef ? enumTypeName(enumDef.name) : GRAPHQL_TYPE_MAP[col.type] || 'String';
+    };
+    const isRequired = (col) => col.isPK || !col.isNullable;
+
+    const blocks = [];
+
+    const columnTypes = new Set(nodes.flatMap(node => node.data.columns.map(col => col.type)));
+    if (columnTypes.has('DATE')) blocks.push('scalar Date');
+    if (columnTypes.has('DATETIME')) blocks.push('scalar DateTime');
+
+    enums.forEach(enumDef => {
+        const values = enumValues(enumDef);
+        if (values.length === 0) return;
+        blocks.push([`enum ${enumTypeName(enumDef.name)} {`, ...values.map(value => `  ${enumMemberName(value)}`), '}'].join('\n'));
+    });
+
+    blocks.push([
+        'type PageInfo {',
+        '  hasNextPage: Boolean!',
+        '  hasPreviousPage: Boolean!',
+        '  startCursor: String',
+        '  endCursor: String',
+        '}'
+    ].join('\n'));
+
+    nodes.forEach(node => {
+        const typeName = interfaceNameOf(node);
+        const mutations = mutationsOf(node, schema);
+
+        let type = node.data.note ? description(node.data.note, '') : '';
+        type += `type ${typeName} {\n`;
+        node.data.columns.forEach(col => {
+            if (col.comment) type += description(col.comment, '  ');
+            type += `  ${fieldName(col.name)}: ${graphqlType(col)}${isRequired(col) ? '!' : ''}\n`;
+        });
+        relations.forEach(({ source, target, column, isOneToOne, forwardName, inverseName }) => {
+            if (source.id === node.id) {
+                type += `  ${fieldName(forwardName)}: ${interfaceNameOf(target)}${column.isNullable ? '' : '!'}\n`;
+            }
+            if (target.id === node.id) {
+                type += `  ${fieldName(inverseName)}: ${isOneToOne ? interfaceNameOf(source) : `[${interfaceNameOf(source)}!]!`}\n`;
+            }
+        });
+        type += '}';
+        blocks.push(type);
+
+        blocks.push(`type ${typeName}Edge {\n  cursor: String!\n  node: ${typeName}!\n}`);
+        blocks.push(`type ${typeName}Connection {\n  edges: [${typeName}Edge!]!\n  pageInfo: PageInfo!\n}`);
+
+        // Columns the database fills in may be left out on create
+        if (mutations.create) {
+            const fields = node.data.columns
+                .filter(col => !generatedColumns.has(col))
+                .map(col => `  ${fieldName(col.name)}: ${graphqlType(col)}${isRequired(col) && !hasDefault(col) ? '!' : ''}`);
+            blocks.push([`input Create${typeName}Input {`, ...fields, '}'].join('\n'));
+        }
+        if (mutations.update) {
+            const fields = node.data.columns
+                .filter(col => !col.isPK)
+                .map(col => `  ${fieldName(col.name)}: ${graphqlType(col)}`);
+            blocks.push([`input Update${typeName}Input {`, ...fields, '}'].join('\n'));
+        }
+    });
+
+    if (nodes.length > 0) {
+        const fields = nodes.map(node => `  ${listFieldOf(node)}(first: Int = 10, after: String): ${interfaceNameOf(node)}Connection!`);
+        blocks.push(['type Query {', ...fields, '}'].join('\n'));
+    }
+
+    const mutationFields = nodes.flatMap(node => {
+        const typeName = interfaceNameOf(node);
+        const mutations = mutationsOf(node, schema);
+        const fields = [];
+        if (mutations.create) fields.push(`  create${typeName}(input: Create${typeName}Input!): ${typeName}!`);
+        if (mutations.update) fields.push(`  update${typeName}(id: ID!, input: Update${typeName}Input!): ${typeName}`);
+        if (mutations.delete) fields.push(`  delete${typeName}(id: ID!): ${typeName}`);
+        return fields;
+    });
+    if (mutationFields.length > 0) blocks.push(['type Mutation {', ...mutationFields, '}'].join('\n'));
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+// Prisma wants the key in the column's own type; Mongoose casts the ID string itself
+const keyArgument = (node, target) => {
+    const key = singleKeyOf(node);
+    if (target === 'prisma' && key?.type === 'INT') return { binding: 'id: key', setup: '      const id = Number(key);\n' };
+    if (target === 'prisma' && key?.type === 'BIGINT') return { binding: 'id: key', setup: '      const id = BigInt(key);\n' };
+    return { binding: 'id', setup: '' };
+};
+
+// ID inputs arrive as strings too, so numeric keys among the input fields are converted for Prisma
+const inputData = (columns, { idColumns }, target) => {
+    const keys = target === 'prisma' ? columns.filter(col => idColumns.has(col) && ['INT', 'BIGINT'].includes(col.type)) : [];
+    if (keys.length === 0) return { data: '...input', setup: '' };
+    let setup = '      const data = { ...input };\n';
+    keys.forEach(col => {
+        setup += `      if (data.${col.name} != null) data.${col.name} = ${col.type === 'INT' ? 'Number' : 'BigInt'}(data.${col.name});\n`;
+    });
+    return { data: '...data', setup };
+};
+
+const resolver = (name, args, body) => `    ${name}: async (${args}) => {\n${body}    },\n`;
+
+/**
+ * Apollo Server resolvers for graphqlSchema(): connections page through the Query Generator's
+ * listWithPagination query, mutations run its create, update and delete queries, and relation
+ * fields load the row or rows on the other end of their foreign key.
+ */
+export function apolloResolvers(nodes, edges, { enums = [], target = 'prisma' } = {}) {
+    const schema = describeSchema(nodes, edges);
+    const diagram = { nodes, edges };
+    const model = (node) => (target === 'prisma' ? `prisma.${modelNameOf(node, target)}` : modelNameOf(node, target));
+
+    let code = `// Apollo Server resolvers for schema.graphql, built on the Query Generator's ${target === 'prisma' ? 'Prisma' : 'Mongoose'} queries\n`;
+    if (target === 'prisma') {
+        code += `const { PrismaClient } = require('@prisma/client');\n\n`;
+        code += `const prisma = new PrismaClient();\n\n`;
+    } else {
+        code += `const { ${nodes.map(node => modelNameOf(node, target)).join(', ')} } = require('./models');\n\n`;
+    }
+
+    code += `// Cursors are base64-encoded row offsets\n`;
+    code += `const encodeCursor = (offset) => Buffer.from(String(offset)).toString('base64');\n`;
+    code += `const decodeCursor = (cursor) => Number(Buffer.from(cursor, 'base64').toString());\n\n`;
+    code += `// Pages are fetched one row long, so the extra row tells whether another page follows\n`;
+    code += `function toConnection(rows, offset, first) {\n`;
+    code += `  const edges = rows.slice(0, first).map((node, index) => ({ cursor: encodeCursor(offset + index), node }));\n`;
+    code += `  return {\n`;
+    code += `    edges,\n`;
+    code += `    pageInfo: {\n`;
+    code += `      hasNextPage: rows.length > first,\n`;
+    code += `      hasPreviousPage: offset > 0,\n`;
+    code += `      startCursor: edges[0]?.cursor ?? null,\n`;
+    code += `      endCursor: edges[edges.length - 1]?.cursor ?? null\n`;
+    code += `    }\n`;
+    code += `  };\n`;
+    code += `}\n\n`;
+
+    code += `const resolvers = {\n`;
+
+    code += `  Query: {\n`;
+    nodes.forEach(node => {
+        const { listWithPagination } = entityQueries(node, diagram, target, { skip: 'offset', take: 'first + 1' });
+        let body = `      const offset = after ? decodeCursor(after) + 1 : 0;\n`;
+        body += `      const rows = ${listWithPagination}\n`;
+        body += `      return toConnection(rows, offset, first);\n`;
+        code += resolver(listFieldOf(node), '_parent, { first, after }', body);
+    });
+    code += `  },\n`;
+
+    const mutationCode = nodes.map(node => {
+        const typeName = interfaceNameOf(node);
+        const mutations = mutationsOf(node, schema);
+        const queries = entityQueries(node, diagram, target);
+        const condition = keyCondition(node, target);
+        let block = '';
+
+        if (mutations.create) {
+            const input = inputData(node.data.columns.filter(col => !schema.generatedColumns.has(col)), schema, target);
+            const { create } = entityQueries(node, diagram, target, { data: input.data });
+            block += resolver(`create${typeName}`, '_parent, { input }', `${input.setup}      return ${create}\n`);
+        }
+        if (mutations.update) {
+            const { binding, setup } = keyArgument(node, target);
+            const input = inputData(node.data.columns.filter(col => !col.isPK), schema, target);
+            const { update } = entityQueries(node, diagram, target, { data: input.data });
+            // updateOne reports a count, not the row
+            const body = target === 'prisma'
+                ? `${setup}${input.setup}      return ${update}\n`
+                : `${setup}${input.setup}      ${update}\n      return await ${model(node)}.findOne(${condition});\n`;
+            block += resolver(`update${typeName}`, `_parent, { ${binding}, input }`, body);
+        }
+        if (mutations.delete) {
+            const { binding, setup } = keyArgument(node, target);
+            const body = target === 'prisma'
+                ? `${setup}      return ${queries.delete}\n`
+                : `${setup}      const row = await ${model(node)}.findOne(${condition});\n      ${queries.delete}\n      return row;\n`;
+            block += resolver(`delete${typeName}`, `_parent, { ${binding} }`, body);
+        }
+        return block;
+    }).join('');
+    if (mutationCode) code += `  Mutation: {\n${mutationCode}  },\n`;
+
+    // Relation fields, loaded per parent row
+    nodes.forEach(node => {
+        const fields = [];
+        schema.relations.forEach(({ source, target: referenced, column, targetColumn, isOneToOne, forwardName, inverseName }) => {
+            if (source.id === node.id) {
+                const targetKey = referenced.data.columns.find(col => col.name === targetColumn);
+                let load;
+                if (target === 'prisma') {
+                    const isUniqueKey = singleKeyOf(referenced) === targetKey || targetKey?.isUnique;
+                    const method = isUniqueKey ? 'findUnique' : 'findFirst';
+                    load = `await ${model(referenced)}.${method}({ where: { ${targetColumn}: parent.${column.name} } })`;
+                    if (column.isNullable) load = `parent.${column.name} == null ? null : ${load}`;
+                } else {
+                    // Mongoose foreign keys hold the referenced document's _id
+                    load = `await ${model(referenced)}.findById(parent.${column.name})`;
+                }
+                fields.push(`    ${fieldName(forwardName)}: async (parent) => ${load},\n`);
+            }
+            if (referenced.id === node.id) {
+                const key = target === 'prisma' ? targetColumn : '_id';
+                const method = target === 'prisma' ? (isOneToOne ? 'findFirst' : 'findMany') : (isOneToOne ? 'findOne' : 'find');
+                const filter = `{ ${column.name}: parent.${key} }`;
+                const load = target === 'prisma' ? `await ${model(source)}.${method}({ where: ${filter} })` : `await ${model(source)}.${method}(${filter})`;
+                fields.push(`    ${fieldName(inverseName)}: async (parent) => ${load},\n`);
+            }
+        });
+        if (fields.length > 0) code += `  ${interfaceNameOf(node)}: {\n${fields.join('')}  },\n`;
+    });
+
+    // Enum values that are not GraphQL names map back to the stored value
+    enums.forEach(enumDef => {
+        const values = enumValues(enumDef);
+        if (values.every(value => enumMemberName(value) === value)) return;
+        code += `  ${enumTypeName(enumDef.name)}: {\n`;
+        code += values.map(value => `    ${enumMemberName(value)}: '${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`).join(',\n');
+        code += `\n  },\n`;
+    });
+
+    code += `};\n\nmodule.exports = resolvers;\n`;
+    return code;
+}
+
+/** schema.graphql, plus resolvers.js when a resolver target is chosen */
+export function graphqlFiles(nodes, edges, { enums = [], resolvers = 'none' } = {}) {
+    const files = [{ path: 'schema.graphql', content: graphqlSchema(nodes, edges, { enums }) }];
+    if (resolvers !== 'none') files.push({ path: 'resolvers.js', content: apolloResolvers(nodes, edges, { enums, target: resolvers }) });
+    return files;
+}
+
+/**
+ * Generates a GraphQL schema from the tables and, optionally, Apollo Server resolver stubs for
+ * Prisma or Mongoose. With resolvers the preview lists both files under their names.
+ */
+export default function generateGraphQL(nodes, edges, { enums = [], resolvers = 'none' } = {}) {
+    const files = graphqlFiles(nodes, edges, { enums, resolvers });
+    if (files.length === 1) return files[0].content;
+    return files.map(file => `// ${file.path}\n${file.content}`).join('\n');
+}
@@ -1,4 +1,14 @@
-const JAVA_TYPE_MAP = {
+import { isAutoIncrement, sqlDefault, findEnum, enumValues, enumMemberName, enumTypeName, classNameOf, identifierOf } from './columnUtils';
+import { findManyToManyJunctions, isManyToManyJunction, describeRelations, pluralize } from './relationUtils';
+import { isReservedWord } from '../../../../shared/ddlEmitter.mjs';
+
+const ON_DELETE_ACTIONS = {
+    'CASCADE': 'CASCADE',
+    'SET NULL': 'SET_NULL',
+    'RESTRICT': 'RESTRICT'
+};
+
+export const JAVA_TYPE_MAP = {
     'INT': 'Integer',
     'BIGINT': 'Long',
     'VARCHAR': 'String',
@@ -6,54 +16,321 @@ const JAVA_TYPE_MAP = {
     'DATE': 'LocalDate',
     'DATETIME': 'LocalDateTime',
     'BOOLEAN': 'Boolean',
-    'FLOAT': 'Double'
+    'FLOAT': 'Double',
+    'DECIMAL': 'BigDecimal'
 };
 
-export default function generateJava(nodes, edges) {
-    let code = `// Java Spring Boot (JPA) Entities\n`;
-    code += `import jakarta.persistence.*;\nimport java.util.*;\n\n`;
+// Types outside java.lang, with the import each one needs
+const TYPE_IMPORTS = {
+    'BigDecimal': 'java.math.BigDecimal',
+    'LocalDate': 'java.time.LocalDate',
+    'LocalDateTime': 'java.time.LocalDateTime'
+};
+
+const RESERVED_WORDS = new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if',
+    'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private',
+    'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this',
+    'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while'
+]);
+
+const javaString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Hibernate keeps a name in quotes exactly as written, as the SQL export creates it; the database folds plain names to lowercase
+const sqlTableName = (label) => (/^[a-z_][a-z0-9_]*$/.test(label) && !isReservedWord(label) ? label : `"${label}"`);
+
+/** A column or relation name as a Java field name, e.g. created_at -> createdAt */
+const fieldNameOf = (name) => {
+    const parts = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const ident = parts.map((part, i) => (i === 0 ? part.charAt(0).toLowerCase() + part.slice(1) : part.charAt(0).toUpperCase() + part.slice(1))).join('');
+    if (!ident || /^\d/.test(ident)) return `_${ident}`;
+    return RESERVED_WORDS.has(ident) ? `${ident}Value` : ident;
+};
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+// Attributes for @Column; JPA expresses unsigned columns only through a raw column definition
+const columnAttributes = (col, fieldName) => {
+    const attributes = [];
+    if (fieldName !== col.name) attributes.push(`name = "${col.name}"`);
+    if (!col.isNullable && !col.isPK) attributes.push('nullable = false');
+    if (col.isUnique && !col.isPK) attributes.push('unique = true');
+    if (col.type === 'VARCHAR' && col.length) attributes.push(`length = ${col.length}`);
+    if (col.type === 'DECIMAL' && col.precision) attributes.push(`precision = ${col.precision}`);
+    if (col.type === 'DECIMAL' && col.scale !== undefined && col.scale !== '') attributes.push(`scale = ${col.scale}`);
+    if (col.isUnsigned) attributes.push(`columnDefinition = "${col.type} UNSIGNED"`);
+    return attributes;
+};
+
+// Defaults, checks and comments have no JPA equivalent, so Hibernate's annotations carry them
+const hibernateAnnotations = (col) => {
+    const annotations = [];
+    const defaultValue = sqlDefault(col);
+    if (defaultValue) annotations.push(`@ColumnDefault(${javaString(defaultValue)})`);
+    if (col.check) annotations.push(`@Check(constraints = ${javaString(col.check)})`);
+    if (col.comment) annotations.push(`@Comment(${javaString(col.comment)})`);
+    return annotations;
+};
+
+/** Imports for a unit of code, read off the types and annotations it uses */
+const importsFor = (code) => {
+    const imports = new Set();
+    if (/@(Entity|Table|Id|Converter)\b/.test(code)) imports.add('jakarta.persistence.*');
+    Object.entries(TYPE_IMPORTS).forEach(([type, path]) => {
+        if (new RegExp(`\\b${type}\\b`).test(code)) imports.add(path);
+    });
+    ['List', 'ArrayList', 'Set', 'HashSet', 'Objects'].forEach(type => {
+        if (new RegExp(`\\b${type}\\b`).test(code)) imports.add(`java.util.${type}`);
+    });
+    ['Check', 'ColumnDefault', 'Comment', 'OnDelete', 'OnDeleteAction'].forEach(annotation => {
+        if (new RegExp(`\\b${annotation}\\b`).test(code.replace(/"(?:[^"\\]|\\.)*"/g, '""'))) imports.add(`org.hibernate.annotations.${annotation}`);
+    });
+    if (code.includes('@JsonIgnore\n') || code.includes('@JsonIgnore ')) imports.add('com.fasterxml.jackson.annotation.JsonIgnore');
+    if (code.includes('@JsonIgnoreProperties')) imports.add('com.fasterxml.jackson.annotation.JsonIgnoreProperties');
+    if (code.includes('@JsonValue')) imports.add('com.fasterxml.jackson.annotation.JsonValue');
+    if (code.includes('@JsonCreator')) imports.add('com.fasterxml.jackson.annotation.JsonCreator');
+    if (code.includes('implements Serializable')) imports.add('java.io.Serializable');
+    return imports;
+};
+
+const renderField = (field) => {
+    let code = field.annotations.map(annotation => `    ${annotation}\n`).join('');
+    code += `    private ${field.type} ${field.name}${field.init ? ` = ${field.init}` : ''};\n`;
+    return code;
+};
+
+const renderAccessors = (fields) => fields.map(field => (
+    `    public ${field.type} get${capitalize(field.name)}() {\n        return ${field.name};\n    }\n\n` +
+    `    public void set${capitalize(field.name)}(${field.type} ${field.name}) {\n        this.${field.name} = ${field.name};\n    }\n`
+)).join('\n');
+
+/**
+ * JPA entities, enums and id classes as separate units of code, each with the imports it needs.
+ * Entity units also describe their key and the fields an update copies, for scaffolds built on them.
+ * json adds the Jackson annotations that keep bidirectional relations from serializing in a loop.
+ * @returns {Array<{ name, kind: 'enum'|'entity'|'id', code, imports: Set<string>, node?, keyType?, keyFields?, updatableFields? }>}
+ */
+export function buildJavaUnits(nodes, edges, { enums = [], json = false } = {}) {
+    const units = [];
+
+    // Members named after their stored values round-trip through EnumType.STRING; values that are not
+    // Java names are carried by the members and stored through a converter
+    const storesMemberNames = (enumDef) => enumValues(enumDef).every(value => enumMemberName(value) === value);
+    enums.forEach(enumDef => {
+        const name = enumTypeName(enumDef.name);
+        const members = enumValues(enumDef).map(enumMemberName);
+        let code;
+        if (storesMemberNames(enumDef)) {
+            code = `public enum ${name} {\n    ${members.join(', ')}\n}\n`;
+        } else {
+            code = `public enum ${name} {\n`;
+            code += `    ${enumValues(enumDef).map((value, i) => `${members[i]}(${javaString(value)})`).join(',\n    ')};\n\n`;
+            code += `    private final String value;\n\n`;
+            code += `    ${name}(String value) {\n        this.value = value;\n    }\n\n`;
+            if (json) code += `    @JsonValue\n`;
+            code += `    public String getValue() {\n        return value;\n    }\n\n`;
+            if (json) code += `    @JsonCreator\n`;
+            code += `    public static ${name} fromValue(String value) {\n`;
+            code += `        for (${name} member : values()) {\n            if (member.value.equals(value)) return member;\n        }\n`;
+            code += `        throw new IllegalArgumentException("Unknown ${name} value: " + value);\n    }\n\n`;
+            code += `    @Converter\n`;
+            code += `    public static class StoredValueConverter implements AttributeConverter<${name}, String> {\n`;
+            code += `        @Override\n        public String convertToDatabaseColumn(${name} member) {\n            return member == null ? null : member.value;\n        }\n\n`;
+            code += `        @Override\n        public ${name} convertToEntityAttribute(String value) {\n            return value == null ? null : fromValue(value);\n        }\n    }\n}\n`;
+        }
+        units.push({ name, kind: 'enum', code, imports: importsFor(code) });
+    });
+
+    const javaType = (col) => {
+        const enumDef = findEnum(enums, col.type);
+        return enumDef ? enumTypeName(enumDef.name) : JAVA_TYPE_MAP[col.type] || 'String';
+    };
+    const enumMapping = (enumDef) => (storesMemberNames(enumDef)
+        ? '@Enumerated(EnumType.STRING)'
+        : `@Convert(converter = ${enumTypeName(enumDef.name)}.StoredValueConverter.class)`);
+
+    // Pure junction tables become @ManyToMany collections instead of entities
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
 
     nodes.forEach(node => {
-        const className = node.data.label.charAt(0).toUpperCase() + node.data.label.slice(1);
-        
-        code += `@Entity\n@Table(name = "${node.data.label.toLowerCase()}")\n`;
-        code += `public class ${className} {\n\n`;
+        if (isManyToManyJunction(junctions, node.id)) return;
+
+        const className = classNameOf(node);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const fields = [];
+        const idFields = [];
+        const updatableFields = [];
+
+        const uniqueConstraints = (node.data.uniqueConstraints || []).filter(uc => uc.columns.length > 0);
+        const indexes = (node.data.indexes || []).filter(index => index.columns.length > 0);
+
+        const tableAttributes = [`name = ${javaString(sqlTableName(node.data.label))}`];
+        if (uniqueConstraints.length > 0) {
+            const entries = uniqueConstraints
+                .map(uc => `    @UniqueConstraint(name = "${uc.name}", columnNames = {${uc.columns.map(c => `"${c}"`).join(', ')}})`)
+                .join(',\n');
+            tableAttributes.push(`uniqueConstraints = {\n${entries}\n}`);
+        }
+        if (indexes.length > 0) {
+            // JPA's @Index has no notion of index method or partial conditions
+            const entries = indexes
+                .map(index => {
+                    const columnList = index.columns.map(col => col.order === 'DESC' ? `${col.name} DESC` : col.name).join(', ');
+                    return `    @Index(name = "${index.name}", columnList = "${columnList}"${index.unique ? ', unique = true' : ''})`;
+                })
+                .join(',\n');
+            tableAttributes.push(`indexes = {\n${entries}\n}`);
+        }
 
         node.data.columns.forEach(col => {
-           
-            const edge = edges.find(e => 
-                e.source === node.id && 
-                e.sourceHandle && 
-                e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
-            );
-
-            if (edge) {
-                const targetNode = nodes.find(n => n.id === edge.target);
-                if (targetNode) {
-                    const targetClass = targetNode.data.label.charAt(0).toUpperCase() + targetNode.data.label.slice(1);
-                    
-                    code += `    @ManyToOne(fetch = FetchType.LAZY)\n`;
-                    code += `    @JoinColumn(name = "${col.name}")\n`;
-                    code += `    private ${targetClass} ${targetNode.data.label.toLowerCase()};\n`;
-                }
-            } else {
-  
-                if (col.isPK) {
-                    code += `    @Id\n    @GeneratedValue(strategy = GenerationType.IDENTITY)\n`;
+            const relation = relations.find(item => item.source.id === node.id && item.column.name === col.name);
+
+            if (relation) {
+                const { edge, target, targetColumn, isOneToOne, forwardName } = relation;
+                const name = fieldNameOf(forwardName);
+                const annotations = [];
+                const targetKey = target.data.columns.filter(c => c.isPK);
+                const targetCol = target.data.columns.find(c => c.name === targetColumn);
+
+                if (col.isPK && !isCompositeKey) {
+                    // A lone foreign key primary key keeps its own @Id field, which @MapsId fills from the relation
+                    const idName = fieldNameOf(col.name) === name ? `${name}Id` : fieldNameOf(col.name);
+                    fields.push({ name: idName, type: javaType(col), annotations: ['@Id', `@Column(name = "${col.name}")`] });
+                    idFields.push({ name: idName, type: javaType(col) });
+                    annotations.push('@MapsId');
+                } else if (col.isPK) {
+                    // Derived identity: the IdClass field shares the relationship's name and the target's key type
+                    idFields.push({ name, type: (targetCol && javaType(targetCol)) || javaType(col) });
+                    annotations.push('@Id');
+                } else {
+                    updatableFields.push(name);
                 }
-                if (!col.isNullable && !col.isPK) {
-                    code += `    @Column(nullable = false)\n`;
+
+                annotations.push(`@${isOneToOne ? 'OneToOne' : 'ManyToOne'}(fetch = FetchType.LAZY${col.isNullable ? '' : ', optional = false'})`);
+                const joinAttributes = [`name = "${col.name}"`];
+                if (!(targetKey.length === 1 && targetKey[0].name === targetColumn)) joinAttributes.push(`referencedColumnName = "${targetColumn}"`);
+                annotations.push(`@JoinColumn(${joinAttributes.join(', ')})`);
+                if (ON_DELETE_ACTIONS[edge.data?.onDelete]) {
+                    annotations.push(`@OnDelete(action = OnDeleteAction.${ON_DELETE_ACTIONS[edge.data.onDelete]})`);
                 }
-                
-                const javaType = JAVA_TYPE_MAP[col.type] || 'String';
-                code += `    private ${javaType} ${col.name};\n`;
+                if (json) annotations.push(`@JsonIgnoreProperties({"hibernateLazyInitializer", "handler"})`);
+                fields.push({ name, type: classNameOf(target), annotations });
+                return;
+            }
+
+            const name = fieldNameOf(col.name);
+            const annotations = [];
+            if (col.isPK) {
+                annotations.push('@Id');
+                idFields.push({ name, type: javaType(col) });
+            } else {
+                updatableFields.push(name);
+            }
+            if (col.isAutoIncrement ?? isAutoIncrement(col, isCompositeKey)) {
+                annotations.push('@GeneratedValue(strategy = GenerationType.IDENTITY)');
+            }
+            const attributes = columnAttributes(col, name);
+            if (attributes.length > 0) annotations.push(`@Column(${attributes.join(', ')})`);
+            annotations.push(...hibernateAnnotations(col));
+            if (findEnum(enums, col.type)) annotations.push(enumMapping(findEnum(enums, col.type)));
+            fields.push({ name, type: javaType(col), annotations });
+        });
+
+        // Inverse sides; parents whose children are deleted with them own the collection, so JPA cascades removals too
+        relations.filter(relation => relation.target.id === node.id).forEach(({ edge, source, isOneToOne, forwardName, inverseName }) => {
+            const cascade = edge.data?.onDelete === 'CASCADE' ? ', cascade = CascadeType.ALL, orphanRemoval = true' : '';
+            const annotations = [`@${isOneToOne ? 'OneToOne' : 'OneToMany'}(mappedBy = "${fieldNameOf(forwardName)}"${cascade})`];
+            if (json) annotations.push('@JsonIgnore');
+            fields.push(isOneToOne
+                ? { name: fieldNameOf(inverseName), type: classNameOf(source), annotations }
+                : { name: fieldNameOf(inverseName), type: `List<${classNameOf(source)}>`, init: 'new ArrayList<>()', annotations });
+        });
+
+        // Collection fields for both sides of each pure junction; the owning side carries the @JoinTable
+        junctions.forEach(({ node: junction, owner, inverse }) => {
+            const isSelfReference = owner.node.id === inverse.node.id;
+            const ownerField = fieldNameOf(pluralize(identifierOf(inverse.node)));
+            const inverseField = isSelfReference
+                ? `related${pluralize(classNameOf(owner.node))}`
+                : fieldNameOf(pluralize(identifierOf(owner.node)));
+
+            if (owner.node.id === node.id) {
+                const joinTable = [
+                    `@JoinTable(`,
+                    `    name = ${javaString(sqlTableName(junction.data.label))},`,
+                    `    joinColumns = @JoinColumn(name = "${owner.column.name}"),`,
+                    `    inverseJoinColumns = @JoinColumn(name = "${inverse.column.name}")`,
+                    `)`
+                ].join('\n    ');
+                fields.push({ name: ownerField, type: `Set<${classNameOf(inverse.node)}>`, init: 'new HashSet<>()', annotations: ['@ManyToMany', joinTable] });
+                updatableFields.push(ownerField);
+            }
+            if (inverse.node.id === node.id) {
+                const annotations = [`@ManyToMany(mappedBy = "${ownerField}")`];
+                if (json) annotations.push('@JsonIgnore');
+                fields.push({ name: inverseField, type: `Set<${classNameOf(owner.node)}>`, init: 'new HashSet<>()', annotations });
             }
-            code += `\n`;
         });
 
-        code += `    // Getters and Setters would go here...\n`;
-        code += `}\n\n`;
+        let code = `@Entity\n`;
+        code += `@Table(${tableAttributes.join(', ')})\n`;
+        if (isCompositeKey) code += `@IdClass(${className}Id.class)\n`;
+        if (json) code += `@JsonIgnoreProperties({"hibernateLazyInitializer", "handler"})\n`;
+        code += `public class ${className} {\n\n`;
+        if (pkColumns.length === 0) code += `    // JPA requires an @Id; give this table a primary key before using it as an entity\n\n`;
+        code += fields.map(renderField).join('\n');
+        code += `\n${renderAccessors(fields)}`;
+        code += `}\n`;
+
+        const keyType = isCompositeKey ? `${className}Id` : idFields[0]?.type;
+        units.push({ name: className, kind: 'entity', code, imports: importsFor(code), node, keyType, keyFields: idFields, updatableFields });
+
+        if (isCompositeKey) {
+            let idCode = `public class ${className}Id implements Serializable {\n\n`;
+            idCode += idFields.map(field => `    private ${field.type} ${field.name};\n`).join('');
+            idCode += `\n    public ${className}Id() {\n    }\n\n`;
+            idCode += `    public ${className}Id(${idFields.map(field => `${field.type} ${field.name}`).join(', ')}) {\n`;
+            idCode += idFields.map(field => `        this.${field.name} = ${field.name};\n`).join('');
+            idCode += `    }\n\n`;
+            idCode += renderAccessors(idFields);
+            // JPA compares identifiers by value, over every key field
+            idCode += `\n    @Override\n    public boolean equals(Object o) {\n`;
+            idCode += `        if (this == o) return true;\n`;
+            idCode += `        if (!(o instanceof ${className}Id other)) return false;\n`;
+            idCode += `        return ${idFields.map(field => `Objects.equals(${field.name}, other.${field.name})`).join('\n            && ')};\n`;
+            idCode += `    }\n\n`;
+            idCode += `    @Override\n    public int hashCode() {\n`;
+            idCode += `        return Objects.hash(${idFields.map(field => field.name).join(', ')});\n`;
+            idCode += `    }\n}\n`;
+            units.push({ name: `${className}Id`, kind: 'id', code: idCode, imports: importsFor(idCode) });
+        }
     });
 
+    return units;
+}
+
+/**
+ * One file per enum, entity and id class, under the given package.
+ * @returns {Array<{ path, content }>}
+ */
+export function javaFiles(nodes, edges, { enums = [], json = false, packageName = 'com.example.demo.entity', sourceRoot = 'src/main/java' } = {}) {
+    return buildJavaUnits(nodes, edges, { enums, json }).map(unit => {
+        let content = `package ${packageName};\n\n`;
+        if (unit.imports.size > 0) content += `${[...unit.imports].sort().map(path => `import ${path};\n`).join('')}\n`;
+        return { path: `${sourceRoot}/${packageName.replace(/\./g, '/')}/${unit.name}.java`, content: content + unit.code };
+    });
+}
+
+export default function generateJava(nodes, edges, { enums = [] } = {}) {
+    const units = buildJavaUnits(nodes, edges, { enums });
+    const imports = new Set(units.flatMap(unit => [...unit.imports]));
+
+    let code = `// Java Spring Boot (JPA) Entities\n`;
+    code += [...imports].sort().map(path => `import ${path};\n`).join('');
+    code += `\n`;
+    code += units.map(unit => unit.code).join('\n');
     return code;
-}
\ No newline at end of file
+}
@@ -0,0 +1,77 @@
+import { hasDefault, isDefaultExpression, findEnum, enumValues } from './columnUtils';
+import { decimalPattern } from './typeScriptUtils';
+
+// Matches TYPESCRIPT_TYPE_MAP: BIGINT and DECIMAL travel as digit strings, dates as ISO strings
+export const JSON_SCHEMA_TYPE_MAP = {
+    'INT': 'integer',
+    'BIGINT': 'string',
+    'VARCHAR': 'string',
+    'TEXT': 'string',
+    'DATE': 'string',
+    'DATETIME': 'string',
+    'BOOLEAN': 'boolean',
+    'FLOAT': 'number',
+    'DECIMAL': 'string'
+};
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+// Literal defaults only; values the database computes (NOW(), CURRENT_TIMESTAMP) have no JSON form
+const jsonDefault = (col, type) => {
+    const value = String(col.defaultValue).trim();
+    if (/^NULL$/i.test(value)) return null;
+    if (/^(TRUE|FALSE)$/i.test(value)) return type === 'boolean' ? value.toLowerCase() === 'true' : value;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return type === 'integer' || type === 'number' ? Number(value) : value;
+    if (/^'.*'$/.test(value)) return value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    return isDefaultExpression(value) ? undefined : value;
+};
+
+function propertySchema(col, enums) {
+    const enumDef = findEnum(enums, col.type);
+    const type = enumDef ? 'string' : JSON_SCHEMA_TYPE_MAP[col.type] || 'string';
+    const isNullable = col.isNullable && !col.isPK;
+    const schema = { type: isNullable ? [type, 'null'] : type };
+
+    if (enumDef) schema.enum = isNullable ? [...enumValues(enumDef), null] : enumValues(enumDef);
+    if (col.type === 'VARCHAR' && col.length) schema.maxLength = Number(col.length);
+    if (col.type === 'DATE') schema.format = 'date';
+    if (col.type === 'DATETIME') schema.format = 'date-time';
+    if (col.type === 'BIGINT') schema.pattern = col.isUnsigned ? '^\\d+$' : '^-?\\d+$';
+    if (col.type === 'DECIMAL') schema.pattern = decimalPattern(col) || '^-?\\d+(\\.\\d+)?$';
+    if (col.isUnsigned && (type === 'integer' || type === 'number')) schema.minimum = 0;
+    if (col.comment) schema.description = col.comment;
+    if (hasDefault(col)) {
+        const value = jsonDefault(col, type);
+        if (value !== undefined) schema.default = value;
+    }
+    return schema;
+}
+
+/** One draft 2020-12 document describing a row of the table; every column is required, nullable ones may be null */
+export function tableJsonSchema(node, { enums = [] } = {}) {
+    const document = { $schema: DRAFT_2020_12, title: node.data.label };
+    if (node.data.note) document.description = node.data.note;
+    document.type = 'object';
+    document.properties = Object.fromEntries(node.data.columns.map(col => [col.name, propertySchema(col, enums)]));
+    document.required = node.data.columns.map(col => col.name);
+    document.additionalProperties = false;
+    return document;
+}
+
+const fileNameOf = (node) => `${node.data.label.replace(/[^\w-]+/g, '_')}.schema.json`;
+
+/** One schema file per table under schemas/ */
+export function jsonSchemaFiles(nodes, edges, { enums = [] } = {}) {
+    return nodes.map(node => ({
+        path: `schemas/${fileNameOf(node)}`,
+        content: `${JSON.stringify(tableJsonSchema(node, { enums }), null, 2)}\n`
+    }));
+}
+
+/**
+ * Generates a JSON Schema (draft 2020-12) document per table. The preview lists every document
+ * under its file name; the ZIP holds them as separate files.
+ */
+export default function generateJsonSchema(nodes, edges, { enums = [] } = {}) {
+    return jsonSchemaFiles(nodes, edges, { enums }).map(file => `// ${file.path}\n${file.content}`).join('\n');
+}
@@ -0,0 +1,63 @@
+import { findEnum } from './columnUtils';
+import { handleColumn, crowsFoot } from './relationUtils';
+
+export const MERMAID_TYPE_MAP = {
+    'INT': 'int',
+    'BIGINT': 'bigint',
+    'VARCHAR': 'varchar',
+    'TEXT': 'text',
+    'DATE': 'date',
+    'DATETIME': 'datetime',
+    'BOOLEAN': 'boolean',
+    'FLOAT': 'float',
+    'DECIMAL': 'decimal'
+};
+
+// Entity names may be quoted; attribute names and types are single words
+const entityName = (label) => (/^[A-Za-z_][\w-]*$/.test(label) ? label : `"${label.replace(/"/g, "'")}"`);
+const attributeWord = (value) => {
+    const word = String(value).replace(/[^\w-]+/g, '_');
+    return /^[A-Za-z_]/.test(word) ? word : `_${word}`;
+};
+
+// Mermaid types take no commas, so DECIMAL keeps only its name
+const mermaidType = (col, enums) => {
+    if (findEnum(enums, col.type)) return attributeWord(col.type);
+    const type = MERMAID_TYPE_MAP[col.type] || attributeWord(col.type.toLowerCase());
+    return col.type === 'VARCHAR' && col.length ? `${type}(${col.length})` : type;
+};
+
+function entityBlock(node, edges, enums) {
+    const foreignKeys = new Set(edges.filter(e => e.source === node.id).map(e => handleColumn(e.sourceHandle)));
+    if (node.data.columns.length === 0) return `    ${entityName(node.data.label)}`;
+
+    const lines = node.data.columns.map(col => {
+        const keys = [];
+        if (col.isPK) keys.push('PK');
+        if (foreignKeys.has(col.name)) keys.push('FK');
+        if (col.isUnique && !col.isPK) keys.push('UK');
+        let line = `        ${mermaidType(col, enums)} ${attributeWord(col.name)}`;
+        if (keys.length > 0) line += ` ${keys.join(', ')}`;
+        if (col.comment) line += ` "${col.comment.replace(/"/g, "'").replace(/\s*\n\s*/g, ' ')}"`;
+        return line;
+    });
+    return [`    ${entityName(node.data.label)} {`, ...lines, '    }'].join('\n');
+}
+
+/**
+ * Generates a Mermaid erDiagram for Markdown and wiki pages: one entity per table with its PK, FK
+ * and UK markers, then one relationship per foreign key labelled with the column name.
+ */
+export default function generateMermaid(nodes, edges, { enums = [] } = {}) {
+    const blocks = nodes.map(node => entityBlock(node, edges, enums));
+
+    edges.forEach(edge => {
+        const source = nodes.find(n => n.id === edge.source);
+        const target = nodes.find(n => n.id === edge.target);
+        if (!source || !target) return;
+        const column = source.data.columns.find(col => col.name === handleColumn(edge.sourceHandle));
+        blocks.push(`    ${entityName(target.data.label)} ${crowsFoot(edge, column)} ${entityName(source.data.label)} : "${handleColumn(edge.sourceHandle)}"`);
+    });
+
+    return `erDiagram\n${blocks.join('\n')}\n`;
+}
@@ -1,4 +1,6 @@
-const MONGOOSE_TYPE_MAP = {
+import { hasDefault, isDefaultExpression, findEnum, enumValues, classNameOf, jsString } from './columnUtils';
+
+export const MONGOOSE_TYPE_MAP = {
     'INT': 'Number',
     'BIGINT': 'Number',
     'VARCHAR': 'String',
@@ -6,60 +8,142 @@ const MONGOOSE_TYPE_MAP = {
     'DATE': 'Date',
     'DATETIME': 'Date',
     'BOOLEAN': 'Boolean',
-    'FLOAT': 'Number'
+    'FLOAT': 'Number',
+    'DECIMAL': 'mongoose.Schema.Types.Decimal128'
 };
 
-export default function generateMongoose(nodes, edges) {
-    let code = `const mongoose = require('mongoose');\n\n`;
+const TIMESTAMP_DEFAULTS = /^(now\(\)|CURRENT_TIMESTAMP|CURRENT_DATE)$/i;
 
-    nodes.forEach(node => {
-        const schemaName = node.data.label + 'Schema'; 
-        const modelName = node.data.label;           
+// Translates a SQL default into a Mongoose default, or null when only the database could compute it
+const mongooseDefault = (col) => {
+    const value = String(col.defaultValue).trim();
+    if (TIMESTAMP_DEFAULTS.test(value)) return 'Date.now';
+    if (!isDefaultExpression(value)) return jsString(value);
+    if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+    if (/^(TRUE|FALSE|NULL)$/i.test(value)) return value.toLowerCase();
+    if (/^'.*'$/.test(value)) return jsString(value.slice(1, -1).replace(/''/g, "'"));
+    return null;
+};
+
+// The schema, indexes and model of one table. The model is registered under the table's label,
+// which refs use too; the variables holding it are named after the class name.
+const modelCode = (node, nodes, edges, enums) => {
+    let code = '';
+    const modelName = classNameOf(node);
+    const schemaName = `${modelName}Schema`;
+
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    const isCompositeKey = pkColumns.length > 1;
 
-        code += `// ${modelName} Schema\n`;
-        code += `const ${schemaName} = new mongoose.Schema({\n`;
+    code += `// ${modelName} Schema\n`;
+    code += `const ${schemaName} = new mongoose.Schema({\n`;
 
-        node.data.columns.forEach(col => {
+    node.data.columns.forEach(col => {
 
-            if (col.name === 'id' && col.type === 'INT') return;
+        if (col.name === 'id' && col.type === 'INT') return;
 
-            let fieldDef = `  ${col.name}: {\n`;
-            
+        let fieldDef = col.comment ? `  // ${col.comment}\n` : '';
+        fieldDef += `  ${col.name}: {\n`;
+        
   
-            const edge = edges.find(e => 
-                e.source === node.id && 
-                e.sourceHandle && 
-                e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
-            );
-
-            if (edge) {
-               
-                const targetNode = nodes.find(n => n.id === edge.target);
-                if (targetNode) {
-                    fieldDef += `    type: mongoose.Schema.Types.ObjectId,\n`;
-                    fieldDef += `    ref: '${targetNode.data.label}', // Links to ${targetNode.data.label} model\n`;
-                }
+        const edge = edges.find(e => 
+            e.source === node.id && 
+            e.sourceHandle && 
+            e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
+        );
+
+        if (edge) {
+           
+            const targetNode = nodes.find(n => n.id === edge.target);
+            if (targetNode) {
+                fieldDef += `    type: mongoose.Schema.Types.ObjectId,\n`;
+                fieldDef += `    ref: ${jsString(targetNode.data.label)}, // Links to ${classNameOf(targetNode)} model\n`;
+            }
+        } else {
+            const enumDef = findEnum(enums, col.type);
+            if (enumDef) {
+                fieldDef += `    type: String,\n`;
+                fieldDef += `    enum: [${enumValues(enumDef).map(jsString).join(', ')}],\n`;
             } else {
-                
                 fieldDef += `    type: ${MONGOOSE_TYPE_MAP[col.type] || 'String'},\n`;
             }
+        }
 
-           
-            if (!col.isNullable) fieldDef += `    required: true,\n`;
-            if (col.isPK) fieldDef += `    unique: true,\n`; 
-            
-            fieldDef += `  },\n`;
-            code += fieldDef;
-        });
-
-        code += `}, { timestamps: true });\n\n`;
-        code += `const ${modelName} = mongoose.model('${modelName}', ${schemaName});\n\n`;
+       
+        if (!col.isNullable) fieldDef += `    required: true,\n`;
+        if ((col.isPK && !isCompositeKey) || (col.isUnique && !col.isPK)) fieldDef += `    unique: true,\n`; 
+        if (col.type === 'VARCHAR' && col.length) fieldDef += `    maxlength: ${col.length},\n`;
+        if (col.isUnsigned) fieldDef += `    min: 0,\n`;
+        if (hasDefault(col)) {
+            const defaultValue = mongooseDefault(col);
+            fieldDef += defaultValue !== null
+                ? `    default: ${defaultValue},\n`
+                : `    // SQL default ${col.defaultValue} has no Mongoose equivalent\n`;
+        }
+        if (col.check) fieldDef += `    // SQL check (${col.check}) needs a custom validator\n`;
+        
+        fieldDef += `  },\n`;
+        code += fieldDef;
+    });
+
+    code += `}, { timestamps: true });\n\n`;
+
+    // MongoDB has no composite primary keys, so they become compound unique indexes
+    if (isCompositeKey) {
+        const fields = pkColumns.map(col => `${col.name}: 1`).join(', ');
+        code += `${schemaName}.index({ ${fields} }, { unique: true });\n`;
+    }
+    (node.data.uniqueConstraints || []).forEach(uc => {
+        if (uc.columns.length === 0) return;
+        const fields = uc.columns.map(c => `${c}: 1`).join(', ');
+        code += `${schemaName}.index({ ${fields} }, { unique: true, name: '${uc.name}' });\n`;
+    });
+    const indexes = (node.data.indexes || []).filter(index => index.columns.length > 0);
+    indexes.forEach(index => {
+        // Hashed indexes in MongoDB cover a single field only
+        const isHashed = index.method === 'hash' && index.columns.length === 1;
+        const fields = index.columns
+            .map(col => `${col.name}: ${isHashed ? "'hashed'" : col.order === 'DESC' ? -1 : 1}`)
+            .join(', ');
+        const options = [`name: '${index.name}'`];
+        if (index.unique) options.push('unique: true');
+        if (index.where) {
+            code += `// SQL partial condition "${index.where}" needs a partialFilterExpression in MongoDB\n`;
+        }
+        code += `${schemaName}.index({ ${fields} }, { ${options.join(', ')} });\n`;
+    });
+    if (isCompositeKey || indexes.length > 0 || (node.data.uniqueConstraints || []).some(uc => uc.columns.length > 0)) {
+        code += `\n`;
+    }
+    code += `const ${modelName} = mongoose.model(${jsString(node.data.label)}, ${schemaName});\n`;
+    return code;
+};
+
+/**
+ * One module per model under models/, plus an index.js barrel that re-exports them all.
+ * @returns {Array<{ path, content }>}
+ */
+export function mongooseFiles(nodes, edges, { enums = [] } = {}) {
+    const files = nodes.map(node => ({
+        path: `models/${classNameOf(node)}.js`,
+        content: `const mongoose = require('mongoose');\n\n${modelCode(node, nodes, edges, enums)}\nmodule.exports = ${classNameOf(node)};\n`
+    }));
+
+    let index = nodes.map(node => `const ${classNameOf(node)} = require('./${classNameOf(node)}');\n`).join('');
+    index += `\nmodule.exports = {\n${nodes.map(node => `  ${classNameOf(node)},\n`).join('')}};\n`;
+    files.push({ path: 'models/index.js', content: index });
+    return files;
+}
+
+export default function generateMongoose(nodes, edges, { enums = [] } = {}) {
+    let code = `const mongoose = require('mongoose');\n\n`;
+    nodes.forEach(node => {
+        code += `${modelCode(node, nodes, edges, enums)}\n`;
     });
 
- 
     code += `module.exports = {\n`;
     nodes.forEach(node => {
-        code += `  ${node.data.label},\n`;
+        code += `  ${classNameOf(node)},\n`;
     });
     code += `};\n`;
 
@@ -0,0 +1,60 @@
+import { isAutoIncrement, sqlTypeWithSize, findEnum, enumValues } from './columnUtils';
+import { handleColumn, crowsFoot } from './relationUtils';
+
+// Entities are declared under their label and referenced by an identifier alias
+const aliasOf = (node) => {
+    const alias = node.data.label.replace(/\W+/g, '_');
+    return /^\d/.test(alias) ? `_${alias}` : alias;
+};
+
+function entityBlock(node, edges, enums) {
+    const pkColumns = node.data.columns.filter(col => col.isPK);
+    const foreignKeys = new Set(edges.filter(e => e.source === node.id).map(e => handleColumn(e.sourceHandle)));
+
+    // "*" marks a mandatory attribute; the key columns sit above the separator
+    const attribute = (col) => {
+        const stereotypes = [];
+        if (col.isPK) stereotypes.push('<<PK>>');
+        if (foreignKeys.has(col.name)) stereotypes.push('<<FK>>');
+        if (col.isUnique && !col.isPK) stereotypes.push('<<UK>>');
+        if (col.isAutoIncrement ?? (!foreignKeys.has(col.name) && isAutoIncrement(col, pkColumns.length > 1))) {
+            stereotypes.push('<<generated>>');
+        }
+        const type = findEnum(enums, col.type) ? col.type : sqlTypeWithSize(col);
+        return `  ${col.isNullable && !col.isPK ? '' : '* '}${col.name} : ${type}${stereotypes.map(item => ` ${item}`).join('')}`;
+    };
+
+    const otherColumns = node.data.columns.filter(col => !col.isPK);
+    const lines = pkColumns.map(attribute);
+    if (pkColumns.length > 0 && otherColumns.length > 0) lines.push('  --');
+    lines.push(...otherColumns.map(attribute));
+
+    const color = node.data.color ? ` ${node.data.color}` : '';
+    return [`entity "${node.data.label}" as ${aliasOf(node)}${color} {`, ...lines, '}'].join('\n');
+}
+
+/**
+ * Generates a PlantUML entity diagram in information engineering notation: one entity per table
+ * in its canvas color, enums as enum blocks, and crow's foot relationships per foreign key.
+ */
+export default function generatePlantUML(nodes, edges, { enums = [] } = {}) {
+    const blocks = ['@startuml', 'hide circle', 'skinparam linetype ortho'];
+
+    enums.forEach(enumDef => {
+        blocks.push('', [`enum ${enumDef.name.replace(/\W+/g, '_')} {`, ...enumValues(enumDef).map(value => `  ${value}`), '}'].join('\n'));
+    });
+
+    nodes.forEach(node => blocks.push('', entityBlock(node, edges, enums)));
+
+    const relationships = edges.map(edge => {
+        const source = nodes.find(n => n.id === edge.source);
+        const target = nodes.find(n => n.id === edge.target);
+        if (!source || !target) return null;
+        const column = source.data.columns.find(col => col.name === handleColumn(edge.sourceHandle));
+        return `${aliasOf(target)} ${crowsFoot(edge, column)} ${aliasOf(source)} : ${handleColumn(edge.sourceHandle)}`;
+    }).filter(Boolean);
+    if (relationships.length > 0) blocks.push('', ...relationships);
+
+    blocks.push('@enduml');
+    return `${blocks.join('\n')}\n`;
+}
@@ -0,0 +1,259 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues, enumMemberName, enumTypeName, identifierOf, pascalCase } from './columnUtils';
+import { handleColumn, describeRelations, findManyToManyJunctions, isManyToManyJunction, pluralize } from './relationUtils';
+
+export const PRISMA_PROVIDERS = ['postgresql', 'mysql', 'sqlite'];
+
+export const PRISMA_TYPE_MAP = {
+    'INT': 'Int',
+    'BIGINT': 'BigInt',
+    'VARCHAR': 'String',
+    'TEXT': 'String',
+    'DATE': 'DateTime',
+    'DATETIME': 'DateTime',
+    'BOOLEAN': 'Boolean',
+    'FLOAT': 'Float',
+    'DECIMAL': 'Decimal'
+};
+
+const REFERENTIAL_ACTIONS = {
+    'CASCADE': 'Cascade',
+    'SET NULL': 'SetNull',
+    'SET DEFAULT': 'SetDefault',
+    'RESTRICT': 'Restrict',
+    'NO ACTION': 'NoAction'
+};
+
+// Index types Prisma accepts besides the BTree default; MySQL and SQLite only have BTree
+const POSTGRES_INDEX_TYPES = {
+    'hash': 'Hash',
+    'gin': 'Gin',
+    'gist': 'Gist',
+    'brin': 'Brin'
+};
+
+const prismaString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** The model name for a table, e.g. order items -> OrderItems; the table keeps its name through @@map */
+export const modelNameOf = (node) => {
+    const name = pascalCase(node.data.label) || 'Model';
+    return /^[A-Za-z]/.test(name) ? name : `Model${name}`;
+};
+
+/** The field name for a column or relation, e.g. first name -> first_name; columns keep their name through @map */
+const fieldNameOf = (name) => {
+    const field = String(name).replace(/\W+/g, '_').replace(/_+$/, '');
+    return /^[A-Za-z]/.test(field) ? field : `field_${field}`;
+};
+
+// Native type attributes keep sizes that Prisma's scalar types would otherwise lose
+const nativeType = (col, provider) => {
+    if (provider === 'sqlite') return null;
+    if (col.type === 'VARCHAR' && col.length) return `@db.VarChar(${col.length})`;
+    if (col.type === 'TEXT') return '@db.Text';
+    if (col.type === 'DATE') return '@db.Date';
+    if (col.type === 'DECIMAL' && col.precision) return `@db.Decimal(${col.precision}, ${col.scale || 0})`;
+    if (provider === 'mysql' && col.isUnsigned) {
+        if (col.type === 'INT') return '@db.UnsignedInt';
+        if (col.type === 'BIGINT') return '@db.UnsignedBigInt';
+    }
+    return null;
+};
+
+// Prisma's own functions replace their SQL spellings; other expressions pass through dbgenerated()
+const prismaDefault = (col, enumDef) => {
+    if (!hasDefault(col)) return null;
+    const value = String(col.defaultValue).trim();
+    const unquoted = value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+
+    if (enumDef) return enumMemberName(unquoted);
+    if (/^NULL$/i.test(value)) return null;
+    if (/^(CURRENT_TIMESTAMP|now\(\))$/i.test(value)) return 'now()';
+    if (/^(gen_random_uuid|uuid)\(\)$/i.test(value)) return 'uuid()';
+    if (col.type === 'BOOLEAN' && /^(TRUE|FALSE|1|0)$/i.test(value)) return String(/^(TRUE|1)$/i.test(value));
+    if (PRISMA_TYPE_MAP[col.type] === 'String' || /^'.*'$/.test(value)) return prismaString(unquoted);
+    if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+    return isDefaultExpression(value) ? `dbgenerated(${prismaString(value)})` : prismaString(value);
+};
+
+// Pads each field's name and type so the model reads like `prisma format` output
+const formatFields = (fields) => {
+    const nameWidth = Math.max(...fields.map(field => field.name.length));
+    const typeWidth = Math.max(...fields.map(field => field.type.length));
+    return fields
+        .map(field => {
+            let line = '';
+            if (field.comment) line += `  /// ${field.comment}\n`;
+            const attributes = field.attributes.join(' ');
+            line += `  ${field.name.padEnd(nameWidth)} ${attributes ? field.type.padEnd(typeWidth) + ' ' + attributes : field.type}`;
+            return line.trimEnd();
+        })
+        .join('\n');
+};
+
+/**
+ * Junctions whose two foreign keys form the whole primary key and reference each side's single @id.
+ * They become implicit many-to-many list fields; Prisma keeps the links in a join table of its own,
+ * named after the relation (_post_tags) with columns A and B, in place of the junction table.
+ */
+const findImplicitManyToMany = (nodes, edges) => findManyToManyJunctions(nodes, edges)
+    .filter(({ node, owner, inverse }) => node.data.columns.every(col => col.isPK) && [owner, inverse].every(side => {
+        const keys = side.node.data.columns.filter(col => col.isPK);
+        return keys.length === 1 && keys[0].name === side.targetColumn;
+    }));
+
+// Relation fields for both ends of every foreign key and many-to-many, keyed by the node that declares them
+const buildRelationFields = (nodes, edges, junctions) => {
+    const relationFields = new Map(nodes.map(node => [node.id, []]));
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    relations.forEach(({ edge, source, target, column, targetColumn, isOneToOne, isAmbiguous, forwardName, inverseName }) => {
+        const relationName = isAmbiguous ? prismaString(`${source.data.label}_${column.name}`) : null;
+
+        const forwardArgs = [];
+        if (relationName) forwardArgs.push(relationName);
+        forwardArgs.push(`fields: [${fieldNameOf(column.name)}]`, `references: [${fieldNameOf(targetColumn)}]`);
+        if (REFERENTIAL_ACTIONS[edge.data?.onDelete]) forwardArgs.push(`onDelete: ${REFERENTIAL_ACTIONS[edge.data.onDelete]}`);
+        if (REFERENTIAL_ACTIONS[edge.data?.onUpdate]) forwardArgs.push(`onUpdate: ${REFERENTIAL_ACTIONS[edge.data.onUpdate]}`);
+
+        relationFields.get(source.id).push({
+            name: fieldNameOf(forwardName),
+            type: `${modelNameOf(target)}${column.isNullable ? '?' : ''}`,
+            attributes: [`@relation(${forwardArgs.join(', ')})`]
+        });
+        relationFields.get(target.id).push({
+            name: fieldNameOf(inverseName),
+            type: `${modelNameOf(source)}${isOneToOne ? '?' : '[]'}`,
+            attributes: relationName ? [`@relation(${relationName})`] : []
+        });
+    });
+
+    // Both list fields name the relation after the junction, which also tells a self-reference's ends apart
+    junctions.forEach(({ node: junction, owner, inverse }) => {
+        const relationName = prismaString(junction.data.label);
+        const ownerField = pluralize(identifierOf(inverse.node));
+        const inverseField = owner.node.id === inverse.node.id
+            ? `related_${pluralize(identifierOf(owner.node))}`
+            : pluralize(identifierOf(owner.node));
+
+        relationFields.get(owner.node.id).push({
+            name: fieldNameOf(ownerField),
+            type: `${modelNameOf(inverse.node)}[]`,
+            attributes: [`@relation(${relationName})`]
+        });
+        relationFields.get(inverse.node.id).push({
+            name: fieldNameOf(inverseField),
+            type: `${modelNameOf(owner.node)}[]`,
+            attributes: [`@relation(${relationName})`]
+        });
+    });
+
+    return relationFields;
+};
+
+export default function generatePrisma(nodes, edges, { enums = [], provider = 'postgresql' } = {}) {
+    let code = `// Prisma schema\n\n`;
+    code += `generator client {\n  provider = "prisma-client-js"\n}\n\n`;
+    code += `datasource db {\n  provider = "${provider}"\n  url      = env("DATABASE_URL")\n}\n\n`;
+
+    // SQLite has no enum types, so its enum columns stay strings
+    const supportsEnums = provider !== 'sqlite';
+    if (supportsEnums) {
+        enums.forEach(enumDef => {
+            const enumName = enumTypeName(enumDef.name);
+            code += `enum ${enumName} {\n`;
+            enumValues(enumDef).forEach(value => {
+                const member = enumMemberName(value);
+                code += `  ${member}${member !== value ? ` @map(${prismaString(value)})` : ''}\n`;
+            });
+            if (enumName !== enumDef.name) code += `\n  @@map(${prismaString(enumDef.name)})\n`;
+            code += `}\n\n`;
+        });
+    }
+
+    const junctions = findImplicitManyToMany(nodes, edges);
+    const relationFields = buildRelationFields(nodes, edges, junctions);
+
+    nodes.forEach(node => {
+        if (isManyToManyJunction(junctions, node.id)) return;
+        const modelName = modelNameOf(node);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+
+        const outgoing = edges.filter(edge => edge.source === node.id);
+        const foreignKeyColumns = outgoing.map(edge => handleColumn(edge.sourceHandle));
+        // Prisma needs the foreign key of a one-to-one relation to be unique
+        const oneToOneColumns = outgoing
+            .filter(edge => edge.data?.label === '1:1')
+            .map(edge => handleColumn(edge.sourceHandle));
+
+        const fields = node.data.columns.map(col => {
+            const enumDef = findEnum(enums, col.type);
+            const attributes = [];
+            let comment = col.comment || '';
+
+            if (col.isPK && !isCompositeKey) attributes.push('@id');
+            // A key that is also a foreign key takes its value from the referenced row
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+            if (generated) attributes.push('@default(autoincrement())');
+            else {
+                const defaultValue = prismaDefault(col, enumDef && supportsEnums ? enumDef : null);
+                if (defaultValue) attributes.push(`@default(${defaultValue})`);
+            }
+            const isSoleKey = col.isPK && !isCompositeKey;
+            if (!isSoleKey && (col.isUnique || oneToOneColumns.includes(col.name))) attributes.push('@unique');
+            const native = nativeType(col, provider);
+            if (native) attributes.push(native);
+            const fieldName = fieldNameOf(col.name);
+            if (fieldName !== col.name) attributes.push(`@map(${prismaString(col.name)})`);
+
+            if (enumDef && !supportsEnums) {
+                comment = [comment, `One of: ${enumValues(enumDef).join(', ')}`].filter(Boolean).join('. ');
+            }
+            if (col.check) {
+                comment = [comment, `CHECK (${col.check}) is not enforced by Prisma`].filter(Boolean).join('. ');
+            }
+
+            const scalarType = enumDef
+                ? (supportsEnums ? enumTypeName(enumDef.name) : 'String')
+                : PRISMA_TYPE_MAP[col.type] || 'String';
+
+            return {
+                name: fieldName,
+                type: `${scalarType}${col.isNullable && !col.isPK ? '?' : ''}`,
+                attributes,
+                comment
+            };
+        });
+
+        const blockAttributes = [];
+        if (isCompositeKey) blockAttributes.push(`@@id([${pkColumns.map(col => fieldNameOf(col.name)).join(', ')}])`);
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            if (uc.columns.length === 0) return;
+            blockAttributes.push(`@@unique([${uc.columns.map(fieldNameOf).join(', ')}], map: ${prismaString(uc.name)})`);
+        });
+        (node.data.indexes || []).forEach(index => {
+            if (index.columns.length === 0) return;
+            const keyParts = index.columns
+                .map(col => col.order === 'DESC' ? `${fieldNameOf(col.name)}(sort: Desc)` : fieldNameOf(col.name))
+                .join(', ');
+            let attribute = `@@${index.unique ? 'unique' : 'index'}([${keyParts}], map: ${prismaString(index.name)}`;
+            if (provider === 'postgresql' && POSTGRES_INDEX_TYPES[index.method] && !index.unique) {
+                attribute += `, type: ${POSTGRES_INDEX_TYPES[index.method]}`;
+            }
+            attribute += ')';
+            if (index.where) blockAttributes.push(`// Prisma has no partial indexes; condition dropped: WHERE ${index.where}`);
+            blockAttributes.push(attribute);
+        });
+        if (modelName !== node.data.label) blockAttributes.push(`@@map(${prismaString(node.data.label)})`);
+
+        code += `model ${modelName} {\n`;
+        code += formatFields([...fields, ...relationFields.get(node.id)]);
+        code += `\n`;
+        if (blockAttributes.length > 0) {
+            code += `\n${blockAttributes.map(attribute => `  ${attribute}`).join('\n')}\n`;
+        }
+        code += `}\n\n`;
+    });
+
+    return code;
+}
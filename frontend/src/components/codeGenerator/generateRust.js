@@ -0,0 +1,283 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues, enumTypeName } from './columnUtils';
+import { describeRelations } from './relationUtils';
+
+export const RUST_FLAVORS = [
+    { value: 'diesel', label: 'Diesel' },
+    { value: 'seaorm', label: 'SeaORM' }
+];
+
+const DIESEL_SQL_TYPES = {
+    'INT': 'Integer',
+    'BIGINT': 'BigInt',
+    'VARCHAR': 'Varchar',
+    'TEXT': 'Text',
+    'DATE': 'Date',
+    'DATETIME': 'Timestamp',
+    'BOOLEAN': 'Bool',
+    'FLOAT': 'Double',
+    'DECIMAL': 'Numeric'
+};
+
+// Diesel reads dates and decimals through chrono and bigdecimal; SeaORM re-exports its own
+export const RUST_TYPES = {
+    diesel: { 'DATE': 'NaiveDate', 'DATETIME': 'NaiveDateTime', 'DECIMAL': 'BigDecimal' },
+    seaorm: { 'DATE': 'Date', 'DATETIME': 'DateTime', 'DECIMAL': 'Decimal' }
+};
+
+export const BASE_RUST_TYPES = {
+    'INT': 'i32',
+    'BIGINT': 'i64',
+    'VARCHAR': 'String',
+    'TEXT': 'String',
+    'BOOLEAN': 'bool',
+    'FLOAT': 'f64'
+};
+
+const UNSIGNED_TYPES = {
+    'i32': 'u32',
+    'i64': 'u64'
+};
+
+const SEAORM_ACTIONS = {
+    'CASCADE': 'Cascade',
+    'SET NULL': 'SetNull',
+    'SET DEFAULT': 'SetDefault',
+    'RESTRICT': 'Restrict',
+    'NO ACTION': 'NoAction'
+};
+
+const rustString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** A name as a Rust type or variant name, e.g. post_tags -> PostTags */
+const pascalName = (name) => {
+    const ident = name.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    return /^\d/.test(ident) ? `_${ident}` : ident || 'Unnamed';
+};
+
+/** A name as a Rust module or table identifier, e.g. Order Items -> order_items */
+const snakeName = (name) => {
+    const ident = name.trim().replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toLowerCase();
+    return /^\d/.test(ident) ? `_${ident}` : ident;
+};
+
+const rustType = (col, orm, enums) => {
+    const enumDef = findEnum(enums, col.type);
+    let type;
+    if (enumDef) {
+        // Diesel needs a custom SQL type for enums, so they are read as text
+        type = orm === 'seaorm' ? `super::sea_orm_active_enums::${enumTypeName(enumDef.name)}` : 'String';
+    } else {
+        type = RUST_TYPES[orm][col.type] || BASE_RUST_TYPES[col.type] || 'String';
+    }
+    if (col.isUnsigned && UNSIGNED_TYPES[type]) type = UNSIGNED_TYPES[type];
+    return col.isNullable && !col.isPK ? `Option<${type}>` : type;
+};
+
+function generateDiesel(nodes, edges, enums) {
+    const relations = describeRelations(nodes, edges);
+    const keyColumnsOf = (node) => {
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        // Diesel tables must have a primary key; the first column stands in when none is set
+        return pkColumns.length > 0 ? pkColumns : node.data.columns.slice(0, 1);
+    };
+
+    let schema = `// schema.rs\n`;
+    nodes.forEach(node => {
+        const tableName = snakeName(node.data.label);
+        schema += `diesel::table! {\n`;
+        if (node.data.columns.some(col => findEnum(enums, col.type))) {
+            schema += `    // Enum columns are read as Text; derive a custom SQL type to map them to Rust enums\n`;
+        }
+        if (tableName !== node.data.label) schema += `    #[sql_name = ${rustString(node.data.label)}]\n`;
+        schema += `    ${tableName} (${keyColumnsOf(node).map(col => col.name).join(', ')}) {\n`;
+        node.data.columns.forEach(col => {
+            let sqlType = findEnum(enums, col.type) ? 'Text' : DIESEL_SQL_TYPES[col.type] || 'Text';
+            if (col.isUnsigned && ['Integer', 'BigInt'].includes(sqlType)) sqlType = `Unsigned<${sqlType}>`;
+            if (col.isNullable && !col.isPK) sqlType = `Nullable<${sqlType}>`;
+            if (col.comment) schema += `        /// ${col.comment}\n`;
+            schema += `        ${col.name} -> ${sqlType},\n`;
+        });
+        schema += `    }\n}\n\n`;
+    });
+
+    // joinable! allows a single foreign key per pair of tables
+    const joined = new Set();
+    relations.forEach(({ source, target, column }) => {
+        if (source.id === target.id) return;
+        const pair = `${source.id}|${target.id}`;
+        const line = `diesel::joinable!(${snakeName(source.data.label)} -> ${snakeName(target.data.label)} (${column.name}));\n`;
+        schema += joined.has(pair) ? `// ${line}` : line;
+        joined.add(pair);
+    });
+    if (nodes.length > 1) {
+        schema += `\ndiesel::allow_tables_to_appear_in_same_query!(\n${nodes.map(node => `    ${snakeName(node.data.label)},`).join('\n')}\n);\n`;
+    }
+
+    const usedTypes = new Set(nodes.flatMap(node => node.data.columns.map(col => col.type)));
+    let models = `\n// models.rs\nuse diesel::prelude::*;\n`;
+    const chrono = ['DATE', 'DATETIME'].filter(type => usedTypes.has(type)).map(type => RUST_TYPES.diesel[type]);
+    if (chrono.length > 0) models += `use chrono::${chrono.length > 1 ? `{${chrono.join(', ')}}` : chrono[0]};\n`;
+    if (usedTypes.has('DECIMAL')) models += `use bigdecimal::BigDecimal;\n`;
+    models += `\n`;
+
+    nodes.forEach(node => {
+        const tableName = snakeName(node.data.label);
+        const structName = pascalName(node.data.label);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const parents = relations.filter(relation => relation.source.id === node.id && relation.target.id !== node.id);
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+        const derives = ['Queryable', 'Selectable', 'Identifiable'];
+        if (parents.length > 0) derives.push('Associations');
+        derives.push('Debug');
+        models += `#[derive(${derives.join(', ')})]\n`;
+        models += `#[diesel(table_name = crate::schema::${tableName})]\n`;
+        const keys = keyColumnsOf(node).map(col => col.name);
+        if (keys.length !== 1 || keys[0] !== 'id') models += `#[diesel(primary_key(${keys.join(', ')}))]\n`;
+        // Associations implements BelongsTo once per parent type, matching the joinable! above
+        const parentTypes = new Set();
+        parents.forEach(({ target, column }) => {
+            const line = `#[diesel(belongs_to(${pascalName(target.data.label)}, foreign_key = ${column.name}))]\n`;
+            models += parentTypes.has(target.id) ? `// ${line}` : line;
+            parentTypes.add(target.id);
+        });
+        models += `pub struct ${structName} {\n`;
+        node.data.columns.forEach(col => {
+            models += `    pub ${col.name}: ${rustType(col, 'diesel', enums)},\n`;
+        });
+        models += `}\n\n`;
+
+        // Generated keys are left to the database on insert
+        const insertable = node.data.columns.filter(col => {
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+            return !generated;
+        });
+        if (insertable.length === 0) return;
+        models += `#[derive(Insertable)]\n`;
+        models += `#[diesel(table_name = crate::schema::${tableName})]\n`;
+        models += `pub struct New${structName} {\n`;
+        insertable.forEach(col => {
+            models += `    pub ${col.name}: ${rustType(col, 'diesel', enums)},\n`;
+        });
+        models += `}\n\n`;
+    });
+
+    return `${schema}${models}`.replace(/\n+$/, '\n');
+}
+
+// SeaORM column attributes beyond what the Rust type implies
+const seaOrmColumnAttributes = (col, { generated, isCompositeKey }) => {
+    const attributes = [];
+    if (col.isPK) {
+        attributes.push('primary_key');
+        if (!generated) attributes.push('auto_increment = false');
+    }
+    if (col.type === 'TEXT') attributes.push(`column_type = "Text"`);
+    if (col.type === 'VARCHAR' && col.length) attributes.push(`column_type = "String(StringLen::N(${col.length}))"`);
+    if (col.type === 'DECIMAL' && col.precision) {
+        attributes.push(`column_type = "Decimal(Some((${col.precision}, ${col.scale || 0})))"`);
+    }
+    if (col.isNullable && !col.isPK) attributes.push('nullable');
+    if (col.isUnique && !col.isPK && !isCompositeKey) attributes.push('unique');
+    if (hasDefault(col) && !/^NULL$/i.test(String(col.defaultValue).trim())) {
+        const value = String(col.defaultValue).trim();
+        if (/^-?\d+(\.\d+)?$/.test(value) || /^(true|false)$/i.test(value)) attributes.push(`default_value = ${value.toLowerCase()}`);
+        else if (/^'.*'$/.test(value) || !isDefaultExpression(value)) attributes.push(`default_value = ${rustString(value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'"))}`);
+        else attributes.push(`default_expr = ${rustString(`Expr::cust(${rustString(value)})`)}`);
+    }
+    if (col.comment) attributes.push(`comment = ${rustString(col.comment)}`);
+    return attributes;
+};
+
+function generateSeaOrm(nodes, edges, enums) {
+    const relations = describeRelations(nodes, edges);
+    let code = `// SeaORM entities, one module per table\n\n`;
+
+    if (enums.length > 0) {
+        code += `pub mod sea_orm_active_enums {\n`;
+        code += `    use sea_orm::entity::prelude::*;\n\n`;
+        enums.forEach(enumDef => {
+            code += `    #[derive(Debug, Clone, PartialEq, Eq, EnumIter, DeriveActiveEnum)]\n`;
+            code += `    #[sea_orm(rs_type = "String", db_type = "Enum", enum_name = ${rustString(enumDef.name)})]\n`;
+            code += `    pub enum ${enumTypeName(enumDef.name)} {\n`;
+            enumValues(enumDef).forEach(value => {
+                code += `        #[sea_orm(string_value = ${rustString(value)})]\n`;
+                code += `        ${pascalName(value)},\n`;
+            });
+            code += `    }\n\n`;
+        });
+        code = code.replace(/\n\n$/, '\n');
+        code += `}\n\n`;
+    }
+
+    nodes.forEach(node => {
+        const moduleName = snakeName(node.data.label);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+        code += `pub mod ${moduleName} {\n`;
+        code += `    use sea_orm::entity::prelude::*;\n\n`;
+        code += `    #[derive(Clone, Debug, PartialEq, DeriveEntityModel)]\n`;
+        code += `    #[sea_orm(table_name = ${rustString(node.data.label)})]\n`;
+        code += `    pub struct Model {\n`;
+        node.data.columns.forEach(col => {
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+            const attributes = seaOrmColumnAttributes(col, { generated, isCompositeKey });
+            if (attributes.length > 0) code += `        #[sea_orm(${attributes.join(', ')})]\n`;
+            code += `        pub ${col.name}: ${rustType(col, 'seaorm', enums)},\n`;
+        });
+        code += `    }\n\n`;
+
+        // belongs_to for this table's foreign keys; has_one/has_many only where the foreign key is unambiguous
+        const variants = [];
+        const related = new Map();
+        relations.forEach(({ edge, source, target, column, targetColumn, isOneToOne, isAmbiguous, forwardName, inverseName }) => {
+            if (source.id === node.id) {
+                const args = [
+                    `belongs_to = ${rustString(`super::${snakeName(target.data.label)}::Entity`)}`,
+                    `from = ${rustString(`Column::${pascalName(column.name)}`)}`,
+                    `to = ${rustString(`super::${snakeName(target.data.label)}::Column::${pascalName(targetColumn)}`)}`
+                ];
+                if (SEAORM_ACTIONS[edge.data?.onDelete]) args.push(`on_delete = ${rustString(SEAORM_ACTIONS[edge.data.onDelete])}`);
+                if (SEAORM_ACTIONS[edge.data?.onUpdate]) args.push(`on_update = ${rustString(SEAORM_ACTIONS[edge.data.onUpdate])}`);
+                variants.push({ name: pascalName(forwardName), args });
+                if (!isAmbiguous && !related.has(target.id)) related.set(target.id, pascalName(forwardName));
+            }
+            if (target.id === node.id && !isAmbiguous) {
+                const kind = isOneToOne ? 'has_one' : 'has_many';
+                variants.push({ name: pascalName(inverseName), args: [`${kind} = ${rustString(`super::${snakeName(source.data.label)}::Entity`)}`] });
+                if (!related.has(source.id)) related.set(source.id, pascalName(inverseName));
+            }
+        });
+
+        code += `    #[derive(Copy, Clone, Debug, EnumIter, DeriveRelation)]\n`;
+        code += `    pub enum Relation {\n`;
+        variants.forEach(variant => {
+            code += `        #[sea_orm(${variant.args.join(', ')})]\n`;
+            code += `        ${variant.name},\n`;
+        });
+        code += `    }\n\n`;
+
+        related.forEach((variant, relatedId) => {
+            const relatedNode = nodes.find(n => n.id === relatedId);
+            code += `    impl Related<super::${snakeName(relatedNode.data.label)}::Entity> for Entity {\n`;
+            code += `        fn to() -> RelationDef {\n`;
+            code += `            Relation::${variant}.def()\n`;
+            code += `        }\n`;
+            code += `    }\n\n`;
+        });
+
+        code += `    impl ActiveModelBehavior for ActiveModel {}\n`;
+        code += `}\n\n`;
+    });
+
+    return code.replace(/\n+$/, '\n');
+}
+
+export default function generateRust(nodes, edges, { enums = [], flavor = 'diesel' } = {}) {
+    return flavor === 'seaorm'
+        ? generateSeaOrm(nodes, edges, enums)
+        : generateDiesel(nodes, edges, enums);
+}
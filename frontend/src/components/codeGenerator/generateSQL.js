@@ -0,0 +1,8 @@
+import { generateDDL, SQL_DIALECTS } from '../../../../shared/ddlEmitter.mjs';
+
+export { SQL_DIALECTS };
+
+// The DDL emitter is shared with the backend's migration service, so both produce the same script
+export default function generateSQL(nodes, edges, { enums = [], dialect = 'postgresql' } = {}) {
+    return generateDDL(nodes, edges, { enums, dialect });
+}
@@ -0,0 +1,138 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues, classNameOf, identifierOf, jsString } from './columnUtils';
+import { findManyToManyJunctions, isManyToManyJunction, describeRelations, pluralize } from './relationUtils';
+
+export const SEQUELIZE_TYPE_MAP = {
+    'INT': 'INTEGER',
+    'BIGINT': 'BIGINT',
+    'VARCHAR': 'STRING',
+    'TEXT': 'TEXT',
+    'DATE': 'DATEONLY',
+    'DATETIME': 'DATE',
+    'BOOLEAN': 'BOOLEAN',
+    'FLOAT': 'FLOAT',
+    'DECIMAL': 'DECIMAL'
+};
+
+const dataType = (col, enumDef) => {
+    if (enumDef) return `DataTypes.ENUM(${enumValues(enumDef).map(jsString).join(', ')})`;
+    let type = `DataTypes.${SEQUELIZE_TYPE_MAP[col.type] || 'STRING'}`;
+    if (col.type === 'VARCHAR' && col.length) type += `(${col.length})`;
+    if (col.type === 'DECIMAL' && col.precision) {
+        type += col.scale !== undefined && col.scale !== '' ? `(${col.precision}, ${col.scale})` : `(${col.precision})`;
+    }
+    if (col.isUnsigned && ['INT', 'BIGINT'].includes(col.type)) type += '.UNSIGNED';
+    return type;
+};
+
+// Literals become values; anything the database evaluates is passed through Sequelize.literal()
+const sequelizeDefault = (col) => {
+    const value = String(col.defaultValue).trim();
+    if (/^(CURRENT_TIMESTAMP|now\(\))$/i.test(value)) return 'DataTypes.NOW';
+    if (/^NULL$/i.test(value)) return null;
+    if (/^(TRUE|FALSE)$/i.test(value)) return value.toLowerCase();
+    if (/^-?\d+(\.\d+)?$/.test(value)) return ['INT', 'FLOAT'].includes(col.type) ? value : jsString(value);
+    if (/^'.*'$/.test(value)) return jsString(value.slice(1, -1).replace(/''/g, "'"));
+    return isDefaultExpression(value) ? `Sequelize.literal(${jsString(value)})` : jsString(value);
+};
+
+const associationOptions = (options) => `{ ${options.join(', ')} }`;
+
+export default function generateSequelize(nodes, edges, { enums = [] } = {}) {
+    let code = `const { Sequelize, DataTypes, Model } = require('sequelize');\n\n`;
+    code += `const sequelize = new Sequelize(process.env.DATABASE_URL);\n\n`;
+
+    // Pure junction tables become belongsToMany associations through the table name
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    nodes.forEach(node => {
+        if (isManyToManyJunction(junctions, node.id)) return;
+
+        const className = classNameOf(node);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+        code += `class ${className} extends Model {}\n\n`;
+        code += `${className}.init({\n`;
+
+        const attributes = node.data.columns.map(col => {
+            const enumDef = findEnum(enums, col.type);
+            const options = [`type: ${dataType(col, enumDef)}`];
+            if (col.isPK) options.push('primaryKey: true');
+            // A key that is also a foreign key takes its value from the referenced row
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+            if (generated) options.push('autoIncrement: true');
+            if (!col.isNullable && !col.isPK) options.push('allowNull: false');
+            if (col.isUnique && !col.isPK) options.push('unique: true');
+            if (hasDefault(col)) {
+                const defaultValue = sequelizeDefault(col);
+                if (defaultValue) options.push(`defaultValue: ${defaultValue}`);
+            }
+            if (col.comment) options.push(`comment: ${jsString(col.comment)}`);
+            const check = col.check ? `    // CHECK (${col.check}) is enforced by the database only\n` : '';
+            return `${check}    ${col.name}: {\n        ${options.join(',\n        ')}\n    }`;
+        });
+        code += attributes.join(',\n');
+        code += `\n}, {\n`;
+        code += `    sequelize,\n`;
+        code += `    modelName: ${jsString(className)},\n`;
+        code += `    tableName: ${jsString(node.data.label)},\n`;
+        code += `    timestamps: false`;
+
+        const indexes = [];
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            if (uc.columns.length === 0) return;
+            indexes.push(`{ name: ${jsString(uc.name)}, unique: true, fields: [${uc.columns.map(jsString).join(', ')}] }`);
+        });
+        (node.data.indexes || []).forEach(index => {
+            if (index.columns.length === 0) return;
+            const fields = index.columns
+                .map(col => col.order === 'DESC' ? `{ name: ${jsString(col.name)}, order: 'DESC' }` : jsString(col.name))
+                .join(', ');
+            let entry = `{ name: ${jsString(index.name)}`;
+            if (index.unique) entry += `, unique: true`;
+            if (index.method && index.method !== 'btree') entry += `, using: ${jsString(index.method.toUpperCase())}`;
+            entry += `, fields: [${fields}]`;
+            if (index.where) entry += `, where: Sequelize.literal(${jsString(index.where)})`;
+            indexes.push(`${entry} }`);
+        });
+        if (indexes.length > 0) {
+            code += `,\n    indexes: [\n        ${indexes.join(',\n        ')}\n    ]`;
+        }
+        code += `\n});\n\n`;
+    });
+
+    if (relations.length > 0 || junctions.length > 0) {
+        code += `// Associations\n`;
+    }
+    relations.forEach(({ edge, source, target, column, targetColumn, isOneToOne, forwardName, inverseName }) => {
+        const keys = [`foreignKey: ${jsString(column.name)}`];
+        const belongsTo = [...keys, `targetKey: ${jsString(targetColumn)}`, `as: ${jsString(forwardName)}`];
+        if (edge.data?.onDelete) belongsTo.push(`onDelete: ${jsString(edge.data.onDelete)}`);
+        if (edge.data?.onUpdate) belongsTo.push(`onUpdate: ${jsString(edge.data.onUpdate)}`);
+        const inverse = [...keys, `sourceKey: ${jsString(targetColumn)}`, `as: ${jsString(inverseName)}`];
+
+        code += `${classNameOf(source)}.belongsTo(${classNameOf(target)}, ${associationOptions(belongsTo)});\n`;
+        code += `${classNameOf(target)}.${isOneToOne ? 'hasOne' : 'hasMany'}(${classNameOf(source)}, ${associationOptions(inverse)});\n`;
+    });
+    junctions.forEach(({ node: junction, owner, inverse }) => {
+        const isSelfReference = owner.node.id === inverse.node.id;
+        const through = `through: ${jsString(junction.data.label)}`;
+        const ownerAlias = pluralize(identifierOf(inverse.node));
+        const inverseAlias = isSelfReference
+            ? `related_${pluralize(identifierOf(owner.node))}`
+            : pluralize(identifierOf(owner.node));
+
+        code += `${classNameOf(owner.node)}.belongsToMany(${classNameOf(inverse.node)}, ${associationOptions([through, `foreignKey: ${jsString(owner.column.name)}`, `otherKey: ${jsString(inverse.column.name)}`, `as: ${jsString(ownerAlias)}`])});\n`;
+        code += `${classNameOf(inverse.node)}.belongsToMany(${classNameOf(owner.node)}, ${associationOptions([through, `foreignKey: ${jsString(inverse.column.name)}`, `otherKey: ${jsString(owner.column.name)}`, `as: ${jsString(inverseAlias)}`])});\n`;
+    });
+    if (relations.length > 0 || junctions.length > 0) {
+        code += `\n`;
+    }
+
+    const modelNames = nodes.filter(node => !isManyToManyJunction(junctions, node.id)).map(classNameOf);
+    code += `module.exports = { sequelize, ${modelNames.join(', ')} };\n`;
+
+    return code;
+}
@@ -1,54 +1,225 @@
-const JAVA_TYPE_MAP = {
-    'INT': 'Integer',
-    'BIGINT': 'Long',
-    'VARCHAR': 'String',
-    'TEXT': 'String',
-    'DATE': 'LocalDate',
-    'DATETIME': 'LocalDateTime',
-    'BOOLEAN': 'Boolean',
-    'FLOAT': 'Double'
+import { buildJavaUnits, javaFiles } from './generateJava.js';
+
+export const SPRING_BUILD_TOOLS = [
+    { value: 'maven', label: 'Maven' },
+    { value: 'gradle', label: 'Gradle' }
+];
+
+const SPRING_BOOT_VERSION = '3.3.5';
+const GROUP_ID = 'com.example';
+const ARTIFACT_ID = 'demo';
+const BASE_PACKAGE = `${GROUP_ID}.${ARTIFACT_ID}`;
+const SOURCE_ROOT = `src/main/java/${BASE_PACKAGE.replace(/\./g, '/')}`;
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const pomXml = () => `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/xsd/maven-4.0.0.xsd">
+    <modelVersion>4.0.0</modelVersion>
+
+    <parent>
+        <groupId>org.springframework.boot</groupId>
+        <artifactId>spring-boot-starter-parent</artifactId>
+        <version>${SPRING_BOOT_VERSION}</version>
+        <relativePath/>
+    </parent>
+
+    <groupId>${GROUP_ID}</groupId>
+    <artifactId>${ARTIFACT_ID}</artifactId>
+    <version>0.0.1-SNAPSHOT</version>
+
+    <properties>
+        <java.version>17</java.version>
+    </properties>
+
+    <dependencies>
+        <dependency>
+            <groupId>org.springframework.boot</groupId>
+            <artifactId>spring-boot-starter-data-jpa</artifactId>
+        </dependency>
+        <dependency>
+            <groupId>org.springframework.boot</groupId>
+            <artifactId>spring-boot-starter-web</artifactId>
+        </dependency>
+        <dependency>
+            <groupId>org.postgresql</groupId>
+            <artifactId>postgresql</artifactId>
+            <scope>runtime</scope>
+        </dependency>
+        <dependency>
+            <groupId>org.springframework.boot</groupId>
+            <artifactId>spring-boot-starter-test</artifactId>
+            <scope>test</scope>
+        </dependency>
+    </dependencies>
+
+    <build>
+        <plugins>
+            <plugin>
+                <groupId>org.springframework.boot</groupId>
+                <artifactId>spring-boot-maven-plugin</artifactId>
+            </plugin>
+        </plugins>
+    </build>
+</project>
+`;
+
+const buildGradle = () => `plugins {
+    id 'java'
+    id 'org.springframework.boot' version '${SPRING_BOOT_VERSION}'
+    id 'io.spring.dependency-management' version '1.1.6'
+}
+
+group = '${GROUP_ID}'
+version = '0.0.1-SNAPSHOT'
+
+java {
+    toolchain {
+        languageVersion = JavaLanguageVersion.of(17)
+    }
+}
+
+repositories {
+    mavenCentral()
+}
+
+dependencies {
+    implementation 'org.springframework.boot:spring-boot-starter-data-jpa'
+    implementation 'org.springframework.boot:spring-boot-starter-web'
+    runtimeOnly 'org.postgresql:postgresql'
+    testImplementation 'org.springframework.boot:spring-boot-starter-test'
+}
+
+tasks.named('test') {
+    useJUnitPlatform()
+}
+`;
+
+// The schema comes from the diagram's SQL script, so Hibernate only checks it, against the table and
+// column names the entities spell out (Spring's default strategy would rewrite them in snake_case)
+const applicationProperties = () => `spring.application.name=${ARTIFACT_ID}
+spring.datasource.url=jdbc:postgresql://localhost:5432/${ARTIFACT_ID}
+spring.datasource.username=postgres
+spring.datasource.password=postgres
+spring.jpa.hibernate.ddl-auto=validate
+spring.jpa.hibernate.naming.physical-strategy=org.hibernate.boot.model.naming.PhysicalNamingStrategyStandardImpl
+`;
+
+const javaFile = (subPackage, imports, body) => {
+    let code = `package ${BASE_PACKAGE}${subPackage ? `.${subPackage}` : ''};\n\n`;
+    if (imports.length > 0) code += `${[...new Set(imports)].sort().map(path => `import ${path};\n`).join('')}\n`;
+    return code + body;
+};
+
+const repositoryFile = (entity) => javaFile('repository', [
+    'org.springframework.data.jpa.repository.JpaRepository',
+    `${BASE_PACKAGE}.entity.${entity.name}`,
+    ...(entity.keyFields.length > 1 ? [`${BASE_PACKAGE}.entity.${entity.keyType}`] : [])
+], `public interface ${entity.name}Repository extends JpaRepository<${entity.name}, ${entity.keyType}> {\n}\n`);
+
+// Updates copy the request's non-key fields onto the stored row, so keys come only from the path
+const serviceFile = (entity) => {
+    const { name, keyType, updatableFields } = entity;
+    let body = `@Service\n@Transactional\npublic class ${name}Service {\n\n`;
+    body += `    private final ${name}Repository repository;\n\n`;
+    body += `    public ${name}Service(${name}Repository repository) {\n        this.repository = repository;\n    }\n\n`;
+    body += `    @Transactional(readOnly = true)\n    public List<${name}> findAll() {\n        return repository.findAll();\n    }\n\n`;
+    body += `    @Transactional(readOnly = true)\n    public Optional<${name}> findById(${keyType} id) {\n        return repository.findById(id);\n    }\n\n`;
+    body += `    public ${name} create(${name} entity) {\n        return repository.save(entity);\n    }\n\n`;
+    body += `    public Optional<${name}> update(${keyType} id, ${name} changes) {\n`;
+    body += `        return repository.findById(id).map(existing -> {\n`;
+    body += updatableFields.map(field => `            existing.set${capitalize(field)}(changes.get${capitalize(field)}());\n`).join('');
+    body += `            return repository.save(existing);\n        });\n    }\n\n`;
+    body += `    public boolean delete(${keyType} id) {\n`;
+    body += `        if (!repository.existsById(id)) {\n            return false;\n        }\n`;
+    body += `        repository.deleteById(id);\n        return true;\n    }\n}\n`;
+
+    return javaFile('service', [
+        'java.util.List',
+        'java.util.Optional',
+        'org.springframework.stereotype.Service',
+        'org.springframework.transaction.annotation.Transactional',
+        `${BASE_PACKAGE}.entity.${name}`,
+        ...(entity.keyFields.length > 1 ? [`${BASE_PACKAGE}.entity.${keyType}`] : []),
+        `${BASE_PACKAGE}.repository.${name}Repository`
+    ], body);
 };
 
-export default function generateSpringBoot(nodes, edges) {
-    let code = `// You typically put these in separate files. Displaying all here for copy-paste.\n\n`;
-    code += `import jakarta.persistence.*;\nimport java.util.*;\n\n`;
-
-    nodes.forEach(node => {
-        const className = node.data.label.charAt(0).toUpperCase() + node.data.label.slice(1);
-        
-        code += `@Entity\n@Table(name = "${node.data.label.toLowerCase()}")\n`;
-        code += `public class ${className} {\n\n`;
-
-        node.data.columns.forEach(col => {
-            if (col.isPK) {
-                code += `    @Id\n    @GeneratedValue(strategy = GenerationType.IDENTITY)\n`;
-            }
-
-
-            const edge = edges.find(e => 
-                e.source === node.id && 
-                e.sourceHandle && 
-                e.sourceHandle.replace('-left', '').replace('-right', '') === col.name
-            );
-
-            if (edge) {
-                const targetNode = nodes.find(n => n.id === edge.target);
-                const targetClass = targetNode.data.label.charAt(0).toUpperCase() + targetNode.data.label.slice(1);
-                
-                code += `    @ManyToOne\n`;
-                code += `    @JoinColumn(name = "${col.name}")\n`;
-                code += `    private ${targetClass} ${targetNode.data.label.toLowerCase()};\n\n`;
-            } else {
-                if (!col.isNullable && !col.isPK) code += `    @Column(nullable = false)\n`;
-                
-                const javaType = JAVA_TYPE_MAP[col.type] || 'String';
-                code += `    private ${javaType} ${col.name};\n\n`;
-            }
-        });
-
-        code += `    // Getters and Setters omitted for brevity\n`;
-        code += `}\n\n`;
+const controllerFile = (entity) => {
+    const { name, keyType, keyFields, node } = entity;
+    const isCompositeKey = keyFields.length > 1;
+    // Composite keys take one path segment per key field
+    const idPath = keyFields.map(field => `{${field.name}}`).join('/');
+    const idParams = keyFields.map(field => `@PathVariable ${field.type} ${field.name}`).join(', ');
+    const idArg = isCompositeKey ? `new ${keyType}(${keyFields.map(field => field.name).join(', ')})` : keyFields[0].name;
+    const basePath = `/api/${node.data.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+    let body = `@RestController\n@RequestMapping("${basePath}")\npublic class ${name}Controller {\n\n`;
+    body += `    private final ${name}Service service;\n\n`;
+    body += `    public ${name}Controller(${name}Service service) {\n        this.service = service;\n    }\n\n`;
+    body += `    @GetMapping\n    public List<${name}> findAll() {\n        return service.findAll();\n    }\n\n`;
+    body += `    @GetMapping("/${idPath}")\n    public ResponseEntity<${name}> findById(${idParams}) {\n`;
+    body += `        return ResponseEntity.of(service.findById(${idArg}));\n    }\n\n`;
+    body += `    @PostMapping\n    public ResponseEntity<${name}> create(@RequestBody ${name} entity) {\n`;
+    body += `        return ResponseEntity.status(HttpStatus.CREATED).body(service.create(entity));\n    }\n\n`;
+    body += `    @PutMapping("/${idPath}")\n    public ResponseEntity<${name}> update(${idParams}, @RequestBody ${name} entity) {\n`;
+    body += `        return ResponseEntity.of(service.update(${idArg}, entity));\n    }\n\n`;
+    body += `    @DeleteMapping("/${idPath}")\n    public ResponseEntity<Void> delete(${idParams}) {\n`;
+    body += `        return service.delete(${idArg}) ? ResponseEntity.noContent().build() : ResponseEntity.notFound().build();\n    }\n}\n`;
+
+    return javaFile('controller', [
+        'java.util.List',
+        'org.springframework.http.HttpStatus',
+        'org.springframework.http.ResponseEntity',
+        'org.springframework.web.bind.annotation.*',
+        `${BASE_PACKAGE}.entity.${name}`,
+        ...(isCompositeKey ? [`${BASE_PACKAGE}.entity.${keyType}`] : []),
+        `${BASE_PACKAGE}.service.${name}Service`
+    ], body);
+};
+
+/**
+ * A Spring Boot project: build file, application class and properties, then per table an entity,
+ * a JpaRepository, a service and a CRUD @RestController. Tables without a primary key get only
+ * their entity, since Spring Data needs an id type.
+ * @returns {Array<{ path, content }>}
+ */
+export function springBootFiles(nodes, edges, { enums = [], build = 'maven' } = {}) {
+    const files = [];
+    if (build === 'gradle') {
+        files.push({ path: 'settings.gradle', content: `rootProject.name = '${ARTIFACT_ID}'\n` });
+        files.push({ path: 'build.gradle', content: buildGradle() });
+    } else {
+        files.push({ path: 'pom.xml', content: pomXml() });
+    }
+    files.push({ path: 'src/main/resources/application.properties', content: applicationProperties() });
+
+    const applicationClass = `${capitalize(ARTIFACT_ID)}Application`;
+    files.push({
+        path: `${SOURCE_ROOT}/${applicationClass}.java`,
+        content: javaFile('', [
+            'org.springframework.boot.SpringApplication',
+            'org.springframework.boot.autoconfigure.SpringBootApplication'
+        ], `@SpringBootApplication\npublic class ${applicationClass} {\n\n    public static void main(String[] args) {\n        SpringApplication.run(${applicationClass}.class, args);\n    }\n}\n`)
     });
 
-    return code;
-}
\ No newline at end of file
+    files.push(...javaFiles(nodes, edges, { enums, json: true, packageName: `${BASE_PACKAGE}.entity` }));
+
+    const units = buildJavaUnits(nodes, edges, { enums, json: true });
+
+    units.filter(unit => unit.kind === 'entity' && unit.keyFields.length > 0).forEach(entity => {
+        files.push({ path: `${SOURCE_ROOT}/repository/${entity.name}Repository.java`, content: repositoryFile(entity) });
+        files.push({ path: `${SOURCE_ROOT}/service/${entity.name}Service.java`, content: serviceFile(entity) });
+        files.push({ path: `${SOURCE_ROOT}/controller/${entity.name}Controller.java`, content: controllerFile(entity) });
+    });
+
+    return files;
+}
+
+export default function generateSpringBoot(nodes, edges, options = {}) {
+    return springBootFiles(nodes, edges, options)
+        .map(file => `// ${file.path}\n${file.content}`)
+        .join('\n');
+}
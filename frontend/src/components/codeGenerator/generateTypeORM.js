@@ -0,0 +1,165 @@
+import { isAutoIncrement, hasDefault, isDefaultExpression, findEnum, enumValues, enumMemberName, enumTypeName, classNameOf, identifierOf } from './columnUtils';
+import { findManyToManyJunctions, isManyToManyJunction, describeRelations, pluralize } from './relationUtils';
+import { tsString } from './typeScriptUtils';
+import { checkConstraintName } from '../../../../shared/ddlEmitter.mjs';
+
+export const TYPEORM_TYPE_MAP = {
+    'INT': { column: 'int', ts: 'number' },
+    'BIGINT': { column: 'bigint', ts: 'string' },
+    'VARCHAR': { column: 'varchar', ts: 'string' },
+    'TEXT': { column: 'text', ts: 'string' },
+    'DATE': { column: 'date', ts: 'string' },
+    'DATETIME': { column: 'timestamp', ts: 'Date' },
+    'BOOLEAN': { column: 'boolean', ts: 'boolean' },
+    'FLOAT': { column: 'float', ts: 'number' },
+    'DECIMAL': { column: 'decimal', ts: 'string' }
+};
+
+// Literals become values; anything the database evaluates is passed as a raw SQL function
+const typeormDefault = (col, enumDef) => {
+    const value = String(col.defaultValue).trim();
+    const unquoted = value.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    if (enumDef) return `${enumTypeName(enumDef.name)}.${enumMemberName(unquoted)}`;
+    if (/^NULL$/i.test(value)) return null;
+    if (/^(TRUE|FALSE)$/i.test(value)) return value.toLowerCase();
+    if (/^-?\d+(\.\d+)?$/.test(value)) return TYPEORM_TYPE_MAP[col.type]?.ts === 'number' ? value : tsString(value);
+    if (/^'.*'$/.test(value) || !isDefaultExpression(value)) return tsString(unquoted);
+    return `() => ${tsString(value)}`;
+};
+
+const columnOptions = (col, enumDef) => {
+    const options = [];
+    if (enumDef) {
+        options.push(`type: 'enum'`, `enum: ${enumTypeName(enumDef.name)}`);
+    } else {
+        options.push(`type: '${TYPEORM_TYPE_MAP[col.type]?.column || 'varchar'}'`);
+    }
+    if (col.type === 'VARCHAR' && col.length) options.push(`length: ${col.length}`);
+    if (col.type === 'DECIMAL' && col.precision) options.push(`precision: ${col.precision}`);
+    if (col.type === 'DECIMAL' && col.scale !== undefined && col.scale !== '') options.push(`scale: ${col.scale}`);
+    if (col.isUnsigned) options.push('unsigned: true');
+    if (col.isNullable && !col.isPK) options.push('nullable: true');
+    if (col.isUnique && !col.isPK) options.push('unique: true');
+    if (hasDefault(col)) {
+        const defaultValue = typeormDefault(col, enumDef);
+        if (defaultValue) options.push(`default: ${defaultValue}`);
+    }
+    if (col.comment) options.push(`comment: ${tsString(col.comment)}`);
+    return options;
+};
+
+const relationOptions = (edge, column) => {
+    const options = [];
+    if (edge.data?.onDelete) options.push(`onDelete: '${edge.data.onDelete}'`);
+    if (edge.data?.onUpdate) options.push(`onUpdate: '${edge.data.onUpdate}'`);
+    if (!column.isNullable) options.push('nullable: false');
+    return options.length > 0 ? `, { ${options.join(', ')} }` : '';
+};
+
+export default function generateTypeORM(nodes, edges, { enums = [] } = {}) {
+    let code = `// TypeORM entities\n`;
+    code += `import {\n`;
+    code += `    Entity, Column, PrimaryColumn, PrimaryGeneratedColumn, Index, Unique, Check,\n`;
+    code += `    ManyToOne, OneToMany, OneToOne, ManyToMany, JoinColumn, JoinTable\n`;
+    code += `} from 'typeorm';\n\n`;
+
+    enums.forEach(enumDef => {
+        code += `export enum ${enumTypeName(enumDef.name)} {\n`;
+        code += enumValues(enumDef).map(value => `    ${enumMemberName(value)} = ${tsString(value)}`).join(',\n');
+        code += `\n}\n\n`;
+    });
+
+    // Pure junction tables become @ManyToMany collections instead of entities
+    const junctions = findManyToManyJunctions(nodes, edges);
+    const relations = describeRelations(nodes, edges).filter(relation => !isManyToManyJunction(junctions, relation.source.id));
+
+    nodes.forEach(node => {
+        if (isManyToManyJunction(junctions, node.id)) return;
+
+        const className = classNameOf(node);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const isCompositeKey = pkColumns.length > 1;
+        const foreignKeyColumns = relations.filter(relation => relation.source.id === node.id).map(relation => relation.column.name);
+
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            if (uc.columns.length === 0) return;
+            code += `@Unique(${tsString(uc.name)}, [${uc.columns.map(tsString).join(', ')}])\n`;
+        });
+        (node.data.indexes || []).forEach(index => {
+            if (index.columns.length === 0) return;
+            // TypeORM's @Index takes no per-column order or index method
+            const dropped = [];
+            if (index.columns.some(col => col.order === 'DESC')) dropped.push('DESC ordering');
+            if (index.method && index.method !== 'btree') dropped.push(`the ${index.method} method`);
+            if (dropped.length > 0) code += `// @Index cannot express ${dropped.join(' or ')}; add it to ${index.name} in a migration\n`;
+            const options = [];
+            if (index.unique) options.push('unique: true');
+            if (index.where) options.push(`where: ${tsString(index.where)}`);
+            code += `@Index(${tsString(index.name)}, [${index.columns.map(col => tsString(col.name)).join(', ')}]${options.length > 0 ? `, { ${options.join(', ')} }` : ''})\n`;
+        });
+        node.data.columns.forEach(col => {
+            if (col.check) code += `@Check(${tsString(checkConstraintName(node.data.label, col.name))}, ${tsString(col.check)})\n`;
+        });
+        code += `@Entity(${tsString(node.data.label)})\n`;
+        code += `export class ${className} {\n`;
+
+        node.data.columns.forEach(col => {
+            const enumDef = findEnum(enums, col.type);
+            const options = columnOptions(col, enumDef);
+            // A key that is also a foreign key takes its value from the referenced row
+            const generated = col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, isCompositeKey));
+
+            if (col.isPK && generated) {
+                code += `    @PrimaryGeneratedColumn({ ${options.join(', ')} })\n`;
+            } else if (col.isPK) {
+                code += `    @PrimaryColumn({ ${options.join(', ')} })\n`;
+            } else {
+                code += `    @Column({ ${options.join(', ')} })\n`;
+            }
+            const tsType = enumDef ? enumTypeName(enumDef.name) : TYPEORM_TYPE_MAP[col.type]?.ts || 'string';
+            code += `    ${col.name}: ${tsType}${col.isNullable && !col.isPK ? ' | null' : ''};\n\n`;
+        });
+
+        relations.forEach(({ edge, source, target, column, targetColumn, isOneToOne, forwardName, inverseName }) => {
+            const joinColumn = `    @JoinColumn({ name: ${tsString(column.name)}, referencedColumnName: ${tsString(targetColumn)} })\n`;
+            if (source.id === node.id) {
+                code += `    @${isOneToOne ? 'OneToOne' : 'ManyToOne'}(() => ${classNameOf(target)}, (${identifierOf(target)}) => ${identifierOf(target)}.${inverseName}${relationOptions(edge, column)})\n`;
+                code += joinColumn;
+                code += `    ${forwardName}: ${classNameOf(target)}${column.isNullable ? ' | null' : ''};\n\n`;
+            }
+            if (target.id === node.id) {
+                const sourceVar = identifierOf(source);
+                code += `    @${isOneToOne ? 'OneToOne' : 'OneToMany'}(() => ${classNameOf(source)}, (${sourceVar}) => ${sourceVar}.${forwardName})\n`;
+                code += `    ${inverseName}: ${classNameOf(source)}${isOneToOne ? ' | null' : '[]'};\n\n`;
+            }
+        });
+
+        // The owning side of each many-to-many carries the @JoinTable
+        junctions.forEach(({ node: junction, owner, inverse }) => {
+            const isSelfReference = owner.node.id === inverse.node.id;
+            const ownerField = pluralize(identifierOf(inverse.node));
+            const inverseField = isSelfReference
+                ? `related_${pluralize(identifierOf(owner.node))}`
+                : pluralize(identifierOf(owner.node));
+
+            if (owner.node.id === node.id) {
+                code += `    @ManyToMany(() => ${classNameOf(inverse.node)}, (${identifierOf(inverse.node)}) => ${identifierOf(inverse.node)}.${inverseField})\n`;
+                code += `    @JoinTable({\n`;
+                code += `        name: ${tsString(junction.data.label)},\n`;
+                code += `        joinColumn: { name: ${tsString(owner.column.name)}, referencedColumnName: ${tsString(owner.targetColumn)} },\n`;
+                code += `        inverseJoinColumn: { name: ${tsString(inverse.column.name)}, referencedColumnName: ${tsString(inverse.targetColumn)} }\n`;
+                code += `    })\n`;
+                code += `    ${ownerField}: ${classNameOf(inverse.node)}[];\n\n`;
+            }
+            if (inverse.node.id === node.id) {
+                code += `    @ManyToMany(() => ${classNameOf(owner.node)}, (${identifierOf(owner.node)}) => ${identifierOf(owner.node)}.${ownerField})\n`;
+                code += `    ${inverseField}: ${classNameOf(owner.node)}[];\n\n`;
+            }
+        });
+
+        code = code.replace(/\n\n$/, '\n');
+        code += `}\n\n`;
+    });
+
+    return code;
+}
@@ -0,0 +1,62 @@
+import { findEnum, enumValues, enumTypeName } from './columnUtils';
+import { describeRelations } from './relationUtils';
+import { tsString, propertyName } from './typeScriptUtils';
+
+// The types rows arrive as from a JSON API; BIGINT and DECIMAL stay strings to keep their precision
+export const TYPESCRIPT_TYPE_MAP = {
+    'INT': 'number',
+    'BIGINT': 'string',
+    'VARCHAR': 'string',
+    'TEXT': 'string',
+    'DATE': 'string',
+    'DATETIME': 'Date',
+    'BOOLEAN': 'boolean',
+    'FLOAT': 'number',
+    'DECIMAL': 'string'
+};
+
+const docComment = (text, indent) => `${indent}/** ${String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */\n`;
+
+/** The interface name for a table, e.g. post_tags -> PostTags */
+export const interfaceNameOf = (node) => enumTypeName(node.data.label) || 'Table';
+
+/**
+ * Generates one TypeScript interface per table. Nullable columns are `T | null` unions, enums
+ * become string literal unions, and every foreign key adds optional fields typed as the related
+ * interface on both ends, for rows loaded with their relations.
+ */
+export default function generateTypeScript(nodes, edges, { enums = [] } = {}) {
+    let code = `// TypeScript types\n\n`;
+
+    enums.forEach(enumDef => {
+        const values = enumValues(enumDef);
+        code += `export type ${enumTypeName(enumDef.name)} = ${values.length > 0 ? values.map(tsString).join(' | ') : 'never'};\n\n`;
+    });
+
+    const relations = describeRelations(nodes, edges);
+
+    nodes.forEach(node => {
+        if (node.data.note) code += docComment(node.data.note, '');
+        code += `export interface ${interfaceNameOf(node)} {\n`;
+
+        node.data.columns.forEach(col => {
+            const enumDef = findEnum(enums, col.type);
+            const tsType = enumDef ? enumTypeName(enumDef.name) : TYPESCRIPT_TYPE_MAP[col.type] || 'string';
+            if (col.comment) code += docComment(col.comment, '    ');
+            code += `    ${propertyName(col.name)}: ${tsType}${col.isNullable && !col.isPK ? ' | null' : ''};\n`;
+        });
+
+        relations.forEach(({ source, target, column, isOneToOne, forwardName, inverseName }) => {
+            if (source.id === node.id) {
+                code += `    ${propertyName(forwardName)}?: ${interfaceNameOf(target)}${column.isNullable ? ' | null' : ''};\n`;
+            }
+            if (target.id === node.id) {
+                code += `    ${propertyName(inverseName)}?: ${interfaceNameOf(source)}${isOneToOne ? ' | null' : '[]'};\n`;
+            }
+        });
+
+        code += `}\n\n`;
+    });
+
+    return code;
+}
@@ -0,0 +1,63 @@
+import { findEnum, enumValues, enumTypeName } from './columnUtils';
+import { interfaceNameOf } from './generateTypeScript.js';
+import { tsString, propertyName, decimalPattern } from './typeScriptUtils';
+
+// Matches TYPESCRIPT_TYPE_MAP: BIGINT and DECIMAL are validated as digit strings, DATETIME parses to a Date
+export const ZOD_TYPE_MAP = {
+    'INT': 'z.number().int()',
+    'BIGINT': 'z.string().regex(/^-?\\d+$/)',
+    'VARCHAR': 'z.string()',
+    'TEXT': 'z.string()',
+    'DATE': 'z.string().date()',
+    'DATETIME': 'z.coerce.date()',
+    'BOOLEAN': 'z.boolean()',
+    'FLOAT': 'z.number()',
+    'DECIMAL': 'z.string().regex(/^-?\\d+(\\.\\d+)?$/)'
+};
+
+const enumSchemaName = (enumDef) => `${enumTypeName(enumDef.name)}Schema`;
+
+const zodType = (col, enums) => {
+    const enumDef = findEnum(enums, col.type);
+    if (enumDef) return enumSchemaName(enumDef);
+
+    let schema = ZOD_TYPE_MAP[col.type] || 'z.string()';
+    if (col.type === 'VARCHAR' && col.length) schema += `.max(${col.length})`;
+    if (col.type === 'DECIMAL' && decimalPattern(col)) schema = `z.string().regex(/${decimalPattern(col)}/)`;
+    if (col.isUnsigned && col.type === 'INT') schema += '.nonnegative()';
+    if (col.isUnsigned && col.type === 'BIGINT') schema = 'z.string().regex(/^\\d+$/)';
+    if (col.isUnsigned && col.type === 'FLOAT') schema += '.nonnegative()';
+    return schema;
+};
+
+/**
+ * Generates Zod validators: a z.enum per project enum and a z.object per table whose VARCHAR
+ * lengths become .max() and nullable columns .nullable(), each with its inferred row type.
+ */
+export default function generateZod(nodes, edges, { enums = [] } = {}) {
+    let code = `// Zod schemas\n`;
+    code += `import { z } from 'zod';\n\n`;
+
+    enums.forEach(enumDef => {
+        const values = enumValues(enumDef);
+        code += values.length > 0
+            ? `export const ${enumSchemaName(enumDef)} = z.enum([${values.map(tsString).join(', ')}]);\n`
+            : `export const ${enumSchemaName(enumDef)} = z.never();\n`;
+        code += `export type ${enumTypeName(enumDef.name)} = z.infer<typeof ${enumSchemaName(enumDef)}>;\n\n`;
+    });
+
+    nodes.forEach(node => {
+        const name = interfaceNameOf(node);
+        code += `export const ${name}Schema = z.object({\n`;
+        node.data.columns.forEach(col => {
+            let schema = zodType(col, enums);
+            if (col.isNullable && !col.isPK) schema += '.nullable()';
+            if (col.comment) schema += `.describe(${tsString(col.comment)})`;
+            code += `    ${propertyName(col.name)}: ${schema},\n`;
+        });
+        code += `});\n`;
+        code += `export type ${name} = z.infer<typeof ${name}Schema>;\n\n`;
+    });
+
+    return code;
+}
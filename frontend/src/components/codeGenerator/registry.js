@@ -0,0 +1,232 @@
+import { DATA_TYPES } from '../../Store/store';
+import generateFlaskSQLAlchemy, { SQLALCHEMY_FLAVORS, PYTHON_TYPE_MAP, sqlalchemyFiles } from './generateFlaskSQLAlchemy.js';
+import generateSQL, { SQL_DIALECTS } from './generateSQL.js';
+import generateMongoose, { MONGOOSE_TYPE_MAP, mongooseFiles } from './generateMongoose.js';
+import generateJava, { JAVA_TYPE_MAP, javaFiles } from './generateJava.js';
+import generateSpringBoot, { SPRING_BUILD_TOOLS, springBootFiles } from './generateSpringBoot.js';
+import generateCSharp, { CSHARP_TYPE_MAP, csharpFiles } from './generateCSharp.js';
+import generatePrisma, { PRISMA_PROVIDERS, PRISMA_TYPE_MAP } from './generatePrisma.js';
+import generateTypeORM from './generateTypeORM.js';
+import generateSequelize, { SEQUELIZE_TYPE_MAP } from './generateSequelize.js';
+import generateDrizzle, { DRIZZLE_DIALECTS } from './generateDrizzle.js';
+import generateDjango, { DJANGO_FIELD_MAP, djangoFiles } from './generateDjango.js';
+import generateGorm, { GO_TYPE_MAP } from './generateGorm.js';
+import generateRust, { RUST_FLAVORS, BASE_RUST_TYPES, RUST_TYPES } from './generateRust.js';
+import generateDBML, { DBML_TYPE_MAP } from './generateDBML.js';
+import generateMermaid, { MERMAID_TYPE_MAP } from './generateMermaid.js';
+import generatePlantUML from './generatePlantUML.js';
+import generateTypeScript, { TYPESCRIPT_TYPE_MAP } from './generateTypeScript.js';
+import generateZod, { ZOD_TYPE_MAP } from './generateZod.js';
+import generateJsonSchema, { JSON_SCHEMA_TYPE_MAP, jsonSchemaFiles } from './generateJsonSchema.js';
+import generateGraphQL, { GRAPHQL_TYPE_MAP, GRAPHQL_RESOLVERS, graphqlFiles } from './generateGraphQL.js';
+
+// Column types as SketchQL names them, for outputs that print the SQL type
+const SQL_TYPE_MAP = Object.fromEntries(DATA_TYPES.map(type => [type, type]));
+
+/**
+ * Every built-in code generator behind one interface:
+ *   id, label, language (for highlighting), color,
+ *   typeMap    - column type -> target type, the starting point for user templates in that language
+ *   variants   - optional { label, options } choice passed to the generator as options.variant
+ *   generate(nodes, edges, { enums, variant }) -> the previewed code
+ *   files(nodes, edges, { enums, variant })    -> [{ path, content }] for generators that lay out a
+ *                                                 project; the others land in the ZIP as fileName
+ */
+export const GENERATORS = [
+    {
+        id: 'sqlalchemy',
+        label: 'Python (SQLAlchemy)',
+        language: 'python',
+        color: '#3776ab',
+        typeMap: PYTHON_TYPE_MAP,
+        variants: { label: 'Style', options: SQLALCHEMY_FLAVORS },
+        generate: (nodes, edges, { enums, variant }) => generateFlaskSQLAlchemy(nodes, edges, { enums, flavor: variant }),
+        files: (nodes, edges, { enums, variant }) => sqlalchemyFiles(nodes, edges, { enums, flavor: variant })
+    },
+    {
+        id: 'django',
+        label: 'Python (Django)',
+        language: 'python',
+        color: '#0c4b33',
+        typeMap: DJANGO_FIELD_MAP,
+        generate: (nodes, edges, { enums }) => generateDjango(nodes, edges, { enums }),
+        files: (nodes, edges, { enums }) => djangoFiles(nodes, edges, { enums })
+    },
+    {
+        id: 'mongoose',
+        label: 'MERN (Mongoose)',
+        language: 'javascript',
+        color: '#68a063',
+        typeMap: MONGOOSE_TYPE_MAP,
+        generate: (nodes, edges, { enums }) => generateMongoose(nodes, edges, { enums }),
+        files: (nodes, edges, { enums }) => mongooseFiles(nodes, edges, { enums })
+    },
+    {
+        id: 'java',
+        label: 'Java (JPA Entities)',
+        language: 'java',
+        color: '#b07219',
+        typeMap: JAVA_TYPE_MAP,
+        generate: (nodes, edges, { enums }) => generateJava(nodes, edges, { enums }),
+        files: (nodes, edges, { enums }) => javaFiles(nodes, edges, { enums })
+    },
+    {
+        id: 'springboot',
+        label: 'Spring Boot Project',
+        language: 'java',
+        color: '#6db33f',
+        typeMap: JAVA_TYPE_MAP,
+        variants: { label: 'Build', options: SPRING_BUILD_TOOLS },
+        generate: (nodes, edges, { enums, variant }) => generateSpringBoot(nodes, edges, { enums, build: variant }),
+        files: (nodes, edges, { enums, variant }) => springBootFiles(nodes, edges, { enums, build: variant })
+    },
+    {
+        id: 'csharp',
+        label: 'C# (Entity Framework)',
+        language: 'csharp',
+        color: '#178600',
+        typeMap: CSHARP_TYPE_MAP,
+        generate: (nodes, edges, { enums }) => generateCSharp(nodes, edges, { enums }),
+        files: (nodes, edges, { enums }) => csharpFiles(nodes, edges, { enums })
+    },
+    {
+        id: 'prisma',
+        label: 'Prisma Schema',
+        language: 'javascript',
+        color: '#2d3748',
+        typeMap: PRISMA_TYPE_MAP,
+        fileName: 'prisma/schema.prisma',
+        variants: { label: 'Database', options: PRISMA_PROVIDERS },
+        generate: (nodes, edges, { enums, variant }) => generatePrisma(nodes, edges, { enums, provider: variant })
+    },
+    {
+        id: 'typeorm',
+        label: 'TypeORM Entities',
+        language: 'typescript',
+        color: '#e83524',
+        typeMap: TYPESCRIPT_TYPE_MAP,
+        fileName: 'src/entities.ts',
+        generate: (nodes, edges, { enums }) => generateTypeORM(nodes, edges, { enums })
+    },
+    {
+        id: 'sequelize',
+        label: 'Sequelize Models',
+        language: 'javascript',
+        color: '#52b0e7',
+        typeMap: SEQUELIZE_TYPE_MAP,
+        fileName: 'models.js',
+        generate: (nodes, edges, { enums }) => generateSequelize(nodes, edges, { enums })
+    },
+    {
+        id: 'sql',
+        label: 'SQL Script',
+        language: 'sql',
+        color: '#f29111',
+        typeMap: SQL_TYPE_MAP,
+        fileName: 'schema.sql',
+        variants: { label: 'Database', options: SQL_DIALECTS },
+        generate: (nodes, edges, { enums, variant }) => generateSQL(nodes, edges, { enums, dialect: variant })
+    },
+    {
+        id: 'drizzle',
+        label: 'Drizzle ORM',
+        language: 'typescript',
+        color: '#c5f74f',
+        // Drizzle infers the row types from its column builders
+        typeMap: TYPESCRIPT_TYPE_MAP,
+        fileName: 'src/db/schema.ts',
+        variants: { label: 'Database', options: DRIZZLE_DIALECTS },
+        generate: (nodes, edges, { enums, variant }) => generateDrizzle(nodes, edges, { enums, dialect: variant })
+    },
+    {
+        id: 'gorm',
+        label: 'Go (GORM)',
+        language: 'go',
+        color: '#00add8',
+        typeMap: GO_TYPE_MAP,
+        fileName: 'models/models.go',
+        generate: (nodes, edges, { enums }) => generateGorm(nodes, edges, { enums })
+    },
+    {
+        id: 'rust',
+        label: 'Rust',
+        language: 'rust',
+        color: '#dea584',
+        typeMap: { ...BASE_RUST_TYPES, ...RUST_TYPES.diesel },
+        fileName: 'src/models.rs',
+        variants: { label: 'Library', options: RUST_FLAVORS },
+        generate: (nodes, edges, { enums, variant }) => generateRust(nodes, edges, { enums, flavor: variant })
+    },
+    {
+        id: 'dbml',
+        label: 'DBML',
+        language: 'dbml',
+        color: '#1b84ff',
+        typeMap: DBML_TYPE_MAP,
+        fileName: 'schema.dbml',
+        generate: (nodes, edges, { enums }) => generateDBML(nodes, edges, { enums })
+    },
+    {
+        id: 'mermaid',
+        label: 'Mermaid ER Diagram',
+        language: 'mermaid',
+        color: '#ff3670',
+        typeMap: MERMAID_TYPE_MAP,
+        fileName: 'schema.mmd',
+        generate: (nodes, edges, { enums }) => generateMermaid(nodes, edges, { enums })
+    },
+    {
+        id: 'plantuml',
+        label: 'PlantUML ER Diagram',
+        language: 'plantuml',
+        color: '#a80036',
+        typeMap: SQL_TYPE_MAP,
+        fileName: 'schema.puml',
+        generate: (nodes, edges, { enums }) => generatePlantUML(nodes, edges, { enums })
+    },
+    {
+        id: 'typescript',
+        label: 'TypeScript Types',
+        language: 'typescript',
+        color: '#3178c6',
+        typeMap: TYPESCRIPT_TYPE_MAP,
+        fileName: 'src/types.ts',
+        generate: (nodes, edges, { enums }) => generateTypeScript(nodes, edges, { enums })
+    },
+    {
+        id: 'zod',
+        label: 'Zod Schemas',
+        language: 'typescript',
+        color: '#274d82',
+        typeMap: ZOD_TYPE_MAP,
+        fileName: 'src/schemas.ts',
+        generate: (nodes, edges, { enums }) => generateZod(nodes, edges, { enums })
+    },
+    {
+        id: 'jsonschema',
+        label: 'JSON Schema',
+        language: 'json',
+        color: '#292929',
+        typeMap: JSON_SCHEMA_TYPE_MAP,
+        generate: (nodes, edges, { enums }) => generateJsonSchema(nodes, edges, { enums }),
+        files: (nodes, edges, { enums }) => jsonSchemaFiles(nodes, edges, { enums })
+    },
+    {
+        id: 'graphql',
+        label: 'GraphQL Schema',
+        language: 'graphql',
+        color: '#e10098',
+        typeMap: GRAPHQL_TYPE_MAP,
+        variants: { label: 'Resolvers', options: GRAPHQL_RESOLVERS },
+        generate: (nodes, edges, { enums, variant }) => generateGraphQL(nodes, edges, { enums, resolvers: variant }),
+        files: (nodes, edges, { enums, variant }) => graphqlFiles(nodes, edges, { enums, resolvers: variant })
+    }
+];
+
+export const findGenerator = (generators, id) => generators.find(generator => generator.id === id);
+
+/** The files a generator exports; single-file generators put their preview under fileName */
+export function generatorFiles(generator, nodes, edges, options) {
+    if (generator.files) return generator.files(nodes, edges, options);
+    return [{ path: generator.fileName, content: generator.generate(nodes, edges, options) }];
+}
@@ -0,0 +1,100 @@
+// Relationship helpers shared by the generate*.js exporters.
+import { identifierOf } from './columnUtils';
+import { handleColumn } from '../../../../shared/columnRules.mjs';
+
+export { handleColumn };
+
+/**
+ * Junction tables that ORMs can map as a plain many-to-many: flagged isJunction and holding
+ * nothing but one foreign key per side. Junctions with extra columns stay ordinary entities.
+ * @returns {Array<{ node, owner, inverse }>} - owner/inverse are { node, column, targetColumn }
+ */
+export function findManyToManyJunctions(nodes, edges) {
+    return nodes
+        .filter(node => node.data.isJunction && node.data.columns.length === 2)
+        .map(node => {
+            const sides = node.data.columns.map(col => {
+                const edge = edges.find(e => e.source === node.id && handleColumn(e.sourceHandle) === col.name);
+                const target = edge && nodes.find(n => n.id === edge.target);
+                return target ? { node: target, column: col, targetColumn: handleColumn(edge.targetHandle) } : null;
+            });
+            return sides.every(Boolean) ? { node, owner: sides[0], inverse: sides[1] } : null;
+        })
+        .filter(Boolean);
+}
+
+export const isManyToManyJunction = (junctions, nodeId) => junctions.some(junction => junction.node.id === nodeId);
+
+/** The ON DELETE / ON UPDATE clauses of a relationship, omitting the NO ACTION default */
+export function referentialActions(edge) {
+    let clause = '';
+    if (edge.data?.onDelete && edge.data.onDelete !== 'NO ACTION') clause += ` ON DELETE ${edge.data.onDelete}`;
+    if (edge.data?.onUpdate && edge.data.onUpdate !== 'NO ACTION') clause += ` ON UPDATE ${edge.data.onUpdate}`;
+    return clause;
+}
+
+/** Collection name for a table label; labels that already end in "s" are left alone */
+export const pluralize = (label) => (label.endsWith('s') ? label : `${label}s`);
+
+/**
+ * Property names for both ends of every foreign key, for ORMs that declare navigation fields.
+ * The foreign key side is named after its column (author_id -> author) or the referenced table;
+ * the other side after the referencing table. Names never clash with a table's columns or with
+ * each other. Relations between the same pair of tables, and self-references, are ambiguous to
+ * most ORMs, so their inverse names also say which foreign key they come through (author_posts).
+ * @returns {Array<{ edge, source, target, column, targetColumn, isOneToOne, isAmbiguous, forwardName, inverseName }>}
+ */
+export function describeRelations(nodes, edges) {
+    const takenNames = new Map(nodes.map(node => [node.id, new Set(node.data.columns.map(col => col.name))]));
+    const claimName = (nodeId, base) => {
+        const taken = takenNames.get(nodeId);
+        let name = base;
+        for (let suffix = 2; taken.has(name); suffix++) name = `${base}${suffix}`;
+        taken.add(name);
+        return name;
+    };
+
+    const pairKey = (edge) => [edge.source, edge.target].sort().join('|');
+    const pairCounts = edges.reduce((counts, edge) => counts.set(pairKey(edge), (counts.get(pairKey(edge)) || 0) + 1), new Map());
+
+    return edges
+        .map(edge => {
+            const source = nodes.find(n => n.id === edge.source);
+            const target = nodes.find(n => n.id === edge.target);
+            const column = source && source.data.columns.find(col => col.name === handleColumn(edge.sourceHandle));
+            if (!target || !column) return null;
+
+            const isOneToOne = edge.data?.label === '1:1';
+            const isAmbiguous = source.id === target.id || pairCounts.get(pairKey(edge)) > 1;
+
+            const strippedName = column.name.replace(/_?(id|Id|ID)$/, '');
+            const forwardBase = strippedName && strippedName !== column.name ? strippedName : identifierOf(target);
+            const sourceName = identifierOf(source);
+            const inverseBase = isOneToOne ? sourceName : pluralize(sourceName);
+
+            return {
+                edge,
+                source,
+                target,
+                column,
+                targetColumn: handleColumn(edge.targetHandle),
+                isOneToOne,
+                isAmbiguous,
+                forwardName: claimName(source.id, forwardBase),
+                inverseName: claimName(target.id, isAmbiguous ? `${forwardBase}_${inverseBase}` : inverseBase)
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * The relationship in the crow's foot notation Mermaid and PlantUML share, e.g. ||--o{, written
+ * from the referenced table to the referencing one. The edge label decides one or many on the
+ * foreign key side; the participation flags decide whether either end may be zero.
+ */
+export function crowsFoot(edge, column) {
+    const parentOptional = edge.data?.targetOptional ?? !!column?.isNullable;
+    const childOptional = !!edge.data?.sourceOptional;
+    const childMany = edge.data?.label !== '1:1';
+    return `${parentOptional ? '|o' : '||'}--${childOptional ? 'o' : '|'}${childMany ? '{' : '|'}`;
+}
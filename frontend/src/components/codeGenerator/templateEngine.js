@@ -0,0 +1,166 @@
+import Handlebars from 'handlebars';
+import { isAutoIncrement, sqlTypeWithSize, sqlDefault, findEnum, enumValues, enumTypeName, classNameOf, pascalCase, camelCase, snakeCase, kebabCase } from './columnUtils';
+import { describeRelations, findManyToManyJunctions, isManyToManyJunction, pluralize } from './relationUtils';
+
+const handlebars = Handlebars.create();
+
+// Output is source code, not HTML, so nothing is escaped
+const COMPILE_OPTIONS = { noEscape: true };
+
+export { pascalCase, camelCase, snakeCase, kebabCase };
+
+// Handlebars passes its options object as the last argument; variadic helpers drop it
+const argsOf = (args) => args.slice(0, -1);
+
+handlebars.registerHelper({
+    pascalCase,
+    camelCase,
+    snakeCase,
+    kebabCase,
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    pluralize: (value) => pluralize(String(value ?? '')),
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    and: (...args) => argsOf(args).every(Boolean),
+    or: (...args) => argsOf(args).some(Boolean),
+    not: (value) => !value,
+    join: (items, separator) => (Array.isArray(items) ? items.join(typeof separator === 'string' ? separator : ', ') : ''),
+    json: (value) => JSON.stringify(value, null, 2)
+});
+
+/**
+ * The data a template sees. Column types go through the template's typeMap; unmapped enum columns
+ * become the enum's type name and anything else keeps its SQL type.
+ *   tables[]:   { name, className, isJunction, primaryKey[], columns[], belongsTo[], hasOne[], hasMany[], indexes[], uniqueConstraints[] }
+ *   columns[]:  { name, type, sqlType, isPK, isNullable, isUnique, isAutoIncrement, isForeignKey, isEnum, references, defaultValue, length, precision, scale, check, comment }
+ *   enums[]:    { name, typeName, values[] }
+ *   relations[]: { name, inverseName, from, fromColumn, to, toColumn, isOneToOne, onDelete, onUpdate }
+ */
+export function buildTemplateContext(nodes, edges, { enums = [], typeMap = {} } = {}) {
+    const relations = describeRelations(nodes, edges);
+    const junctions = findManyToManyJunctions(nodes, edges);
+
+    const tables = nodes.map(node => {
+        const outgoing = relations.filter(relation => relation.source.id === node.id);
+        const incoming = relations.filter(relation => relation.target.id === node.id);
+        const foreignKeyColumns = outgoing.map(relation => relation.column.name);
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+
+        const columns = node.data.columns.map(col => {
+            const enumDef = findEnum(enums, col.type);
+            const relation = outgoing.find(item => item.column.name === col.name);
+            return {
+                name: col.name,
+                type: typeMap[col.type] ?? (enumDef ? enumTypeName(enumDef.name) : col.type),
+                sqlType: sqlTypeWithSize(col),
+                isPK: !!col.isPK,
+                isNullable: !!col.isNullable,
+                isUnique: !!col.isUnique,
+                isAutoIncrement: col.isAutoIncrement ?? (!foreignKeyColumns.includes(col.name) && isAutoIncrement(col, pkColumns.length > 1)),
+                isForeignKey: !!relation,
+                isEnum: !!enumDef,
+                references: relation ? { table: relation.target.data.label, column: relation.targetColumn } : null,
+                defaultValue: sqlDefault(col) || null,
+                length: col.length || null,
+                precision: col.precision || null,
+                scale: col.scale ?? null,
+                check: col.check || null,
+                comment: col.comment || null
+            };
+        });
+
+        return {
+            name: node.data.label,
+            className: classNameOf(node),
+            isJunction: isManyToManyJunction(junctions, node.id),
+            primaryKey: pkColumns.map(col => col.name),
+            columns,
+            belongsTo: outgoing.map(relation => ({
+                name: relation.forwardName,
+                table: relation.target.data.label,
+                className: classNameOf(relation.target),
+                column: relation.column.name,
+                targetColumn: relation.targetColumn,
+                isOneToOne: relation.isOneToOne
+            })),
+            hasOne: incoming.filter(relation => relation.isOneToOne).map(relation => ({
+                name: relation.inverseName,
+                table: relation.source.data.label,
+                className: classNameOf(relation.source),
+                column: relation.column.name
+            })),
+            hasMany: incoming.filter(relation => !relation.isOneToOne).map(relation => ({
+                name: relation.inverseName,
+                table: relation.source.data.label,
+                className: classNameOf(relation.source),
+                column: relation.column.name
+            })),
+            indexes: node.data.indexes || [],
+            uniqueConstraints: node.data.uniqueConstraints || []
+        };
+    });
+
+    return {
+        tables,
+        enums: enums.map(enumDef => ({ name: enumDef.name, typeName: enumTypeName(enumDef.name), values: enumValues(enumDef) })),
+        relations: relations.map(relation => ({
+            name: relation.forwardName,
+            inverseName: relation.inverseName,
+            from: relation.source.data.label,
+            fromColumn: relation.column.name,
+            to: relation.target.data.label,
+            toColumn: relation.targetColumn,
+            isOneToOne: relation.isOneToOne,
+            onDelete: relation.edge.data?.onDelete || null,
+            onUpdate: relation.edge.data?.onUpdate || null
+        }))
+    };
+}
+
+/**
+ * Renders a user template. 'schema' templates produce one file; 'table' templates one file per
+ * table, with the table's fields at the top level of the context. fileName is a template too.
+ * Compile errors are thrown with Handlebars' message, which names the offending line.
+ * @returns {Array<{ path, content }>}
+ */
+export function renderTemplate(template, nodes, edges, { enums = [] } = {}) {
+    const context = buildTemplateContext(nodes, edges, { enums, typeMap: template.typeMap || {} });
+    const renderContent = handlebars.compile(template.content, COMPILE_OPTIONS);
+    const renderPath = handlebars.compile(template.fileName || 'output.txt', COMPILE_OPTIONS);
+
+    if (template.scope === 'table') {
+        return context.tables.map(table => {
+            const tableContext = { ...context, ...table, table };
+            return { path: renderPath(tableContext), content: renderContent(tableContext) };
+        });
+    }
+    return [{ path: renderPath(context), content: renderContent(context) }];
+}
+
+/** A saved template as a registry entry, so the export modal treats it like a built-in generator */
+export const templateGenerator = (template) => ({
+    id: `template:${template._id}`,
+    label: template.name,
+    language: template.language || 'text',
+    color: '#6f42c1',
+    typeMap: template.typeMap || {},
+    template,
+    generate: (nodes, edges, options) => {
+        const files = renderTemplate(template, nodes, edges, options);
+        return files.length === 1 ? files[0].content : files.map(file => `// ${file.path}\n${file.content}`).join('\n');
+    },
+    files: (nodes, edges, options) => renderTemplate(template, nodes, edges, options)
+});
+
+// Starting point for a new template, showing the context it can iterate
+export const SAMPLE_TEMPLATE = `{{#each tables}}
+// {{className}} ({{name}})
+{{#each columns}}
+{{name}}: {{type}}{{#if isNullable}} | null{{/if}}{{#if isPK}} // primary key{{/if}}{{#if references}} // -> {{references.table}}.{{references.column}}{{/if}}
+{{/each}}
+{{#each hasMany}}
+{{name}}: {{className}}[]
+{{/each}}
+
+{{/each}}`;
@@ -0,0 +1,20 @@
+// TypeScript helpers shared by the generate*.js exporters that write TypeScript types and validators.
+import { jsString } from './columnUtils';
+
+/** A TypeScript string literal */
+export const tsString = jsString;
+
+// Column names that are not identifiers are written as quoted keys
+export const propertyName = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : tsString(name));
+
+/**
+ * The regular expression source a DECIMAL(p, s) digit string must match: at most p - s digits
+ * before the point and s after it. null when the column has no precision.
+ */
+export const decimalPattern = (col) => {
+    const precision = Number(col.precision);
+    const scale = col.scale !== undefined && col.scale !== '' ? Number(col.scale) : 0;
+    if (!precision) return null;
+    const whole = Math.max(precision - scale, 1);
+    return scale > 0 ? `^-?\\d{1,${whole}}(\\.\\d{1,${scale}})?$` : `^-?\\d{1,${whole}}$`;
+};
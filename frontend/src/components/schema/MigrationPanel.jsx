@@ -7,11 +7,13 @@ const DB_TYPES = [
   { value: 'mongo', label: 'MongoDB' },
   { value: 'postgres', label: 'PostgreSQL' },
   { value: 'mysql', label: 'MySQL' },
-  { value: 'sql', label: 'SQL Server' }
+  { value: 'sql', label: 'SQL Server' },
+  { value: 'sqlite', label: 'SQLite' },
+  { value: 'oracle', label: 'Oracle' }
 ];
 
 export default function MigrationPanel({ isOpen, onClose }) {
-  const { nodes, edges } = useStore();
+  const { nodes, edges, enums } = useStore();
   const { token } = useAuthStore();
   const [sourceDbType, setSourceDbType] = useState('mongo');
   const [targetDbType, setTargetDbType] = useState('postgres');
@@ -41,7 +43,7 @@ export default function MigrationPanel({ isOpen, onClose }) {
       const res = await axios.post(
         `${API_URL}/api/schema/migrate`,
         {
-          schema: { nodes, edges },
+          schema: { nodes, edges, enums },
           sourceDbType,
           targetDbType
         },
@@ -4,7 +4,7 @@ import { useStore } from '../../Store/store';
 import { useAuthStore } from '../../Store/authStore';
 
 export default function MockDataPanel({ isOpen, onClose }) {
-  const { nodes, edges } = useStore();
+  const { nodes, edges, enums } = useStore();
   const { token } = useAuthStore();
   const [entityCounts, setEntityCounts] = useState({});
   const [useAI, setUseAI] = useState(false);
@@ -50,7 +50,7 @@ export default function MockDataPanel({ isOpen, onClose }) {
       const res = await axios.post(
         `${API_URL}/api/schema/mock-data`,
         {
-          schema: { nodes, edges },
+          schema: { nodes, edges, enums },
           entityCounts,
           useAI,
           format
@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useStore } from '../../Store/store';
+import { useAuthStore } from '../../Store/authStore';
+import { getLayoutedElements } from '../../utils/autoLayout';
+import { getTableColor } from '../../Store/store';
+
+const DIALECTS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'postgres', label: 'PostgreSQL' },
+  { value: 'mysql', label: 'MySQL' },
+  { value: 'sqlite', label: 'SQLite' },
+  { value: 'sqlserver', label: 'SQL Server' }
+];
+
+export default function SqlImportPanel({ isOpen, onClose }) {
+  const { loadProject } = useStore();
+  const { token } = useAuthStore();
+  const [sql, setSql] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [dialect, setDialect] = useState('auto');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lineErrors, setLineErrors] = useState([]);
+  const [result, setResult] = useState(null);
+
+  if (!isOpen) return null;
+
+  // The panel stays mounted, so the next import starts from the form again
+  const handleClose = () => {
+    setResult(null);
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setSql(await file.text());
+    setFileName(file.name);
+  };
+
+  const handleImport = async () => {
+    if (!sql.trim()) {
+      alert('Please paste SQL or choose a .sql file.');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setLineErrors([]);
+    setResult(null);
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+      const res = await axios.post(
+        `${API_URL}/api/schema/import-sql`,
+        { sql, dialect },
+        { headers: { 'auth-token': token } }
+      );
+
+      if (res.data.success) {
+        const { schema } = res.data.data;
+        const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(schema.nodes, schema.edges);
+
+        const coloredNodes = layoutedNodes.map((node, index) => ({
+          ...node,
+          data: {
+            ...node.data,
+            color: getTableColor(index)
+          }
+        }));
+
+        loadProject({
+          nodes: coloredNodes,
+          edges: layoutedEdges,
+          enums: schema.enums,
+          name: fileName ? `Imported from ${fileName}` : 'Imported SQL',
+          _id: null
+        });
+
+        setResult({ ...res.data.data, tableCount: schema.nodes.length, relationCount: schema.edges.length });
+      } else {
+        setError(res.data.error || 'Failed to import SQL');
+      }
+    } catch (err) {
+      console.error('SQL import error:', err);
+      setError(err.response?.status === 413
+        ? 'The SQL is larger than the 5 MB the import accepts. Remove data statements such as INSERT, or import part of the schema.'
+        : err.response?.data?.error || err.message || 'Failed to import SQL');
+      setLineErrors(err.response?.data?.errors || []);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="modal show d-block"
+      style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) handleClose();
+      }}
+    >
+      <div className="modal-dialog modal-lg" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Import SQL</h5>
+            <button
+              type="button"
+              className="btn-close"
+              onClick={handleClose}
+              aria-label="Close"
+            ></button>
+          </div>
+
+          <div className="modal-body">
+            {!result ? (
+              <div>
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="sql-file" className="form-label">
+                      SQL file
+                    </label>
+                    <input
+                      type="file"
+                      className="form-control"
+                      id="sql-file"
+                      accept=".sql,text/plain"
+                      onChange={handleFile}
+                      disabled={loading}
+                    />
+                  </div>
+                  <div className="col-md-6">
+                    <label htmlFor="sql-dialect" className="form-label">
+                      Dialect
+                    </label>
+                    <select
+                      className="form-select"
+                      id="sql-dialect"
+                      value={dialect}
+                      onChange={(e) => setDialect(e.target.value)}
+                      disabled={loading}
+                    >
+                      {DIALECTS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="mb-3">
+                  <label htmlFor="sql-source" className="form-label">
+                    DDL <span className="text-danger">*</span>
+                  </label>
+                  <textarea
+                    className="form-control font-monospace"
+                    id="sql-source"
+                    rows="12"
+                    placeholder={'CREATE TABLE users (\n  id SERIAL PRIMARY KEY,\n  email VARCHAR(255) NOT NULL UNIQUE\n);'}
+                    value={sql}
+                    onChange={(e) => setSql(e.target.value)}
+                    disabled={loading}
+                    style={{ fontSize: '0.85rem' }}
+                  />
+                </div>
+
+                <div className="alert alert-info small">
+                  Reads <code>CREATE TABLE</code>, <code>ALTER TABLE ... ADD</code>, <code>CREATE INDEX</code> and{' '}
+                  <code>CREATE TYPE ... AS ENUM</code>. Other statements are skipped. Importing replaces the current canvas.
+                </div>
+
+                {error && (
+                  <div className="alert alert-danger mt-3">
+                    {error}
+                    {lineErrors.length > 1 && (
+                      <ul className="mb-0 mt-2 small">
+                        {lineErrors.map((item, index) => (
+                          <li key={index}>Line {item.line}: {item.message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                <div className="d-flex justify-content-end gap-2 mt-3">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleClose}
+                    disabled={loading}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={handleImport}
+                    disabled={loading}
+                  >
+                    {loading ? (
+                      <>
+                        <span className="spinner-border spinner-border-sm me-2"></span>
+                        Importing...
+                      </>
+                    ) : (
+                      'Import SQL'
+                    )}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div>
+                <div className="alert alert-success">
+                  <strong>Success!</strong> Imported {result.tableCount} tables and {result.relationCount} relationships
+                  from {DIALECTS.find((option) => option.value === result.dialect)?.label || result.dialect} DDL.
+                </div>
+                {result.warnings.length > 0 && (
+                  <div className="alert alert-warning small">
+                    <strong>Some statements were not fully imported:</strong>
+                    <ul className="mb-0 mt-2">
+                      {result.warnings.map((item, index) => (
+                        <li key={index}>Line {item.line}: {item.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <div className="d-flex justify-content-end">
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={handleClose}
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { useStore } from '../../Store/store';
+import { getLayoutedElements } from '../../utils/autoLayout';
+import { getTableColor } from '../../Store/store';
+import { parseDBML } from '../../utils/parseDBML';
+import { parseMermaid } from '../../utils/parseMermaid';
+
+// Text formats parsed in the browser; nothing is sent to the server
+const FORMATS = {
+  dbml: {
+    label: 'DBML',
+    parse: parseDBML,
+    accept: '.dbml,text/plain',
+    emptyError: 'No Table definitions found',
+    placeholder: 'Table users [headercolor: #3498db] {\n  id int [pk, increment]\n  email varchar(255) [not null, unique]\n}',
+    help: (
+      <>
+        Reads <code>Table</code>, <code>Enum</code> and <code>Ref</code> definitions with their indexes, notes and{' '}
+        <code>headercolor</code>, as exported by dbdiagram.io or SketchQL. Many-to-many refs become junction tables.
+      </>
+    )
+  },
+  mermaid: {
+    label: 'Mermaid',
+    parse: parseMermaid,
+    accept: '.mmd,.mermaid,.md,text/plain',
+    emptyError: 'No entities found in the erDiagram',
+    placeholder: 'erDiagram\n    CUSTOMER ||--o{ ORDER : places\n    CUSTOMER {\n        int id PK\n        string name\n    }',
+    help: (
+      <>
+        Reads an <code>erDiagram</code>, on its own or inside a Markdown <code>```mermaid</code> block. Entities without a
+        key get an <code>id</code> column and relationships without a matching attribute get a foreign key column.
+      </>
+    )
+  }
+};
+
+export default function TextImportPanel({ format, onClose }) {
+  const { loadProject } = useStore();
+  const [source, setSource] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+  const [lineErrors, setLineErrors] = useState([]);
+  const [result, setResult] = useState(null);
+
+  if (!format) return null;
+  const { label, parse, accept, emptyError, placeholder, help } = FORMATS[format];
+
+  // The panel stays mounted and serves every format, so the next import starts from an empty form
+  const handleClose = () => {
+    setSource('');
+    setFileName('');
+    setError(null);
+    setLineErrors([]);
+    setResult(null);
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setSource(await file.text());
+    setFileName(file.name);
+  };
+
+  const handleImport = () => {
+    if (!source.trim()) {
+      alert(`Please paste ${label} or choose a file.`);
+      return;
+    }
+
+    setError(null);
+    setLineErrors([]);
+    setResult(null);
+
+    const parsed = parse(source);
+    if (parsed.errors.length > 0) {
+      const [first] = parsed.errors;
+      setError(`Line ${first.line}: ${first.message}`);
+      setLineErrors(parsed.errors);
+      return;
+    }
+    if (parsed.nodes.length === 0) {
+      setError(emptyError);
+      return;
+    }
+
+    const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(parsed.nodes, parsed.edges);
+
+    // Tables keep a color given in the source; the others get the palette color for their position
+    const coloredNodes = layoutedNodes.map((node, index) => ({
+      ...node,
+      data: {
+        ...node.data,
+        color: node.data.color || getTableColor(index)
+      }
+    }));
+
+    loadProject({
+      nodes: coloredNodes,
+      edges: layoutedEdges,
+      enums: parsed.enums,
+      name: fileName ? `Imported from ${fileName}` : `Imported ${label}`,
+      _id: null
+    });
+
+    setResult({ warnings: parsed.warnings, tableCount: parsed.nodes.length, relationCount: parsed.edges.length });
+  };
+
+  return (
+    <div
+      className="modal show d-block"
+      style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) handleClose();
+      }}
+    >
+      <div className="modal-dialog modal-lg" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Import {label}</h5>
+            <button
+              type="button"
+              className="btn-close"
+              onClick={handleClose}
+              aria-label="Close"
+            ></button>
+          </div>
+
+          <div className="modal-body">
+            {!result ? (
+              <div>
+                <div className="mb-3">
+                  <label htmlFor="text-import-file" className="form-label">
+                    {label} file
+                  </label>
+                  <input
+                    type="file"
+                    className="form-control"
+                    id="text-import-file"
+                    accept={accept}
+                    onChange={handleFile}
+                  />
+                </div>
+
+                <div className="mb-3">
+                  <label htmlFor="text-import-source" className="form-label">
+                    {label} <span className="text-danger">*</span>
+                  </label>
+                  <textarea
+                    className="form-control font-monospace"
+                    id="text-import-source"
+                    rows="12"
+                    placeholder={placeholder}
+                    value={source}
+                    onChange={(e) => setSource(e.target.value)}
+                    style={{ fontSize: '0.85rem' }}
+                  />
+                </div>
+
+                <div className="alert alert-info small">
+                  {help} Importing replaces the current canvas.
+                </div>
+
+                {error && (
+                  <div className="alert alert-danger mt-3">
+                    {error}
+                    {lineErrors.length > 1 && (
+                      <ul className="mb-0 mt-2 small">
+                        {lineErrors.map((item, index) => (
+                          <li key={index}>Line {item.line}: {item.message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                <div className="d-flex justify-content-end gap-2 mt-3">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleClose}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={handleImport}
+                  >
+                    Import {label}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div>
+                <div className="alert alert-success">
+                  <strong>Success!</strong> Imported {result.tableCount} tables and {result.relationCount} relationships.
+                </div>
+                {result.warnings.length > 0 && (
+                  <div className="alert alert-warning small">
+                    <strong>Some definitions were not fully imported:</strong>
+                    <ul className="mb-0 mt-2">
+                      {result.warnings.map((item, index) => (
+                        <li key={index}>Line {item.line}: {item.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <div className="d-flex justify-content-end">
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={handleClose}
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
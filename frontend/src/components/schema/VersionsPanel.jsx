@@ -3,8 +3,48 @@ import axios from 'axios';
 import { useStore } from '../../Store/store';
 import { useAuthStore } from '../../Store/authStore';
 
+const SCRIPT_DIALECTS = [
+  { value: 'postgres', label: 'PostgreSQL' },
+  { value: 'mysql', label: 'MySQL' },
+  { value: 'sqlserver', label: 'SQL Server' }
+];
+
+// Readable names for the column fields the diff reports
+const FIELD_LABELS = {
+  type: 'type',
+  isPK: 'primary key',
+  isNullable: 'nullable',
+  isUnique: 'unique',
+  defaultValue: 'default',
+  length: 'length',
+  precision: 'precision',
+  scale: 'scale',
+  isAutoIncrement: 'auto increment',
+  isUnsigned: 'unsigned',
+  check: 'check',
+  comment: 'comment',
+  label: 'cardinality',
+  onDelete: 'on delete',
+  onUpdate: 'on update',
+  sourceOptional: 'source optional',
+  targetOptional: 'target optional'
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? 'none' : String(value));
+
+const describeChanges = (changes) => changes
+  .map((change) => `${FIELD_LABELS[change.field] || change.field} ${formatValue(change.from)} → ${formatValue(change.to)}`)
+  .join(', ');
+
+const SCRIPT_FORMATS = [
+  { value: 'flyway', label: 'Flyway' },
+  { value: 'liquibase', label: 'Liquibase' },
+  { value: 'knex', label: 'Knex' },
+  { value: 'alembic', label: 'Alembic' }
+];
+
 export default function VersionsPanel({ isOpen, onClose }) {
-  const { currentProjectId, nodes, edges, loadProject } = useStore();
+  const { currentProjectId, nodes, edges, enums, loadProject } = useStore();
   const { token } = useAuthStore();
   const [versions, setVersions] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -12,6 +52,9 @@ export default function VersionsPanel({ isOpen, onClose }) {
   const [selectedVersions, setSelectedVersions] = useState([null, null]);
   const [diff, setDiff] = useState(null);
   const [showDiff, setShowDiff] = useState(false);
+  const [scriptDialect, setScriptDialect] = useState('postgres');
+  const [scriptFormat, setScriptFormat] = useState('flyway');
+  const [migrationScript, setMigrationScript] = useState(null);
 
   useEffect(() => {
     if (isOpen && currentProjectId) {
@@ -68,7 +111,7 @@ export default function VersionsPanel({ isOpen, onClose }) {
       const res = await axios.post(
         `${API_URL}/api/projects/${currentProjectId}/versions`,
         {
-          schema: { nodes, edges },
+          schema: { nodes, edges, enums },
           label: label || '',
           message: message || ''
         },
@@ -123,6 +166,50 @@ export default function VersionsPanel({ isOpen, onClose }) {
     }
   };
 
+  const handleGenerateScript = async () => {
+    // Scripts always migrate forward, from the older of the two versions to the newer one
+    const [fromVersion, toVersion] = [diff.version1, diff.version2]
+      .sort((a, b) => a.versionNumber - b.versionNumber);
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+      const res = await axios.post(
+        `${API_URL}/api/versions/migration-script`,
+        {
+          fromVersionId: fromVersion._id,
+          toVersionId: toVersion._id,
+          dialect: scriptDialect,
+          format: scriptFormat
+        },
+        { headers: { 'auth-token': token } }
+      );
+
+      if (res.data.success) {
+        setMigrationScript(res.data.data);
+      } else {
+        setError(res.data.error || 'Failed to generate migration script');
+      }
+    } catch (err) {
+      console.error('Migration script error:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to generate migration script');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownloadFile = (file) => {
+    const blob = new Blob([file.content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.name;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   const handleRestore = async (versionId) => {
     if (!window.confirm('Are you sure you want to restore this version? This will replace your current schema.')) {
       return;
@@ -156,6 +243,7 @@ export default function VersionsPanel({ isOpen, onClose }) {
         loadProject({
           nodes: restoredNodes,
           edges: res.data.data.schema.edges,
+          enums: res.data.data.schema.enums,
           name: useStore.getState().projectName,
           _id: currentProjectId
         });
@@ -325,6 +413,7 @@ export default function VersionsPanel({ isOpen, onClose }) {
                         onClick={() => {
                           setShowDiff(false);
                           setDiff(null);
+                          setMigrationScript(null);
                         }}
                       >
                         Back to List
@@ -396,7 +485,32 @@ export default function VersionsPanel({ isOpen, onClose }) {
                                 <strong className="text-warning">Modified Tables ({diff.diff.nodes.modified.length})</strong>
                                 <ul>
                                   {diff.diff.nodes.modified.map((change, idx) => (
-                                    <li key={idx}>{change.modified.data.label}</li>
+                                    <li key={idx}>
+                                      {change.modified.data.label}
+                                      {change.renamedFrom && (
+                                        <span className="text-muted small"> (renamed from {change.renamedFrom})</span>
+                                      )}
+                                      <ul className="small">
+                                        {change.columns.added.map((col) => (
+                                          <li key={`added-${col.name}`} className="text-success">+ {col.name} {col.type}</li>
+                                        ))}
+                                        {change.columns.removed.map((col) => (
+                                          <li key={`removed-${col.name}`} className="text-danger">- {col.name} {col.type}</li>
+                                        ))}
+                                        {change.columns.renamed.map((rename) => (
+                                          <li key={`renamed-${rename.to}`}>{rename.from} renamed to {rename.to}</li>
+                                        ))}
+                                        {change.columns.modified.map((col) => (
+                                          <li key={`modified-${col.name}`}>{col.name}: {describeChanges(col.changes)}</li>
+                                        ))}
+                                        {['indexes', 'uniqueConstraints'].map((kind) => {
+                                          const count = change[kind].added.length + change[kind].removed.length + change[kind].modified.length;
+                                          return count > 0 && (
+                                            <li key={kind}>{count} {kind === 'indexes' ? 'index' : 'unique constraint'} change{count > 1 ? 's' : ''}</li>
+                                          );
+                                        })}
+                                      </ul>
+                                    </li>
                                   ))}
                                 </ul>
                               </div>
@@ -414,14 +528,137 @@ export default function VersionsPanel({ isOpen, onClose }) {
                               </div>
                             )}
 
-                            {Object.values(diff.diff.nodes).every(arr => arr.length === 0) &&
-                             Object.values(diff.diff.edges).every(arr => arr.length === 0) && (
+                            {diff.diff.edges.modified.length > 0 && (
+                              <div className="mb-3">
+                                <strong className="text-warning">Modified Relationships ({diff.diff.edges.modified.length})</strong>
+                                <ul className="small">
+                                  {diff.diff.edges.modified.map((change, idx) => (
+                                    <li key={idx}>{describeChanges(change.changes)}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
+                            {diff.diff.enums && diff.diff.enums.added.length + diff.diff.enums.removed.length + diff.diff.enums.modified.length > 0 && (
+                              <div className="mb-3">
+                                <strong className="text-warning">Enum Changes</strong>
+                                <ul className="small">
+                                  {diff.diff.enums.added.map((item) => <li key={`added-${item.name}`} className="text-success">+ {item.name}</li>)}
+                                  {diff.diff.enums.removed.map((item) => <li key={`removed-${item.name}`} className="text-danger">- {item.name}</li>)}
+                                  {diff.diff.enums.modified.map((item) => (
+                                    <li key={`modified-${item.name}`}>{item.name}: {item.original.values.join(', ')} → {item.modified.values.join(', ')}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
+                            {Object.values(diff.diff).every(group => Object.values(group).every(arr => arr.length === 0)) && (
                               <div className="alert alert-info">
                                 No changes detected between these versions.
                               </div>
                             )}
                           </div>
                         </div>
+
+                        <div className="mt-3 border-top pt-3">
+                          <h6>Migration Script</h6>
+                          <div className="d-flex align-items-end gap-2 mb-3">
+                            <div>
+                              <label htmlFor="script-dialect" className="form-label small mb-1">Database</label>
+                              <select
+                                className="form-select form-select-sm"
+                                id="script-dialect"
+                                value={scriptDialect}
+                                onChange={(e) => {
+                                  setScriptDialect(e.target.value);
+                                  setMigrationScript(null);
+                                }}
+                              >
+                                {SCRIPT_DIALECTS.map((option) => (
+                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label htmlFor="script-format" className="form-label small mb-1">Format</label>
+                              <select
+                                className="form-select form-select-sm"
+                                id="script-format"
+                                value={scriptFormat}
+                                onChange={(e) => {
+                                  setScriptFormat(e.target.value);
+                                  setMigrationScript(null);
+                                }}
+                              >
+                                {SCRIPT_FORMATS.map((option) => (
+                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <button
+                              type="button"
+                              className="btn btn-sm btn-primary"
+                              onClick={handleGenerateScript}
+                              disabled={loading}
+                            >
+                              {loading ? (
+                                <>
+                                  <span className="spinner-border spinner-border-sm me-2"></span>
+                                  Generating...
+                                </>
+                              ) : (
+                                'Generate Up/Down Scripts'
+                              )}
+                            </button>
+                          </div>
+
+                          {error && (
+                            <div className="alert alert-danger">
+                              {error}
+                            </div>
+                          )}
+
+                          {migrationScript && (
+                            <div>
+                              {migrationScript.steps.length === 0 && (
+                                <div className="alert alert-info">
+                                  These versions need no database changes.
+                                </div>
+                              )}
+                              {migrationScript.warnings.length > 0 && (
+                                <div className="alert alert-warning small">
+                                  <strong>Review before running:</strong>
+                                  <ul className="mb-0 mt-1">
+                                    {migrationScript.warnings.map((warning, idx) => (
+                                      <li key={idx}>{warning}</li>
+                                    ))}
+                                  </ul>
+                                </div>
+                              )}
+                              {migrationScript.steps.length > 0 && migrationScript.files.map((file) => (
+                                <div key={file.name} className="mb-3">
+                                  <div className="d-flex justify-content-between align-items-center mb-1">
+                                    <code>{file.name}</code>
+                                    <button
+                                      type="button"
+                                      className="btn btn-sm btn-outline-primary"
+                                      onClick={() => handleDownloadFile(file)}
+                                    >
+                                      Download
+                                    </button>
+                                  </div>
+                                  <textarea
+                                    className="form-control font-monospace"
+                                    rows="10"
+                                    value={file.content}
+                                    readOnly
+                                    style={{ fontSize: '12px' }}
+                                  ></textarea>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
                       </div>
                     )}
                   </div>
@@ -12,7 +12,7 @@ import { useStore } from "../../Store/store";
 export default function Dashboard(){
     const navigate=useNavigate();
     const { token, user, logout } = useAuthStore();
-    const { loadProject, resetCanvas } = useStore();
+    const { loadProject, resetCanvas, clearHistory } = useStore();
     const [projects, setProjects] = useState([]);
     const [loading, setLoading] = useState(true);
     const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
@@ -45,6 +45,7 @@ export default function Dashboard(){
     };
     const handleOpenProject = (project) => {
         loadProject(project); 
+        clearHistory();
         navigate('/design');
     };
 
@@ -0,0 +1,116 @@
+// Turns the tables and relationships read by the text importers (parseDBML.js, parseMermaid.js)
+// into canvas nodes and edges. Tables are { label, columns, uniqueConstraints, indexes, note?,
+// color?, isJunction? }; links are { table, column, target, targetColumn, label, onDelete?, onUpdate? }
+// with the foreign key on table.column and sourceOptional when the referencing end may be zero.
+
+/**
+ * Maps a type name from a text format onto SketchQL's types. sizes are the numeric arguments,
+ * e.g. [255] for varchar(255). Unknown names are kept and flagged so callers can resolve enums.
+ */
+export function columnType(name, sizes = []) {
+    switch (name.toUpperCase()) {
+        case 'INT': case 'INTEGER': case 'INT2': case 'INT4': case 'SMALLINT': case 'MEDIUMINT': case 'SERIAL': case 'SMALLSERIAL':
+            return { type: 'INT' };
+        case 'TINYINT':
+            return sizes[0] === 1 ? { type: 'BOOLEAN' } : { type: 'INT' };
+        case 'BIGINT': case 'INT8': case 'BIGSERIAL': case 'LONG':
+            return { type: 'BIGINT' };
+        case 'VARCHAR': case 'NVARCHAR': case 'VARCHAR2': case 'CHAR': case 'NCHAR': case 'CHARACTER': case 'CITEXT': case 'STRING':
+            return sizes[0] ? { type: 'VARCHAR', length: sizes[0] } : { type: 'VARCHAR' };
+        case 'UUID':
+            return { type: 'VARCHAR', length: 36 };
+        case 'TEXT': case 'MEDIUMTEXT': case 'LONGTEXT': case 'CLOB': case 'JSON': case 'JSONB': case 'XML':
+            return { type: 'TEXT' };
+        case 'DATE':
+            return { type: 'DATE' };
+        case 'DATETIME': case 'DATETIME2': case 'TIMESTAMP': case 'TIMESTAMPTZ': case 'TIME': case 'TIMETZ':
+            return { type: 'DATETIME' };
+        case 'BOOLEAN': case 'BOOL': case 'BIT':
+            return { type: 'BOOLEAN' };
+        case 'FLOAT': case 'FLOAT4': case 'FLOAT8': case 'REAL': case 'DOUBLE': case 'NUMBER':
+            return { type: 'FLOAT' };
+        case 'DECIMAL': case 'NUMERIC': case 'MONEY': {
+            const decimal = { type: 'DECIMAL' };
+            if (sizes[0] !== undefined) decimal.precision = sizes[0];
+            if (sizes[1] !== undefined) decimal.scale = sizes[1];
+            return decimal;
+        }
+        default:
+            return { type: name, unresolved: true };
+    }
+}
+
+/**
+ * Adds the junction table a many-to-many relationship needs: a composite key of one column per
+ * side, named table_column and typed like the column it references.
+ * @param {Array} tables - the importer's tables; the junction is appended
+ * @param {Array<{ table, column }>} sides - the two referenced key columns
+ * @returns {Array} - the two links from the junction to its sides
+ */
+export function addJunctionTable(tables, sides) {
+    const base = `${sides[0].table.label}_${sides[1].table.label}`;
+    let label = base;
+    for (let suffix = 2; tables.some(t => t.label.toLowerCase() === label.toLowerCase()); suffix++) label = `${base}${suffix}`;
+
+    const columns = sides.map(({ table, column: target }, index) => {
+        const nameOf = (side) => `${side.table.label}_${side.column.name}`.toLowerCase().replace(/\W+/g, '_');
+        let name = nameOf({ table, column: target });
+        if (index === 1 && name === nameOf(sides[0])) name = `${name}_2`;
+        const column = { name, type: target.type, isPK: true, isNullable: false, isAutoIncrement: false };
+        ['length', 'precision', 'scale'].forEach(key => {
+            if (target[key] !== undefined) column[key] = target[key];
+        });
+        return column;
+    });
+
+    const junction = { label, columns, uniqueConstraints: [], indexes: [], isJunction: true };
+    tables.push(junction);
+    return sides.map((side, index) => ({ table: junction, column: columns[index], target: side.table, targetColumn: side.column, label: '1:N' }));
+}
+
+const relationshipEdge = (source, link, target) => {
+    const data = { label: link.label, targetOptional: link.column.isNullable };
+    if (link.onDelete) data.onDelete = link.onDelete;
+    if (link.onUpdate) data.onUpdate = link.onUpdate;
+    if (link.sourceOptional) data.sourceOptional = true;
+    return {
+        id: `e_${source.id}_${link.column.name}_${target.id}`,
+        source: source.id,
+        target: target.id,
+        sourceHandle: `${link.column.name}-right`,
+        targetHandle: `${link.targetColumn.name}-left`,
+        type: 'step',
+        animated: false,
+        style: { stroke: '#b1b1b7', strokeWidth: 2 },
+        markerStart: `rel-${link.sourceOptional ? 'zero-' : ''}one-start`,
+        markerEnd: `rel-${link.column.isNullable ? 'zero-' : ''}${link.label === '1:N' ? 'many' : 'one'}-end`,
+        data
+    };
+};
+
+/**
+ * Nodes and edges for the imported tables, at the origin; the import panel lays them out.
+ * Tables keyed by exactly two foreign keys are flagged as many-to-many junctions.
+ */
+export function buildSchema(tables, links) {
+    const nodes = tables.map((table, index) => {
+        const data = { label: table.label, columns: table.columns };
+        if (table.uniqueConstraints?.length > 0) data.uniqueConstraints = table.uniqueConstraints;
+        if (table.indexes?.length > 0) data.indexes = table.indexes;
+        if (table.note) data.note = table.note;
+        if (table.color) data.color = table.color;
+        if (table.isJunction) data.isJunction = true;
+        return { id: `table_${index + 1}`, type: 'tableNode', position: { x: 0, y: 0 }, data };
+    });
+    const nodeOf = (table) => nodes[tables.indexOf(table)];
+
+    const edges = links.map(link => relationshipEdge(nodeOf(link.table), link, nodeOf(link.target)));
+
+    nodes.forEach(node => {
+        const pk = node.data.columns.filter(c => c.isPK);
+        const fkColumns = new Set(edges.filter(e => e.source === node.id).map(e => e.sourceHandle.replace('-right', '')));
+        if (node.data.columns.length === 2 && pk.length === 2 && pk.every(c => fkColumns.has(c.name))) node.data.isJunction = true;
+    });
+
+    return { nodes, edges };
+}
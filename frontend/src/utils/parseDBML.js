@@ -0,0 +1,697 @@
+// Reads DBML (dbdiagram.io) back into SketchQL nodes, edges and enums. The counterpart of
+// components/codeGenerator/generateDBML.js; the import panel lays the result out.
+import { columnType, addJunctionTable, buildSchema } from './importedSchema';
+
+export class DbmlParseError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.name = 'DbmlParseError';
+        this.line = line;
+    }
+}
+
+const PUNCTUATION = ['<>', '{', '}', '[', ']', '(', ')', ',', ':', '.', '>', '<', '-'];
+
+// Elements SketchQL has nothing to keep from; Project is skipped quietly
+const SKIPPED_ELEMENTS = ['project', 'tablegroup', 'note', 'tablepartial', 'records'];
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
+const VALUED_COLUMN_SETTINGS = ['default', 'note', 'check', 'ref'];
+
+// A string default that would read as a number, keyword or call keeps its quotes, as in SQL import
+const LOOKS_LIKE_EXPRESSION = /^(\w+\(.*\)|CURRENT_TIMESTAMP|CURRENT_DATE|NULL|TRUE|FALSE|-?\d+(\.\d+)?)$/i;
+
+/**
+ * Splits DBML into words, names ("quoted"), strings ('...' and '''...'''), expressions (`...`),
+ * numbers, colors (#hex), punctuation and newlines, which end columns and settings lines.
+ */
+function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+    const push = (type, value, tokenLine = line) => tokens.push({ type, value, line: tokenLine });
+
+    const readQuoted = (quote, type) => {
+        const startLine = line;
+        let value = '';
+        i += 1;
+        while (i < source.length && source[i] !== quote) {
+            if (source[i] === '\n') {
+                if (quote !== '`') throw new DbmlParseError('Unterminated string', startLine);
+                line += 1;
+            }
+            if (source[i] === '\\' && i + 1 < source.length) i += 1;
+            value += source[i];
+            i += 1;
+        }
+        if (i >= source.length) throw new DbmlParseError(`Unterminated ${type}`, startLine);
+        i += 1;
+        push(type, value, startLine);
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\n') {
+            if (tokens[tokens.length - 1]?.type !== 'newline') push('newline', '\n');
+            line += 1;
+            i += 1;
+        } else if (/\s/.test(char)) {
+            i += 1;
+        } else if (source.startsWith('//', i)) {
+            while (i < source.length && source[i] !== '\n') i += 1;
+        } else if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            if (end === -1) throw new DbmlParseError('Unterminated comment', line);
+            line += (source.slice(i, end).match(/\n/g) || []).length;
+            i = end + 2;
+        } else if (source.startsWith("'''", i)) {
+            const startLine = line;
+            let end = i + 3;
+            while (end < source.length && !(source.startsWith("'''", end) && source[end - 1] !== '\\')) end += 1;
+            if (end >= source.length) throw new DbmlParseError('Unterminated string', startLine);
+            const raw = source.slice(i + 3, end).replace(/\\'''/g, "'''");
+            line += (raw.match(/\n/g) || []).length;
+            // Multi-line strings drop their first line break and common indentation
+            const lines = raw.replace(/^\r?\n/, '').replace(/\s+$/, '').split(/\r?\n/);
+            const indent = Math.min(...lines.filter(text => text.trim()).map(text => text.match(/^\s*/)[0].length));
+            push('string', lines.map(text => text.slice(Number.isFinite(indent) ? indent : 0)).join('\n'), startLine);
+            i = end + 3;
+        } else if (char === "'") {
+            readQuoted("'", 'string');
+        } else if (char === '"') {
+            readQuoted('"', 'name');
+        } else if (char === '`') {
+            readQuoted('`', 'expression');
+        } else if (char === '#' && /[0-9a-f]/i.test(source[i + 1] || '')) {
+            const match = source.slice(i).match(/^#[0-9a-f]+/i);
+            push('color', match[0].toLowerCase());
+            i += match[0].length;
+        } else if (/\w/.test(char)) {
+            const match = source.slice(i).match(/^\d+\.\d+(?!\w)|^\w+/);
+            push(/^\d+(\.\d+)?$/.test(match[0]) ? 'number' : 'word', match[0]);
+            i += match[0].length;
+        } else {
+            const punct = PUNCTUATION.find(item => source.startsWith(item, i));
+            if (!punct) throw new DbmlParseError(`Unexpected character "${char}"`, line);
+            push('punct', punct);
+            i += punct.length;
+        }
+    }
+    return tokens;
+}
+
+class TokenStream {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    line() {
+        return (this.peek() || this.tokens[this.tokens.length - 1])?.line || 1;
+    }
+
+    fail(message) {
+        throw new DbmlParseError(message, this.line());
+    }
+
+    isPunct(value) {
+        const token = this.peek();
+        return token?.type === 'punct' && token.value === value;
+    }
+
+    acceptPunct(value) {
+        if (!this.isPunct(value)) return false;
+        this.pos += 1;
+        return true;
+    }
+
+    expectPunct(value) {
+        if (!this.acceptPunct(value)) this.fail(`Expected "${value}" but found ${this.describe()}`);
+    }
+
+    isWord(...words) {
+        const token = this.peek();
+        return token?.type === 'word' && words.includes(token.value.toLowerCase());
+    }
+
+    isNewline() {
+        return this.peek()?.type === 'newline';
+    }
+
+    skipNewlines() {
+        while (this.isNewline()) this.pos += 1;
+    }
+
+    // A line ends at a newline, a closing brace or the end of the source
+    expectLineEnd() {
+        if (this.atEnd() || this.isPunct('}')) return;
+        if (!this.isNewline()) this.fail(`Unexpected ${this.describe()}`);
+        this.skipNewlines();
+    }
+
+    describe() {
+        const token = this.peek();
+        if (!token) return 'end of file';
+        return token.type === 'newline' ? 'end of line' : `"${token.value}"`;
+    }
+
+    readName() {
+        const token = this.peek();
+        if (token?.type !== 'word' && token?.type !== 'name') this.fail(`Expected a name but found ${this.describe()}`);
+        this.pos += 1;
+        return token.value;
+    }
+
+    // schema.table and schema.enum names; SketchQL keeps the last part
+    readQualifiedName() {
+        const parts = [this.readName()];
+        while (this.acceptPunct('.')) parts.push(this.readName());
+        return parts[parts.length - 1];
+    }
+
+    readString() {
+        const token = this.next();
+        if (token?.type !== 'string') throw new DbmlParseError('Expected a string', token?.line || this.line());
+        return token.value;
+    }
+
+    /**
+     * [key, key: value, ...] where keys may be several words (not null, primary key) and values are
+     * strings, expressions, numbers, colors, words (set null) or, for ref, a relationship endpoint
+     * @returns {Array<{ key, value, line }>} - value is a token, a { type: 'ref' } spec or null
+     */
+    readSettings() {
+        const settings = [];
+        if (!this.acceptPunct('[')) return settings;
+        this.skipNewlines();
+        while (!this.acceptPunct(']')) {
+            const line = this.line();
+            const keyWords = [];
+            while (this.peek()?.type === 'word') keyWords.push(this.next().value.toLowerCase());
+            if (keyWords.length === 0) this.fail(`Expected a setting but found ${this.describe()}`);
+            const key = keyWords.join(' ');
+
+            let value = null;
+            if (this.acceptPunct(':')) {
+                value = key === 'ref' ? this.readRefSpec() : this.readSettingValue();
+            }
+            settings.push({ key, value, line });
+
+            this.skipNewlines();
+            if (!this.acceptPunct(',') && !this.isPunct(']')) this.fail(`Expected "," or "]" but found ${this.describe()}`);
+            this.skipNewlines();
+        }
+        return settings;
+    }
+
+    readSettingValue() {
+        if (this.acceptPunct('-')) {
+            const token = this.next();
+            if (token?.type !== 'number') this.fail('Expected a number after "-"');
+            return { ...token, value: `-${token.value}` };
+        }
+        const token = this.peek();
+        if (!token || token.type === 'punct' || token.type === 'newline') this.fail(`Expected a value but found ${this.describe()}`);
+        if (token.type !== 'word') return this.next();
+
+        const words = [];
+        while (this.peek()?.type === 'word') words.push(this.next().value);
+        return { type: 'word', value: words.join(' '), line: token.line };
+    }
+
+    // > table.column, < schema.table.column, - table.(a, b), <> table.column
+    readRefSpec() {
+        const token = this.next();
+        if (token?.type !== 'punct' || !['>', '<', '-', '<>'].includes(token.value)) {
+            throw new DbmlParseError('A ref must start with >, <, - or <>', token?.line || this.line());
+        }
+        return { type: 'ref', operator: token.value, endpoint: this.readEndpoint() };
+    }
+
+    // table.column or table.(column, column), optionally schema-qualified
+    readEndpoint() {
+        const parts = [this.readName()];
+        let columns = null;
+        while (this.acceptPunct('.')) {
+            if (this.isPunct('(')) {
+                columns = this.readNameList();
+                break;
+            }
+            parts.push(this.readName());
+        }
+        if (!columns) {
+            if (parts.length < 2) this.fail('A relationship endpoint needs table.column');
+            columns = [parts.pop()];
+        }
+        return { table: parts[parts.length - 1], columns };
+    }
+
+    readNameList() {
+        this.expectPunct('(');
+        const names = [];
+        do {
+            this.skipNewlines();
+            names.push(this.readName());
+            this.skipNewlines();
+        } while (this.acceptPunct(','));
+        this.expectPunct(')');
+        return names;
+    }
+}
+
+const settingText = (setting) => (setting.value && setting.value.type !== 'ref' ? setting.value.value : null);
+
+// 'text' defaults are plain values, `expressions` and bare words are used verbatim
+function defaultValue(token) {
+    if (token.type === 'string') {
+        return LOOKS_LIKE_EXPRESSION.test(token.value) ? `'${token.value.replace(/'/g, "''")}'` : token.value;
+    }
+    if (token.type === 'word' && /^(true|false|null)$/i.test(token.value)) return token.value.toUpperCase();
+    return token.value;
+}
+
+class SchemaBuilder {
+    constructor() {
+        this.tables = [];
+        this.aliases = new Map();
+        this.enums = [];
+        this.refs = [];
+        this.warnings = [];
+    }
+
+    warn(line, message) {
+        this.warnings.push({ line, message });
+    }
+
+    findTable(name, line) {
+        const table = this.aliases.get(name) ||
+            this.tables.find(t => t.label === name) ||
+            this.tables.find(t => t.label.toLowerCase() === name.toLowerCase());
+        if (!table) throw new DbmlParseError(`Unknown table "${name}"`, line);
+        return table;
+    }
+
+    findColumn(table, name, line) {
+        const column = table.columns.find(c => c.name === name) ||
+            table.columns.find(c => c.name.toLowerCase() === name.toLowerCase());
+        if (!column) throw new DbmlParseError(`Unknown column "${name}" in table "${table.label}"`, line);
+        return column;
+    }
+}
+
+function parseTable(stream, builder) {
+    const line = stream.line();
+    const label = stream.readQualifiedName();
+    if (builder.tables.some(t => t.label.toLowerCase() === label.toLowerCase())) {
+        throw new DbmlParseError(`Table "${label}" is defined twice`, line);
+    }
+    const table = { label, columns: [], uniqueConstraints: [], indexes: [], line };
+    let alias = null;
+    if (stream.isWord('as')) {
+        stream.next();
+        alias = stream.readName();
+    }
+
+    stream.readSettings().forEach(setting => {
+        if (setting.key === 'headercolor') {
+            const color = settingText(setting);
+            // #abc is shorthand for #aabbcc; the color picker only takes the long form
+            table.color = /^#[0-9a-f]{3}$/.test(color) ? color.replace(/[0-9a-f]/g, digit => digit + digit) : color;
+        } else if (setting.key === 'note') {
+            table.note = settingText(setting);
+        } else {
+            builder.warn(setting.line, `Ignored table setting "${setting.key}" on "${label}"`);
+        }
+    });
+
+    stream.expectPunct('{');
+    stream.skipNewlines();
+    while (!stream.acceptPunct('}')) {
+        if (stream.atEnd()) stream.fail(`Table "${label}" is missing its closing "}"`);
+        if (stream.isWord('indexes') && stream.peek(1)?.value === '{') {
+            stream.next();
+            parseIndexes(stream, table, builder);
+        } else if (stream.isWord('note') && (stream.peek(1)?.value === ':' || stream.peek(1)?.value === '{')) {
+            stream.next();
+            table.note = parseNote(stream);
+        } else {
+            parseColumn(stream, table, builder);
+        }
+        stream.expectLineEnd();
+    }
+
+    // Only a table that parsed completely is kept
+    builder.tables.push(table);
+    if (alias) builder.aliases.set(alias, table);
+}
+
+// Note: 'text' or Note { 'text' }
+function parseNote(stream) {
+    if (stream.acceptPunct(':')) return stream.readString();
+    stream.expectPunct('{');
+    stream.skipNewlines();
+    const note = stream.readString();
+    stream.skipNewlines();
+    stream.expectPunct('}');
+    return note;
+}
+
+function parseColumn(stream, table, builder) {
+    const line = stream.line();
+    const name = stream.readName();
+    if (table.columns.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+        throw new DbmlParseError(`Column "${name}" is defined twice in table "${table.label}"`, line);
+    }
+    if (stream.isNewline() || stream.isPunct('}') || stream.atEnd()) stream.fail(`Column "${name}" has no type`);
+
+    const typeName = stream.readQualifiedName();
+    const sizes = [];
+    if (stream.isPunct('(')) {
+        stream.next();
+        while (!stream.acceptPunct(')')) {
+            if (stream.atEnd()) stream.fail('Unclosed type arguments');
+            const token = stream.next();
+            if (token.type !== 'punct') sizes.push(token.type === 'number' ? Number(token.value) : undefined);
+        }
+    }
+    const column = { name, ...columnType(typeName, sizes), isPK: false, isNullable: true, line };
+    table.columns.push(column);
+
+    stream.readSettings().forEach(setting => {
+        if (VALUED_COLUMN_SETTINGS.includes(setting.key) && !setting.value) {
+            throw new DbmlParseError(`Setting "${setting.key}" on "${table.label}.${name}" needs a value`, setting.line);
+        }
+        switch (setting.key) {
+            case 'pk':
+            case 'primary key':
+                column.isPK = true;
+                column.isNullable = false;
+                break;
+            case 'increment':
+                column.isAutoIncrement = true;
+                break;
+            case 'not null':
+                column.isNullable = false;
+                break;
+            case 'null':
+                column.isNullable = true;
+                break;
+            case 'unique':
+                column.isUnique = true;
+                break;
+            case 'default':
+                column.defaultValue = defaultValue(setting.value);
+                break;
+            case 'note':
+                column.comment = settingText(setting);
+                break;
+            case 'check':
+                column.check = settingText(setting);
+                break;
+            case 'ref':
+                builder.refs.push({
+                    left: { table: table.label, columns: [name] },
+                    operator: setting.value.operator,
+                    right: setting.value.endpoint,
+                    settings: [],
+                    line: setting.line
+                });
+                break;
+            default:
+                builder.warn(setting.line, `Ignored setting "${setting.key}" on "${table.label}.${name}"`);
+        }
+    });
+
+    // A key column is only generated when the source said so
+    if (column.isPK && column.isAutoIncrement === undefined) column.isAutoIncrement = false;
+}
+
+/**
+ * indexes { column [settings]  (a, b) [settings]  `expression` [settings] }
+ * Composite pk entries make the primary key, unique entries without a type are unique constraints
+ * and everything else is an index. `column DESC` expressions are read as descending columns and
+ * a note starting with WHERE as the partial index condition, as generateDBML writes them.
+ */
+function parseIndexes(stream, table, builder) {
+    stream.expectPunct('{');
+    stream.skipNewlines();
+    while (!stream.acceptPunct('}')) {
+        if (stream.atEnd()) stream.fail(`Indexes of "${table.label}" are missing their closing "}"`);
+        const line = stream.line();
+
+        const parts = [];
+        const readPart = () => {
+            const token = stream.peek();
+            if (token?.type === 'expression') {
+                stream.next();
+                const match = token.value.trim().match(/^("?)(\w+)\1(?:\s+(ASC|DESC))?$/i);
+                parts.push(match ? { name: match[2], order: (match[3] || 'ASC').toUpperCase() } : { expression: token.value });
+            } else {
+                parts.push({ name: stream.readName(), order: 'ASC' });
+            }
+        };
+        if (stream.acceptPunct('(')) {
+            do {
+                stream.skipNewlines();
+                readPart();
+                stream.skipNewlines();
+            } while (stream.acceptPunct(','));
+            stream.expectPunct(')');
+        } else {
+            readPart();
+        }
+
+        const settings = Object.fromEntries(stream.readSettings().map(setting => [setting.key, setting]));
+        stream.expectLineEnd();
+
+        const indexName = settings.name ? settingText(settings.name) : null;
+        if (parts.some(part => part.expression)) {
+            builder.warn(line, `Expression index${indexName ? ` "${indexName}"` : ''} on "${table.label}" was not imported`);
+            continue;
+        }
+        const columns = parts.map(part => ({ name: builder.findColumn(table, part.name, line).name, order: part.order }));
+
+        if (settings.pk || settings['primary key']) {
+            columns.forEach(({ name }) => {
+                const column = builder.findColumn(table, name, line);
+                column.isPK = true;
+                column.isNullable = false;
+                if (columns.length > 1 || column.isAutoIncrement === undefined) column.isAutoIncrement = false;
+            });
+        } else if (settings.unique && !settings.type) {
+            if (columns.length === 1) {
+                builder.findColumn(table, columns[0].name, line).isUnique = true;
+            } else {
+                table.uniqueConstraints.push({
+                    name: indexName || `uq_${table.label.toLowerCase()}_${table.uniqueConstraints.length + 1}`,
+                    columns: columns.map(column => column.name)
+                });
+            }
+        } else {
+            const note = settings.note ? settingText(settings.note) : '';
+            table.indexes.push({
+                name: indexName || `idx_${table.label.toLowerCase()}_${table.indexes.length + 1}`,
+                columns,
+                unique: !!settings.unique,
+                method: settings.type ? String(settingText(settings.type)).toLowerCase() : 'btree',
+                where: /^WHERE\s/i.test(note) ? note.replace(/^WHERE\s+/i, '') : ''
+            });
+        }
+    }
+}
+
+function parseEnum(stream, builder) {
+    const line = stream.line();
+    const name = stream.readQualifiedName();
+    if (builder.enums.some(e => e.name === name)) throw new DbmlParseError(`Enum "${name}" is defined twice`, line);
+
+    const values = [];
+    stream.expectPunct('{');
+    stream.skipNewlines();
+    while (!stream.acceptPunct('}')) {
+        if (stream.atEnd()) stream.fail(`Enum "${name}" is missing its closing "}"`);
+        values.push(stream.readName());
+        stream.readSettings();
+        stream.expectLineEnd();
+    }
+    builder.enums.push({ name, values });
+}
+
+// Ref name?: a.x > b.y [settings]   or   Ref name? { a.x > b.y [settings] ... }
+function parseRef(stream, builder) {
+    if (!stream.isPunct(':') && !stream.isPunct('{')) stream.readName();
+
+    const readRef = () => {
+        const line = stream.line();
+        const left = stream.readEndpoint();
+        const operator = stream.next();
+        if (operator?.type !== 'punct' || !['>', '<', '-', '<>'].includes(operator.value)) {
+            throw new DbmlParseError('Expected >, <, - or <> between the two ends of a Ref', operator?.line || line);
+        }
+        const right = stream.readEndpoint();
+        builder.refs.push({ left, operator: operator.value, right, settings: stream.readSettings(), line });
+    };
+
+    if (stream.acceptPunct(':')) {
+        readRef();
+        return;
+    }
+    stream.expectPunct('{');
+    stream.skipNewlines();
+    while (!stream.acceptPunct('}')) {
+        if (stream.atEnd()) stream.fail('Ref is missing its closing "}"');
+        readRef();
+        stream.expectLineEnd();
+    }
+}
+
+// Skips a block (or a one-line element) after an error or for elements SketchQL does not model
+function skipElement(stream) {
+    let depth = 0;
+    while (!stream.atEnd()) {
+        const token = stream.next();
+        if (token.type === 'newline' && depth === 0) {
+            stream.pos -= 1;
+            return;
+        }
+        if (token.type === 'punct' && token.value === '{') depth += 1;
+        if (token.type === 'punct' && token.value === '}') {
+            depth -= 1;
+            if (depth <= 0) return;
+        }
+    }
+}
+
+function parseElement(stream, builder) {
+    const line = stream.line();
+    const token = stream.next();
+    const keyword = token.type === 'word' ? token.value.toLowerCase() : null;
+
+    if (keyword === 'table') return parseTable(stream, builder);
+    if (keyword === 'enum') return parseEnum(stream, builder);
+    if (keyword === 'ref') return parseRef(stream, builder);
+    if (SKIPPED_ELEMENTS.includes(keyword)) {
+        if (keyword !== 'project') builder.warn(line, `Skipped ${token.value} element`);
+        return skipElement(stream);
+    }
+    throw new DbmlParseError(`Unexpected "${token.value}"; expected Table, Enum or Ref`, line);
+}
+
+// delete: cascade / update: set null settings of a Ref
+function refActions(ref) {
+    const actions = {};
+    ref.settings.forEach(setting => {
+        const action = String(settingText(setting) || '').toUpperCase();
+        if (setting.key !== 'delete' && setting.key !== 'update') return;
+        if (REFERENTIAL_ACTIONS.includes(action)) actions[setting.key === 'delete' ? 'onDelete' : 'onUpdate'] = action;
+    });
+    return actions;
+}
+
+/**
+ * Parses DBML into a SketchQL schema. Table, Enum, Ref and inline ref: settings, indexes and notes
+ * are read; headercolor becomes the table color. Elements with errors are skipped and reported.
+ * @param {string} source - DBML text
+ * @returns {Object} - { nodes, edges, enums, warnings, errors }; errors and warnings carry line numbers
+ */
+export function parseDBML(source) {
+    const builder = new SchemaBuilder();
+    const errors = [];
+    const recordError = (error) => {
+        if (!(error instanceof DbmlParseError)) throw error;
+        errors.push({ line: error.line, message: error.message });
+    };
+
+    let stream;
+    try {
+        stream = new TokenStream(tokenize(source));
+    } catch (error) {
+        recordError(error);
+        return { nodes: [], edges: [], enums: [], warnings: [], errors };
+    }
+
+    stream.skipNewlines();
+    while (!stream.atEnd()) {
+        const start = stream.pos;
+        try {
+            parseElement(stream, builder);
+            stream.expectLineEnd();
+        } catch (error) {
+            recordError(error);
+            stream.pos = start;
+            skipElement(stream);
+        }
+        stream.skipNewlines();
+    }
+
+    // Types name enums declared anywhere in the file, so they resolve once everything is read
+    builder.tables.forEach(table => table.columns.forEach(column => {
+        const { line, unresolved } = column;
+        delete column.line;
+        delete column.unresolved;
+        if (unresolved && !builder.enums.some(e => e.name === column.type)) {
+            builder.warn(line, `Unknown type "${column.type}" of "${table.label}.${column.name}" was imported as TEXT`);
+            column.type = 'TEXT';
+        }
+    }));
+
+    const links = [];
+    builder.refs.forEach(ref => {
+        try {
+            const leftTable = builder.findTable(ref.left.table, ref.line);
+            const rightTable = builder.findTable(ref.right.table, ref.line);
+            // Many-to-many refs have no foreign key column in DBML, so they get a junction table
+            if (ref.operator === '<>') {
+                if (ref.left.columns.length !== 1 || ref.right.columns.length !== 1) {
+                    throw new DbmlParseError('Many-to-many refs between composite keys are not supported', ref.line);
+                }
+                const sides = [[leftTable, ref.left], [rightTable, ref.right]].map(([table, endpoint]) => ({
+                    table,
+                    column: builder.findColumn(table, endpoint.columns[0], ref.line)
+                }));
+                addJunctionTable(builder.tables, sides).forEach(link => links.push({ ...link, ...refActions(ref) }));
+                return;
+            }
+            if (ref.left.columns.length !== ref.right.columns.length) {
+                throw new DbmlParseError(`Ref lists ${ref.left.columns.length} column(s) on one side and ${ref.right.columns.length} on the other`, ref.line);
+            }
+            // "<" puts the many side on the right; the foreign key lives there
+            const [fkSide, pkSide, fkTable, pkTable] = ref.operator === '<'
+                ? [ref.right, ref.left, rightTable, leftTable]
+                : [ref.left, ref.right, leftTable, rightTable];
+            fkSide.columns.forEach((name, index) => {
+                links.push({
+                    table: fkTable,
+                    column: builder.findColumn(fkTable, name, ref.line),
+                    target: pkTable,
+                    targetColumn: builder.findColumn(pkTable, pkSide.columns[index], ref.line),
+                    label: ref.operator === '-' ? '1:1' : '1:N',
+                    ...refActions(ref)
+                });
+            });
+        } catch (error) {
+            recordError(error);
+        }
+    });
+
+    const { nodes, edges } = buildSchema(builder.tables, links);
+
+    errors.sort((a, b) => a.line - b.line);
+    builder.warnings.sort((a, b) => a.line - b.line);
+
+    return { nodes, edges, enums: builder.enums, warnings: builder.warnings, errors };
+}
@@ -0,0 +1,235 @@
+// Reads a Mermaid erDiagram back into SketchQL nodes and edges. The counterpart of
+// components/codeGenerator/generateMermaid.js; the import panel lays the result out.
+import { columnType, addJunctionTable, buildSchema } from './importedSchema';
+
+export class MermaidParseError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.name = 'MermaidParseError';
+        this.line = line;
+    }
+}
+
+const NAME = String.raw`(?:"[^"]*"|[\w-]+)`;
+
+// Symbolic ends (|o, }|, ...) and the word forms Mermaid also accepts
+const LEFT_ENDS = { '|o': 'zero-one', '||': 'one', '}o': 'zero-many', '}|': 'many' };
+const RIGHT_ENDS = { 'o|': 'zero-one', '||': 'one', 'o{': 'zero-many', '|{': 'many' };
+const WORD_ENDS = {
+    'one or zero': 'zero-one', 'zero or one': 'zero-one',
+    'one or more': 'many', 'one or many': 'many', 'many(1)': 'many', '1+': 'many',
+    'zero or more': 'zero-many', 'zero or many': 'zero-many', 'many(0)': 'zero-many', '0+': 'zero-many',
+    'only one': 'one', '1': 'one'
+};
+const WORD_END = Object.keys(WORD_ENDS).map(word => word.replace(/[()+]/g, '\\$&')).join('|');
+
+const ENTITY_LINE = new RegExp(String.raw`^(${NAME})(?:\s*\[\s*(${NAME})\s*\])?\s*(\{)?\s*$`);
+const RELATIONSHIP_LINE = new RegExp(
+    String.raw`^(${NAME})\s+(?:(\|o|\|\||\}o|\}\|)(?:--|\.\.)(o\||\|\||o\{|\|\{)|(${WORD_END})\s+(?:optionally\s+)?to\s+(${WORD_END}))\s+(${NAME})\s*:\s*(.+)$`,
+    'i'
+);
+const ATTRIBUTE_LINE = /^(\S+)\s+([\w-]+)((?:\s*(?:PK|FK|UK)\s*,?)*)\s*(?:"([^"]*)")?$/i;
+const STYLE_LINE = /^style\s+(\S+)\s+(.*)$/i;
+
+const unquote = (name) => name.replace(/^"(.*)"$/, '$1');
+const isMany = (end) => end.endsWith('many');
+const isOptional = (end) => end.startsWith('zero');
+
+class SchemaBuilder {
+    constructor() {
+        this.tables = [];
+        this.relationships = [];
+        this.foreignKeyHints = new Set();
+        this.warnings = [];
+    }
+
+    warn(line, message) {
+        this.warnings.push({ line, message });
+    }
+
+    // Mermaid creates an entity the first time it is named, in a block or a relationship
+    table(name) {
+        let table = this.tables.find(t => t.label === name);
+        if (!table) {
+            table = { label: name, columns: [] };
+            this.tables.push(table);
+        }
+        return table;
+    }
+}
+
+function parseAttribute(text, table, builder, line) {
+    const match = text.match(ATTRIBUTE_LINE);
+    if (!match) throw new MermaidParseError(`Cannot read attribute "${text}" of "${table.label}"`, line);
+    const [, typeText, name, keyText, comment] = match;
+    if (table.columns.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+        throw new MermaidParseError(`Attribute "${name}" is defined twice in "${table.label}"`, line);
+    }
+    const keys = keyText.toUpperCase().split(/[\s,]+/).filter(Boolean);
+
+    const typeMatch = typeText.match(/^([\w-]+)(?:\((\d+)(?:[,_-](\d+))?\))?(\[\])?$/);
+    let type = typeMatch && !typeMatch[4]
+        ? columnType(typeMatch[1], [typeMatch[2], typeMatch[3]].filter(Boolean).map(Number))
+        : { type: 'TEXT' };
+    if (type.unresolved) {
+        builder.warn(line, `Unknown type "${typeText}" of "${table.label}.${name}" was imported as TEXT`);
+        type = { type: 'TEXT' };
+    }
+
+    const isPK = keys.includes('PK');
+    const column = { name, ...type, isPK, isNullable: !isPK };
+    if (isPK) column.isAutoIncrement = false;
+    if (keys.includes('UK')) column.isUnique = true;
+    if (comment) column.comment = comment;
+    if (keys.includes('FK')) builder.foreignKeyHints.add(column);
+    table.columns.push(column);
+}
+
+// The referenced end needs a key; diagrams drawn for docs often leave it out
+function keyColumn(table, builder, line) {
+    const pk = table.columns.filter(c => c.isPK);
+    if (pk.length > 1) builder.warn(line, `"${table.label}" has a composite key; its relationship uses "${pk[0].name}"`);
+    if (pk.length > 0) return pk[0];
+
+    let column = table.columns.find(c => c.name.toLowerCase() === 'id');
+    if (column) {
+        Object.assign(column, { isPK: true, isNullable: false, isAutoIncrement: false });
+    } else {
+        column = { name: 'id', type: 'INT', isPK: true, isNullable: false, isAutoIncrement: true };
+        table.columns.unshift(column);
+    }
+    builder.warn(line, `"${table.label}" has no primary key; "${table.label}.id" was used`);
+    return column;
+}
+
+/**
+ * The referencing column: the one the relationship label names, a column named after the
+ * referenced table (customer_id, customerId) or an FK attribute starting with its name.
+ * Without any of them, table_id is added.
+ */
+function foreignKeyColumn(child, parent, label, used, builder, line) {
+    const available = child.columns.filter(c => !used.has(c));
+    const stem = parent.label.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const byLabel = available.find(c => c.name.toLowerCase() === label.toLowerCase());
+    const byParent = available.find(c => {
+        const name = c.name.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/id$/, '');
+        return name === stem || `${name}s` === stem;
+    });
+    const byHint = available.find(c => builder.foreignKeyHints.has(c) && c.name.toLowerCase().replace(/[^a-z0-9]/g, '').startsWith(stem.replace(/s$/, '')));
+    if (byLabel || byParent || byHint) return byLabel || byParent || byHint;
+
+    const key = keyColumn(parent, builder, line);
+    const name = `${parent.label.toLowerCase().replace(/\W+/g, '_')}_${key.name}`;
+    const column = { name, type: key.type, isPK: false, isNullable: true };
+    if (key.length) column.length = key.length;
+    child.columns.push(column);
+    builder.warn(line, `Added foreign key column "${child.label}.${name}" for the relationship "${label}"`);
+    return column;
+}
+
+function parseRelationship(match, builder, line) {
+    const [, leftName, leftSymbol, rightSymbol, leftWord, rightWord, rightName, rawLabel] = match;
+    const left = { table: builder.table(unquote(leftName)), end: leftSymbol ? LEFT_ENDS[leftSymbol] : WORD_ENDS[leftWord.toLowerCase()] };
+    const right = { table: builder.table(unquote(rightName)), end: rightSymbol ? RIGHT_ENDS[rightSymbol] : WORD_ENDS[rightWord.toLowerCase()] };
+    builder.relationships.push({ left, right, label: unquote(rawLabel.trim()), line });
+}
+
+/**
+ * Resolves relationships once every entity block is read. The many end holds the foreign key;
+ * for one-to-one it is the right end, as generateMermaid writes the referenced table first.
+ */
+function buildLinks(builder) {
+    const links = [];
+    const used = new Set();
+    builder.relationships.forEach(({ left, right, label, line }) => {
+        if (isMany(left.end) && isMany(right.end)) {
+            const sides = [left.table, right.table].map(table => ({ table, column: keyColumn(table, builder, line) }));
+            links.push(...addJunctionTable(builder.tables, sides));
+            return;
+        }
+        const [parent, child] = isMany(left.end) ? [right, left] : [left, right];
+        const targetColumn = keyColumn(parent.table, builder, line);
+        const column = foreignKeyColumn(child.table, parent.table, label, used, builder, line);
+        used.add(column);
+
+        // A parent end of exactly one means every row has a parent
+        if (!column.isPK) column.isNullable = isOptional(parent.end);
+        const link = { table: child.table, column, target: parent.table, targetColumn, label: isMany(child.end) ? '1:N' : '1:1' };
+        if (isOptional(child.end)) link.sourceOptional = true;
+        links.push(link);
+    });
+    return links;
+}
+
+/**
+ * Parses a Mermaid erDiagram, alone or inside a Markdown ```mermaid fence. Entity blocks,
+ * aliases, relationships in symbol or word form and style fill colors are read.
+ * @param {string} source - Mermaid text
+ * @returns {Object} - { nodes, edges, enums, warnings, errors }; errors and warnings carry line numbers
+ */
+export function parseMermaid(source) {
+    const builder = new SchemaBuilder();
+    const errors = [];
+    const aliases = new Map();
+    const lines = source.split(/\r?\n/);
+
+    const start = lines.findIndex(text => /^\s*erDiagram\b/.test(text));
+    if (start === -1) {
+        return { nodes: [], edges: [], enums: [], warnings: [], errors: [{ line: 1, message: 'No erDiagram found' }] };
+    }
+
+    let current = null;
+    for (let index = start + 1; index < lines.length; index++) {
+        const line = index + 1;
+        const text = lines[index].replace(/%%.*$/, '').trim();
+        if (!text) continue;
+        if (text.startsWith('```')) break;
+
+        try {
+            if (current) {
+                if (text === '}') current = null;
+                else parseAttribute(text, current, builder, line);
+                continue;
+            }
+
+            const relationship = text.match(RELATIONSHIP_LINE);
+            if (relationship) {
+                // Relationships may name an entity by its alias
+                [1, 6].forEach(group => {
+                    relationship[group] = aliases.get(unquote(relationship[group])) || relationship[group];
+                });
+                parseRelationship(relationship, builder, line);
+                continue;
+            }
+
+            const style = text.match(STYLE_LINE);
+            if (style) {
+                const fill = style[2].match(/fill\s*:\s*(#[0-9a-f]{6})\b/i);
+                const name = aliases.get(style[1]) || unquote(style[1]);
+                if (fill) builder.table(name).color = fill[1].toLowerCase();
+                continue;
+            }
+
+            if (/^(direction|title|accTitle|accDescr|classDef|class)\b/.test(text)) continue;
+
+            const entity = text.match(ENTITY_LINE);
+            if (!entity) throw new MermaidParseError(`Cannot read "${text}"`, line);
+            const [, rawName, rawAlias, opensBlock] = entity;
+            const name = unquote(rawName);
+            // name["Display name"] declares an alias; the display name becomes the table label
+            const label = rawAlias ? unquote(rawAlias) : name;
+            if (rawAlias) aliases.set(name, label);
+            const table = builder.table(label);
+            if (opensBlock) current = table;
+        } catch (error) {
+            if (!(error instanceof MermaidParseError)) throw error;
+            errors.push({ line: error.line, message: error.message });
+        }
+    }
+    if (current) errors.push({ line: lines.length, message: `Entity "${current.label}" is missing its closing "}"` });
+
+    const { nodes, edges } = buildSchema(builder.tables, buildLinks(builder));
+    builder.warnings.sort((a, b) => a.line - b.line);
+
+    return { nodes, edges, enums: [], warnings: builder.warnings, errors };
+}
@@ -0,0 +1,12 @@
+// Column and relationship rules shared by the DDL emitter and the frontend's code generators, so the
+// SQL export and every ORM export agree on them. Plain ESM without dependencies that both Vite and
+// Node's import() can load.
+
+/** Column types that can be auto-incremented */
+export const INTEGER_TYPES = ['INT', 'BIGINT'];
+
+/** Function calls, SQL keywords, numbers and already-quoted strings are used verbatim as defaults */
+export const DEFAULT_EXPRESSION_PATTERN = /^(\w+\(.*\)|CURRENT_TIMESTAMP|CURRENT_DATE|NULL|TRUE|FALSE|-?\d+(\.\d+)?|'.*')$/i;
+
+/** The column an edge handle such as user_id-right stands for */
+export const handleColumn = (handle) => (handle || '').replace('-left', '').replace('-right', '');
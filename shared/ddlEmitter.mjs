@@ -0,0 +1,451 @@
+// SQL DDL for a diagram in any supported database. Shared by the frontend's SQL export and the
+// backend's migration service, so it depends only on other shared modules and is plain ESM that
+// both Vite and Node's import() can load.
+import { INTEGER_TYPES, DEFAULT_EXPRESSION_PATTERN, handleColumn } from './columnRules.mjs';
+
+export const SQL_DIALECTS = [
+    { value: 'postgresql', label: 'PostgreSQL' },
+    { value: 'mysql', label: 'MySQL' },
+    { value: 'sqlite', label: 'SQLite' },
+    { value: 'sqlserver', label: 'SQL Server' },
+    { value: 'oracle', label: 'Oracle' }
+];
+
+// Words that need quoting as identifiers in every dialect; each dialect adds its own below
+const COMMON_RESERVED = [
+    'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLUMN', 'CONSTRAINT',
+    'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'DEFAULT', 'DELETE',
+    'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'EXISTS', 'FOREIGN', 'FROM', 'FULL', 'GRANT', 'GROUP', 'HAVING',
+    'IN', 'INNER', 'INSERT', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'NOT', 'NULL', 'ON',
+    'OR', 'ORDER', 'OUTER', 'PRIMARY', 'REFERENCES', 'RIGHT', 'SELECT', 'SET', 'TABLE', 'THEN', 'TO', 'UNION',
+    'UNIQUE', 'UPDATE', 'USER', 'USING', 'VALUES', 'VIEW', 'WHEN', 'WHERE', 'WITH'
+];
+
+const reservedWords = (extra) => new Set([...COMMON_RESERVED, ...extra]);
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const quoteWith = (open, close) => (name) => `${open}${name.split(close).join(close + close)}${close}`;
+
+/**
+ * How each database spells the parts of a table. types maps SketchQL column types to native ones;
+ * varchar and decimal are the types that take the column's length or precision.
+ */
+const DIALECTS = {
+    postgresql: {
+        quote: quoteWith('"', '"'),
+        reserved: reservedWords(['ANALYZE', 'ARRAY', 'CAST', 'COLLATE', 'DO', 'FETCH', 'FOR', 'LIMIT', 'OFFSET', 'ONLY', 'RETURNING', 'WINDOW']),
+        types: { INT: 'INTEGER', BIGINT: 'BIGINT', VARCHAR: 'VARCHAR', TEXT: 'TEXT', DATE: 'DATE', DATETIME: 'TIMESTAMP', BOOLEAN: 'BOOLEAN', FLOAT: 'REAL', DECIMAL: 'DECIMAL' },
+        identity: 'GENERATED BY DEFAULT AS IDENTITY',
+        hasBoolean: true,
+        enums: 'type',
+        comments: 'statement',
+        alterForeignKeys: true,
+        indexMethods: true,
+        partialIndexes: true
+    },
+    mysql: {
+        quote: quoteWith('`', '`'),
+        reserved: reservedWords(['CHANGE', 'CONDITION', 'DATABASE', 'DIV', 'FOR', 'FORCE', 'INDEX', 'INTERVAL', 'KEYS', 'LIMIT', 'LOCK', 'MOD', 'RANGE', 'RANK', 'READ', 'REPLACE', 'SCHEMA', 'SHOW', 'WRITE']),
+        types: { INT: 'INT', BIGINT: 'BIGINT', VARCHAR: 'VARCHAR', TEXT: 'TEXT', DATE: 'DATE', DATETIME: 'DATETIME', BOOLEAN: 'BOOLEAN', FLOAT: 'FLOAT', DECIMAL: 'DECIMAL' },
+        // MySQL rejects a VARCHAR without a length
+        defaultLength: 255,
+        identity: 'AUTO_INCREMENT',
+        hasBoolean: true,
+        hasUnsigned: true,
+        enums: 'inline',
+        comments: 'inline',
+        alterForeignKeys: true,
+        // InnoDB parses SET DEFAULT but refuses to create the key
+        referentialActions: ['CASCADE', 'SET NULL', 'RESTRICT'],
+        indexMethods: ['btree', 'hash']
+    },
+    sqlite: {
+        quote: quoteWith('"', '"'),
+        reserved: reservedWords(['ABORT', 'AUTOINCREMENT', 'GLOB', 'INDEX', 'LIMIT', 'OFFSET', 'PRAGMA', 'REGEXP', 'REPLACE', 'TRANSACTION']),
+        // SQLite stores dates as ISO-8601 text and booleans as 0/1
+        types: { INT: 'INTEGER', BIGINT: 'INTEGER', VARCHAR: 'TEXT', TEXT: 'TEXT', DATE: 'TEXT', DATETIME: 'TEXT', BOOLEAN: 'INTEGER', FLOAT: 'REAL', DECIMAL: 'NUMERIC' },
+        enumType: 'TEXT',
+        booleanCheck: true,
+        enums: 'check',
+        comments: 'line',
+        // ALTER TABLE cannot add constraints; SQLite checks references only on insert, so order does not matter
+        alterForeignKeys: false,
+        partialIndexes: true
+    },
+    sqlserver: {
+        quote: quoteWith('[', ']'),
+        reserved: reservedWords(['BACKUP', 'BROWSE', 'CLUSTERED', 'DATABASE', 'FILE', 'IDENTITY', 'INDEX', 'MERGE', 'PERCENT', 'PLAN', 'PROCEDURE', 'PUBLIC', 'RULE', 'SCHEMA', 'TOP', 'TRAN', 'TRIGGER']),
+        types: { INT: 'INT', BIGINT: 'BIGINT', VARCHAR: 'NVARCHAR', TEXT: 'NVARCHAR(MAX)', DATE: 'DATE', DATETIME: 'DATETIME2', BOOLEAN: 'BIT', FLOAT: 'FLOAT', DECIMAL: 'DECIMAL' },
+        defaultLength: 255,
+        enumType: 'NVARCHAR(255)',
+        identity: 'IDENTITY(1,1)',
+        enums: 'check',
+        comments: 'extendedProperty',
+        alterForeignKeys: true,
+        referentialActions: ['CASCADE', 'SET NULL', 'SET DEFAULT'],
+        partialIndexes: true
+    },
+    oracle: {
+        quote: quoteWith('"', '"'),
+        reserved: reservedWords(['ACCESS', 'AUDIT', 'COMMENT', 'CONNECT', 'DATE', 'FILE', 'LEVEL', 'MODE', 'NUMBER', 'RESOURCE', 'ROW', 'ROWID', 'ROWNUM', 'ROWS', 'SESSION', 'SIZE', 'START', 'SYSDATE', 'UID']),
+        types: { INT: 'NUMBER(10)', BIGINT: 'NUMBER(19)', VARCHAR: 'VARCHAR2', TEXT: 'CLOB', DATE: 'DATE', DATETIME: 'TIMESTAMP', BOOLEAN: 'NUMBER(1)', FLOAT: 'BINARY_DOUBLE', DECIMAL: 'NUMBER' },
+        defaultLength: 255,
+        enumType: 'VARCHAR2(255)',
+        identity: 'GENERATED BY DEFAULT AS IDENTITY',
+        booleanCheck: true,
+        enums: 'check',
+        comments: 'statement',
+        alterForeignKeys: true,
+        // Oracle has no ON UPDATE actions, and RESTRICT is its default behaviour
+        referentialActions: ['CASCADE', 'SET NULL'],
+        onUpdate: false
+    }
+};
+
+/** Whether a name is reserved in any supported dialect, for mappings that may run against any of them */
+export const isReservedWord = (name) => Object.values(DIALECTS).some(config => config.reserved.has(String(name).toUpperCase()));
+
+/** A name usable inside a generated identifier, e.g. Order Items -> order_items */
+const nameSegment = (name) => String(name).toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+
+/** The name of the CHECK constraint holding a column's check expression, e.g. ck_order_items_price */
+export const checkConstraintName = (table, column) => `ck_${nameSegment(table)}_${nameSegment(column)}`;
+
+function createQuoter(config) {
+    return (name) => {
+        const value = String(name);
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(value) && !config.reserved.has(value.toUpperCase())
+            ? value
+            : config.quote(value);
+    };
+}
+
+/** The native type with the column's VARCHAR length or DECIMAL precision/scale applied */
+function nativeType(col, config) {
+    const base = config.types[col.type];
+    if (!base) return col.type;
+    if (col.type === 'VARCHAR' && /VARCHAR2?$/.test(base)) {
+        const length = col.length || config.defaultLength;
+        return length ? `${base}(${length})` : base;
+    }
+    if (col.type === 'DECIMAL' && col.precision && base === config.types.DECIMAL) {
+        return col.scale !== undefined && col.scale !== '' ? `${base}(${col.precision}, ${col.scale})` : `${base}(${col.precision})`;
+    }
+    return base;
+}
+
+/** The default as it follows DEFAULT in this dialect, or null when the column has none */
+function defaultClause(col, dialect, config) {
+    if (col.defaultValue === undefined || col.defaultValue === null) return null;
+    const value = String(col.defaultValue).trim();
+    if (value === '') return null;
+    if (!DEFAULT_EXPRESSION_PATTERN.test(value)) return literal(value);
+
+    if (/^now\(\)$/i.test(value)) return dialect === 'postgresql' || dialect === 'mysql' ? value : 'CURRENT_TIMESTAMP';
+    if (!config.hasBoolean && /^(TRUE|FALSE)$/i.test(value)) return /^TRUE$/i.test(value) ? '1' : '0';
+    // MySQL 8 and SQLite only accept expression defaults in parentheses
+    if ((dialect === 'mysql' || dialect === 'sqlite') && /^\w+\(.*\)$/.test(value)) return `(${value})`;
+    return value;
+}
+
+/**
+ * Tables in an order where every table comes after the tables it references, keeping the diagram's
+ * order otherwise. Tables in a reference cycle keep their diagram order; the foreign keys that
+ * point forward are added once all tables exist.
+ */
+function dependencyOrder(nodes, foreignKeys) {
+    const ordered = [];
+    const placed = new Set();
+    const remaining = [...nodes];
+
+    while (remaining.length > 0) {
+        const isReady = (node) => foreignKeys.every(fk => fk.source.id !== node.id || fk.target.id === node.id || placed.has(fk.target.id));
+        const index = Math.max(remaining.findIndex(isReady), 0);
+        const [node] = remaining.splice(index, 1);
+        ordered.push(node);
+        placed.add(node.id);
+    }
+    return ordered;
+}
+
+function referentialClause(edge, config, notes, constraintName) {
+    let clause = '';
+    [['onDelete', 'ON DELETE'], ['onUpdate', 'ON UPDATE']].forEach(([field, keyword]) => {
+        const action = edge.data?.[field];
+        // NO ACTION is the default everywhere, and rejects the same changes as RESTRICT where that is missing
+        if (!action || action === 'NO ACTION') return;
+        if (field === 'onUpdate' && config.onUpdate === false) {
+            notes.push(`-- ${constraintName}: ${keyword} ${action} is not supported; enforce it in the application or a trigger`);
+            return;
+        }
+        if (config.referentialActions && !config.referentialActions.includes(action)) {
+            if (action !== 'RESTRICT') notes.push(`-- ${constraintName}: ${keyword} ${action} is not supported; using NO ACTION`);
+            return;
+        }
+        clause += ` ${keyword} ${action}`;
+    });
+    return clause;
+}
+
+/**
+ * The pieces of DDL buildDDL assembles, one table, column, index or key at a time, for callers that
+ * change an existing database instead of creating one (the backend's migration scripts).
+ * Statements are ;-terminated like buildDDL's.
+ * @param {Object} options - { enums }
+ */
+export function ddlWriter(dialect = 'postgresql', { enums = [] } = {}) {
+    const config = DIALECTS[dialect];
+    if (!config) throw new Error(`Unsupported SQL dialect: ${dialect}`);
+
+    const quote = createQuoter(config);
+    const findEnum = (type) => enums.find(item => item.name === type);
+    const enumValues = (enumDef) => enumDef.values.filter(value => value !== '');
+
+    const tableName = (node) => quote(node.data.label);
+    const foreignKeyName = (node, column) => `fk_${nameSegment(node.data.label)}_${nameSegment(column)}`;
+    // Named so that a migration can drop it before dropping the column
+    const enumCheckName = (node, column) => `ck_${nameSegment(node.data.label)}_${nameSegment(column)}_enum`;
+
+    /** The foreign keys the edges stand for, skipping edges whose tables are missing */
+    const foreignKeysOf = (nodes, edges) => edges
+        .map(edge => ({
+            edge,
+            source: nodes.find(n => n.id === edge.source),
+            target: nodes.find(n => n.id === edge.target),
+            column: handleColumn(edge.sourceHandle),
+            targetColumn: handleColumn(edge.targetHandle)
+        }))
+        .filter(fk => fk.source && fk.target);
+
+    /** CREATE TYPE for a project enum, or null where the dialect has no enum types */
+    const enumType = (enumDef) => (config.enums === 'type'
+        ? `CREATE TYPE ${quote(enumDef.name)} AS ENUM (${enumValues(enumDef).map(literal).join(', ')});`
+        : null);
+
+    /**
+     * One column of a table. foreignKeyColumns are the table's columns that reference another row;
+     * those take their value from it and are never generated.
+     * @returns {Object} - { definition, type, isGenerated, defaultValue, constraints, comments, after, notes, mapping }:
+     *   type is the native type without identity, constraints are table-level clauses the column
+     *   needs, comments are -- lines to put above it and after are statements to run once the table exists
+     */
+    function column(col, node, { foreignKeyColumns = [] } = {}) {
+        const isCompositeKey = node.data.columns.filter(item => item.isPK).length > 1;
+        const name = quote(col.name);
+        const enumDef = findEnum(col.type);
+        const constraints = [];
+        const comments = [];
+        const after = [];
+        const notes = [];
+        let type = nativeType(col, config);
+        let reason = config.types[col.type] ? 'Direct type mapping' : 'Kept as declared';
+
+        if (enumDef) {
+            reason = 'Project enum';
+            const values = enumValues(enumDef).map(literal).join(', ');
+            if (config.enums === 'type') type = quote(enumDef.name);
+            else if (config.enums === 'inline') type = `ENUM(${values})`;
+            else {
+                type = config.enumType;
+                constraints.push(`CONSTRAINT ${quote(enumCheckName(node, col.name))} CHECK (${name} IN (${values}))`);
+            }
+        }
+        if (col.type === 'BOOLEAN' && config.booleanCheck) constraints.push(`CHECK (${name} IN (0, 1))`);
+
+        if (col.isUnsigned) {
+            if (config.hasUnsigned) type += ' UNSIGNED';
+            else constraints.push(`CHECK (${name} >= 0)`);
+        }
+        const mapping = { table: node.data.label, column: col.name, sourceType: col.type, targetType: type, reason };
+
+        // A key that is also a foreign key takes its value from the referenced row
+        const generated = col.isAutoIncrement
+            ?? (!foreignKeyColumns.includes(col.name) && col.isPK && !isCompositeKey && INTEGER_TYPES.includes(col.type));
+        const isLonePK = col.isPK && !isCompositeKey;
+        let identity = '';
+        if (generated && !INTEGER_TYPES.includes(col.type)) {
+            notes.push(`-- ${node.data.label}.${col.name}: only integer columns can be auto-incremented`);
+        } else if (generated && dialect === 'sqlite') {
+            if (!isLonePK) notes.push(`-- ${node.data.label}.${col.name}: SQLite only auto-increments a single INTEGER PRIMARY KEY`);
+        } else if (generated) {
+            identity = ` ${config.identity}`;
+        }
+
+        let definition = `${name} ${type}${identity}`;
+        const defaultValue = defaultClause(col, dialect, config);
+        if (defaultValue && !identity) definition += ` DEFAULT ${defaultValue}`;
+        // PRIMARY KEY implies NOT NULL, except on SQLite columns that are not the INTEGER rowid
+        const keyImpliesNotNull = isLonePK && (dialect !== 'sqlite' || type === 'INTEGER');
+        if ((!col.isNullable || col.isPK) && !keyImpliesNotNull) definition += ' NOT NULL';
+        if (isLonePK) definition += dialect === 'sqlite' && generated && INTEGER_TYPES.includes(col.type) ? ' PRIMARY KEY AUTOINCREMENT' : ' PRIMARY KEY';
+        if (col.isUnique && !col.isPK) definition += ' UNIQUE';
+        if (col.check) constraints.push(`CONSTRAINT ${quote(checkConstraintName(node.data.label, col.name))} CHECK (${col.check})`);
+
+        if (col.comment && config.comments === 'inline') definition += ` COMMENT ${literal(col.comment)}`;
+        if (col.comment && config.comments === 'line') comments.push(`-- ${col.comment.replace(/\s*\n\s*/g, ' ')}`);
+        if (col.comment && config.comments === 'statement') {
+            after.push(`COMMENT ON COLUMN ${tableName(node)}.${name} IS ${literal(col.comment)};`);
+        }
+        if (col.comment && config.comments === 'extendedProperty') {
+            after.push(`EXEC sp_addextendedproperty 'MS_Description', N${literal(col.comment)}, 'SCHEMA', 'dbo', 'TABLE', ${literal(node.data.label)}, 'COLUMN', ${literal(col.name)};`);
+        }
+
+        return { definition, type, isGenerated: !!identity, defaultValue: identity ? null : defaultValue, constraints, comments, after, notes, mapping };
+    }
+
+    /**
+     * A foreign key constraint as it follows ADD or sits inside CREATE TABLE
+     * @returns {Object} - { name, definition, notes }
+     */
+    function foreignKey(fk) {
+        const notes = [];
+        const name = foreignKeyName(fk.source, fk.column);
+        const actions = referentialClause(fk.edge, config, notes, name);
+        const definition = `CONSTRAINT ${quote(name)} FOREIGN KEY (${quote(fk.column)}) REFERENCES ${tableName(fk.target)} (${quote(fk.targetColumn)})${actions}`;
+        return { name, definition, notes };
+    }
+
+    /**
+     * CREATE TABLE declaring the given foreign keys inside it. foreignKeyColumns lists every column
+     * that references another row, including those of keys added separately.
+     * @returns {Object} - { statement, notes, after, mappings }
+     */
+    function createTable(node, { foreignKeys = [], foreignKeyColumns = foreignKeys.map(fk => fk.column) } = {}) {
+        const pkColumns = node.data.columns.filter(col => col.isPK);
+        const lines = [];
+        const constraints = [];
+        const notes = [];
+        const after = [];
+        const mappings = [];
+
+        node.data.columns.forEach(col => {
+            const parts = column(col, node, { foreignKeyColumns });
+            lines.push(...parts.comments, parts.definition);
+            constraints.push(...parts.constraints);
+            notes.push(...parts.notes);
+            after.push(...parts.after);
+            mappings.push(parts.mapping);
+        });
+
+        if (pkColumns.length > 1) constraints.unshift(`PRIMARY KEY (${pkColumns.map(col => quote(col.name)).join(', ')})`);
+
+        (node.data.uniqueConstraints || []).forEach(uc => {
+            if (!uc.columns || uc.columns.length === 0) return;
+            constraints.push(`CONSTRAINT ${quote(uc.name)} UNIQUE (${uc.columns.map(quote).join(', ')})`);
+        });
+
+        foreignKeys.forEach(fk => {
+            const { definition, notes: keyNotes } = foreignKey(fk);
+            notes.push(...keyNotes);
+            constraints.push(definition);
+        });
+
+        // Comment lines carry no comma, so separators go on the definitions only
+        const body = [...lines, ...constraints];
+        const lastDefinition = body.reduce((last, line, i) => (line.startsWith('--') ? last : i), -1);
+        const bodyText = body.map((line, i) => `    ${line}${i < lastDefinition && !line.startsWith('--') ? ',' : ''}`).join('\n');
+
+        return { statement: `CREATE TABLE ${tableName(node)} (\n${bodyText}\n);`, notes, after, mappings };
+    }
+
+    /** CREATE INDEX for one of a table's indexes, preceded by notes about what the dialect drops */
+    function index(item, node) {
+        const notes = [];
+        const keyParts = item.columns.map(col => (col.order === 'DESC' ? `${quote(col.name)} DESC` : quote(col.name))).join(', ');
+        const method = item.method || 'btree';
+        let using = '';
+
+        if (config.indexMethods === true) {
+            if (method !== 'btree') using = ` USING ${method}`;
+        } else if (config.indexMethods) {
+            // MySQL names its method after the column list
+            if (!config.indexMethods.includes(method)) notes.push(`-- ${method} indexes are not available; using BTREE`);
+            using = ` USING ${method === 'hash' ? 'HASH' : 'BTREE'}`;
+        } else if (method !== 'btree') {
+            notes.push(`-- ${method} indexes are not available; using the default index type`);
+        }
+
+        let where = '';
+        if (item.where && config.partialIndexes) where = ` WHERE ${item.where}`;
+        else if (item.where) notes.push(`-- Partial indexes are not available; condition dropped: WHERE ${item.where}`);
+
+        const target = config.indexMethods === true
+            ? `${tableName(node)}${using} (${keyParts})`
+            : `${tableName(node)} (${keyParts})${config.indexMethods ? using : ''}`;
+        return [...notes, `CREATE ${item.unique ? 'UNIQUE ' : ''}INDEX ${quote(item.name)} ON ${target}${where};`];
+    }
+
+    return {
+        quote,
+        literal,
+        alterForeignKeys: config.alterForeignKeys,
+        tableName,
+        foreignKeyName,
+        enumCheckName,
+        foreignKeysOf,
+        enumType,
+        column,
+        foreignKey,
+        createTable,
+        index
+    };
+}
+
+/**
+ * CREATE statements for a diagram, tables ordered so each follows the tables it references.
+ * Foreign keys are declared inside CREATE TABLE ('inline') or added afterwards with ALTER TABLE
+ * ('alter'); SQLite always declares them inline, since it cannot add them later.
+ * @param {Object} options - { dialect, enums, foreignKeys: 'inline' | 'alter' }
+ * @returns {{ statements: string[], mappings: Array<{ table, column, sourceType, targetType, reason }> }}
+ *   statements are complete, ;-terminated and may begin with -- notes about dropped features
+ */
+export function buildDDL(nodes, edges, { dialect = 'postgresql', enums = [], foreignKeys = 'inline' } = {}) {
+    const writer = ddlWriter(dialect, { enums });
+    const statements = [];
+    const mappings = [];
+
+    const allForeignKeys = writer.foreignKeysOf(nodes, edges);
+    const ordered = dependencyOrder(nodes, allForeignKeys);
+    const position = new Map(ordered.map((node, i) => [node.id, i]));
+    // A key is declared with its table when the referenced table already exists (or is the same table)
+    const isInline = (fk) => !writer.alterForeignKeys
+        || (foreignKeys !== 'alter' && position.get(fk.target.id) <= position.get(fk.source.id));
+
+    enums.forEach(enumDef => {
+        const statement = writer.enumType(enumDef);
+        if (statement) statements.push(statement);
+    });
+
+    const alterStatements = [];
+
+    ordered.forEach(node => {
+        const ownForeignKeys = allForeignKeys.filter(fk => fk.source.id === node.id);
+        const table = writer.createTable(node, {
+            foreignKeys: ownForeignKeys.filter(isInline),
+            foreignKeyColumns: ownForeignKeys.map(fk => fk.column)
+        });
+        const alterNotes = [];
+        ownForeignKeys.filter(fk => !isInline(fk)).forEach(fk => {
+            const { definition, notes } = writer.foreignKey(fk);
+            alterNotes.push(...notes);
+            alterStatements.push(`ALTER TABLE ${writer.tableName(node)} ADD ${definition};`);
+        });
+
+        mappings.push(...table.mappings);
+        statements.push([...table.notes, ...alterNotes, table.statement, ...table.after].join('\n'));
+    });
+
+    statements.push(...alterStatements);
+    ordered.forEach(node => (node.data.indexes || []).forEach(item => {
+        if (item.columns && item.columns.length > 0) statements.push(writer.index(item, node).join('\n'));
+    }));
+
+    return { statements, mappings };
+}
+
+/** The whole script, statements separated by blank lines */
+export function generateDDL(nodes, edges, options = {}) {
+    const { statements } = buildDDL(nodes, edges, options);
+    return statements.length > 0 ? `${statements.join('\n\n')}\n` : '';
+}
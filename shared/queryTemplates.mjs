@@ -0,0 +1,125 @@
+// Template CRUD, pagination and relationship queries for a diagram. Shared by the backend's query
+// generator and the frontend's GraphQL resolver stubs, so it has no dependencies and is plain ESM
+// that both Vite and Node's import() can load.
+
+/**
+ * Query templates per target. data is the code placed where the fields go; skip and take may be
+ * numbers or expressions, so resolvers can pass their pagination arguments through.
+ */
+export const QUERY_TEMPLATES = {
+    sql: {
+        create: (table, fields) => `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')});`,
+        read: (table, conditions = '') => `SELECT * FROM ${table}${conditions ? ` WHERE ${conditions}` : ''};`,
+        update: (table, fields, conditions) => `UPDATE ${table} SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE ${conditions};`,
+        delete: (table, conditions) => `DELETE FROM ${table} WHERE ${conditions};`,
+        listWithPagination: (table, skip = 0, take = 10) => `SELECT * FROM ${table} ORDER BY id LIMIT ${take} OFFSET ${skip};`,
+        join: (table1, table2, on) => `SELECT * FROM ${table1} JOIN ${table2} ON ${on};`
+    },
+    prisma: {
+        create: (model, data = '/* fields */') => `await prisma.${model}.create({ data: { ${data} } });`,
+        read: (model, conditions = '') => `await prisma.${model}.findMany(${conditions ? `{ where: ${conditions} }` : ''});`,
+        update: (model, conditions, data = '/* fields */') => `await prisma.${model}.update({ where: ${conditions}, data: { ${data} } });`,
+        delete: (model, conditions) => `await prisma.${model}.delete({ where: ${conditions} });`,
+        listWithPagination: (model, skip = 0, take = 10) => `await prisma.${model}.findMany({ skip: ${skip}, take: ${take} });`,
+        join: (model1, model2) => `await prisma.${model1}.findMany({ include: { ${model2}: true } });`
+    },
+    mongoose: {
+        create: (model, data = '/* fields */') => `await ${model}.create({ ${data} });`,
+        read: (model, conditions = '') => `await ${model}.find(${conditions ? conditions : ''});`,
+        update: (model, conditions, data = '/* fields */') => `await ${model}.updateOne(${conditions}, { ${data} });`,
+        delete: (model, conditions) => `await ${model}.deleteOne(${conditions});`,
+        listWithPagination: (model, skip = 0, take = 10) => `await ${model}.find().skip(${skip}).limit(${take});`,
+        join: (model1, model2) => `await ${model1}.find().populate('${model2}');`
+    }
+};
+
+// Splits and capitalises words like the code generators' pascalCase, e.g. order items -> OrderItems
+const pascalCase = (value) => String(value ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+
+/**
+ * The name queries call a table by: snake_case for SQL, the client accessor of the model the Prisma
+ * export writes (order items -> OrderItems -> prisma.orderItems) and the Mongoose export's model class
+ */
+export const modelNameOf = (node, targetType) => {
+    if (targetType === 'sql') return node.data.label.toLowerCase().replace(/\s+/g, '_');
+    if (targetType === 'prisma') {
+        const name = pascalCase(node.data.label) || 'Model';
+        const model = /^[A-Za-z]/.test(name) ? name : `Model${name}`;
+        return model.charAt(0).toLowerCase() + model.slice(1);
+    }
+    const name = pascalCase(node.data.label) || 'Table';
+    return /^\d/.test(name) ? `_${name}` : name;
+};
+
+/** The condition selecting one row by the value in `id` */
+export function keyCondition(node, targetType) {
+    const pkField = node.data.columns.find(c => c.isPK);
+    if (targetType === 'sql') return pkField ? `${pkField.name} = ?` : 'id = ?';
+    return `{ ${pkField?.name || (targetType === 'prisma' ? 'id' : '_id')}: id }`;
+}
+
+function relationshipQueries(modelName, node, schema, targetType) {
+    const queries = {};
+
+    schema.edges.forEach(edge => {
+        if (edge.source !== node.id) return;
+        const targetNode = schema.nodes.find(n => n.id === edge.target);
+        if (!targetNode) return;
+        const targetModel = modelNameOf(targetNode, targetType);
+
+        if (targetType === 'sql') {
+            const fkColumn = edge.sourceHandle.replace('-right', '').replace('-left', '');
+            const pkColumn = edge.targetHandle.replace('-left', '').replace('-right', '');
+            queries[`join_${targetModel}`] =
+                QUERY_TEMPLATES.sql.join(modelName, targetModel, `${modelName}.${fkColumn} = ${targetModel}.${pkColumn}`);
+        } else if (targetType === 'prisma') {
+            queries[`include_${targetModel}`] = QUERY_TEMPLATES.prisma.join(modelName, targetModel);
+        } else {
+            queries[`populate_${targetModel}`] = QUERY_TEMPLATES.mongoose.join(modelName, targetModel);
+        }
+    });
+
+    return queries;
+}
+
+/**
+ * The standard queries for one table.
+ * @param {Object} options - { data, skip, take }: the fields code and pagination for the ORM targets
+ * @returns {Object} - { create, read, update, delete, listWithPagination, join_* | include_* | populate_* }
+ */
+export function entityQueries(node, schema, targetType, { data, skip, take } = {}) {
+    const modelName = modelNameOf(node, targetType);
+    const conditions = keyCondition(node, targetType);
+
+    if (targetType === 'sql') {
+        const templates = QUERY_TEMPLATES.sql;
+        return {
+            create: templates.create(modelName, node.data.columns.filter(c => !c.isPK).map(c => c.name)),
+            read: templates.read(modelName),
+            update: templates.update(modelName, node.data.columns.filter(c => !c.isPK).map(c => c.name), conditions),
+            delete: templates.delete(modelName, conditions),
+            listWithPagination: templates.listWithPagination(modelName, skip, take),
+            ...relationshipQueries(modelName, node, schema, targetType)
+        };
+    }
+
+    const templates = QUERY_TEMPLATES[targetType];
+    return {
+        create: templates.create(modelName, data),
+        read: templates.read(modelName),
+        update: templates.update(modelName, conditions, data),
+        delete: templates.delete(modelName, conditions),
+        listWithPagination: templates.listWithPagination(modelName, skip, take),
+        ...relationshipQueries(modelName, node, schema, targetType)
+    };
+}
+
+/** The standard queries for every table, keyed by table label */
+export function standardQueries(schema, targetType, options = {}) {
+    return Object.fromEntries(schema.nodes.map(node => [node.data.label, entityQueries(node, schema, targetType, options)]));
+}